@@ -0,0 +1,58 @@
+require("dotenv").config();
+
+const fs = require("fs");
+const path = require("path");
+const { connectDB, superAdminConnection, salonAdminConnection } = require("../src/config/db");
+const logger = require("../src/config/logger");
+
+/**
+ * Runs the data migrations in scripts/migrations that have not run yet, in file name order.
+ * Each one exports { description, up({ salonDb, superAdminDb }) } and works on the raw
+ * collections, so tenant scoping and schema validation do not get in the way of old data.
+ * Migrations are safe to run again, the ones that finished are recorded in the
+ * MIGRATIONS_COLLECTION of the salon database and skipped.
+ *
+ * Usage: npm run migrate
+ */
+const MIGRATIONS_DIR = path.join(__dirname, "migrations");
+const MIGRATIONS_COLLECTION = process.env.MIGRATIONS_COLLECTION || "migrations";
+
+const listMigrations = () =>
+  fs
+    .readdirSync(MIGRATIONS_DIR)
+    .filter((file) => file.endsWith(".js"))
+    .sort()
+    .map((file) => ({
+      name: path.basename(file, ".js"),
+      ...require(path.join(MIGRATIONS_DIR, file)),
+    }));
+
+const migrate = async () => {
+  await connectDB();
+  if (!salonAdminConnection.db || !superAdminConnection.db) {
+    throw new Error("Both databases must be configured to run migrations");
+  }
+
+  const salonDb = salonAdminConnection.db;
+  const superAdminDb = superAdminConnection.db;
+  const applied = salonDb.collection(MIGRATIONS_COLLECTION);
+  const done = new Set((await applied.find({}).toArray()).map((migration) => migration.name));
+
+  for (const migration of listMigrations()) {
+    if (done.has(migration.name)) continue;
+    logger.info(`Migrating ${migration.name}: ${migration.description}`);
+    const result = await migration.up({ salonDb, superAdminDb });
+    await applied.insertOne({ name: migration.name, result, appliedAt: new Date() });
+    logger.info(`Migrated ${migration.name}${result ? ` ${JSON.stringify(result)}` : ""}`);
+  }
+};
+
+migrate()
+  .then(async () => {
+    await Promise.all([superAdminConnection.close(), salonAdminConnection.close()]);
+  })
+  .catch(async (error) => {
+    logger.error(`Migration failed: ${error.message}`);
+    await Promise.all([superAdminConnection.close(), salonAdminConnection.close()]);
+    process.exitCode = 1;
+  });
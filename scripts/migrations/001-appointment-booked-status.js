@@ -0,0 +1,31 @@
+/**
+ * Older versions booked appointments with the status "booked", which is now "confirmed".
+ * Renames it on the appointments and in their status history
+ */
+const LEGACY_STATUS = "booked";
+const STATUS = "confirmed";
+
+module.exports = {
+  description: `Rename the appointment status "${LEGACY_STATUS}" to "${STATUS}"`,
+
+  async up({ salonDb }) {
+    const appointments = salonDb.collection("appointments");
+
+    const { modifiedCount } = await appointments.updateMany(
+      { status: LEGACY_STATUS },
+      { $set: { status: STATUS } }
+    );
+    const history = await appointments.updateMany(
+      { $or: [{ "statusHistory.from": LEGACY_STATUS }, { "statusHistory.to": LEGACY_STATUS }] },
+      {
+        $set: {
+          "statusHistory.$[from].from": STATUS,
+          "statusHistory.$[to].to": STATUS,
+        },
+      },
+      { arrayFilters: [{ "from.from": LEGACY_STATUS }, { "to.to": LEGACY_STATUS }] }
+    );
+
+    return { appointments: modifiedCount, histories: history.modifiedCount };
+  },
+};
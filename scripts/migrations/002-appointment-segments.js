@@ -0,0 +1,49 @@
+/**
+ * Appointments booked before segments existed have none (and some no endAt), so the busy
+ * filters never see them. Lays their services out again to fill both in
+ */
+const Appointment = require("../../src/models/Appointment");
+
+const BATCH_SIZE = 500;
+
+module.exports = {
+  description: "Backfill segments and endAt of appointments booked before segments existed",
+
+  async up({ salonDb }) {
+    const appointments = salonDb.collection("appointments");
+    const cursor = appointments.find({
+      $or: [{ segments: { $exists: false } }, { segments: { $size: 0 } }],
+    });
+
+    let updated = 0;
+    let batch = [];
+    const flush = async () => {
+      if (batch.length === 0) return;
+      await appointments.bulkWrite(batch, { ordered: false });
+      updated += batch.length;
+      batch = [];
+    };
+
+    for await (const raw of cursor) {
+      // Laid out in memory only, nothing else of the stored appointment changes
+      const appointment = Appointment.hydrate(raw).layoutServices();
+      if (appointment.segments.length === 0) continue;
+
+      batch.push({
+        updateOne: {
+          filter: { _id: raw._id },
+          update: {
+            $set: {
+              endAt: appointment.endAt,
+              segments: appointment.toObject().segments,
+            },
+          },
+        },
+      });
+      if (batch.length >= BATCH_SIZE) await flush();
+    }
+    await flush();
+
+    return { appointments: updated };
+  },
+};
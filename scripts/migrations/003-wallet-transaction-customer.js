@@ -0,0 +1,39 @@
+/**
+ * Wallet transactions used to point at the customer's user account in `customer`, they now
+ * point at the salon's customer record in `customerId`. The user is resolved to the customer
+ * record of the same salon, transactions that already held a customer record id keep it.
+ * Transactions whose customer cannot be found are left as they are and counted
+ */
+module.exports = {
+  description: "Move wallet transactions from customer (user) to customerId (customer record)",
+
+  async up({ salonDb }) {
+    const transactions = salonDb.collection("wallettransactions");
+    const customers = salonDb.collection("customers");
+    const cursor = transactions.find({
+      customer: { $exists: true },
+      customerId: { $exists: false },
+    });
+
+    let migrated = 0;
+    let unresolved = 0;
+    for await (const transaction of cursor) {
+      const { tenantId, customer } = transaction;
+      const record =
+        (await customers.findOne({ tenantId, _id: customer }, { projection: { _id: 1 } })) ||
+        (await customers.findOne({ tenantId, userId: customer }, { projection: { _id: 1 } }));
+      if (!record) {
+        unresolved += 1;
+        continue;
+      }
+
+      await transactions.updateOne(
+        { _id: transaction._id },
+        { $set: { customerId: record._id }, $unset: { customer: "" } }
+      );
+      migrated += 1;
+    }
+
+    return { transactions: migrated, unresolved };
+  },
+};
@@ -0,0 +1,74 @@
+/**
+ * Invoices used to hold items ({ name, price, qty }), total and a paid flag, they now hold
+ * lineItems, totals, paidAmount and a status. Converts the old fields, an invoice that was
+ * marked paid is taken as paid in full on its creation date
+ */
+const BATCH_SIZE = 500;
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+const toLineItems = (items = []) =>
+  items.map((item) => ({
+    name: item.name || "Item",
+    price: Math.max(Number(item.price) || 0, 0),
+    quantity: Math.max(Number(item.qty) || 1, 1),
+  }));
+
+module.exports = {
+  description: "Convert invoice items, total and paid to lineItems, totalAmount and status",
+
+  async up({ salonDb }) {
+    const invoices = salonDb.collection("invoices");
+    const cursor = invoices.find({
+      $or: [
+        { items: { $exists: true } },
+        { total: { $exists: true } },
+        { paid: { $exists: true } },
+      ],
+    });
+
+    let updated = 0;
+    let batch = [];
+    const flush = async () => {
+      if (batch.length === 0) return;
+      await invoices.bulkWrite(batch, { ordered: false });
+      updated += batch.length;
+      batch = [];
+    };
+
+    for await (const invoice of cursor) {
+      const $set = {};
+      if (!invoice.lineItems || invoice.lineItems.length === 0) {
+        const lineItems = toLineItems(invoice.items);
+        const subtotal = roundMoney(
+          lineItems.reduce((sum, line) => sum + line.price * line.quantity, 0)
+        );
+        const totalAmount = typeof invoice.total === "number" ? invoice.total : subtotal;
+        Object.assign($set, { lineItems, subtotal, totalAmount });
+
+        if (!invoice.status) {
+          Object.assign(
+            $set,
+            invoice.paid
+              ? { status: "paid", paidAmount: totalAmount, paidAt: invoice.createdAt }
+              : { status: "unpaid", paidAmount: 0 }
+          );
+        }
+      }
+
+      batch.push({
+        updateOne: {
+          filter: { _id: invoice._id },
+          update: {
+            ...(Object.keys($set).length > 0 && { $set }),
+            $unset: { items: "", total: "", paid: "" },
+          },
+        },
+      });
+      if (batch.length >= BATCH_SIZE) await flush();
+    }
+    await flush();
+
+    return { invoices: updated };
+  },
+};
@@ -0,0 +1,29 @@
+require("dotenv").config();
+
+const app = require("./src/app");
+const { connectDB } = require("./src/config/db");
+const sessionStore = require("./src/utils/sessionStore");
+const logger = require("./src/config/logger");
+const waitlistWorker = require("./src/workers/waitlistWorker");
+const depositWorker = require("./src/workers/depositWorker");
+const feeWorker = require("./src/workers/feeWorker");
+const reminderWorker = require("./src/workers/reminderWorker");
+
+const PORT = process.env.PORT || 3000;
+
+const start = async () => {
+  await connectDB();
+  await sessionStore.connect();
+  waitlistWorker.start();
+  depositWorker.start();
+  feeWorker.start();
+  reminderWorker
+    .start()
+    .catch((error) => logger.error(`Reminder worker failed to start: ${error.message}`));
+
+  app.listen(PORT, () => {
+    logger.info(`Server listening on port ${PORT}`);
+  });
+};
+
+start();
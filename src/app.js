@@ -0,0 +1,58 @@
+const express = require("express");
+const helmet = require("helmet");
+const cors = require("cors");
+const compression = require("compression");
+const morgan = require("morgan");
+const logger = require("./config/logger");
+const { configurePassport } = require("./config/passport");
+const { notFound, errorHandler } = require("./middlewares/errorMiddleware");
+
+// Routes
+const authRoutes = require("./routes/v1/authRoutes");
+const userRoutes = require("./routes/v1/userRoutes");
+const staffRoutes = require("./routes/v1/staffRoutes");
+const apiKeyRoutes = require("./routes/v1/apiKeyRoutes");
+const appointmentRoutes = require("./routes/v1/appointmentRoutes");
+const waitlistRoutes = require("./routes/v1/waitlistRoutes");
+const resourceRoutes = require("./routes/v1/resourceRoutes");
+const publicBookingRoutes = require("./routes/v1/publicBookingRoutes");
+const superAdminRoutes = require("./routes/v1/superAdminRoutes");
+
+const app = express();
+
+// Needed so req.ip reflects the client behind a load balancer
+app.set("trust proxy", 1);
+
+app.use(helmet());
+app.use(cors());
+app.use(compression());
+app.use(express.json({ limit: "1mb" }));
+app.use(express.urlencoded({ extended: true }));
+app.use(configurePassport().initialize());
+app.use(
+  morgan("combined", {
+    stream: { write: (message) => logger.http(message.trim()) },
+    skip: () => process.env.NODE_ENV === "test",
+  })
+);
+
+app.get("/health", (req, res) => {
+  res.json({ success: true, status: "ok" });
+});
+
+// API v1
+app.use("/api/v1/auth", authRoutes);
+app.use("/api/v1/users", userRoutes);
+app.use("/api/v1/staff", staffRoutes);
+app.use("/api/v1/api-keys", apiKeyRoutes);
+app.use("/api/v1/appointments", appointmentRoutes);
+app.use("/api/v1/waitlist", waitlistRoutes);
+app.use("/api/v1/resources", resourceRoutes);
+app.use("/api/v1/public/salons/:slug", publicBookingRoutes);
+app.use("/api/v1/super-admin", superAdminRoutes);
+
+// Error handling
+app.use(notFound);
+app.use(errorHandler);
+
+module.exports = app;
@@ -1,25 +1,40 @@
 const { superAdminConnection, salonAdminConnection } = require("./db");
+const tenantScopePlugin = require("../models/plugins/tenantScopePlugin");
 
 
 const SUPER_ADMIN_MODELS = [
   "User", 
   "Subscription", 
   "Notification", 
+  "RefreshToken",
+  "PlatformSetting",
+  "OtpCode",
+  "Session",
 ];
 
 const SALON_ADMIN_MODELS = [
   "Salon",
   "Staff",
+  "StaffInvite",
   "Customer",
   "Appointment",
+  "AppointmentSeries",
+  "WaitlistEntry",
   "Service",
+  "Resource",
   "Invoice",
+  "Payment",
   "Inventory",
   "Review",
   "Loyalty",
   "WalletTransaction",
+  "ApiKey",
+  "ScheduleLock",
 ];
 
+// Salon documents are the tenants themselves, so they are not tenant scoped
+const TENANT_ROOT_MODELS = ["Salon"];
+
 /**
  * Get the appropriate database connection for a model
  * @param {string} modelName - The name of the model
@@ -37,19 +52,33 @@ function getConnection(modelName) {
 }
 
 /**
- * 
+ * Whether a model lives in the salon database and must be isolated per tenant
+ * @param {string} modelName - The name of the model
+ * @returns {boolean}
+ */
+function isTenantScoped(modelName) {
+  return SALON_ADMIN_MODELS.includes(modelName) && !TENANT_ROOT_MODELS.includes(modelName);
+}
+
+/**
+ * Create a model on the right connection, salon models get tenant scoping
  * @param {string} modelName - The name of the model
  * @param {mongoose.Schema} schema - The mongoose schema
  * @returns {mongoose.Model} - The model with correct connection
  */
 function createModel(modelName, schema) {
   const connection = getConnection(modelName);
+  if (isTenantScoped(modelName)) {
+    schema.plugin(tenantScopePlugin, { modelName });
+  }
   return connection.model(modelName, schema);
 }
 
 module.exports = {
   getConnection,
   createModel,
+  isTenantScoped,
   SUPER_ADMIN_MODELS,
   SALON_ADMIN_MODELS,
+  TENANT_ROOT_MODELS,
 };
@@ -0,0 +1,65 @@
+// Salon modules a user can be granted access to individually
+const MODULE_PERMISSIONS = [
+  "dashboard",
+  "appointments",
+  "billing",
+  "staff",
+  "customers",
+  "services",
+  "inventory",
+  "settings",
+  "analytics",
+];
+
+// Permissions every user of a role gets by default
+const ROLE_PERMISSIONS = {
+  super_admin: ["dashboard", "analytics", "tenants", "subscriptions", "system"],
+  salon_admin: [
+    "dashboard",
+    "appointments",
+    "billing",
+    "staff",
+    "customers",
+    "services",
+    "inventory",
+    "settings",
+    "analytics",
+  ],
+  staff: ["appointments", "customers", "billing"],
+  customer: ["profile", "appointments", "wallet"],
+};
+
+// Scopes an API key can be granted, "<resource>:write" includes "<resource>:read"
+const API_KEY_SCOPES = [
+  "appointments:read",
+  "appointments:write",
+  "customers:read",
+  "customers:write",
+  "services:read",
+  "services:write",
+  "staff:read",
+  "staff:write",
+  "billing:read",
+  "billing:write",
+  "inventory:read",
+  "inventory:write",
+  "analytics:read",
+];
+
+// Module permission a user needs for the same access as a scope
+const SCOPE_PERMISSIONS = {
+  appointments: "appointments",
+  customers: "customers",
+  services: "services",
+  staff: "staff",
+  billing: "billing",
+  inventory: "inventory",
+  analytics: "analytics",
+};
+
+module.exports = {
+  MODULE_PERMISSIONS,
+  ROLE_PERMISSIONS,
+  API_KEY_SCOPES,
+  SCOPE_PERMISSIONS,
+};
@@ -0,0 +1,64 @@
+// ======================================
+// API KEY CONTROLLER
+// ======================================
+const apiKeyService = require("../services/apiKeyService");
+const asyncHandler = require("../utils/asyncHandler");
+
+// GET /api/v1/api-keys
+const listKeys = asyncHandler(async (req, res) => {
+  const data = await apiKeyService.listKeys({
+    includeRevoked: req.query.includeRevoked === "true",
+  });
+
+  res.json({ success: true, data });
+});
+
+// POST /api/v1/api-keys
+const createKey = asyncHandler(async (req, res) => {
+  const { name, scopes, expiresAt, rateLimitPerMinute } = req.body;
+  const { apiKey, key } = await apiKeyService.createKey(req.user, {
+    name,
+    scopes,
+    expiresAt,
+    rateLimitPerMinute,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: "Store this key now, it will not be shown again",
+    data: { ...apiKey.toJSON(), key },
+  });
+});
+
+// PATCH /api/v1/api-keys/:keyId
+const updateKey = asyncHandler(async (req, res) => {
+  const { name, scopes, expiresAt, rateLimitPerMinute } = req.body;
+  const data = await apiKeyService.updateKey(req.params.keyId, {
+    name,
+    scopes,
+    expiresAt,
+    rateLimitPerMinute,
+  });
+
+  res.json({ success: true, data });
+});
+
+// DELETE /api/v1/api-keys/:keyId
+const revokeKey = asyncHandler(async (req, res) => {
+  const data = await apiKeyService.revokeKey(req.user, req.params.keyId);
+
+  res.json({ success: true, data });
+});
+
+// GET /api/v1/api-keys/current
+const getCurrentKey = asyncHandler(async (req, res) => {
+  res.json({ success: true, data: req.apiKey });
+});
+
+module.exports = {
+  listKeys,
+  createKey,
+  updateKey,
+  revokeKey,
+  getCurrentKey,
+};
@@ -0,0 +1,174 @@
+// ======================================
+// APPOINTMENT CONTROLLER
+// ======================================
+const appointmentService = require("../services/appointmentService");
+const asyncHandler = require("../utils/asyncHandler");
+
+// GET /api/v1/appointments
+const listAppointments = asyncHandler(async (req, res) => {
+  const { status, staffId, customerId, from, to, search, page, limit } = req.query;
+  const data = await appointmentService.getAppointments(
+    { status, staffId, customerId, from, to, search },
+    page,
+    limit
+  );
+
+  res.json({ success: true, data });
+});
+
+// GET /api/v1/appointments/availability
+const getAvailability = asyncHandler(async (req, res) => {
+  const { date, serviceIds, duration, staffId } = req.query;
+  const data = await appointmentService.getAvailableTimeSlots(req.tenant, {
+    date,
+    serviceIds: serviceIds ? String(serviceIds).split(",") : [],
+    duration,
+    staffId,
+  });
+
+  res.json({ success: true, data });
+});
+
+// GET /api/v1/appointments/calendar
+const getCalendar = asyncHandler(async (req, res) => {
+  const { from, to, staffId, resourceId } = req.query;
+  const range = appointmentService.parseDateRange(from, to, req.tenant.timezone);
+  const data = await appointmentService.getCalendarView(range.start, range.end, staffId, resourceId);
+
+  res.json({ success: true, data });
+});
+
+// GET /api/v1/appointments/series/:seriesId
+const getSeries = asyncHandler(async (req, res) => {
+  const data = await appointmentService.getSeries(req.params.seriesId);
+
+  res.json({ success: true, data });
+});
+
+// GET /api/v1/appointments/:appointmentId
+const getAppointment = asyncHandler(async (req, res) => {
+  const data = await appointmentService.getAppointmentById(req.params.appointmentId);
+
+  res.json({ success: true, data });
+});
+
+// POST /api/v1/appointments
+const createAppointment = asyncHandler(async (req, res) => {
+  const {
+    customerId,
+    staffId,
+    services,
+    serviceIds,
+    scheduledAt,
+    duration,
+    notes,
+    internalNotes,
+    status,
+    recurrence,
+    skipConflicts,
+    waiveDeposit,
+  } = req.body;
+  const data = await appointmentService.createAppointment(req.user, {
+    customerId,
+    staffId,
+    services,
+    serviceIds,
+    scheduledAt,
+    duration,
+    notes,
+    internalNotes,
+    status,
+    recurrence,
+    skipConflicts,
+    waiveDeposit,
+  });
+
+  res.status(201).json({ success: true, data });
+});
+
+// PATCH /api/v1/appointments/:appointmentId
+const updateAppointment = asyncHandler(async (req, res) => {
+  const { scope, ...changes } = req.body;
+  const data = await appointmentService.updateAppointment(
+    req.user,
+    req.params.appointmentId,
+    changes,
+    scope
+  );
+
+  res.json({ success: true, data });
+});
+
+// PATCH /api/v1/appointments/:appointmentId/status
+const updateAppointmentStatus = asyncHandler(async (req, res) => {
+  const { status, reason, scope, fee } = req.body;
+  const data = await appointmentService.updateAppointmentStatus(
+    req.user,
+    req.params.appointmentId,
+    status,
+    reason,
+    scope,
+    fee
+  );
+
+  res.json({ success: true, data });
+});
+
+// POST /api/v1/appointments/:appointmentId/deposit/confirm
+const confirmDeposit = asyncHandler(async (req, res) => {
+  const data = await appointmentService.confirmDeposit(req.user, req.params.appointmentId);
+
+  res.json({ success: true, data });
+});
+
+// POST /api/v1/appointments/:appointmentId/deposit/waive
+const waiveDepositHold = asyncHandler(async (req, res) => {
+  const data = await appointmentService.waiveDepositHold(
+    req.user,
+    req.params.appointmentId,
+    req.body.reason
+  );
+
+  res.json({ success: true, data });
+});
+
+// POST /api/v1/appointments/:appointmentId/fee/waive
+const waiveCancellationFee = asyncHandler(async (req, res) => {
+  const data = await appointmentService.waiveCancellationFee(
+    req.user,
+    req.params.appointmentId,
+    req.body.reason
+  );
+
+  res.json({ success: true, data });
+});
+
+// POST /api/v1/appointments/:appointmentId/fee/retry
+const retryCancellationFee = asyncHandler(async (req, res) => {
+  const data = await appointmentService.retryCancellationFee(req.params.appointmentId);
+
+  res.json({ success: true, data });
+});
+
+// DELETE /api/v1/appointments/:appointmentId
+const deleteAppointment = asyncHandler(async (req, res) => {
+  const data = await appointmentService.deleteAppointment(req.params.appointmentId);
+
+  res.json({ success: true, data });
+});
+
+module.exports = {
+  listAppointments,
+  getAvailability,
+  getCalendar,
+  getSeries,
+  getAppointment,
+  createAppointment,
+  updateAppointment,
+  updateAppointmentStatus,
+  confirmDeposit,
+  waiveDepositHold,
+  waiveCancellationFee,
+  retryCancellationFee,
+  deleteAppointment,
+};
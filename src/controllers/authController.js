@@ -0,0 +1,209 @@
+// ======================================
+// AUTH CONTROLLER
+// ======================================
+const authService = require("../services/authService");
+const twoFactorService = require("../services/twoFactorService");
+const staffInviteService = require("../services/staffInviteService");
+const sessionService = require("../services/sessionService");
+const asyncHandler = require("../utils/asyncHandler");
+
+// Request metadata stored alongside refresh tokens
+const getClientContext = (req) => ({
+  ip: req.ip,
+  userAgent: req.get("user-agent"),
+});
+
+// POST /api/v1/auth/register
+const register = asyncHandler(async (req, res) => {
+  const { email, password, name, phone, role } = req.body;
+  const result = await authService.register(
+    { email, password, name, phone, role },
+    getClientContext(req)
+  );
+
+  res.status(201).json({ success: true, data: result });
+});
+
+// POST /api/v1/auth/verify-email
+const verifyEmail = asyncHandler(async (req, res) => {
+  await authService.verifyEmail(req.body.token || req.query.token);
+
+  res.json({ success: true, message: "Email verified" });
+});
+
+// POST /api/v1/auth/resend-verification
+const resendVerification = asyncHandler(async (req, res) => {
+  await authService.resendVerificationEmail(req.body.email);
+
+  res.json({ success: true, message: "If the account exists, a verification email was sent" });
+});
+
+// POST /api/v1/auth/forgot-password
+const forgotPassword = asyncHandler(async (req, res) => {
+  await authService.forgotPassword(req.body.email);
+
+  res.json({ success: true, message: "If the account exists, a reset email was sent" });
+});
+
+// POST /api/v1/auth/reset-password
+const resetPassword = asyncHandler(async (req, res) => {
+  const { token, password } = req.body;
+  await authService.resetPassword(token, password);
+
+  res.json({ success: true, message: "Password updated, please log in again" });
+});
+
+// POST /api/v1/auth/otp/request
+const requestLoginCode = asyncHandler(async (req, res) => {
+  const { phone, email } = req.body;
+  const data = await authService.requestLoginCode({ phone, email }, getClientContext(req));
+
+  res.json({ success: true, message: "If the account can use code login, a code was sent", data });
+});
+
+// POST /api/v1/auth/otp/verify
+const loginWithCode = asyncHandler(async (req, res) => {
+  const { phone, email, code, name } = req.body;
+  const result = await authService.loginWithCode(
+    { phone, email, code, name },
+    getClientContext(req)
+  );
+
+  res.json({ success: true, data: result });
+});
+
+// GET /api/v1/auth/invites/:token
+const previewInvite = asyncHandler(async (req, res) => {
+  const data = await staffInviteService.previewInvite(req.params.token);
+
+  res.json({ success: true, data });
+});
+
+// POST /api/v1/auth/accept-invite
+const acceptInvite = asyncHandler(async (req, res) => {
+  const { token, password, name, email } = req.body;
+  const result = await staffInviteService.acceptInvite(
+    token,
+    { password, name, email },
+    getClientContext(req)
+  );
+
+  res.status(201).json({ success: true, data: result });
+});
+
+// POST /api/v1/auth/login
+const login = asyncHandler(async (req, res) => {
+  const { email, password } = req.body;
+  const result = await authService.login(email, password, getClientContext(req));
+
+  res.json({ success: true, data: result });
+});
+
+// POST /api/v1/auth/refresh
+const refresh = asyncHandler(async (req, res) => {
+  const result = await authService.refresh(req.body.refreshToken, getClientContext(req));
+
+  res.json({ success: true, data: result });
+});
+
+// POST /api/v1/auth/logout
+const logout = asyncHandler(async (req, res) => {
+  await authService.logout(req.body.refreshToken);
+
+  res.json({ success: true, message: "Logged out" });
+});
+
+// POST /api/v1/auth/2fa/challenge
+const twoFactorChallenge = asyncHandler(async (req, res) => {
+  const { challengeToken, code } = req.body;
+  const result = await authService.completeTwoFactorLogin(
+    challengeToken,
+    code,
+    getClientContext(req)
+  );
+
+  res.json({ success: true, data: result });
+});
+
+// POST /api/v1/auth/2fa/setup
+const twoFactorSetup = asyncHandler(async (req, res) => {
+  const data = await twoFactorService.startEnrollment(req.currentUser);
+
+  res.json({ success: true, data });
+});
+
+// POST /api/v1/auth/2fa/enable
+const twoFactorEnable = asyncHandler(async (req, res) => {
+  const data = await twoFactorService.confirmEnrollment(req.currentUser, req.body.code);
+
+  // Enrollment forced during login finishes that login
+  if (req.twoFactorSetupChallenge) {
+    const session = await authService.completeLogin(req.currentUser, getClientContext(req));
+    return res.json({ success: true, data: { ...data, ...session } });
+  }
+
+  res.json({ success: true, data });
+});
+
+// POST /api/v1/auth/2fa/disable
+const twoFactorDisable = asyncHandler(async (req, res) => {
+  const { password, code } = req.body;
+  await twoFactorService.disable(req.currentUser, { password, code });
+
+  res.json({ success: true, message: "Two-factor authentication disabled" });
+});
+
+// POST /api/v1/auth/2fa/backup-codes
+const twoFactorBackupCodes = asyncHandler(async (req, res) => {
+  const data = await twoFactorService.regenerateBackupCodes(req.currentUser, req.body.code);
+
+  res.json({ success: true, data });
+});
+
+// GET /api/v1/auth/sessions
+const listSessions = asyncHandler(async (req, res) => {
+  const data = await sessionService.listSessions(req.user.id, req.user.sid);
+
+  res.json({ success: true, data });
+});
+
+// DELETE /api/v1/auth/sessions/:sessionId
+const revokeSession = asyncHandler(async (req, res) => {
+  await sessionService.revokeOwnSession(req.user.id, req.params.sessionId);
+
+  res.json({ success: true, message: "Session revoked" });
+});
+
+// DELETE /api/v1/auth/sessions?exceptCurrent=true
+const revokeAllSessions = asyncHandler(async (req, res) => {
+  const exceptCurrent = req.query.exceptCurrent === "true";
+  const revoked = await sessionService.revokeAllForUser(req.user.id, "logout_all", {
+    exceptSessionId: exceptCurrent ? req.user.sid : undefined,
+  });
+
+  res.json({ success: true, data: { revoked } });
+});
+
+module.exports = {
+  getClientContext,
+  register,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
+  previewInvite,
+  acceptInvite,
+  login,
+  requestLoginCode,
+  loginWithCode,
+  refresh,
+  logout,
+  twoFactorChallenge,
+  twoFactorSetup,
+  twoFactorEnable,
+  twoFactorDisable,
+  twoFactorBackupCodes,
+  listSessions,
+  revokeSession,
+  revokeAllSessions,
+};
@@ -0,0 +1,107 @@
+// ======================================
+// OAUTH CONTROLLER
+// ======================================
+const { passport, GOOGLE_STRATEGY, isGoogleConfigured } = require("../config/passport");
+const oauthService = require("../services/oauthService");
+const asyncHandler = require("../utils/asyncHandler");
+const AppError = require("../utils/appError");
+const { getClientContext } = require("./authController");
+
+const GOOGLE_SCOPES = ["profile", "email"];
+
+// The SPA page that finishes the flow, results travel in the fragment so they stay out of logs
+const redirectToClient = (res, params) => {
+  const clientUrl = process.env.CLIENT_URL || "http://localhost:3000";
+  res.redirect(`${clientUrl}/oauth/callback#${new URLSearchParams(params)}`);
+};
+
+const assertGoogleConfigured = () => {
+  if (!isGoogleConfigured()) {
+    throw new AppError("Google sign-in is not configured", 503, "OAUTH_NOT_CONFIGURED");
+  }
+};
+
+// GET /api/v1/auth/google?role=customer or ?linkState=...
+const startGoogle = (req, res, next) => {
+  try {
+    assertGoogleConfigured();
+
+    let state = req.query.linkState;
+    if (state) {
+      oauthService.verifyState(state);
+    } else {
+      state = oauthService.createState({ mode: "login", role: req.query.role || "customer" });
+    }
+
+    passport.authenticate(GOOGLE_STRATEGY, { session: false, scope: GOOGLE_SCOPES, state })(
+      req,
+      res,
+      next
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+// GET /api/v1/auth/google/callback
+const googleCallback = (req, res, next) => {
+  passport.authenticate(GOOGLE_STRATEGY, { session: false }, async (error, profile) => {
+    try {
+      if (error || !profile) {
+        throw new AppError("Google sign-in failed", 401, "OAUTH_FAILED");
+      }
+
+      const intent = oauthService.verifyState(req.query.state);
+      const { user, created } = await oauthService.handleCallback(profile, intent);
+
+      if (intent.mode === "link") {
+        return redirectToClient(res, { linked: "google" });
+      }
+      redirectToClient(res, {
+        loginToken: oauthService.createLoginToken(user, "google"),
+        created: String(created),
+      });
+    } catch (callbackError) {
+      redirectToClient(res, { error: callbackError.code || "OAUTH_FAILED" });
+    }
+  })(req, res, next);
+};
+
+// POST /api/v1/auth/google/exchange
+const exchangeLoginToken = asyncHandler(async (req, res) => {
+  const result = await oauthService.exchangeLoginToken(req.body.loginToken, getClientContext(req));
+
+  res.json({ success: true, data: result });
+});
+
+// POST /api/v1/auth/google/link
+const getGoogleLinkUrl = asyncHandler(async (req, res) => {
+  assertGoogleConfigured();
+  const linkState = oauthService.createLinkState(req.currentUser);
+  const url = `${req.protocol}://${req.get("host")}${req.baseUrl}/google?linkState=${linkState}`;
+
+  res.json({ success: true, data: { url } });
+});
+
+// GET /api/v1/auth/oauth
+const listProviders = asyncHandler(async (req, res) => {
+  const data = oauthService.listProviders(req.currentUser);
+
+  res.json({ success: true, data });
+});
+
+// DELETE /api/v1/auth/oauth/:provider
+const unlinkProvider = asyncHandler(async (req, res) => {
+  const data = await oauthService.unlinkProvider(req.currentUser, req.params.provider);
+
+  res.json({ success: true, data });
+});
+
+module.exports = {
+  startGoogle,
+  googleCallback,
+  exchangeLoginToken,
+  getGoogleLinkUrl,
+  listProviders,
+  unlinkProvider,
+};
@@ -0,0 +1,143 @@
+// ======================================
+// PUBLIC BOOKING CONTROLLER
+// ======================================
+const publicBookingService = require("../services/publicBookingService");
+const asyncHandler = require("../utils/asyncHandler");
+
+// Manage and offer links carry their token in the query string, forms may post it instead
+const getBookingToken = (req) => req.query.token || (req.body && req.body.token);
+
+// GET /api/v1/public/salons/:slug
+const getSalon = asyncHandler(async (req, res) => {
+  const data = publicBookingService.getSalonProfile(req.tenant);
+
+  res.json({ success: true, data });
+});
+
+// GET /api/v1/public/salons/:slug/services
+const listServices = asyncHandler(async (req, res) => {
+  const data = await publicBookingService.getServices();
+
+  res.json({ success: true, data });
+});
+
+// GET /api/v1/public/salons/:slug/staff
+const listStaff = asyncHandler(async (req, res) => {
+  const data = await publicBookingService.getStaff();
+
+  res.json({ success: true, data });
+});
+
+// GET /api/v1/public/salons/:slug/availability
+const getAvailability = asyncHandler(async (req, res) => {
+  const { date, serviceIds, staffId } = req.query;
+  const data = await publicBookingService.getAvailability(req.tenant, {
+    date,
+    serviceIds: serviceIds ? String(serviceIds).split(",") : [],
+    staffId,
+  });
+
+  res.json({ success: true, data });
+});
+
+// POST /api/v1/public/salons/:slug/bookings
+const createBooking = asyncHandler(async (req, res) => {
+  const { customer, services, serviceIds, staffId, scheduledAt, notes } = req.body;
+  const data = await publicBookingService.createBooking(
+    req.tenant,
+    { customer, services, serviceIds, staffId, scheduledAt, notes },
+    req.currentUser
+  );
+
+  res.status(201).json({ success: true, data });
+});
+
+// GET /api/v1/public/salons/:slug/bookings/:appointmentId
+const getBooking = asyncHandler(async (req, res) => {
+  const data = await publicBookingService.getBooking(
+    req.params.appointmentId,
+    getBookingToken(req)
+  );
+
+  res.json({ success: true, data });
+});
+
+// POST /api/v1/public/salons/:slug/bookings/:appointmentId/cancel
+const cancelBooking = asyncHandler(async (req, res) => {
+  const data = await publicBookingService.cancelBooking(
+    req.params.appointmentId,
+    getBookingToken(req),
+    req.body.reason
+  );
+
+  res.json({ success: true, data });
+});
+
+// POST /api/v1/public/salons/:slug/bookings/:appointmentId/reschedule
+const rescheduleBooking = asyncHandler(async (req, res) => {
+  const { scheduledAt, staffId } = req.body;
+  const data = await publicBookingService.rescheduleBooking(
+    req.tenant,
+    req.params.appointmentId,
+    getBookingToken(req),
+    { scheduledAt, staffId }
+  );
+
+  res.json({ success: true, data });
+});
+
+// POST /api/v1/public/salons/:slug/bookings/:appointmentId/deposit/confirm
+const confirmDeposit = asyncHandler(async (req, res) => {
+  const data = await publicBookingService.confirmDeposit(
+    req.params.appointmentId,
+    getBookingToken(req)
+  );
+
+  res.json({ success: true, data });
+});
+
+// GET /api/v1/public/salons/:slug/waitlist/:entryId
+const getWaitlistOffer = asyncHandler(async (req, res) => {
+  const data = await publicBookingService.getWaitlistOffer(
+    req.params.entryId,
+    getBookingToken(req)
+  );
+
+  res.json({ success: true, data });
+});
+
+// POST /api/v1/public/salons/:slug/waitlist/:entryId/accept
+const acceptWaitlistOffer = asyncHandler(async (req, res) => {
+  const data = await publicBookingService.acceptWaitlistOffer(
+    req.tenant,
+    req.params.entryId,
+    getBookingToken(req)
+  );
+
+  res.status(201).json({ success: true, data });
+});
+
+// POST /api/v1/public/salons/:slug/waitlist/:entryId/decline
+const declineWaitlistOffer = asyncHandler(async (req, res) => {
+  const data = await publicBookingService.declineWaitlistOffer(
+    req.params.entryId,
+    getBookingToken(req)
+  );
+
+  res.json({ success: true, data });
+});
+
+module.exports = {
+  getSalon,
+  listServices,
+  listStaff,
+  getAvailability,
+  createBooking,
+  getBooking,
+  cancelBooking,
+  rescheduleBooking,
+  confirmDeposit,
+  getWaitlistOffer,
+  acceptWaitlistOffer,
+  declineWaitlistOffer,
+};
@@ -0,0 +1,69 @@
+// ======================================
+// RESOURCE CONTROLLER
+// ======================================
+const resourceService = require("../services/resourceService");
+const asyncHandler = require("../utils/asyncHandler");
+
+// GET /api/v1/resources
+const listResources = asyncHandler(async (req, res) => {
+  const { type, active } = req.query;
+  const data = await resourceService.getResources({ type, active });
+
+  res.json({ success: true, data });
+});
+
+// GET /api/v1/resources/:resourceId
+const getResource = asyncHandler(async (req, res) => {
+  const data = await resourceService.getResourceById(req.params.resourceId);
+
+  res.json({ success: true, data });
+});
+
+// POST /api/v1/resources
+const createResource = asyncHandler(async (req, res) => {
+  const { name, type, description } = req.body;
+  const data = await resourceService.createResource({ name, type, description });
+
+  res.status(201).json({ success: true, data });
+});
+
+// PATCH /api/v1/resources/:resourceId
+const updateResource = asyncHandler(async (req, res) => {
+  const data = await resourceService.updateResource(req.params.resourceId, req.body);
+
+  res.json({ success: true, data });
+});
+
+// DELETE /api/v1/resources/:resourceId
+const deactivateResource = asyncHandler(async (req, res) => {
+  const data = await resourceService.deactivateResource(req.params.resourceId);
+
+  res.json({ success: true, data });
+});
+
+// GET /api/v1/resources/services/:serviceId
+const getServiceRequirements = asyncHandler(async (req, res) => {
+  const data = await resourceService.getServiceRequirements(req.params.serviceId);
+
+  res.json({ success: true, data });
+});
+
+// PUT /api/v1/resources/services/:serviceId
+const setServiceRequirements = asyncHandler(async (req, res) => {
+  const data = await resourceService.setServiceRequirements(
+    req.params.serviceId,
+    req.body.resourceRequirements
+  );
+
+  res.json({ success: true, data });
+});
+
+module.exports = {
+  listResources,
+  getResource,
+  createResource,
+  updateResource,
+  deactivateResource,
+  getServiceRequirements,
+  setServiceRequirements,
+};
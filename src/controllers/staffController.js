@@ -0,0 +1,73 @@
+// ======================================
+// STAFF CONTROLLER
+// ======================================
+const staffInviteService = require("../services/staffInviteService");
+const staffService = require("../services/staffService");
+const asyncHandler = require("../utils/asyncHandler");
+
+// GET /api/v1/staff/invites
+const listInvites = asyncHandler(async (req, res) => {
+  const { status, staffId } = req.query;
+  const data = await staffInviteService.listInvites({ status, staffId });
+
+  res.json({ success: true, data });
+});
+
+// POST /api/v1/staff/invites
+const inviteStaff = asyncHandler(async (req, res) => {
+  const { staffId, name, role, email, phone } = req.body;
+  const data = await staffInviteService.inviteStaff(req.user, req.tenant, {
+    staffId,
+    name,
+    role,
+    email,
+    phone,
+  });
+
+  res.status(201).json({ success: true, data });
+});
+
+// POST /api/v1/staff/invites/:inviteId/resend
+const resendInvite = asyncHandler(async (req, res) => {
+  const data = await staffInviteService.resendInvite(req.params.inviteId, req.tenant);
+
+  res.json({ success: true, data });
+});
+
+// POST /api/v1/staff/invites/:inviteId/expire
+const expireInvite = asyncHandler(async (req, res) => {
+  const data = await staffInviteService.expireInvite(req.params.inviteId);
+
+  res.json({ success: true, data });
+});
+
+// DELETE /api/v1/staff/invites/:inviteId
+const revokeInvite = asyncHandler(async (req, res) => {
+  const data = await staffInviteService.revokeInvite(req.user, req.params.inviteId);
+
+  res.json({ success: true, data });
+});
+
+// GET /api/v1/staff/:staffId/working-hours
+const getWorkingHours = asyncHandler(async (req, res) => {
+  const data = await staffService.getWorkingHours(req.params.staffId);
+
+  res.json({ success: true, data });
+});
+
+// PUT /api/v1/staff/:staffId/working-hours
+const updateWorkingHours = asyncHandler(async (req, res) => {
+  const data = await staffService.updateWorkingHours(req.params.staffId, req.body.workingHours);
+
+  res.json({ success: true, data });
+});
+
+module.exports = {
+  listInvites,
+  inviteStaff,
+  resendInvite,
+  expireInvite,
+  revokeInvite,
+  getWorkingHours,
+  updateWorkingHours,
+};
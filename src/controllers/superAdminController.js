@@ -0,0 +1,60 @@
+// ======================================
+// SUPER ADMIN CONTROLLER
+// ======================================
+const superAdminService = require("../services/superAdminService");
+const asyncHandler = require("../utils/asyncHandler");
+
+// GET /api/v1/super-admin/settings/security
+const getSecuritySettings = asyncHandler(async (req, res) => {
+  const data = await superAdminService.getSecuritySettings();
+
+  res.json({ success: true, data });
+});
+
+// PUT /api/v1/super-admin/settings/security
+const updateSecuritySettings = asyncHandler(async (req, res) => {
+  const data = await superAdminService.updateSecuritySettings(req.body, req.user.id);
+
+  res.json({ success: true, data });
+});
+
+// PATCH /api/v1/super-admin/tenants/:tenantId/status
+const updateTenantStatus = asyncHandler(async (req, res) => {
+  const data = await superAdminService.updateTenantStatus(
+    req.params.tenantId,
+    req.body.status,
+    req.user.id
+  );
+
+  res.json({ success: true, data });
+});
+
+// POST /api/v1/super-admin/tenants/:tenantId/force-logout
+const forceLogoutTenant = asyncHandler(async (req, res) => {
+  const data = await superAdminService.forceLogoutTenant(req.params.tenantId, req.user.id);
+
+  res.json({ success: true, data });
+});
+
+// GET /api/v1/super-admin/api-keys
+const listApiKeys = asyncHandler(async (req, res) => {
+  const data = await superAdminService.listApiKeys({ tenantId: req.query.tenantId });
+
+  res.json({ success: true, data });
+});
+
+// DELETE /api/v1/super-admin/api-keys/:keyId
+const revokeApiKey = asyncHandler(async (req, res) => {
+  const data = await superAdminService.revokeApiKey(req.params.keyId, req.user.id);
+
+  res.json({ success: true, data });
+});
+
+module.exports = {
+  getSecuritySettings,
+  updateSecuritySettings,
+  updateTenantStatus,
+  forceLogoutTenant,
+  listApiKeys,
+  revokeApiKey,
+};
@@ -0,0 +1,36 @@
+// ======================================
+// USER CONTROLLER
+// ======================================
+const userService = require("../services/userService");
+const asyncHandler = require("../utils/asyncHandler");
+
+// GET /api/v1/users/:userId/permissions
+const getPermissions = asyncHandler(async (req, res) => {
+  const data = await userService.getPermissions(req.user, req.params.userId);
+
+  res.json({ success: true, data });
+});
+
+// PATCH /api/v1/users/:userId/permissions
+const updatePermissions = asyncHandler(async (req, res) => {
+  const { grant, revoke } = req.body;
+  const data = await userService.updatePermissions(req.user, req.params.userId, {
+    grant,
+    revoke,
+  });
+
+  res.json({ success: true, data });
+});
+
+// POST /api/v1/users/:userId/unlock
+const unlockUser = asyncHandler(async (req, res) => {
+  const data = await userService.unlockUser(req.user, req.params.userId);
+
+  res.json({ success: true, data });
+});
+
+module.exports = {
+  getPermissions,
+  updatePermissions,
+  unlockUser,
+};
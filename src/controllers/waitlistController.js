@@ -0,0 +1,70 @@
+// ======================================
+// WAITLIST CONTROLLER
+// ======================================
+const waitlistService = require("../services/waitlistService");
+const asyncHandler = require("../utils/asyncHandler");
+
+// GET /api/v1/waitlist
+const listEntries = asyncHandler(async (req, res) => {
+  const { status, customerId, serviceId, staffId, page, limit } = req.query;
+  const data = await waitlistService.getEntries(
+    { status, customerId, serviceId, staffId },
+    page,
+    limit
+  );
+
+  res.json({ success: true, data });
+});
+
+// GET /api/v1/waitlist/:entryId
+const getEntry = asyncHandler(async (req, res) => {
+  const data = await waitlistService.getEntryById(req.params.entryId);
+
+  res.json({ success: true, data });
+});
+
+// POST /api/v1/waitlist
+const joinWaitlist = asyncHandler(async (req, res) => {
+  const { customerId, serviceId, staffId, windowStart, windowEnd, priority, notes } = req.body;
+  const data = await waitlistService.joinWaitlist(req.user, {
+    customerId,
+    serviceId,
+    staffId,
+    windowStart,
+    windowEnd,
+    priority,
+    notes,
+  });
+
+  res.status(201).json({ success: true, data });
+});
+
+// POST /api/v1/waitlist/:entryId/accept
+const acceptOffer = asyncHandler(async (req, res) => {
+  const data = await waitlistService.acceptOffer(req.user, req.params.entryId);
+
+  res.status(201).json({ success: true, data });
+});
+
+// POST /api/v1/waitlist/:entryId/decline
+const declineOffer = asyncHandler(async (req, res) => {
+  const data = await waitlistService.declineOffer(req.params.entryId);
+
+  res.json({ success: true, data });
+});
+
+// DELETE /api/v1/waitlist/:entryId
+const cancelEntry = asyncHandler(async (req, res) => {
+  const data = await waitlistService.cancelEntry(req.params.entryId);
+
+  res.json({ success: true, data });
+});
+
+module.exports = {
+  listEntries,
+  getEntry,
+  joinWaitlist,
+  acceptOffer,
+  declineOffer,
+  cancelEntry,
+};
@@ -0,0 +1,181 @@
+const User = require("../models/User");
+const authService = require("../services/authService");
+const sessionService = require("../services/sessionService");
+const apiKeyService = require("../services/apiKeyService");
+const AppError = require("../utils/appError");
+const { apiKeyRateLimiter } = require("./rateLimitMiddleware");
+const { SCOPE_PERMISSIONS } = require("../config/permissions");
+
+const API_KEY_HEADER = "x-api-key";
+
+const getBearerToken = (req) => {
+  const header = req.get("authorization") || "";
+  const [scheme, token] = header.split(" ");
+  return scheme === "Bearer" && token ? token : null;
+};
+
+// Authenticate the request with a JWT access token and attach req.user
+const requireAuth = async (req, res, next) => {
+  try {
+    const token = getBearerToken(req);
+    if (!token && req.get(API_KEY_HEADER)) {
+      throw new AppError("API keys cannot access this endpoint", 403, "API_KEY_NOT_ALLOWED");
+    }
+    if (!token) {
+      throw new AppError("Authentication required", 401, "AUTH_REQUIRED");
+    }
+
+    let claims;
+    try {
+      claims = authService.verifyAccessToken(token);
+    } catch (error) {
+      const expired = error.name === "TokenExpiredError";
+      throw new AppError(
+        expired ? "Access token expired" : "Invalid access token",
+        401,
+        expired ? "TOKEN_EXPIRED" : "INVALID_TOKEN"
+      );
+    }
+
+    // A session ended from another device takes its access tokens with it
+    if (claims.sid) {
+      await sessionService.assertActive(claims.sid, { ip: req.ip });
+    }
+
+    // Reload the user so deactivation and permission changes apply immediately
+    const user = await User.findOne({ _id: claims.id, isActive: true });
+    if (!user) {
+      throw new AppError("User no longer active", 401, "USER_INACTIVE");
+    }
+
+    req.user = { ...user.getJWTPayload(), sid: claims.sid };
+    req.currentUser = user;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Like requireAuth, but integrations may authenticate with an X-API-Key header instead
+const requireAuthOrApiKey = async (req, res, next) => {
+  const key = req.get(API_KEY_HEADER);
+  if (!key || getBearerToken(req)) return requireAuth(req, res, next);
+
+  try {
+    const apiKey = await apiKeyService.authenticate(key, { ip: req.ip });
+    req.apiKey = apiKey;
+    req.user = apiKeyService.getPrincipal(apiKey);
+    apiKeyRateLimiter(req, res, next);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Like requireAuth, but also accepts the challenge token of a login that must enroll in 2FA first
+const requireAuthOrSetupChallenge = async (req, res, next) => {
+  const challengeToken = req.body && req.body.challengeToken;
+  if (!challengeToken) return requireAuth(req, res, next);
+
+  try {
+    const user = await authService.getSetupChallengeUser(challengeToken);
+    req.user = user.getJWTPayload();
+    req.currentUser = user;
+    req.twoFactorSetupChallenge = true;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// For pages open to guests: a bearer token, when sent, must be valid and attaches req.user
+const optionalAuth = (req, res, next) => {
+  if (!getBearerToken(req)) return next();
+  return requireAuth(req, res, next);
+};
+
+// Allow only the given roles, must run after requireAuth
+const requireRole =
+  (...roles) =>
+  (req, res, next) => {
+    if (!req.user) {
+      return next(new AppError("Authentication required", 401, "AUTH_REQUIRED"));
+    }
+    if (!roles.includes(req.user.role)) {
+      return next(
+        new AppError("Your role cannot access this resource", 403, "ROLE_DENIED", {
+          requiredRoles: roles,
+          role: req.user.role,
+        })
+      );
+    }
+    next();
+  };
+
+// Require every given module permission, must run after requireAuth.
+// Super admins are not bound by the module permissions of salon users
+const requirePermission =
+  (...permissions) =>
+  (req, res, next) => {
+    if (!req.user) {
+      return next(new AppError("Authentication required", 401, "AUTH_REQUIRED"));
+    }
+    if (req.user.role === "super_admin") return next();
+
+    const granted = req.user.permissions || [];
+    const missing = permissions.filter((permission) => !granted.includes(permission));
+    if (missing.length > 0) {
+      return next(
+        new AppError("You do not have permission to access this resource", 403, "PERMISSION_DENIED", {
+          required: permissions,
+          missing,
+        })
+      );
+    }
+    next();
+  };
+
+// Require API key scopes such as "appointments:read", users need the matching module permission
+const requireScope =
+  (...scopes) =>
+  (req, res, next) => {
+    if (!req.user) {
+      return next(new AppError("Authentication required", 401, "AUTH_REQUIRED"));
+    }
+
+    if (req.apiKey) {
+      const missing = scopes.filter((scope) => !req.apiKey.hasScope(scope));
+      if (missing.length > 0) {
+        return next(
+          new AppError("API key is missing required scopes", 403, "SCOPE_DENIED", {
+            required: scopes,
+            missing,
+          })
+        );
+      }
+      return next();
+    }
+
+    const granted = req.user.permissions || [];
+    const required = [...new Set(scopes.map((scope) => SCOPE_PERMISSIONS[scope.split(":")[0]]))];
+    const missing = required.filter((permission) => !granted.includes(permission));
+    if (missing.length > 0) {
+      return next(
+        new AppError("You do not have permission to access this resource", 403, "PERMISSION_DENIED", {
+          required,
+          missing,
+        })
+      );
+    }
+    next();
+  };
+
+module.exports = {
+  getBearerToken,
+  requireAuth,
+  requireAuthOrApiKey,
+  requireAuthOrSetupChallenge,
+  optionalAuth,
+  requireRole,
+  requirePermission,
+  requireScope,
+};
@@ -0,0 +1,69 @@
+const logger = require("../config/logger");
+const AppError = require("../utils/appError");
+
+// 404 for any route that was not matched by a router
+const notFound = (req, res, next) => {
+  next(new AppError(`Route not found: ${req.method} ${req.originalUrl}`, 404, "NOT_FOUND"));
+};
+
+// Translate known library errors into AppError instances
+const normalizeError = (err) => {
+  if (err instanceof AppError) return err;
+
+  if (err.name === "ValidationError") {
+    const details = Object.values(err.errors || {}).map((e) => ({
+      field: e.path,
+      message: e.message,
+    }));
+    return new AppError("Validation failed", 400, "VALIDATION_ERROR", details);
+  }
+  if (err.name === "CastError") {
+    return new AppError(`Invalid value for ${err.path}`, 400, "INVALID_ID");
+  }
+  if (err.code === 11000) {
+    return new AppError("Duplicate value", 409, "DUPLICATE_KEY", {
+      fields: Object.keys(err.keyValue || {}),
+    });
+  }
+  if (err.name === "TokenExpiredError") {
+    return new AppError("Token expired", 401, "TOKEN_EXPIRED");
+  }
+  if (err.name === "JsonWebTokenError") {
+    return new AppError("Invalid token", 401, "INVALID_TOKEN");
+  }
+  if (err.type === "entity.parse.failed") {
+    return new AppError("Malformed JSON body", 400, "BAD_REQUEST");
+  }
+
+  return new AppError(
+    process.env.NODE_ENV === "production" ? "Something went wrong" : err.message,
+    err.statusCode || err.status || 500,
+    "INTERNAL_ERROR"
+  );
+};
+
+// Centralized error handler, must be registered last
+const errorHandler = (err, req, res, next) => {
+  // A response already on its way can only be cut off, Express' own handler does that
+  if (res.headersSent) return next(err);
+
+  const error = normalizeError(err);
+
+  if (error.statusCode >= 500) {
+    logger.error(`${req.method} ${req.originalUrl} - ${err.stack || err.message}`);
+  }
+
+  return res.status(error.statusCode).json({
+    success: false,
+    error: {
+      code: error.code,
+      message: error.message,
+      ...(error.details !== undefined && { details: error.details }),
+    },
+  });
+};
+
+module.exports = {
+  notFound,
+  errorHandler,
+};
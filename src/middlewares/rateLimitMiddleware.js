@@ -0,0 +1,79 @@
+const rateLimit = require("express-rate-limit");
+const slowDown = require("express-slow-down");
+const AppError = require("../utils/appError");
+
+const LOGIN_WINDOW_MS = 15 * 60 * 1000;
+
+// Hand rate limit rejections to errorMiddleware so clients get the usual error shape
+const rejectWith = (message) => (req, res, next, options) => {
+  next(
+    new AppError(message, options.statusCode, "TOO_MANY_REQUESTS", {
+      retryAfterSeconds: Math.ceil(options.windowMs / 1000),
+    })
+  );
+};
+
+// Per-IP: failed logins get progressively slower before being blocked outright
+const loginSlowDown = slowDown({
+  windowMs: LOGIN_WINDOW_MS,
+  delayAfter: 5,
+  delayMs: 500,
+  maxDelayMs: 10 * 1000,
+  skipSuccessfulRequests: true,
+});
+
+const loginRateLimiter = rateLimit({
+  windowMs: LOGIN_WINDOW_MS,
+  max: parseInt(process.env.LOGIN_RATE_LIMIT_MAX || "20", 10),
+  standardHeaders: true,
+  legacyHeaders: false,
+  skipSuccessfulRequests: true,
+  handler: rejectWith("Too many login attempts from this IP, try again later"),
+});
+
+// Looser per-IP limit for the other unauthenticated auth endpoints (reset, verification)
+const authRateLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000,
+  max: parseInt(process.env.AUTH_RATE_LIMIT_MAX || "30", 10),
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: rejectWith("Too many requests from this IP, try again later"),
+});
+
+// Every OTP request costs an SMS or email, so sending is capped per IP too
+const otpRequestLimiter = rateLimit({
+  windowMs: LOGIN_WINDOW_MS,
+  max: parseInt(process.env.OTP_RATE_LIMIT_MAX || "10", 10),
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: rejectWith("Too many code requests from this IP, try again later"),
+});
+
+// Online bookings and booking changes from salon websites, per IP
+const publicBookingLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000,
+  max: parseInt(process.env.PUBLIC_BOOKING_RATE_LIMIT_MAX || "30", 10),
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: rejectWith("Too many booking requests from this IP, try again later"),
+});
+
+// Each API key gets its own budget, set per key by the salon admin
+const apiKeyRateLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: (req) => req.apiKey.rateLimitPerMinute,
+  keyGenerator: (req) => String(req.apiKey._id),
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: rejectWith("API key rate limit exceeded"),
+});
+
+const loginProtection = [loginSlowDown, loginRateLimiter];
+
+module.exports = {
+  loginProtection,
+  authRateLimiter,
+  otpRequestLimiter,
+  publicBookingLimiter,
+  apiKeyRateLimiter,
+};
@@ -0,0 +1,8 @@
+const { requireAuth, requireRole } = require("./authMiddleware");
+
+// Authenticated super admin only, usable as a single route middleware
+const requireSuperAdmin = [requireAuth, requireRole("super_admin")];
+
+module.exports = {
+  requireSuperAdmin,
+};
@@ -0,0 +1,146 @@
+const mongoose = require("mongoose");
+const Salon = require("../models/Salon");
+const authService = require("../services/authService");
+const { getBearerToken } = require("./authMiddleware");
+const AppError = require("../utils/appError");
+const tenantContext = require("../utils/tenantContext");
+
+const TENANT_HEADER = "x-tenant-id";
+const RESERVED_SUBDOMAINS = ["www", "api", "app", "admin"];
+
+// Claims of the current request, from requireAuth when it ran or straight from the bearer token
+const getTokenClaims = (req) => {
+  if (req.user) return req.user;
+
+  const token = getBearerToken(req);
+  if (!token) return null;
+
+  try {
+    return authService.verifyAccessToken(token);
+  } catch (error) {
+    // Token problems are reported by the auth middleware, not here
+    return null;
+  }
+};
+
+const getSubdomainSlug = (req) => {
+  const rootDomain = process.env.TENANT_ROOT_DOMAIN;
+  if (!rootDomain || !req.hostname) return null;
+
+  const suffix = `.${rootDomain.toLowerCase()}`;
+  const hostname = req.hostname.toLowerCase();
+  if (!hostname.endsWith(suffix)) return null;
+
+  const labels = hostname.slice(0, -suffix.length).split(".");
+  const slug = labels[labels.length - 1];
+  return slug && !RESERVED_SUBDOMAINS.includes(slug) ? slug : null;
+};
+
+// Each strategy returns { source, value } or null, value is a salon id or slug
+const STRATEGIES = {
+  jwt: (req, claims) =>
+    claims && claims.tenantId ? { source: "jwt", value: String(claims.tenantId) } : null,
+  header: (req) => {
+    const value = req.get(TENANT_HEADER);
+    return value ? { source: "header", value: value.trim() } : null;
+  },
+  subdomain: (req) => {
+    const value = getSubdomainSlug(req);
+    return value ? { source: "subdomain", value } : null;
+  },
+  path: (req, claims, options) => {
+    const value = req.params && req.params[options.paramName];
+    return value ? { source: "path", value: String(value).toLowerCase() } : null;
+  },
+};
+
+const findSalon = (value) => {
+  if (mongoose.Types.ObjectId.isValid(value) && String(value).length === 24) {
+    return Salon.findById(value);
+  }
+  return Salon.findOne({ slug: String(value).toLowerCase() });
+};
+
+const isSameTenant = (salon, candidate) =>
+  String(salon._id) === candidate.value || salon.slug === candidate.value;
+
+/**
+ * Resolve the active salon (tenant) for a request and expose it as req.tenant
+ * @param {object} options
+ * @param {string[]} options.strategies - Order in which tenant sources are tried
+ * @param {string} options.paramName - Route param holding the salon slug for the "path" strategy
+ * @param {boolean} options.required - Reject the request when no tenant can be resolved
+ * @param {boolean} options.requireOperational - Reject salons where isOperational() is false
+ * @returns {Function} - express middleware
+ */
+const resolveTenant = (options = {}) => {
+  const config = {
+    strategies: ["jwt", "header", "subdomain", "path"],
+    paramName: "slug",
+    required: true,
+    requireOperational: true,
+    ...options,
+  };
+
+  return async (req, res, next) => {
+    try {
+      const claims = getTokenClaims(req);
+      const candidates = config.strategies
+        .map((name) => STRATEGIES[name](req, claims, config))
+        .filter(Boolean);
+
+      if (candidates.length === 0) {
+        if (!config.required) return next();
+        throw new AppError("Tenant could not be resolved", 400, "TENANT_REQUIRED");
+      }
+
+      const [primary, ...others] = candidates;
+      const salon = await findSalon(primary.value);
+      if (!salon) {
+        throw new AppError("Salon not found", 404, "TENANT_NOT_FOUND", {
+          source: primary.source,
+        });
+      }
+
+      // A user bound to a salon can never switch tenants through headers or URLs
+      const boundToTenant = claims && claims.tenantId && claims.role !== "super_admin";
+      const conflicting = others.find((candidate) => !isSameTenant(salon, candidate));
+      if (boundToTenant && conflicting) {
+        throw new AppError("Requested salon does not match your account", 403, "TENANT_MISMATCH", {
+          source: conflicting.source,
+        });
+      }
+
+      if (config.requireOperational && !salon.isOperational()) {
+        throw new AppError("Salon is not operational", 403, "TENANT_NOT_OPERATIONAL", {
+          status: salon.status,
+          subscriptionStatus: salon.subscriptionStatus,
+          onboardingCompleted: salon.onboardingCompleted,
+        });
+      }
+
+      // Read-only so controllers cannot swap the salon after resolution
+      Object.defineProperty(req, "tenant", { value: salon, enumerable: true });
+      Object.defineProperty(req, "tenantId", { value: salon._id, enumerable: true });
+      Object.defineProperty(req, "tenantSource", { value: primary.source, enumerable: true });
+
+      // Everything downstream runs with this salon as the scope for tenant models
+      tenantContext.runWithTenant(salon._id, () => next());
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+// Default middleware: a resolved, operational tenant is mandatory
+const requireTenant = resolveTenant();
+
+// Variant for endpoints where a tenant is optional (e.g. public discovery)
+const optionalTenant = resolveTenant({ required: false });
+
+module.exports = {
+  TENANT_HEADER,
+  resolveTenant,
+  requireTenant,
+  optionalTenant,
+};
@@ -0,0 +1,83 @@
+const mongoose = require("mongoose");
+const { createModel } = require("../config/dbSelector");
+const { API_KEY_SCOPES } = require("../config/permissions");
+
+const apiKeySchema = new mongoose.Schema(
+  {
+    tenantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Salon",
+      required: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100,
+    },
+    // Public part of the key, shown in listings so admins can tell keys apart
+    prefix: {
+      type: String,
+      required: true,
+    },
+    // SHA-256 of the full key, the key itself is only returned when created
+    keyHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    scopes: [
+      {
+        type: String,
+        enum: API_KEY_SCOPES,
+      },
+    ],
+    // Requests allowed per minute for this key
+    rateLimitPerMinute: {
+      type: Number,
+      default: 60,
+      min: 1,
+      max: 10000,
+    },
+    expiresAt: Date,
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    lastUsedAt: Date,
+    lastUsedIp: String,
+    revokedAt: Date,
+    revokedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      virtuals: true,
+      transform(doc, ret) {
+        delete ret.keyHash;
+        return ret;
+      },
+    },
+  }
+);
+
+apiKeySchema.index({ tenantId: 1, revokedAt: 1 });
+
+// Virtual for checking if the key can still authenticate
+apiKeySchema.virtual("isActive").get(function () {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+});
+
+// Instance method to check a scope, write access includes read access
+apiKeySchema.methods.hasScope = function (scope) {
+  const [resource, access] = scope.split(":");
+  return (
+    this.scopes.includes(scope) || (access === "read" && this.scopes.includes(`${resource}:write`))
+  );
+};
+
+module.exports = createModel("ApiKey", apiKeySchema);
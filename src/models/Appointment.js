@@ -1,24 +1,431 @@
 const mongoose = require("mongoose");
 const { createModel } = require("../config/dbSelector");
+const AppError = require("../utils/appError");
 
-const appointmentSchema = new mongoose.Schema({
-  tenantId: {
+// Allowed next statuses per status, completed, cancelled and no_show are final
+const STATUS_TRANSITIONS = {
+  // Held until the booking deposit is paid, see DEPOSIT_RELEASE_STATUSES
+  pending_payment: ["cancelled"],
+  pending: ["confirmed", "cancelled"],
+  confirmed: ["checked_in", "cancelled", "no_show"],
+  checked_in: ["in_progress", "cancelled"],
+  in_progress: ["completed"],
+  completed: [],
+  cancelled: [],
+  no_show: [],
+};
+
+const APPOINTMENT_STATUSES = Object.keys(STATUS_TRANSITIONS);
+
+// Where a held booking goes once its deposit is paid or waived by a salon admin,
+// never through a plain status change
+const DEPOSIT_RELEASE_STATUSES = ["pending", "confirmed"];
+
+// Statuses that still hold the staff member's time
+const ACTIVE_STATUSES = ["pending_payment", "pending", "confirmed", "checked_in", "in_progress"];
+
+// Staff members are free during "processing", resources are held throughout
+const SEGMENT_KINDS = ["buffer", "active", "processing"];
+
+const MINUTE = 60 * 1000;
+
+const statusChangeSchema = new mongoose.Schema(
+  {
+    from: { type: String, enum: APPOINTMENT_STATUSES },
+    to: { type: String, enum: APPOINTMENT_STATUSES, required: true },
+    changedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    actorType: {
+      type: String,
+      enum: ["user", "api_key", "customer", "system"],
+      default: "user",
+    },
+    apiKeyId: { type: mongoose.Schema.Types.ObjectId, ref: "ApiKey" },
+    // Set for changes made by the customer through online booking
+    customerId: { type: mongoose.Schema.Types.ObjectId, ref: "Customer" },
+    reason: String,
+    at: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+// Late cancellation or no-show fee charged under the salon's cancellation policy
+const cancellationFeeSchema = new mongoose.Schema(
+  {
+    kind: { type: String, enum: ["late_cancel", "no_show"], required: true },
+    amount: { type: Number, min: 0, required: true },
+    // What the policy asked for, differs from amount when an admin changed the fee
+    policyAmount: { type: Number, min: 0 },
+    overriddenBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    // Pending until it is billed, failed while billing keeps failing, see failedAttempts
+    status: {
+      type: String,
+      enum: ["pending", "failed", "charged", "waived"],
+      default: "pending",
+    },
+    failedAttempts: { type: Number, default: 0 },
+    lastError: String,
+    failedAt: Date,
+    invoiceId: { type: mongoose.Schema.Types.ObjectId, ref: "Invoice" },
+    // Paid from the deposit, then from the customer's wallet, the rest is open on the invoice
+    depositAmount: { type: Number, default: 0 },
+    walletAmount: { type: Number, default: 0 },
+    chargedAt: Date,
+    waivedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    waivedAt: Date,
+    waiverReason: String,
+    // Paid back to the wallet when a charged fee is waived
+    refundedAmount: { type: Number, default: 0 },
+  },
+  { _id: false }
+);
+
+// Deposit the salon asks for before the booking goes through, paid online through paymentGateway
+const depositSchema = new mongoose.Schema(
+  {
+    amount: { type: Number, min: 0, required: true },
+    currency: String,
+    // pending until paid, then applied to invoices or refunded until nothing is left
+    status: {
+      type: String,
+      enum: ["pending", "paid", "applied", "refunded", "cancelled", "waived"],
+      default: "pending",
+    },
+    // The appointment is cancelled when the deposit is not paid by then
+    expiresAt: Date,
+    // Status the appointment moves to once the deposit is paid
+    statusWhenPaid: { type: String, enum: ["pending", "confirmed"], default: "pending" },
+    provider: String,
+    providerRef: String,
+    checkoutUrl: String,
+    paidAt: Date,
+    waivedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    waivedAt: Date,
+    appliedAmount: { type: Number, default: 0 },
+    refundedAmount: { type: Number, default: 0 },
+    // Last invoice the deposit was applied to
+    invoiceId: { type: mongoose.Schema.Types.ObjectId, ref: "Invoice" },
+  },
+  { _id: false }
+);
+
+// A reminder that went out, for the appointment time it was sent for.
+// A moved appointment gets its reminders again for the new time
+const reminderSentSchema = new mongoose.Schema(
+  {
+    kind: { type: String, enum: ["24h", "2h"], required: true },
+    scheduledAt: { type: Date, required: true },
+    sentAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+// One booked service, price and duration are snapshots taken at booking time
+const serviceLineSchema = new mongoose.Schema({
+  serviceId: {
     type: mongoose.Schema.Types.ObjectId,
-    ref: "Salon",
+    ref: "Service",
     required: true,
   },
-  customerId: { type: mongoose.Schema.Types.ObjectId, ref: "Customer" },
-  serviceIds: [{ type: mongoose.Schema.Types.ObjectId, ref: "Service" }],
+  name: String,
+  // Defaults to the appointment's staff member
   staffId: { type: mongoose.Schema.Types.ObjectId, ref: "Staff" },
-  scheduledAt: Date,
-  status: {
-    type: String,
-    enum: ["booked", "completed", "cancelled"],
-    default: "booked",
+  duration: {
+    type: Number,
+    min: 1,
+    required: true,
   },
-  createdAt: { type: Date, default: Date.now },
+  price: {
+    type: Number,
+    min: 0,
+    default: 0,
+  },
+  // Minutes, snapshots of the service's buffers and processing gap
+  bufferBefore: { type: Number, min: 0, default: 0 },
+  bufferAfter: { type: Number, min: 0, default: 0 },
+  processingStart: { type: Number, min: 0, default: 0 },
+  processingDuration: { type: Number, min: 0, default: 0 },
+  // Rooms and equipment held for this service, one per requirement of the service
+  resourceIds: [{ type: mongoose.Schema.Types.ObjectId, ref: "Resource" }],
+  // Set from the appointment start and the order of the services
+  startAt: Date,
+  endAt: Date,
 });
 
+// Stretch of time someone or something is taken up by the appointment, derived in layoutServices
+const segmentSchema = new mongoose.Schema(
+  {
+    kind: { type: String, enum: SEGMENT_KINDS, required: true },
+    staffId: { type: mongoose.Schema.Types.ObjectId, ref: "Staff" },
+    resourceIds: [{ type: mongoose.Schema.Types.ObjectId, ref: "Resource" }],
+    start: { type: Date, required: true },
+    end: { type: Date, required: true },
+  },
+  { _id: false }
+);
+
+/**
+ * Segments of one service line: the buffers around the client's time and the processing gap in it
+ * @param {object} line - { duration, bufferBefore, bufferAfter, processingStart, processingDuration }
+ * @param {Date} startAt - When the client's time for the line starts
+ * @returns {Array<{ kind, start: Date, end: Date }>}
+ */
+const planLineSegments = (line, startAt) => {
+  const start = startAt.getTime();
+  const end = start + line.duration * MINUTE;
+  const segments = [];
+
+  if (line.bufferBefore) {
+    segments.push({ kind: "buffer", start: start - line.bufferBefore * MINUTE, end: start });
+  }
+  if (line.processingDuration) {
+    const gapStart = start + (line.processingStart || 0) * MINUTE;
+    const gapEnd = gapStart + line.processingDuration * MINUTE;
+    if (gapStart > start) segments.push({ kind: "active", start, end: gapStart });
+    segments.push({ kind: "processing", start: gapStart, end: gapEnd });
+    if (end > gapEnd) segments.push({ kind: "active", start: gapEnd, end });
+  } else {
+    segments.push({ kind: "active", start, end });
+  }
+  if (line.bufferAfter) {
+    segments.push({ kind: "buffer", start: end, end: end + line.bufferAfter * MINUTE });
+  }
+
+  return segments.map((segment) => ({
+    ...segment,
+    start: new Date(segment.start),
+    end: new Date(segment.end),
+  }));
+};
+
+const appointmentSchema = new mongoose.Schema(
+  {
+    tenantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Salon",
+      required: true,
+    },
+    customerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Customer",
+      required: true,
+    },
+    // Services in the order they are performed
+    services: [serviceLineSchema],
+    // Kept in sync with services for lookups and older clients
+    serviceIds: [{ type: mongoose.Schema.Types.ObjectId, ref: "Service" }],
+    // Main staff member, the one doing the first service unless set otherwise
+    staffId: { type: mongoose.Schema.Types.ObjectId, ref: "Staff" },
+    scheduledAt: {
+      type: Date,
+      required: true,
+    },
+    // Minutes, the sum of the services when there are any
+    duration: {
+      type: Number,
+      min: 1,
+      default: 60,
+    },
+    endAt: Date,
+    status: {
+      type: String,
+      enum: APPOINTMENT_STATUSES,
+      default: "pending",
+    },
+    statusHistory: [statusChangeSchema],
+    // What the appointment takes up and when, the busy filters below query these
+    segments: [segmentSchema],
+    totalAmount: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    notes: String,
+    // Only visible to the salon
+    internalNotes: String,
+    cancelReason: String,
+    cancelledAt: Date,
+    cancellationFee: cancellationFeeSchema,
+    deposit: depositSchema,
+    remindersSent: [reminderSentSchema],
+    source: {
+      type: String,
+      enum: ["admin", "staff", "api", "online"],
+      default: "admin",
+    },
+    // Set on occurrences of a recurring series
+    seriesId: { type: mongoose.Schema.Types.ObjectId, ref: "AppointmentSeries" },
+    occurrenceIndex: Number,
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: true }
+);
+
 appointmentSchema.index({ tenantId: 1, scheduledAt: 1 });
+appointmentSchema.index({ tenantId: 1, staffId: 1, scheduledAt: 1 });
+appointmentSchema.index({ tenantId: 1, customerId: 1, scheduledAt: -1 });
+appointmentSchema.index({ tenantId: 1, status: 1 });
+appointmentSchema.index({ tenantId: 1, "segments.staffId": 1, "segments.start": 1 });
+appointmentSchema.index({ tenantId: 1, "segments.resourceIds": 1, "segments.start": 1 });
+appointmentSchema.index({ tenantId: 1, seriesId: 1, scheduledAt: 1 }, { sparse: true });
+appointmentSchema.index({ status: 1, "deposit.expiresAt": 1 });
+
+appointmentSchema.pre("validate", function (next) {
+  this.layoutServices();
+  next();
+});
+
+// Instance method to place the services back to back and derive the totals, end time, serviceIds
+// and segments. Buffers sit around each service and do not push the next service back
+appointmentSchema.methods.layoutServices = function () {
+  if (this.services.length > 0) {
+    this.duration = this.services.reduce((sum, line) => sum + line.duration, 0);
+    this.totalAmount = this.services.reduce((sum, line) => sum + (line.price || 0), 0);
+    this.serviceIds = this.services.map((line) => line.serviceId);
+    if (!this.staffId) this.staffId = this.services[0].staffId;
+  }
+  if (!this.scheduledAt || !this.duration) return this;
+
+  let cursor = this.scheduledAt.getTime();
+  this.services.forEach((line) => {
+    if (!line.staffId) line.staffId = this.staffId;
+    line.startAt = new Date(cursor);
+    cursor += line.duration * 60 * 1000;
+    line.endAt = new Date(cursor);
+  });
+  this.endAt = new Date(this.scheduledAt.getTime() + this.duration * 60 * 1000);
+
+  if (this.services.length === 0) {
+    this.segments = this.staffId
+      ? [{ kind: "active", staffId: this.staffId, start: this.scheduledAt, end: this.endAt }]
+      : [];
+  } else {
+    this.segments = this.services.flatMap((line) =>
+      planLineSegments(line, line.startAt).map((segment) => ({
+        ...segment,
+        staffId: line.staffId,
+        resourceIds: line.resourceIds,
+      }))
+    );
+  }
+  return this;
+};
+
+// Instance method to list when each staff member is busy with this appointment, gaps excluded
+appointmentSchema.methods.getStaffIntervals = function () {
+  return this.segments
+    .filter((segment) => segment.staffId && segment.kind !== "processing")
+    .map((segment) => ({ staffId: segment.staffId, start: segment.start, end: segment.end }));
+};
+
+// Instance method to list when each room or piece of equipment is held by this appointment
+appointmentSchema.methods.getResourceIntervals = function () {
+  return this.segments.flatMap((segment) =>
+    (segment.resourceIds || []).map((resourceId) => ({
+      resourceId,
+      start: segment.start,
+      end: segment.end,
+    }))
+  );
+};
+
+// Instance method to get the whole time a service line holds its resources, buffers included
+appointmentSchema.methods.getLineWindow = function (line) {
+  return {
+    start: new Date(line.startAt.getTime() - (line.bufferBefore || 0) * MINUTE),
+    end: new Date(line.endAt.getTime() + (line.bufferAfter || 0) * MINUTE),
+  };
+};
+
+/**
+ * Static method to build a filter for active appointments keeping any of the staff busy between start and end,
+ * time in a processing gap does not count
+ * @param {Array} staffIds
+ * @param {Date} start
+ * @param {Date} end
+ */
+appointmentSchema.statics.staffBusyFilter = function (staffIds, start, end) {
+  return {
+    status: { $in: ACTIVE_STATUSES },
+    segments: {
+      $elemMatch: {
+        staffId: { $in: [].concat(staffIds) },
+        kind: { $ne: "processing" },
+        start: { $lt: end },
+        end: { $gt: start },
+      },
+    },
+  };
+};
+
+/**
+ * Static method to build a filter for active appointments holding any of the resources between start and end
+ * @param {Array} resourceIds
+ * @param {Date} start
+ * @param {Date} end
+ */
+appointmentSchema.statics.resourceBusyFilter = function (resourceIds, start, end) {
+  return {
+    status: { $in: ACTIVE_STATUSES },
+    segments: {
+      $elemMatch: {
+        resourceIds: { $in: [].concat(resourceIds) },
+        start: { $lt: end },
+        end: { $gt: start },
+      },
+    },
+  };
+};
+
+// Virtual for checking if the appointment can no longer change status. Unknown statuses, e.g.
+// ones stored by older versions before scripts/migrate.js ran, cannot change either
+appointmentSchema.virtual("isFinal").get(function () {
+  return (STATUS_TRANSITIONS[this.status] || []).length === 0;
+});
+
+// Instance method to check a status change against the lifecycle
+appointmentSchema.methods.canTransitionTo = function (status) {
+  return (STATUS_TRANSITIONS[this.status] || []).includes(status);
+};
+
+/**
+ * Instance method to move the appointment along its lifecycle, does not save
+ * @param {string} status - Next status
+ * @param {object} change - { changedBy, actorType, apiKeyId, reason }
+ * @param {object} options - { releasingDeposit }, set once the deposit of a held booking
+ * was paid or waived, lets it move on to one of DEPOSIT_RELEASE_STATUSES
+ */
+appointmentSchema.methods.transitionTo = function (status, change = {}, options = {}) {
+  if (!APPOINTMENT_STATUSES.includes(status)) {
+    throw new AppError("Invalid appointment status", 400, "INVALID_STATUS", {
+      allowed: APPOINTMENT_STATUSES,
+    });
+  }
+  const releasing =
+    options.releasingDeposit &&
+    this.status === "pending_payment" &&
+    DEPOSIT_RELEASE_STATUSES.includes(status);
+  if (!releasing && !this.canTransitionTo(status)) {
+    throw new AppError(
+      `Cannot change appointment from ${this.status} to ${status}`,
+      409,
+      "INVALID_STATUS_TRANSITION",
+      { from: this.status, to: status, allowed: STATUS_TRANSITIONS[this.status] || [] }
+    );
+  }
+
+  this.statusHistory.push({ ...change, from: this.status, to: status, at: new Date() });
+  this.status = status;
+  if (status === "cancelled") {
+    this.cancelledAt = new Date();
+    this.cancelReason = change.reason;
+  }
+  return this;
+};
+
+appointmentSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+appointmentSchema.statics.STATUSES = APPOINTMENT_STATUSES;
+appointmentSchema.statics.ACTIVE_STATUSES = ACTIVE_STATUSES;
+appointmentSchema.statics.planLineSegments = planLineSegments;
 
 module.exports = createModel("Appointment", appointmentSchema);
@@ -0,0 +1,69 @@
+const mongoose = require("mongoose");
+const { createModel } = require("../config/dbSelector");
+
+const MAX_OCCURRENCES = 52;
+
+// Booking template and recurrence rule behind a set of repeating appointments
+const appointmentSeriesSchema = new mongoose.Schema(
+  {
+    tenantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Salon",
+      required: true,
+    },
+    customerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Customer",
+      required: true,
+    },
+    staffId: { type: mongoose.Schema.Types.ObjectId, ref: "Staff" },
+    services: [
+      {
+        _id: false,
+        serviceId: { type: mongoose.Schema.Types.ObjectId, ref: "Service", required: true },
+        staffId: { type: mongoose.Schema.Types.ObjectId, ref: "Staff" },
+      },
+    ],
+    // Minutes, only used when no services are booked
+    duration: Number,
+    // Every <interval> <frequency>, e.g. every 2 weeks
+    frequency: {
+      type: String,
+      enum: ["daily", "weekly", "monthly"],
+      default: "weekly",
+    },
+    interval: {
+      type: Number,
+      min: 1,
+      max: 52,
+      default: 1,
+    },
+    // One of count or until limits the series
+    count: {
+      type: Number,
+      min: 1,
+      max: MAX_OCCURRENCES,
+    },
+    until: Date,
+    startAt: {
+      type: Date,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["active", "cancelled"],
+      default: "active",
+    },
+    cancelledAt: Date,
+    notes: String,
+    internalNotes: String,
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: true }
+);
+
+appointmentSeriesSchema.index({ tenantId: 1, customerId: 1 });
+
+appointmentSeriesSchema.statics.MAX_OCCURRENCES = MAX_OCCURRENCES;
+
+module.exports = createModel("AppointmentSeries", appointmentSeriesSchema);
@@ -3,10 +3,21 @@ const { createModel } = require("../config/dbSelector");
 
 const customerSchema = new mongoose.Schema(
   {
+    tenantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Salon",
+      required: true,
+    },
     userId: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
     name: String,
     email: String,
     phone: String,
+    // "online" for customers created by an online booking, with contact details nobody verified
+    source: {
+      type: String,
+      enum: ["salon", "online"],
+      default: "salon",
+    },
     preferences: { favoriteServices: [String] },
     walletBalance: { type: Number, default: 0 },
     loyaltyPoints: { type: Number, default: 0 },
@@ -16,6 +27,7 @@ const customerSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
-customerSchema.index({ email: 1 });
+customerSchema.index({ tenantId: 1, email: 1 });
+customerSchema.index({ tenantId: 1, phone: 1 });
 
 module.exports = createModel("Customer", customerSchema);
@@ -1,20 +1,54 @@
 const mongoose = require("mongoose");
 const { createModel } = require("../config/dbSelector");
 
-const invoiceSchema = new mongoose.Schema({
-  tenantId: {
-    type: mongoose.Schema.Types.ObjectId,
-    ref: "Salon",
-    required: true,
-  },
-  appointmentId: { type: mongoose.Schema.Types.ObjectId, ref: "Appointment" },
-  customerId: { type: mongoose.Schema.Types.ObjectId, ref: "Customer" },
-  items: [{ name: String, price: Number, qty: Number }],
-  total: Number,
-  paid: { type: Boolean, default: false },
-  createdAt: { type: Date, default: Date.now },
+const invoiceLineSchema = new mongoose.Schema({
+  serviceId: { type: mongoose.Schema.Types.ObjectId, ref: "Service" },
+  name: { type: String, required: true },
+  staffId: { type: mongoose.Schema.Types.ObjectId, ref: "Staff" },
+  duration: Number, // minutes
+  price: { type: Number, required: true, min: 0 },
+  quantity: { type: Number, default: 1, min: 1 },
 });
 
+const invoiceSchema = new mongoose.Schema(
+  {
+    tenantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Salon",
+      required: true,
+    },
+    invoiceNumber: String,
+    // Fee invoices bill a late cancellation or no-show instead of the services
+    kind: {
+      type: String,
+      enum: ["service", "late_cancel", "no_show"],
+      default: "service",
+    },
+    appointmentId: { type: mongoose.Schema.Types.ObjectId, ref: "Appointment" },
+    customerId: { type: mongoose.Schema.Types.ObjectId, ref: "Customer" },
+    lineItems: [invoiceLineSchema],
+    subtotal: { type: Number, default: 0 },
+    discountAmount: { type: Number, default: 0 },
+    taxRate: { type: Number, default: 0 }, // fraction, 0.18 for 18%
+    taxAmount: { type: Number, default: 0 },
+    totalAmount: { type: Number, default: 0 },
+    paidAmount: { type: Number, default: 0 },
+    status: {
+      type: String,
+      enum: ["unpaid", "partial", "paid", "void"],
+      default: "unpaid",
+    },
+    dueDate: Date,
+    paidAt: Date,
+    payments: [{ type: mongoose.Schema.Types.ObjectId, ref: "Payment" }],
+    voidReason: String,
+  },
+  { timestamps: true }
+);
+
 invoiceSchema.index({ tenantId: 1, createdAt: -1 });
+invoiceSchema.index({ tenantId: 1, invoiceNumber: 1 });
+invoiceSchema.index({ tenantId: 1, appointmentId: 1 });
+invoiceSchema.index({ tenantId: 1, status: 1, dueDate: 1 });
 
 module.exports = createModel("Invoice", invoiceSchema);
@@ -0,0 +1,50 @@
+const mongoose = require("mongoose");
+const { createModel } = require("../config/dbSelector");
+
+const otpCodeSchema = new mongoose.Schema(
+  {
+    channel: {
+      type: String,
+      enum: ["sms", "email"],
+      required: true,
+    },
+    // Normalized phone number or lowercase email the code was sent to
+    destination: {
+      type: String,
+      required: true,
+    },
+    purpose: {
+      type: String,
+      enum: ["login"],
+      default: "login",
+    },
+    // SHA-256 of the code salted with the document id, the code itself is never stored
+    codeHash: {
+      type: String,
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    consumedAt: Date,
+    requestedByIp: String,
+  },
+  { timestamps: true }
+);
+
+otpCodeSchema.index({ destination: 1, purpose: 1, createdAt: -1 });
+
+// TTL index, codes are kept for a day so the hourly send limit can count them
+otpCodeSchema.index({ createdAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+// Virtual for checking if the code can still be redeemed
+otpCodeSchema.virtual("isUsable").get(function () {
+  return !this.consumedAt && this.expiresAt > new Date();
+});
+
+module.exports = createModel("OtpCode", otpCodeSchema);
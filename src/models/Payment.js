@@ -0,0 +1,40 @@
+const mongoose = require("mongoose");
+const { createModel } = require("../config/dbSelector");
+
+const paymentSchema = new mongoose.Schema(
+  {
+    tenantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Salon",
+      required: true,
+    },
+    invoiceId: { type: mongoose.Schema.Types.ObjectId, ref: "Invoice" },
+    appointmentId: { type: mongoose.Schema.Types.ObjectId, ref: "Appointment" },
+    customerId: { type: mongoose.Schema.Types.ObjectId, ref: "Customer" },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    method: {
+      type: String,
+      enum: ["cash", "card", "upi", "wallet", "online"],
+      default: "cash",
+    },
+    status: {
+      type: String,
+      enum: ["pending", "completed", "failed", "refunded"],
+      default: "pending",
+    },
+    // Reference from the payment provider, if any
+    transactionId: String,
+    processedAt: Date,
+    notes: String,
+  },
+  { timestamps: true }
+);
+
+paymentSchema.index({ tenantId: 1, invoiceId: 1 });
+paymentSchema.index({ tenantId: 1, createdAt: -1 });
+
+module.exports = createModel("Payment", paymentSchema);
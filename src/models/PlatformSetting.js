@@ -0,0 +1,39 @@
+const mongoose = require("mongoose");
+const { createModel } = require("../config/dbSelector");
+
+const platformSettingSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+    },
+    value: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    description: String,
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  { timestamps: true }
+);
+
+// Static method to read a setting with a fallback
+platformSettingSchema.statics.getValue = async function (key, defaultValue = null) {
+  const setting = await this.findOne({ key }).lean();
+  return setting && setting.value !== undefined ? setting.value : defaultValue;
+};
+
+// Static method to create or overwrite a setting
+platformSettingSchema.statics.setValue = function (key, value, updatedBy) {
+  return this.findOneAndUpdate(
+    { key },
+    { value, updatedBy },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+};
+
+module.exports = createModel("PlatformSetting", platformSettingSchema);
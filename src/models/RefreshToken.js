@@ -0,0 +1,73 @@
+const mongoose = require("mongoose");
+const { createModel } = require("../config/dbSelector");
+
+const refreshTokenSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    // SHA-256 of the opaque token, the raw value is only ever sent to the client
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // All tokens issued from one login share a family so reuse can revoke the chain,
+    // the family doubles as the id of the login's Session
+    family: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: Date,
+    revokedReason: {
+      type: String,
+      enum: [
+        "rotated",
+        "logout",
+        "logout_all",
+        "revoked",
+        "reuse_detected",
+        "password_changed",
+        "tenant_suspended",
+      ],
+    },
+    replacedByHash: String,
+    createdByIp: String,
+    userAgent: String,
+  },
+  { timestamps: true }
+);
+
+// TTL index to drop expired tokens automatically
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Virtual for checking if token can still be exchanged
+refreshTokenSchema.virtual("isActive").get(function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Static method to revoke every token of a login family
+refreshTokenSchema.statics.revokeFamily = function (family, reason) {
+  return this.updateMany(
+    { family, revokedAt: { $exists: false } },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+// Static method to revoke every token of a user
+refreshTokenSchema.statics.revokeAllForUser = function (userId, reason) {
+  return this.updateMany(
+    { userId, revokedAt: { $exists: false } },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+module.exports = createModel("RefreshToken", refreshTokenSchema);
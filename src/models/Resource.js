@@ -0,0 +1,33 @@
+const mongoose = require("mongoose");
+const { createModel } = require("../config/dbSelector");
+
+// Room or piece of equipment that can only be used by one appointment at a time
+const resourceSchema = new mongoose.Schema(
+  {
+    tenantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Salon",
+      required: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100,
+    },
+    type: {
+      type: String,
+      enum: ["room", "equipment"],
+      default: "room",
+    },
+    description: String,
+    // Inactive resources keep their past bookings but cannot be booked
+    active: { type: Boolean, default: true },
+  },
+  { timestamps: true }
+);
+
+resourceSchema.index({ tenantId: 1, name: 1 }, { unique: true });
+resourceSchema.index({ tenantId: 1, type: 1, active: 1 });
+
+module.exports = createModel("Resource", resourceSchema);
@@ -3,6 +3,11 @@ const { createModel } = require("../config/dbSelector");
 
 const reviewSchema = new mongoose.Schema(
   {
+    tenantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Salon",
+      required: true,
+    },
     customer: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
@@ -20,4 +25,6 @@ const reviewSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+reviewSchema.index({ tenantId: 1, createdAt: -1 });
+
 module.exports = createModel("Review", reviewSchema);
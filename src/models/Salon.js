@@ -1,6 +1,15 @@
 const mongoose = require("mongoose");
 const mongoosePaginate = require("mongoose-paginate-v2");
 const { createModel } = require("../config/dbSelector");
+const {
+  TIME_PATTERN,
+  DATE_KEY_PATTERN,
+  DEFAULT_TIMEZONE,
+  isValidTimezone,
+  getWeekday,
+  toDateKey,
+  inZone,
+} = require("../utils/schedule");
 
 const facilitySchema = new mongoose.Schema({
   name: {
@@ -41,12 +50,28 @@ const businessHoursSchema = new mongoose.Schema({
     required: true,
   },
   isOpen: { type: Boolean, default: true },
-  openTime: String, // Format: "09:00"
-  closeTime: String, // Format: "18:00"
-  breakStart: String,
-  breakEnd: String,
+  openTime: { type: String, match: TIME_PATTERN }, // Format: "09:00"
+  closeTime: { type: String, match: TIME_PATTERN }, // Format: "18:00"
+  breakStart: { type: String, match: TIME_PATTERN },
+  breakEnd: { type: String, match: TIME_PATTERN },
 });
 
+// Holidays and other days the salon is closed, endDate makes it a range
+const closureSchema = new mongoose.Schema({
+  date: { type: String, match: DATE_KEY_PATTERN, required: true }, // Format: "2024-12-25"
+  endDate: { type: String, match: DATE_KEY_PATTERN },
+  reason: String,
+});
+
+// Fee charged under the cancellation policy, a percentage of the appointment total or a flat amount
+const feeRuleSchema = new mongoose.Schema(
+  {
+    type: { type: String, enum: ["percentage", "flat"], default: "percentage" },
+    value: { type: Number, default: 0, min: 0 },
+  },
+  { _id: false }
+);
+
 const salonSchema = new mongoose.Schema(
   {
     name: {
@@ -76,6 +101,15 @@ const salonSchema = new mongoose.Schema(
       },
     ],
     address: addressSchema,
+    // IANA timezone that business hours, closures and reports are read in
+    timezone: {
+      type: String,
+      default: DEFAULT_TIMEZONE,
+      validate: {
+        validator: isValidTimezone,
+        message: (props) => `${props.value} is not a valid IANA timezone`,
+      },
+    },
     contactInfo: {
       primaryPhone: { type: String, required: true },
       secondaryPhone: String,
@@ -88,6 +122,7 @@ const salonSchema = new mongoose.Schema(
       },
     },
     businessHours: [businessHoursSchema],
+    closures: [closureSchema],
     images: {
       logo: String,
       cover: String,
@@ -96,10 +131,19 @@ const salonSchema = new mongoose.Schema(
     settings: {
       allowOnlineBooking: { type: Boolean, default: true },
       bookingAdvanceLimit: { type: Number, default: 30 }, // days
-      cancellationPolicy: String,
+      slotInterval: { type: Number, default: 30, min: 5, max: 240 }, // minutes between slot starts
+      waitlistOfferMinutes: { type: Number, default: 30, min: 5, max: 1440 }, // how long a freed slot is held for an offer
+      cancellationPolicy: {
+        enabled: { type: Boolean, default: false },
+        windowHours: { type: Number, default: 24, min: 0 }, // cancelling later than this is late
+        lateCancelFee: { type: feeRuleSchema, default: () => ({}) },
+        noShowFee: { type: feeRuleSchema, default: () => ({}) },
+        description: String, // policy text shown to customers
+      },
       autoConfirmBookings: { type: Boolean, default: false },
       requireDeposit: { type: Boolean, default: false },
       depositAmount: { type: Number, default: 0 },
+      depositHoldMinutes: { type: Number, default: 30, min: 15, max: 1440 }, // unpaid deposit holds expire
       currency: { type: String, default: "INR" },
       taxRate: { type: Number, default: 0 }, // percentage
       loyaltyProgram: {
@@ -203,24 +247,31 @@ salonSchema.methods.isOperational = function () {
   );
 };
 
+// Instance method to get the business hours for the weekday of a date
+salonSchema.methods.getHoursForDate = function (date) {
+  const weekday = getWeekday(date, this.timezone);
+  return this.businessHours.find((hours) => hours.day === weekday);
+};
+
 // Instance method to get current business hours
 salonSchema.methods.getTodayHours = function () {
-  const today = new Date().toLocaleDateString("en-US", {
-    weekday: "lowercase",
-  });
-  return this.businessHours.find((hours) => hours.day === today);
+  return this.getHoursForDate(new Date());
+};
+
+// Instance method to check if a date falls on a closure
+salonSchema.methods.isClosedOn = function (date) {
+  const key = toDateKey(date, this.timezone);
+  return (this.closures || []).some(
+    (closure) => closure.date <= key && (closure.endDate || closure.date) >= key
+  );
 };
 
 // Instance method to check if currently open
 salonSchema.methods.isCurrentlyOpen = function () {
   const todayHours = this.getTodayHours();
-  if (!todayHours || !todayHours.isOpen) return false;
+  if (!todayHours || !todayHours.isOpen || this.isClosedOn(new Date())) return false;
 
-  const now = new Date();
-  const currentTime =
-    now.getHours().toString().padStart(2, "0") +
-    ":" +
-    now.getMinutes().toString().padStart(2, "0");
+  const currentTime = inZone(new Date(), this.timezone).format("HH:mm");
 
   return (
     currentTime >= todayHours.openTime && currentTime <= todayHours.closeTime
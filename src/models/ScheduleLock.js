@@ -0,0 +1,30 @@
+const mongoose = require("mongoose");
+const { createModel } = require("../config/dbSelector");
+
+// Short-lived mutex around a booking, see utils/scheduleLock
+const scheduleLockSchema = new mongoose.Schema(
+  {
+    // Lock key, e.g. "staff:<staffId>" or "resource:<resourceId>",
+    // uniqueness of _id is what makes the lock exclusive
+    _id: String,
+    tenantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Salon",
+      required: true,
+    },
+    owner: {
+      type: String,
+      required: true,
+    },
+    // A crashed holder's lock can be taken over after this, MongoDB also removes it
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { versionKey: false }
+);
+
+scheduleLockSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = createModel("ScheduleLock", scheduleLockSchema);
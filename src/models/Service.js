@@ -1,6 +1,17 @@
 const mongoose = require("mongoose");
 const { createModel } = require("../config/dbSelector");
 
+// One resource the service needs for its whole duration, any of resourceIds will do
+const resourceRequirementSchema = new mongoose.Schema(
+  {
+    resourceIds: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: "Resource" }],
+      validate: [(ids) => ids.length > 0, "A requirement needs at least one resource"],
+    },
+  },
+  { _id: false }
+);
+
 const serviceSchema = new mongoose.Schema(
   {
     tenantId: {
@@ -12,10 +23,27 @@ const serviceSchema = new mongoose.Schema(
     description: String,
     price: Number,
     durationMins: Number,
+    // Setup before and cleanup after the client's time, the staff member and resources are held
+    bufferBeforeMins: { type: Number, min: 0, default: 0 },
+    bufferAfterMins: { type: Number, min: 0, default: 0 },
+    // Gap inside the service, e.g. while colour develops, when the staff member can take
+    // another client, resources stay held. Starts processingStartMins into the service
+    processingStartMins: { type: Number, min: 0, default: 0 },
+    processingMins: { type: Number, min: 0, default: 0 },
+    // e.g. a massage needs one of the massage rooms and the hot stone kit
+    resourceRequirements: [resourceRequirementSchema],
   },
   { timestamps: true }
 );
 
 serviceSchema.index({ tenantId: 1 });
 
+serviceSchema.pre("validate", function (next) {
+  const processingEnd = this.processingStartMins + this.processingMins;
+  if (this.processingMins > 0 && processingEnd > this.durationMins) {
+    this.invalidate("processingMins", "Processing time has to end within the service duration");
+  }
+  next();
+});
+
 module.exports = createModel("Service", serviceSchema);
@@ -0,0 +1,61 @@
+const mongoose = require("mongoose");
+const { createModel } = require("../config/dbSelector");
+
+const SESSION_REVOKE_REASONS = [
+  "logout",
+  "logout_all",
+  "revoked",
+  "reuse_detected",
+  "password_changed",
+  "tenant_suspended",
+];
+
+const sessionSchema = new mongoose.Schema(
+  {
+    // Same value as the family of the session's refresh tokens
+    _id: {
+      type: String,
+      required: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    tenantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Salon",
+    },
+    authMethod: String,
+    device: String,
+    userAgent: String,
+    ip: String,
+    lastSeenAt: Date,
+    lastSeenIp: String,
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: Date,
+    revokedReason: {
+      type: String,
+      enum: SESSION_REVOKE_REASONS,
+    },
+  },
+  { timestamps: true }
+);
+
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+sessionSchema.index({ tenantId: 1, revokedAt: 1 });
+
+// TTL index to drop expired sessions automatically
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Virtual for checking if the session can still be used
+sessionSchema.virtual("isActive").get(function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+sessionSchema.statics.REVOKE_REASONS = SESSION_REVOKE_REASONS;
+
+module.exports = createModel("Session", sessionSchema);
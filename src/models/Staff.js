@@ -1,5 +1,23 @@
 const mongoose = require("mongoose");
 const { createModel } = require("../config/dbSelector");
+const { WEEKDAYS, TIME_PATTERN, getWeekday } = require("../utils/schedule");
+
+// Regular weekly shift, days without an entry are days off
+const workingHoursSchema = new mongoose.Schema(
+  {
+    day: {
+      type: String,
+      enum: WEEKDAYS,
+      required: true,
+    },
+    isWorking: { type: Boolean, default: true },
+    startTime: { type: String, match: TIME_PATTERN, required: true }, // Format: "10:00"
+    endTime: { type: String, match: TIME_PATTERN, required: true }, // Format: "19:00"
+    breakStart: { type: String, match: TIME_PATTERN },
+    breakEnd: { type: String, match: TIME_PATTERN },
+  },
+  { _id: false }
+);
 
 const staffSchema = new mongoose.Schema(
   {
@@ -10,12 +28,50 @@ const staffSchema = new mongoose.Schema(
     },
     name: String,
     role: String,
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true,
+    },
     phone: String,
+    // Login account, set once the staff member accepts their invite
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
     active: { type: Boolean, default: true },
+    // Empty means the staff member works whenever the salon is open
+    workingHours: [workingHoursSchema],
   },
   { timestamps: true }
 );
 
 staffSchema.index({ tenantId: 1 });
+staffSchema.index({ tenantId: 1, email: 1 });
+staffSchema.index({ userId: 1 }, { sparse: true });
+
+staffSchema.pre("validate", function (next) {
+  const days = (this.workingHours || []).map((shift) => shift.day);
+  if (new Set(days).size !== days.length) {
+    this.invalidate("workingHours", "Each day can only have one shift");
+  }
+  (this.workingHours || []).forEach((shift, index) => {
+    if (shift.startTime >= shift.endTime) {
+      this.invalidate(`workingHours.${index}.endTime`, "Shift must end after it starts");
+    }
+  });
+  next();
+});
+
+// Instance method to get the shift for the weekday of a date
+// Returns undefined when no shifts are set up, null on a day off
+// The weekday is read in the salon's timezone
+staffSchema.methods.getShiftFor = function (date, timezone) {
+  if (!this.workingHours || this.workingHours.length === 0) return undefined;
+
+  const weekday = getWeekday(date, timezone);
+  const shift = this.workingHours.find((hours) => hours.day === weekday);
+  return shift && shift.isWorking ? shift : null;
+};
 
 module.exports = createModel("Staff", staffSchema);
@@ -0,0 +1,94 @@
+const mongoose = require("mongoose");
+const { createModel } = require("../config/dbSelector");
+
+const INVITE_TTL_DAYS = 7;
+
+const staffInviteSchema = new mongoose.Schema(
+  {
+    tenantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Salon",
+      required: true,
+    },
+    staffId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Staff",
+      required: true,
+    },
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true,
+    },
+    phone: {
+      type: String,
+      trim: true,
+    },
+    // SHA-256 of the invite token, the raw token only goes out in the invite message
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "accepted", "expired", "revoked"],
+      default: "pending",
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    sentCount: {
+      type: Number,
+      default: 1,
+    },
+    lastSentAt: Date,
+    acceptedAt: Date,
+    acceptedUserId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    revokedAt: Date,
+    revokedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform(doc, ret) {
+        delete ret.tokenHash;
+        return ret;
+      },
+    },
+  }
+);
+
+staffInviteSchema.index({ tenantId: 1, status: 1 });
+staffInviteSchema.index({ tenantId: 1, staffId: 1 });
+
+staffInviteSchema.pre("validate", function (next) {
+  if (!this.email && !this.phone) {
+    this.invalidate("email", "An invite needs an email or a phone number");
+  }
+  next();
+});
+
+// Virtual for checking if the invite can still be accepted
+staffInviteSchema.virtual("isUsable").get(function () {
+  return this.status === "pending" && this.expiresAt > new Date();
+});
+
+// Static method to compute the expiry of a freshly sent invite
+staffInviteSchema.statics.getExpiryDate = function (from = new Date()) {
+  return new Date(from.getTime() + INVITE_TTL_DAYS * 24 * 60 * 60 * 1000);
+};
+
+module.exports = createModel("StaffInvite", staffInviteSchema);
@@ -1,19 +1,32 @@
 const mongoose = require("mongoose");
 const bcrypt = require("bcryptjs");
 const { createModel } = require("../config/dbSelector");
+const { MODULE_PERMISSIONS, ROLE_PERMISSIONS } = require("../config/permissions");
+
+// Lockout policy for repeated failed logins, lock time doubles with each lock
+const MAX_FAILED_LOGIN_ATTEMPTS = 5;
+const BASE_LOCK_MINUTES = 5;
+const MAX_LOCK_MINUTES = 24 * 60;
 
 const userSchema = new mongoose.Schema(
   {
+    // Passwordless customers may sign up with only a phone number
     email: {
       type: String,
-      required: true,
+      required: function () {
+        return this.role !== "customer" || !this.phone;
+      },
       unique: true,
+      sparse: true,
       lowercase: true,
       trim: true,
     },
+    // Customers and users who sign in through a linked provider may have no password
     passwordHash: {
       type: String,
-      required: true,
+      required: function () {
+        return this.role !== "customer" && !(this.oauthProviders && this.oauthProviders.length);
+      },
     },
     name: {
       type: String,
@@ -24,6 +37,10 @@ const userSchema = new mongoose.Schema(
       type: String,
       trim: true,
     },
+    phoneVerified: {
+      type: Boolean,
+      default: false,
+    },
     role: {
       type: String,
       enum: ["super_admin", "salon_admin", "staff", "customer"],
@@ -44,26 +61,53 @@ const userSchema = new mongoose.Schema(
     lastLogin: {
       type: Date,
     },
+    failedLoginAttempts: {
+      type: Number,
+      default: 0,
+    },
+    lastFailedLoginAt: Date,
+    lockUntil: Date,
+    // Number of locks since the last successful login, drives the exponential lock time
+    lockCount: {
+      type: Number,
+      default: 0,
+    },
     emailVerified: {
       type: Boolean,
       default: false,
     },
     emailVerificationToken: String,
+    emailVerificationExpires: Date,
     passwordResetToken: String,
     passwordResetExpires: Date,
+    twoFactor: {
+      enabled: { type: Boolean, default: false },
+      secret: String, // base32 TOTP secret
+      pendingSecret: String, // set during enrollment until the first code is verified
+      backupCodes: [String], // SHA-256 hashes, each usable once
+      lastUsedStep: Number, // TOTP time step of the last accepted code, blocks replays
+      enabledAt: Date,
+    },
+    oauthProviders: [
+      {
+        _id: false,
+        provider: { type: String, enum: ["google"], required: true },
+        providerId: { type: String, required: true },
+        email: String,
+        linkedAt: { type: Date, default: Date.now },
+      },
+    ],
     permissions: [
       {
         type: String,
-        enum: [
-          "dashboard",
-          "appointments",
-          "billing",
-          "staff",
-          "customers",
-          "inventory",
-          "settings",
-          "analytics",
-        ],
+        enum: MODULE_PERMISSIONS,
+      },
+    ],
+    // Role defaults taken away from this user by a salon admin
+    revokedPermissions: [
+      {
+        type: String,
+        enum: MODULE_PERMISSIONS,
       },
     ],
     preferences: {
@@ -88,8 +132,13 @@ const userSchema = new mongoose.Schema(
       transform: function (doc, ret) {
         delete ret.passwordHash;
         delete ret.emailVerificationToken;
+        delete ret.emailVerificationExpires;
         delete ret.passwordResetToken;
         delete ret.passwordResetExpires;
+        delete ret.failedLoginAttempts;
+        delete ret.lastFailedLoginAt;
+        delete ret.lockCount;
+        ret.twoFactor = { enabled: Boolean(ret.twoFactor && ret.twoFactor.enabled) };
         return ret;
       },
     },
@@ -99,32 +148,25 @@ const userSchema = new mongoose.Schema(
 
 userSchema.index({ email: 1 });
 userSchema.index({ tenantId: 1 });
+userSchema.index({ phone: 1, role: 1 }, { sparse: true });
+userSchema.index(
+  { "oauthProviders.provider": 1, "oauthProviders.providerId": 1 },
+  { unique: true, sparse: true }
+);
 userSchema.index({ role: 1 });
+userSchema.index({ emailVerificationToken: 1 }, { sparse: true });
+userSchema.index({ passwordResetToken: 1 }, { sparse: true });
 
 userSchema.virtual("fullPermissions").get(function () {
-  const rolePermissions = {
-    super_admin: [
-      "dashboard",
-      "analytics",
-      "tenants",
-      "subscriptions",
-      "system",
-    ],
-    salon_admin: [
-      "dashboard",
-      "appointments",
-      "billing",
-      "staff",
-      "customers",
-      "inventory",
-      "settings",
-      "analytics",
-    ],
-    staff: ["appointments", "customers", "billing"],
-    customer: ["profile", "appointments", "wallet"],
-  };
+  const revoked = this.revokedPermissions || [];
+  const granted = [...(ROLE_PERMISSIONS[this.role] || []), ...(this.permissions || [])];
+
+  return [...new Set(granted)].filter((permission) => !revoked.includes(permission));
+});
 
-  return [...(rolePermissions[this.role] || []), ...(this.permissions || [])];
+// Virtual for checking if login is currently blocked
+userSchema.virtual("isLocked").get(function () {
+  return Boolean(this.lockUntil && this.lockUntil > new Date());
 });
 
 userSchema.pre("save", async function (next) {
@@ -140,9 +182,16 @@ userSchema.pre("save", async function (next) {
 });
 
 userSchema.methods.comparePassword = async function (candidatePassword) {
+  // Passwordless accounts never match a password
+  if (!this.passwordHash) return false;
   return bcrypt.compare(candidatePassword, this.passwordHash);
 };
 
+// Instance method to find the linked account of an OAuth provider
+userSchema.methods.getOAuthProvider = function (provider) {
+  return (this.oauthProviders || []).find((linked) => linked.provider === provider);
+};
+
 // Instance method to generate JWT payload
 userSchema.methods.getJWTPayload = function () {
   return {
@@ -154,6 +203,55 @@ userSchema.methods.getJWTPayload = function () {
   };
 };
 
+// Instance method to count a failed login, locks the account once the limit is hit
+userSchema.methods.registerFailedLogin = async function () {
+  const updated = await this.constructor.findOneAndUpdate(
+    { _id: this._id },
+    { $inc: { failedLoginAttempts: 1 }, $set: { lastFailedLoginAt: new Date() } },
+    { new: true }
+  );
+  this.failedLoginAttempts = updated.failedLoginAttempts;
+
+  if (updated.failedLoginAttempts < MAX_FAILED_LOGIN_ATTEMPTS) {
+    return { locked: false, remainingAttempts: MAX_FAILED_LOGIN_ATTEMPTS - updated.failedLoginAttempts };
+  }
+
+  const lockMinutes = Math.min(BASE_LOCK_MINUTES * 2 ** updated.lockCount, MAX_LOCK_MINUTES);
+  const lockUntil = new Date(Date.now() + lockMinutes * 60 * 1000);
+
+  // Only one of several concurrent failures gets to apply the lock
+  const result = await this.constructor.updateOne(
+    { _id: this._id, failedLoginAttempts: { $gte: MAX_FAILED_LOGIN_ATTEMPTS } },
+    { $set: { lockUntil, failedLoginAttempts: 0 }, $inc: { lockCount: 1 } }
+  );
+  if (result.modifiedCount === 0) return { locked: false, remainingAttempts: 0 };
+
+  this.lockUntil = lockUntil;
+  this.failedLoginAttempts = 0;
+  this.lockCount = updated.lockCount + 1;
+  return { locked: true, lockUntil, lockMinutes };
+};
+
+// Instance method to clear failed attempts and any lock
+userSchema.methods.resetLoginAttempts = function () {
+  this.failedLoginAttempts = 0;
+  this.lockCount = 0;
+  this.lockUntil = undefined;
+  return this.constructor.updateOne(
+    { _id: this._id },
+    { $set: { failedLoginAttempts: 0, lockCount: 0 }, $unset: { lockUntil: 1 } }
+  );
+};
+
+const accountLockedError = (user, lockUntil, lockedNow) => {
+  const error = new Error("Account temporarily locked");
+  error.code = "ACCOUNT_LOCKED";
+  error.lockUntil = lockUntil;
+  error.lockedNow = lockedNow;
+  error.user = user;
+  return error;
+};
+
 userSchema.statics.findByCredentials = async function (email, password) {
   const user = await this.findOne({
     email: email.toLowerCase(),
@@ -164,11 +262,24 @@ userSchema.statics.findByCredentials = async function (email, password) {
     throw new Error("Invalid login credentials");
   }
 
+  // Even the right password is refused while locked
+  if (user.isLocked) {
+    throw accountLockedError(user, user.lockUntil, false);
+  }
+
   const isMatch = await user.comparePassword(password);
   if (!isMatch) {
+    const attempt = await user.registerFailedLogin();
+    if (attempt.locked) {
+      throw accountLockedError(user, attempt.lockUntil, true);
+    }
     throw new Error("Invalid login credentials");
   }
 
+  if (user.failedLoginAttempts > 0 || user.lockCount > 0 || user.lockUntil) {
+    await user.resetLoginAttempts();
+  }
+
   return user;
 };
 
@@ -0,0 +1,105 @@
+const mongoose = require("mongoose");
+const { createModel } = require("../config/dbSelector");
+
+// A slot offered to a waitlisted customer, kept in offerHistory once answered
+const offerSchema = new mongoose.Schema(
+  {
+    staffId: { type: mongoose.Schema.Types.ObjectId, ref: "Staff", required: true },
+    scheduledAt: { type: Date, required: true },
+    endAt: { type: Date, required: true },
+    offeredAt: { type: Date, default: Date.now },
+    expiresAt: Date,
+    // Set while an acceptance is being booked, so the offer cannot expire underneath it
+    acceptedAt: Date,
+    respondedAt: Date,
+    outcome: {
+      type: String,
+      enum: ["accepted", "declined", "expired", "taken", "withdrawn"],
+    },
+  },
+  { _id: false }
+);
+
+// Customer waiting for a service in a time window, offered slots that free up
+const waitlistEntrySchema = new mongoose.Schema(
+  {
+    tenantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Salon",
+      required: true,
+    },
+    customerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Customer",
+      required: true,
+    },
+    serviceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Service",
+      required: true,
+    },
+    // Preferred staff member, any staff member when not set
+    staffId: { type: mongoose.Schema.Types.ObjectId, ref: "Staff" },
+    // The appointment has to start and end inside this window
+    windowStart: {
+      type: Date,
+      required: true,
+    },
+    windowEnd: {
+      type: Date,
+      required: true,
+    },
+    // Higher goes first, ties go to whoever joined first
+    priority: {
+      type: Number,
+      default: 0,
+    },
+    status: {
+      type: String,
+      enum: ["waiting", "offered", "booked", "cancelled", "expired"],
+      default: "waiting",
+    },
+    offer: offerSchema,
+    offerHistory: [offerSchema],
+    appointmentId: { type: mongoose.Schema.Types.ObjectId, ref: "Appointment" },
+    notes: String,
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: true }
+);
+
+waitlistEntrySchema.index({ tenantId: 1, status: 1, windowStart: 1 });
+waitlistEntrySchema.index({ tenantId: 1, customerId: 1, status: 1 });
+waitlistEntrySchema.index({ status: 1, "offer.expiresAt": 1 });
+waitlistEntrySchema.index({ tenantId: 1, status: 1, "offer.staffId": 1, "offer.scheduledAt": 1 });
+
+waitlistEntrySchema.pre("validate", function (next) {
+  if (this.windowStart && this.windowEnd && this.windowEnd <= this.windowStart) {
+    this.invalidate("windowEnd", "windowEnd must be after windowStart");
+  }
+  next();
+});
+
+/**
+ * Static method to build a filter for open offers holding any of the staff between start and end.
+ * The offered time is kept free for the customer until the offer expires or is answered
+ * @param {Array} staffIds
+ * @param {Date} start
+ * @param {Date} end
+ */
+waitlistEntrySchema.statics.heldOfferFilter = function (staffIds, start, end) {
+  return {
+    status: "offered",
+    "offer.staffId": { $in: [].concat(staffIds) },
+    "offer.scheduledAt": { $lt: end },
+    "offer.endAt": { $gt: start },
+    "offer.expiresAt": { $gt: new Date() },
+  };
+};
+
+// Virtual for checking if the entry can still get offers or be booked
+waitlistEntrySchema.virtual("isOpen").get(function () {
+  return ["waiting", "offered"].includes(this.status);
+});
+
+module.exports = createModel("WaitlistEntry", waitlistEntrySchema);
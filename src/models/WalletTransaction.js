@@ -3,16 +3,27 @@ const { createModel } = require("../config/dbSelector");
 
 const walletTransactionSchema = new mongoose.Schema(
   {
-    customer: {
+    tenantId: {
       type: mongoose.Schema.Types.ObjectId,
-      ref: "User",
+      ref: "Salon",
+      required: true,
+    },
+    customerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Customer",
       required: true,
     },
     type: { type: String, enum: ["credit", "debit"], required: true },
-    amount: Number,
+    amount: { type: Number, required: true, min: 0 },
+    // Wallet balance right after this transaction
+    balanceAfter: Number,
     description: String,
+    appointmentId: { type: mongoose.Schema.Types.ObjectId, ref: "Appointment" },
+    invoiceId: { type: mongoose.Schema.Types.ObjectId, ref: "Invoice" },
   },
   { timestamps: true }
 );
 
+walletTransactionSchema.index({ tenantId: 1, customerId: 1, createdAt: -1 });
+
 module.exports = createModel("WalletTransaction", walletTransactionSchema);
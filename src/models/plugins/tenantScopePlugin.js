@@ -0,0 +1,205 @@
+const mongoose = require("mongoose");
+const tenantContext = require("../../utils/tenantContext");
+const AppError = require("../../utils/appError");
+
+const QUERY_HOOKS = [
+  "countDocuments",
+  "distinct",
+  "find",
+  "findOne",
+  "findOneAndDelete",
+  "findOneAndRemove",
+  "findOneAndReplace",
+  "findOneAndUpdate",
+  "deleteOne",
+  "deleteMany",
+  "replaceOne",
+  "updateOne",
+  "updateMany",
+];
+
+// Pipeline stages that must stay first, the tenant $match goes right after them
+const LEADING_STAGES = ["$geoNear", "$search", "$searchMeta"];
+
+const missingTenant = (modelName) =>
+  new AppError(`No tenant in context for ${modelName} operation`, 500, "TENANT_CONTEXT_MISSING");
+
+const crossTenant = (modelName) =>
+  new AppError(`Cross-tenant access to ${modelName} blocked`, 403, "CROSS_TENANT_ACCESS");
+
+// Returns the tenant id to enforce, null in system context, throws when missing
+const resolveTenantId = (modelName) => {
+  if (tenantContext.isSystemContext()) return null;
+
+  const tenantId = tenantContext.getTenantId();
+  if (!tenantId) throw missingTenant(modelName);
+  return tenantId;
+};
+
+// Only plain ids can be compared, operator objects are kept and narrowed by the scope
+const isPlainId = (value) =>
+  typeof value === "string" || value instanceof mongoose.Types.ObjectId;
+
+const getUpdatedTenantId = (update) => {
+  if (!update) return undefined;
+  if (update.tenantId !== undefined) return update.tenantId;
+  if (update.$set && update.$set.tenantId !== undefined) return update.$set.tenantId;
+  return undefined;
+};
+
+// Gives a document about to be inserted the tenant, or throws when it names another one
+const assignTenant = (doc, tenantId, modelName) => {
+  if (!doc.tenantId) {
+    doc.tenantId = tenantId;
+  } else if (String(doc.tenantId) !== tenantId) {
+    throw crossTenant(modelName);
+  }
+};
+
+// A caller's own tenantId condition, e.g. $in or $ne, must not be replaced by the scope
+const scopeFilter = (filter = {}, tenantId, modelName) => {
+  const requested = filter.tenantId;
+  if (requested === undefined || isPlainId(requested)) {
+    if (requested !== undefined && String(requested) !== tenantId) throw crossTenant(modelName);
+    return { ...filter, tenantId };
+  }
+  return { ...filter, $and: [...(filter.$and || []), { tenantId }] };
+};
+
+// The same rules as the query hooks, applied to one bulkWrite operation
+const scopeBulkOperation = (operation, tenantId, modelName) => {
+  const [type, args] = Object.entries(operation)[0];
+
+  switch (type) {
+    case "insertOne":
+      assignTenant(args.document, tenantId, modelName);
+      return operation;
+    case "updateOne":
+    case "updateMany": {
+      const updatedTenantId = getUpdatedTenantId(args.update);
+      if (updatedTenantId !== undefined && String(updatedTenantId) !== tenantId) {
+        throw crossTenant(modelName);
+      }
+      return { [type]: { ...args, filter: scopeFilter(args.filter, tenantId, modelName) } };
+    }
+    case "replaceOne":
+      assignTenant(args.replacement, tenantId, modelName);
+      return { [type]: { ...args, filter: scopeFilter(args.filter, tenantId, modelName) } };
+    case "deleteOne":
+    case "deleteMany":
+      return { [type]: { ...args, filter: scopeFilter(args.filter, tenantId, modelName) } };
+    default:
+      throw new AppError(`Unsupported bulkWrite operation ${type}`, 400, "VALIDATION_ERROR");
+  }
+};
+
+/**
+ * Enforce tenant isolation on a salon database schema. The active tenant comes
+ * from tenantContext and is injected into every query, aggregate and save.
+ * @param {mongoose.Schema} schema - Schema to scope
+ * @param {object} options
+ * @param {string} options.modelName - Used in error messages
+ */
+function tenantScopePlugin(schema, options = {}) {
+  const modelName = options.modelName || "model";
+
+  if (!schema.path("tenantId")) {
+    schema.add({
+      tenantId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Salon",
+        required: true,
+        index: true,
+      },
+    });
+  }
+
+  schema.pre(QUERY_HOOKS, function (next) {
+    try {
+      const tenantId = resolveTenantId(modelName);
+      if (!tenantId) return next();
+
+      // Documents can never be moved to another salon through an update
+      const updatedTenantId = getUpdatedTenantId(this.getUpdate && this.getUpdate());
+      if (updatedTenantId !== undefined && String(updatedTenantId) !== tenantId) {
+        throw crossTenant(modelName);
+      }
+
+      this.setQuery(scopeFilter(this.getFilter(), tenantId, modelName));
+      next();
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  schema.pre("aggregate", function (next) {
+    try {
+      const tenantId = resolveTenantId(modelName);
+      if (!tenantId) return next();
+
+      const pipeline = this.pipeline();
+      const position =
+        pipeline.length > 0 && LEADING_STAGES.includes(Object.keys(pipeline[0])[0]) ? 1 : 0;
+      pipeline.splice(position, 0, {
+        $match: { tenantId: new mongoose.Types.ObjectId(tenantId) },
+      });
+      next();
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // "validate" runs before "save" so the required tenantId check sees the injected value
+  schema.pre("validate", function (next) {
+    try {
+      const tenantId = resolveTenantId(modelName);
+      if (!tenantId) return next();
+
+      if (!this.tenantId) {
+        this.tenantId = tenantId;
+      } else if (String(this.tenantId) !== tenantId) {
+        throw crossTenant(modelName);
+      }
+      next();
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  schema.pre("insertMany", function (next, docs) {
+    try {
+      const tenantId = resolveTenantId(modelName);
+      if (!tenantId) return next();
+
+      for (const doc of [].concat(docs)) assignTenant(doc, tenantId, modelName);
+      next();
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Mongoose has no bulkWrite middleware, so the model's bulkWrite scopes every operation itself
+  schema.static("bulkWrite", async function bulkWrite(operations, ...rest) {
+    const tenantId = resolveTenantId(modelName);
+    const scoped = tenantId
+      ? operations.map((operation) => scopeBulkOperation(operation, tenantId, modelName))
+      : operations;
+    return mongoose.Model.bulkWrite.call(this, scoped, ...rest);
+  });
+
+  // The estimate comes from collection metadata and counts every salon, it cannot be scoped
+  schema.pre("estimatedDocumentCount", function (next) {
+    try {
+      if (!resolveTenantId(modelName)) return next();
+      throw new AppError(
+        `estimatedDocumentCount of ${modelName} counts every salon, use countDocuments`,
+        500,
+        "TENANT_SCOPE_UNSUPPORTED"
+      );
+    } catch (error) {
+      next(error);
+    }
+  });
+}
+
+module.exports = tenantScopePlugin;
@@ -0,0 +1,22 @@
+const express = require("express");
+const apiKeyController = require("../../controllers/apiKeyController");
+const {
+  requireAuth,
+  requireAuthOrApiKey,
+  requireRole,
+} = require("../../middlewares/authMiddleware");
+const { requireTenant } = require("../../middlewares/tenantMiddleware");
+
+const router = express.Router();
+
+// Lets an integration check which key it is using and what it may do
+router.get("/current", requireAuthOrApiKey, requireRole("api_key"), apiKeyController.getCurrentKey);
+
+router.use(requireAuth, requireRole("salon_admin"), requireTenant);
+
+router.get("/", apiKeyController.listKeys);
+router.post("/", apiKeyController.createKey);
+router.patch("/:keyId", apiKeyController.updateKey);
+router.delete("/:keyId", apiKeyController.revokeKey);
+
+module.exports = router;
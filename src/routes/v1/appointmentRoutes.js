@@ -0,0 +1,67 @@
+const express = require("express");
+const appointmentController = require("../../controllers/appointmentController");
+const {
+  requireAuthOrApiKey,
+  requireRole,
+  requireScope,
+} = require("../../middlewares/authMiddleware");
+const { requireTenant } = require("../../middlewares/tenantMiddleware");
+
+const router = express.Router();
+
+router.use(requireAuthOrApiKey, requireRole("salon_admin", "staff", "api_key"), requireTenant);
+
+router.get("/", requireScope("appointments:read"), appointmentController.listAppointments);
+router.post("/", requireScope("appointments:write"), appointmentController.createAppointment);
+router.get(
+  "/availability",
+  requireScope("appointments:read"),
+  appointmentController.getAvailability
+);
+router.get("/calendar", requireScope("appointments:read"), appointmentController.getCalendar);
+router.get("/series/:seriesId", requireScope("appointments:read"), appointmentController.getSeries);
+router.get(
+  "/:appointmentId",
+  requireScope("appointments:read"),
+  appointmentController.getAppointment
+);
+router.patch(
+  "/:appointmentId",
+  requireScope("appointments:write"),
+  appointmentController.updateAppointment
+);
+router.patch(
+  "/:appointmentId/status",
+  requireScope("appointments:write"),
+  appointmentController.updateAppointmentStatus
+);
+router.post(
+  "/:appointmentId/deposit/confirm",
+  requireScope("appointments:write"),
+  appointmentController.confirmDeposit
+);
+router.post(
+  "/:appointmentId/deposit/waive",
+  requireRole("salon_admin"),
+  requireScope("appointments:write"),
+  appointmentController.waiveDepositHold
+);
+router.post(
+  "/:appointmentId/fee/waive",
+  requireRole("salon_admin"),
+  requireScope("appointments:write"),
+  appointmentController.waiveCancellationFee
+);
+router.post(
+  "/:appointmentId/fee/retry",
+  requireRole("salon_admin"),
+  requireScope("appointments:write"),
+  appointmentController.retryCancellationFee
+);
+router.delete(
+  "/:appointmentId",
+  requireScope("appointments:write"),
+  appointmentController.deleteAppointment
+);
+
+module.exports = router;
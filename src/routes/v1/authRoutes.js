@@ -0,0 +1,54 @@
+const express = require("express");
+const authController = require("../../controllers/authController");
+const oauthController = require("../../controllers/oauthController");
+const {
+  requireAuth,
+  requireAuthOrSetupChallenge,
+} = require("../../middlewares/authMiddleware");
+const { optionalTenant } = require("../../middlewares/tenantMiddleware");
+const {
+  loginProtection,
+  authRateLimiter,
+  otpRequestLimiter,
+} = require("../../middlewares/rateLimitMiddleware");
+
+const router = express.Router();
+
+router.post("/register", authController.register);
+router.get("/verify-email", authController.verifyEmail);
+router.post("/verify-email", authController.verifyEmail);
+router.post("/resend-verification", authRateLimiter, authController.resendVerification);
+router.post("/forgot-password", authRateLimiter, authController.forgotPassword);
+router.post("/reset-password", authRateLimiter, authController.resetPassword);
+router.get("/invites/:token", authRateLimiter, authController.previewInvite);
+router.post("/accept-invite", authRateLimiter, authController.acceptInvite);
+router.post("/login", loginProtection, authController.login);
+
+// Passwordless login for customers, the salon (if any) gets a customer profile
+router.post("/otp/request", otpRequestLimiter, authController.requestLoginCode);
+router.post("/otp/verify", loginProtection, optionalTenant, authController.loginWithCode);
+
+router.post("/refresh", authController.refresh);
+router.post("/logout", authController.logout);
+
+// Two-factor authentication
+router.post("/2fa/challenge", loginProtection, authController.twoFactorChallenge);
+router.post("/2fa/setup", requireAuthOrSetupChallenge, authController.twoFactorSetup);
+router.post("/2fa/enable", requireAuthOrSetupChallenge, authController.twoFactorEnable);
+router.post("/2fa/disable", requireAuth, authController.twoFactorDisable);
+router.post("/2fa/backup-codes", requireAuth, authController.twoFactorBackupCodes);
+
+// Sign in with Google and linked providers
+router.get("/google", oauthController.startGoogle);
+router.get("/google/callback", oauthController.googleCallback);
+router.post("/google/exchange", loginProtection, oauthController.exchangeLoginToken);
+router.post("/google/link", requireAuth, oauthController.getGoogleLinkUrl);
+router.get("/oauth", requireAuth, oauthController.listProviders);
+router.delete("/oauth/:provider", requireAuth, oauthController.unlinkProvider);
+
+// Sessions and devices
+router.get("/sessions", requireAuth, authController.listSessions);
+router.delete("/sessions", requireAuth, authController.revokeAllSessions);
+router.delete("/sessions/:sessionId", requireAuth, authController.revokeSession);
+
+module.exports = router;
@@ -0,0 +1,52 @@
+const express = require("express");
+const publicBookingController = require("../../controllers/publicBookingController");
+const { resolveTenant } = require("../../middlewares/tenantMiddleware");
+const { optionalAuth } = require("../../middlewares/authMiddleware");
+const { publicBookingLimiter } = require("../../middlewares/rateLimitMiddleware");
+
+// Mounted under /public/salons/:slug, no login: bookings and waitlist offers go through signed links.
+// A signed-in customer may still send their token to book under their own customer record
+const router = express.Router({ mergeParams: true });
+
+// Only the salon in the URL counts here, never a token or header from the visitor
+router.use(resolveTenant({ strategies: ["path"], paramName: "slug" }));
+
+router.get("/", publicBookingController.getSalon);
+router.get("/services", publicBookingController.listServices);
+router.get("/staff", publicBookingController.listStaff);
+router.get("/availability", publicBookingController.getAvailability);
+router.post(
+  "/bookings",
+  publicBookingLimiter,
+  optionalAuth,
+  publicBookingController.createBooking
+);
+router.get("/bookings/:appointmentId", publicBookingController.getBooking);
+router.post(
+  "/bookings/:appointmentId/cancel",
+  publicBookingLimiter,
+  publicBookingController.cancelBooking
+);
+router.post(
+  "/bookings/:appointmentId/reschedule",
+  publicBookingLimiter,
+  publicBookingController.rescheduleBooking
+);
+router.post(
+  "/bookings/:appointmentId/deposit/confirm",
+  publicBookingLimiter,
+  publicBookingController.confirmDeposit
+);
+router.get("/waitlist/:entryId", publicBookingController.getWaitlistOffer);
+router.post(
+  "/waitlist/:entryId/accept",
+  publicBookingLimiter,
+  publicBookingController.acceptWaitlistOffer
+);
+router.post(
+  "/waitlist/:entryId/decline",
+  publicBookingLimiter,
+  publicBookingController.declineWaitlistOffer
+);
+
+module.exports = router;
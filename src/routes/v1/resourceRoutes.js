@@ -0,0 +1,38 @@
+const express = require("express");
+const resourceController = require("../../controllers/resourceController");
+const {
+  requireAuthOrApiKey,
+  requireRole,
+  requireScope,
+} = require("../../middlewares/authMiddleware");
+const { requireTenant } = require("../../middlewares/tenantMiddleware");
+
+const router = express.Router();
+
+// Rooms and equipment are part of the service setup and share its scopes
+router.use(requireAuthOrApiKey, requireRole("salon_admin", "staff", "api_key"), requireTenant);
+
+router.get("/", requireScope("services:read"), resourceController.listResources);
+router.post("/", requireScope("services:write"), resourceController.createResource);
+
+// Resources a service needs
+router.get(
+  "/services/:serviceId",
+  requireScope("services:read"),
+  resourceController.getServiceRequirements
+);
+router.put(
+  "/services/:serviceId",
+  requireScope("services:write"),
+  resourceController.setServiceRequirements
+);
+
+router.get("/:resourceId", requireScope("services:read"), resourceController.getResource);
+router.patch("/:resourceId", requireScope("services:write"), resourceController.updateResource);
+router.delete(
+  "/:resourceId",
+  requireScope("services:write"),
+  resourceController.deactivateResource
+);
+
+module.exports = router;
@@ -0,0 +1,26 @@
+const express = require("express");
+const staffController = require("../../controllers/staffController");
+const { requireAuth, requireRole, requirePermission } = require("../../middlewares/authMiddleware");
+const { requireTenant } = require("../../middlewares/tenantMiddleware");
+
+const router = express.Router();
+
+router.use(
+  requireAuth,
+  requireRole("salon_admin", "super_admin"),
+  requirePermission("staff"),
+  requireTenant
+);
+
+// Invitations
+router.get("/invites", staffController.listInvites);
+router.post("/invites", staffController.inviteStaff);
+router.post("/invites/:inviteId/resend", staffController.resendInvite);
+router.post("/invites/:inviteId/expire", staffController.expireInvite);
+router.delete("/invites/:inviteId", staffController.revokeInvite);
+
+// Scheduling
+router.get("/:staffId/working-hours", staffController.getWorkingHours);
+router.put("/:staffId/working-hours", staffController.updateWorkingHours);
+
+module.exports = router;
@@ -0,0 +1,21 @@
+const express = require("express");
+const superAdminController = require("../../controllers/superAdminController");
+const { requireSuperAdmin } = require("../../middlewares/superAdminMiddleware");
+
+const router = express.Router();
+
+router.use(requireSuperAdmin);
+
+// Platform settings
+router.get("/settings/security", superAdminController.getSecuritySettings);
+router.put("/settings/security", superAdminController.updateSecuritySettings);
+
+// Tenants
+router.patch("/tenants/:tenantId/status", superAdminController.updateTenantStatus);
+router.post("/tenants/:tenantId/force-logout", superAdminController.forceLogoutTenant);
+
+// API access of tenant integrations
+router.get("/api-keys", superAdminController.listApiKeys);
+router.delete("/api-keys/:keyId", superAdminController.revokeApiKey);
+
+module.exports = router;
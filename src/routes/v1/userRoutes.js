@@ -0,0 +1,13 @@
+const express = require("express");
+const userController = require("../../controllers/userController");
+const { requireAuth, requireRole, requirePermission } = require("../../middlewares/authMiddleware");
+
+const router = express.Router();
+
+router.use(requireAuth, requireRole("salon_admin", "super_admin"), requirePermission("staff"));
+
+router.get("/:userId/permissions", userController.getPermissions);
+router.patch("/:userId/permissions", userController.updatePermissions);
+router.post("/:userId/unlock", userController.unlockUser);
+
+module.exports = router;
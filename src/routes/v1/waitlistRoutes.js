@@ -0,0 +1,30 @@
+const express = require("express");
+const waitlistController = require("../../controllers/waitlistController");
+const {
+  requireAuthOrApiKey,
+  requireRole,
+  requireScope,
+} = require("../../middlewares/authMiddleware");
+const { requireTenant } = require("../../middlewares/tenantMiddleware");
+
+const router = express.Router();
+
+// Waitlist entries are part of the appointment book and share its scopes
+router.use(requireAuthOrApiKey, requireRole("salon_admin", "staff", "api_key"), requireTenant);
+
+router.get("/", requireScope("appointments:read"), waitlistController.listEntries);
+router.post("/", requireScope("appointments:write"), waitlistController.joinWaitlist);
+router.get("/:entryId", requireScope("appointments:read"), waitlistController.getEntry);
+router.post(
+  "/:entryId/accept",
+  requireScope("appointments:write"),
+  waitlistController.acceptOffer
+);
+router.post(
+  "/:entryId/decline",
+  requireScope("appointments:write"),
+  waitlistController.declineOffer
+);
+router.delete("/:entryId", requireScope("appointments:write"), waitlistController.cancelEntry);
+
+module.exports = router;
@@ -3,15 +3,16 @@
 // ===================================
 // Revenue analytics, appointment trends, customer behavior, staff metrics, business insights
 
-const Appointment = require("../models/appointment");
-const Invoice = require("../models/invoice");
-const Customer = require("../models/customer");
-const Staff = require("../models/staff");
-const Salon = require("../models/salon");
-const Service = require("../models/service");
-const WalletTransaction = require("../models/walletTransaction");
+const Appointment = require("../models/Appointment");
+const Invoice = require("../models/Invoice");
+const Customer = require("../models/Customer");
+const Staff = require("../models/Staff");
+const Salon = require("../models/Salon");
+const Service = require("../models/Service");
+const WalletTransaction = require("../models/WalletTransaction");
 
 const { startOfDay, endOfDay, addDays, subDays } = require("date-fns");
+const schedule = require("../utils/schedule");
 
 class AnalyticsService {
   // ==============================
@@ -35,11 +36,13 @@ class AnalyticsService {
       { $group: { _id: null, totalRevenue: { $sum: "$totalAmount" } } },
     ]);
 
+    // Days are counted on the salon's calendar
+    const timezone = await this.getTimezone(salonId);
     const dailyRevenue = await Appointment.aggregate([
       { $match: { tenantId: salonId, status: "completed", ...query } },
       {
         $group: {
-          _id: { $dateToString: { format: "%Y-%m-%d", date: "$scheduledAt" } },
+          _id: { $dateToString: { format: "%Y-%m-%d", date: "$scheduledAt", timezone } },
           revenue: { $sum: "$totalAmount" },
           appointments: { $sum: 1 }
         },
@@ -78,7 +81,7 @@ class AnalyticsService {
   }
 
   async getRevenueByStaff(salonId, startDate = null, endDate = null) {
-    const query = { salonId };
+    const query = { tenantId: salonId };
     if (startDate && endDate) query.createdAt = { $gte: startDate, $lte: endDate };
 
     const revenueByStaff = await Appointment.aggregate([
@@ -104,14 +107,15 @@ class AnalyticsService {
     const totalAppointments = await Appointment.countDocuments(query);
     const completed = await Appointment.countDocuments({ ...query, status: "completed" });
     const cancelled = await Appointment.countDocuments({ ...query, status: "cancelled" });
-    const noShows = await Appointment.countDocuments({ ...query, status: "no-show" });
+    const noShows = await Appointment.countDocuments({ ...query, status: "no_show" });
 
-    // Daily trends
+    // Daily trends, on the salon's calendar
+    const timezone = await this.getTimezone(salonId);
     const dailyTrends = await Appointment.aggregate([
       { $match: query },
       {
         $group: {
-          _id: { $dateToString: { format: "%Y-%m-%d", date: "$scheduledAt" } },
+          _id: { $dateToString: { format: "%Y-%m-%d", date: "$scheduledAt", timezone } },
           total: { $sum: 1 },
           completed: { $sum: { $cond: [{ $eq: ["$status", "completed"] }, 1, 0] } },
           cancelled: { $sum: { $cond: [{ $eq: ["$status", "cancelled"] }, 1, 0] } }
@@ -132,7 +136,7 @@ class AnalyticsService {
   }
 
   async getServicePopularity(salonId, startDate = null, endDate = null) {
-    const query = { salonId };
+    const query = { tenantId: salonId };
     if (startDate && endDate) query.scheduledAt = { $gte: startDate, $lte: endDate };
 
     const services = await Appointment.aggregate([
@@ -190,7 +194,7 @@ class AnalyticsService {
 
   async getStaffProductivity(salonId) {
     const productivity = await Appointment.aggregate([
-      { $match: { salonId, status: "completed" } },
+      { $match: { tenantId: salonId, status: "completed" } },
       { $group: { _id: "$staffId", completedAppointments: { $sum: 1 } } },
       { $lookup: { from: "staffs", localField: "_id", foreignField: "_id", as: "staff" } },
       { $unwind: "$staff" },
@@ -228,6 +232,11 @@ class AnalyticsService {
     return efficiency;
   }
 
+  async getTimezone(salonId) {
+    const salon = await Salon.findById(salonId).select("timezone");
+    return schedule.getTimezone(salon);
+  }
+
   // ==============================
   // BUSINESS INTELLIGENCE
   // ==============================
@@ -0,0 +1,172 @@
+// ======================================
+// API KEY SERVICE - SERVICE LAYER
+// ======================================
+const ApiKey = require("../models/ApiKey");
+const AppError = require("../utils/appError");
+const { generateToken, hashToken } = require("../utils/tokens");
+const tenantContext = require("../utils/tenantContext");
+const { API_KEY_SCOPES } = require("../config/permissions");
+
+// lastUsedAt is written at most this often per key
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+class ApiKeyService {
+  // ==============================
+  // MANAGEMENT (TENANT ADMINS)
+  // ==============================
+
+  /**
+   * Create a key for the current salon
+   * @param {object} actor - req.user of the admin
+   * @param {object} data - { name, scopes, expiresAt, rateLimitPerMinute }
+   * @returns {Promise<{ apiKey: ApiKey, key: string }>} - key is only ever returned here
+   */
+  async createKey(actor, data) {
+    if (!data.name) throw new AppError("Name is required", 400, "VALIDATION_ERROR");
+    const changes = this.validateChanges(data);
+    if (!changes.scopes || changes.scopes.length === 0) {
+      throw new AppError("At least one scope is required", 400, "VALIDATION_ERROR", {
+        allowed: API_KEY_SCOPES,
+      });
+    }
+
+    const prefix = `sk_${generateToken(4)}`;
+    const key = `${prefix}_${generateToken(24)}`;
+    const apiKey = await ApiKey.create({
+      ...changes,
+      name: data.name,
+      prefix,
+      keyHash: hashToken(key),
+      createdBy: actor.id,
+    });
+
+    return { apiKey, key };
+  }
+
+  async listKeys({ includeRevoked = false } = {}) {
+    const filter = includeRevoked ? {} : { revokedAt: { $exists: false } };
+    return ApiKey.find(filter).sort({ createdAt: -1 });
+  }
+
+  async updateKey(keyId, data) {
+    const apiKey = await this.getKey(keyId);
+    if (apiKey.revokedAt) throw new AppError("API key is revoked", 409, "API_KEY_REVOKED");
+
+    apiKey.set(this.validateChanges(data));
+    if (data.name) apiKey.name = data.name;
+    await apiKey.save();
+    return apiKey;
+  }
+
+  async revokeKey(actor, keyId) {
+    const apiKey = await this.getKey(keyId);
+    if (!apiKey.revokedAt) {
+      apiKey.revokedAt = new Date();
+      apiKey.revokedBy = actor.id;
+      await apiKey.save();
+    }
+    return apiKey;
+  }
+
+  async getKey(keyId) {
+    const apiKey = await ApiKey.findOne({ _id: keyId });
+    if (!apiKey) throw new AppError("API key not found", 404, "API_KEY_NOT_FOUND");
+    return apiKey;
+  }
+
+  // Picks and checks the editable fields, expiresAt: null removes the expiry
+  validateChanges({ scopes, expiresAt, rateLimitPerMinute }) {
+    const changes = {};
+
+    if (scopes !== undefined) {
+      const invalid = Array.isArray(scopes)
+        ? scopes.filter((scope) => !API_KEY_SCOPES.includes(scope))
+        : [scopes];
+      if (invalid.length > 0) {
+        throw new AppError("Invalid API key scopes", 400, "INVALID_SCOPE", {
+          invalid,
+          allowed: API_KEY_SCOPES,
+        });
+      }
+      changes.scopes = [...new Set(scopes)];
+    }
+
+    if (expiresAt !== undefined) {
+      const date = expiresAt === null ? null : new Date(expiresAt);
+      if (date && (isNaN(date.getTime()) || date <= new Date())) {
+        throw new AppError("expiresAt must be a future date", 400, "VALIDATION_ERROR");
+      }
+      changes.expiresAt = date;
+    }
+
+    if (rateLimitPerMinute !== undefined) {
+      const limit = Number(rateLimitPerMinute);
+      if (!Number.isInteger(limit) || limit < 1 || limit > 10000) {
+        throw new AppError("rateLimitPerMinute must be between 1 and 10000", 400, "VALIDATION_ERROR");
+      }
+      changes.rateLimitPerMinute = limit;
+    }
+
+    return changes;
+  }
+
+  // ==============================
+  // AUTHENTICATION
+  // ==============================
+
+  /**
+   * Resolve a raw key from a request to its active ApiKey
+   * @param {string} key - Value of the X-API-Key header
+   * @param {object} context - { ip } of the request
+   * @returns {Promise<ApiKey>}
+   */
+  async authenticate(key, context = {}) {
+    // Keys arrive before the tenant is known, the key itself decides the tenant
+    const apiKey = await tenantContext.runAsSystem(() =>
+      ApiKey.findOne({ keyHash: hashToken(key) }).exec()
+    );
+    if (!apiKey) throw new AppError("Invalid API key", 401, "INVALID_API_KEY");
+    if (apiKey.revokedAt) throw new AppError("API key has been revoked", 401, "API_KEY_REVOKED");
+    if (!apiKey.isActive) throw new AppError("API key has expired", 401, "API_KEY_EXPIRED");
+
+    if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt >= TOUCH_INTERVAL_MS) {
+      await tenantContext.runAsSystem(() =>
+        ApiKey.updateOne(
+          { _id: apiKey._id },
+          { $set: { lastUsedAt: new Date(), lastUsedIp: context.ip } }
+        ).exec()
+      );
+    }
+    return apiKey;
+  }
+
+  // Shape of req.user for requests made with a key
+  getPrincipal(apiKey) {
+    return {
+      id: null,
+      role: "api_key",
+      apiKeyId: apiKey._id,
+      tenantId: apiKey.tenantId,
+      scopes: apiKey.scopes,
+      permissions: [],
+    };
+  }
+
+  // ==============================
+  // PLATFORM (SUPER ADMIN)
+  // ==============================
+
+  listAllKeys({ tenantId } = {}) {
+    const filter = tenantId ? { tenantId } : {};
+    return tenantContext.runAsSystem(() =>
+      ApiKey.find(filter).populate("tenantId", "name slug").sort({ createdAt: -1 }).exec()
+    );
+  }
+
+  revokeAnyKey(actor, keyId) {
+    return tenantContext.runAsSystem(() => this.revokeKey(actor, keyId));
+  }
+}
+
+// Export service instance
+module.exports = new ApiKeyService();
@@ -1,38 +1,119 @@
 // ======================================
 // APPOINTMENT SERVICE - SERVICE LAYER
 // ======================================
-const Appointment = require("../models/appointment");
-const Staff = require("../models/staff");
-const Customer = require("../models/customer");
-const Service = require("../models/service");
-//in notifiction Currently it just console.log(). Later you could integrate SMS, email, or push notifications.
+const Appointment = require("../models/Appointment");
+const AppointmentSeries = require("../models/AppointmentSeries");
+const Staff = require("../models/Staff");
+const Customer = require("../models/Customer");
+const Service = require("../models/Service");
+const Resource = require("../models/Resource");
+const Salon = require("../models/Salon");
+const WaitlistEntry = require("../models/WaitlistEntry");
+const AppError = require("../utils/appError");
+const billingService = require("./billingService");
+const reminderService = require("./reminderService");
+const logger = require("../config/logger");
+const paymentGateway = require("../utils/paymentGateway");
+const schedule = require("../utils/schedule");
+const scheduleLock = require("../utils/scheduleLock");
+const tenantContext = require("../utils/tenantContext");
 // Utility for date/time handling
-const { addMinutes, format, startOfDay, endOfDay, subHours, subDays } = require("date-fns");
+const dayjs = require("dayjs");
+
+const DEFAULT_DURATION_MINS = 60;
+const MAX_CALENDAR_DAYS = 62;
+
+// Fields a PATCH may change, status has its own endpoint
+const EDITABLE_FIELDS = [
+  "customerId",
+  "staffId",
+  "services",
+  "serviceIds",
+  "scheduledAt",
+  "duration",
+  "notes",
+  "internalNotes",
+];
+
+// dayjs units for AppointmentSeries.frequency
+const RECURRENCE_UNITS = { daily: "day", weekly: "week", monthly: "month" };
+
+// Scopes reaching beyond the chosen occurrence of a series
+const SERIES_SCOPES = ["following", "series"];
+
+// Who made a change, stored on every status history entry
+const describeActor = (actor) => {
+  if (!actor) return { actorType: "system" };
+  if (actor.role === "api_key") return { actorType: "api_key", apiKeyId: actor.apiKeyId };
+  if (actor.role === "customer") return { actorType: "customer", customerId: actor.customerId };
+  return { actorType: "user", changedBy: actor.id };
+};
+
+// Status changes that can owe a fee under the cancellation policy
+const FEE_KINDS = { cancelled: "late_cancel", no_show: "no_show" };
+
+// Fee the salon's cancellation policy asks for, 0 when nothing is owed
+const calculatePolicyFee = (policy, appointment, kind, at) => {
+  if (!policy || !policy.enabled) return 0;
+  if (kind === "late_cancel") {
+    const lateFrom = dayjs(appointment.scheduledAt).subtract(policy.windowHours || 0, "hour");
+    if (dayjs(at).isBefore(lateFrom)) return 0;
+  }
+
+  const rule = kind === "no_show" ? policy.noShowFee : policy.lateCancelFee;
+  if (!rule || !rule.value) return 0;
+  const amount =
+    rule.type === "flat" ? rule.value : ((appointment.totalAmount || 0) * rule.value) / 100;
+  return Math.round(amount * 100) / 100;
+};
+
+const notFound = () => new AppError("Appointment not found", 404, "APPOINTMENT_NOT_FOUND");
 
 class AppointmentService {
   // ==============================
   // APPOINTMENT RETRIEVAL
   // ==============================
-  
-  async getAppointments(salonId, filters = {}, page = 1, limit = 10, search = null) {
-    const query = { tenantId: salonId, ...filters };
+
+  /**
+   * List appointments of the current salon
+   * @param {object} filters - { status, staffId, customerId, from, to, search }
+   * @param {number} page
+   * @param {number} limit
+   */
+  async getAppointments(filters = {}, page = 1, limit = 10) {
+    page = Math.max(parseInt(page) || 1, 1);
+    limit = Math.min(Math.max(parseInt(limit) || 10, 1), 100);
+
+    const query = {};
+    if (filters.status) {
+      const statuses = String(filters.status).split(",");
+      const invalid = statuses.filter((status) => !Appointment.STATUSES.includes(status));
+      if (invalid.length > 0) {
+        throw new AppError("Invalid appointment status", 400, "INVALID_STATUS", {
+          invalid,
+          allowed: Appointment.STATUSES,
+        });
+      }
+      query.status = { $in: statuses };
+    }
+    if (filters.staffId) query.staffId = filters.staffId;
+    if (filters.customerId) query.customerId = filters.customerId;
+    if (filters.from || filters.to) {
+      query.scheduledAt = {};
+      if (filters.from) query.scheduledAt.$gte = this.parseDate(filters.from, "from");
+      if (filters.to) query.scheduledAt.$lte = this.parseDate(filters.to, "to");
+    }
 
     // Add search functionality
-    if (search) {
-      const searchRegex = { $regex: search, $options: 'i' };
-      query.$or = [
-        { notes: searchRegex },
-        { internalNotes: searchRegex },
-        { cancelReason: searchRegex }
-      ];
+    if (filters.search) {
+      const searchRegex = { $regex: this.escapeRegex(filters.search), $options: "i" };
+      query.$or = [{ notes: searchRegex }, { internalNotes: searchRegex }, { cancelReason: searchRegex }];
     }
 
     const appointments = await Appointment.find(query)
       .populate("customerId", "name email phone")
-      .populate("staffId", "name email specialties")
-      .populate("serviceIds", "name duration price")
-      .populate("createdBy", "name")
-      .populate("updatedBy", "name")
+      .populate("staffId", "name email role")
+      .populate("serviceIds", "name durationMins price")
       .sort({ scheduledAt: 1 })
       .skip((page - 1) * limit)
       .limit(limit);
@@ -42,26 +123,27 @@ class AppointmentService {
     return {
       appointments,
       meta: {
-        page: parseInt(page),
-        limit: parseInt(limit),
+        page,
+        limit,
         totalPages: Math.ceil(total / limit),
         total,
         hasNextPage: page * limit < total,
-        hasPrevPage: page > 1
+        hasPrevPage: page > 1,
       },
     };
   }
 
-  async getAppointmentById(appointmentId, salonId) {
-    return await Appointment.findOne({ _id: appointmentId, tenantId: salonId })
+  async getAppointmentById(appointmentId) {
+    const appointment = await Appointment.findOne({ _id: appointmentId })
       .populate("customerId")
       .populate("staffId")
       .populate("serviceIds");
+    if (!appointment) throw notFound();
+    return appointment;
   }
 
-  async getAppointmentsByDateRange(salonId, startDate, endDate) {
+  async getAppointmentsByDateRange(startDate, endDate) {
     return await Appointment.find({
-      tenantId: salonId,
       scheduledAt: { $gte: startDate, $lte: endDate },
     })
       .populate("customerId")
@@ -70,220 +152,1604 @@ class AppointmentService {
       .sort({ scheduledAt: 1 });
   }
 
-  async getTodaysAppointments(salonId) {
-    const today = new Date();
-    const start = new Date(today.setHours(0, 0, 0, 0));
-    const end = new Date(today.setHours(23, 59, 59, 999));
-    return this.getAppointmentsByDateRange(salonId, start, end);
+  // Today in the salon's timezone
+  async getTodaysAppointments() {
+    const { start, end } = schedule.getDayRange(new Date(), await this.getTimezone());
+    return this.getAppointmentsByDateRange(start, new Date(end.getTime() - 1));
   }
 
   // ==============================
   // APPOINTMENT CREATION
   // ==============================
-  
-  async createAppointment(data) {
-    // Check staff availability
-    const available = await this.checkStaffAvailability(
-      data.staffId,
-      data.scheduledAt,
-      data.duration || 60
-    );
-    if (!available) throw new Error("Staff not available at this time.");
 
-    // Create appointment
+  /**
+   * Book an appointment in the current salon
+   * @param {object} actor - req.user of the user or API key making the booking
+   * @param {object} data - { customerId, staffId, services: [{ serviceId, staffId, resourceIds }], scheduledAt, notes, internalNotes, status }
+   * serviceIds is accepted instead of services, duration only applies when no services are booked.
+   * When the salon requires a deposit the appointment is held as pending_payment until it is paid,
+   * salon admins can skip that with data.waiveDeposit.
+   * With data.recurrence a whole series is booked instead, see createSeries
+   */
+  async createAppointment(actor, data) {
+    if (data.recurrence) return this.createSeries(actor, data);
+
+    const appointment = await this.buildAppointment(actor, data);
+    await this.saveBooking(appointment);
+    await this.scheduleReminders([appointment]);
+    this.sendNotification(appointment, "Appointment booked");
+    return appointment;
+  }
+
+  // Validates a booking request and returns the unsaved appointment, held as pending_payment
+  // when the salon requires a deposit (saveBookings then asks for it)
+  async buildAppointment(actor, data) {
+    if (!data.customerId) throw new AppError("customerId is required", 400, "VALIDATION_ERROR");
+    if (!data.scheduledAt) throw new AppError("scheduledAt is required", 400, "VALIDATION_ERROR");
+
+    const initialStatus = data.status || "pending";
+    if (!["pending", "confirmed"].includes(initialStatus)) {
+      throw new AppError("New appointments start as pending or confirmed", 400, "INVALID_STATUS");
+    }
+
+    await this.assertCustomerExists(data.customerId);
+    if (data.staffId) await this.assertStaffExist([data.staffId]);
+    const services = await this.buildServiceLines(this.getRequestedServices(data), data.staffId);
+
     const appointment = new Appointment({
-      ...data,
-      status: "booked",
+      customerId: data.customerId,
+      staffId: data.staffId,
+      services,
+      scheduledAt: this.parseDate(data.scheduledAt, "scheduledAt"),
+      duration: services.length > 0 ? undefined : this.parseDuration(data.duration),
+      notes: data.notes,
+      internalNotes: data.internalNotes,
+      status: initialStatus,
+      statusHistory: [{ ...describeActor(actor), to: initialStatus, at: new Date() }],
+      source: this.getSource(actor),
+      createdBy: actor.id,
+      updatedBy: actor.id,
     });
+    appointment.layoutServices();
 
-    await appointment.save();
-    this.sendNotification(appointment, "Appointment confirmed!");
+    // The total is only known once the services are laid out
+    const salon = await Salon.findById(tenantContext.getTenantId());
+    const depositAmount = this.getDepositAmount(actor, salon, appointment, data.waiveDeposit);
+    if (depositAmount > 0) this.holdForDeposit(appointment, salon, depositAmount);
     return appointment;
   }
 
-  async updateAppointment(appointmentId, updateData, salonId) {
-    if (updateData.scheduledAt && updateData.staffId) {
-      const available = await this.checkStaffAvailability(
-        updateData.staffId,
-        updateData.scheduledAt,
-        updateData.duration || 60,
-        appointmentId
+  /**
+   * Change the details of an appointment, the status is left untouched
+   * @param {object} actor - req.user
+   * @param {string} appointmentId
+   * @param {object} updateData - Any of EDITABLE_FIELDS, services replaces the booked services
+   * and takes fresh price snapshots, other changes keep the existing snapshots
+   * @param {string} scope - "this", or "following" / "series" for an occurrence of a series,
+   * a new scheduledAt then moves every occurrence in scope by the same amount of wall clock time
+   * in the salon's timezone, so they keep their time of day across DST changes
+   * @returns {Promise<Appointment|{ seriesId, appointments: Appointment[] }>}
+   */
+  async updateAppointment(actor, appointmentId, updateData, scope = "this") {
+    const appointment = await Appointment.findOne({ _id: appointmentId });
+    if (!appointment) throw notFound();
+    if (appointment.isFinal) {
+      throw new AppError(
+        `A ${appointment.status} appointment can no longer be changed`,
+        409,
+        "APPOINTMENT_CLOSED"
       );
-      if (!available) throw new Error("Staff not available at this time.");
     }
-    const appointment = await Appointment.findOneAndUpdate(
-      { _id: appointmentId, tenantId: salonId },
-      updateData,
-      { new: true }
+    const targets = await this.getScopeTargets(appointment, scope);
+
+    const changes = this.pick(updateData, EDITABLE_FIELDS);
+    if (changes.customerId) await this.assertCustomerExists(changes.customerId);
+    if (changes.staffId) await this.assertStaffExist([changes.staffId]);
+    if (changes.scheduledAt) changes.scheduledAt = this.parseDate(changes.scheduledAt, "scheduledAt");
+    if (changes.duration !== undefined) changes.duration = this.parseDuration(changes.duration);
+
+    // Lines without their own staff member get the appointment's one in layoutServices
+    const serviceLines =
+      changes.services !== undefined || changes.serviceIds !== undefined
+        ? await this.buildServiceLines(this.getRequestedServices(changes), changes.staffId)
+        : null;
+    const timezone = changes.scheduledAt ? await this.getTimezone() : null;
+    const shift = changes.scheduledAt
+      ? {
+          minutes: schedule.diffWallClock(appointment.scheduledAt, changes.scheduledAt, timezone),
+          timezone,
+        }
+      : null;
+    const rescheduled = ["staffId", "scheduledAt", "services", "serviceIds", "duration"].some(
+      (field) => changes[field] !== undefined
     );
-    this.sendNotification(appointment, "Appointment updated!");
+    const previousIntervals = rescheduled
+      ? targets.flatMap((target) => target.getStaffIntervals())
+      : [];
+
+    targets.forEach((target) => {
+      this.applyChanges(target, changes, serviceLines, shift);
+      target.updatedBy = actor.id;
+    });
+
+    if (rescheduled) {
+      await this.saveBookings(targets);
+      await this.releaseSlots(previousIntervals);
+      if (changes.scheduledAt) await this.scheduleReminders(targets);
+    } else {
+      for (const target of targets) await target.save();
+    }
+
+    if (scope !== "this") {
+      await this.updateSeriesTemplate(appointment.seriesId, changes, serviceLines);
+      this.sendNotification(appointment, `Series updated (${targets.length} appointments)`);
+      return { seriesId: appointment.seriesId, appointments: targets };
+    }
+
+    this.sendNotification(appointment, "Appointment updated");
     return appointment;
   }
 
-  async updateAppointmentStatus(appointmentId, status, salonId) {
-    const appointment = await Appointment.findOneAndUpdate(
-      { _id: appointmentId, tenantId: salonId },
-      { status },
-      { new: true }
+  // Applies validated changes to one appointment, shift ({ minutes, timezone }) moves it in time
+  applyChanges(appointment, changes, serviceLines, shift = null) {
+    const previousStaffId = appointment.staffId;
+    appointment.set(this.pick(changes, ["customerId", "staffId", "notes", "internalNotes"]));
+    if (shift && shift.minutes) {
+      appointment.scheduledAt = schedule.addWallClock(
+        appointment.scheduledAt,
+        shift.minutes,
+        "minute",
+        shift.timezone
+      );
+    }
+
+    if (serviceLines) {
+      appointment.services = serviceLines.map((line) => ({ ...line }));
+      if (appointment.services.length === 0) appointment.serviceIds = [];
+    } else if (changes.staffId) {
+      // Services the previous main staff member was doing move over with them
+      appointment.services.forEach((line) => {
+        if (String(line.staffId) === String(previousStaffId)) line.staffId = changes.staffId;
+      });
+    }
+
+    if (changes.duration !== undefined) {
+      if (appointment.services.length > 0) {
+        throw new AppError(
+          "The duration of an appointment with services comes from its services",
+          400,
+          "VALIDATION_ERROR"
+        );
+      }
+      appointment.duration = changes.duration;
+    }
+
+    return appointment.layoutServices();
+  }
+
+  async rescheduleAppointment(actor, appointmentId, newScheduledAt, newStaffId) {
+    return this.updateAppointment(actor, appointmentId, {
+      scheduledAt: newScheduledAt,
+      staffId: newStaffId,
+    });
+  }
+
+  // Only bookings that never went ahead may be removed, everything else keeps its history
+  async deleteAppointment(appointmentId) {
+    const appointment = await Appointment.findOne({ _id: appointmentId });
+    if (!appointment) throw notFound();
+    if (!["pending", "cancelled"].includes(appointment.status)) {
+      throw new AppError(
+        "Only pending or cancelled appointments can be deleted",
+        409,
+        "APPOINTMENT_NOT_DELETABLE",
+        { status: appointment.status }
+      );
+    }
+    // The record of money taken stays, cancel the appointment to refund it
+    if (appointment.deposit && appointment.deposit.status === "paid") {
+      throw new AppError(
+        "Appointments with a paid deposit cannot be deleted, cancel them instead",
+        409,
+        "APPOINTMENT_NOT_DELETABLE",
+        { status: appointment.status, depositStatus: appointment.deposit.status }
+      );
+    }
+
+    await Appointment.deleteOne({ _id: appointment._id });
+    await this.scheduleReminders([appointment], { cancel: true });
+    // A cancelled appointment offered its time when it was cancelled
+    if (appointment.status !== "cancelled") {
+      await this.releaseSlots(appointment.getStaffIntervals());
+    }
+    return appointment;
+  }
+
+  // ==============================
+  // STATUS LIFECYCLE
+  // ==============================
+
+  /**
+   * Move an appointment to its next status
+   * @param {object} actor - req.user, null for system changes
+   * @param {string} appointmentId
+   * @param {string} status - One of Appointment.STATUSES
+   * @param {string} reason - Optional, stored in the history (and as cancelReason)
+   * @param {string} scope - "this", or "following" / "series" to cancel several occurrences of a series
+   * @param {object} feeOverride - Salon admins only, { waive, amount, reason } for the fee owed
+   */
+  async updateAppointmentStatus(
+    actor,
+    appointmentId,
+    status,
+    reason,
+    scope = "this",
+    feeOverride = {}
+  ) {
+    if (!feeOverride || typeof feeOverride !== "object" || Array.isArray(feeOverride)) {
+      throw new AppError("fee must be an object", 400, "VALIDATION_ERROR");
+    }
+    const appointment = await Appointment.findOne({ _id: appointmentId });
+    if (!appointment) throw notFound();
+    if (scope !== "this") {
+      return this.cancelSeriesOccurrences(actor, appointment, status, reason, scope, feeOverride);
+    }
+
+    return this.applyStatusChange(actor, appointment, status, { reason, feeOverride });
+  }
+
+  /**
+   * Write a status change and run what follows from it: fees, deposits, freed slots, reminders
+   * @param {object} options - { reason, feeOverride, releasingDeposit }, releasingDeposit lets a
+   * booking held for its deposit through, only once the deposit was paid or waived
+   */
+  async applyStatusChange(actor, appointment, status, options = {}) {
+    const { reason, feeOverride = {}, releasingDeposit = false } = options;
+    const previous = appointment.status;
+    appointment.transitionTo(status, { ...describeActor(actor), reason }, { releasingDeposit });
+    if (actor && actor.id) appointment.updatedBy = actor.id;
+    // Nothing was paid for a booking still waiting on its deposit, so no fee either
+    if (FEE_KINDS[status] && previous !== "pending_payment") {
+      appointment.cancellationFee = await this.assessCancellationFee(
+        actor,
+        appointment,
+        status,
+        feeOverride
+      );
+    }
+
+    // Guard against a concurrent change, only write if the status is still the one we checked
+    const result = await Appointment.updateOne(
+      { _id: appointment._id, status: previous },
+      {
+        $set: {
+          status: appointment.status,
+          cancelledAt: appointment.cancelledAt,
+          cancelReason: appointment.cancelReason,
+          cancellationFee: appointment.cancellationFee,
+          updatedBy: appointment.updatedBy,
+        },
+        $push: { statusHistory: appointment.statusHistory[appointment.statusHistory.length - 1].toObject() },
+      }
     );
+    if (result.modifiedCount === 0) {
+      throw new AppError(
+        "Appointment was changed by someone else, please reload",
+        409,
+        "APPOINTMENT_CONFLICT"
+      );
+    }
+
     this.sendNotification(appointment, `Status updated to ${status}`);
+    if (appointment.cancellationFee && appointment.cancellationFee.status === "pending") {
+      await this.chargeCancellationFee(appointment);
+    }
+    if (appointment.deposit && (previous === "pending_payment" || FEE_KINDS[status])) {
+      await this.settleDeposit(appointment);
+    }
+    if (status === "cancelled") await this.releaseSlots(appointment.getStaffIntervals());
+    // Queued once a deposit is paid, removed once the appointment is closed
+    await this.scheduleReminders([appointment]);
     return appointment;
   }
 
-  async cancelAppointment(appointmentId, reason, salonId) {
+  cancelAppointment(actor, appointmentId, reason) {
+    return this.updateAppointmentStatus(actor, appointmentId, "cancelled", reason);
+  }
+
+  handleNoShow(actor, appointmentId) {
+    return this.updateAppointmentStatus(actor, appointmentId, "no_show");
+  }
+
+  // ==============================
+  // CANCELLATION FEES
+  // ==============================
+
+  /**
+   * Work out the fee owed for cancelling or not showing up, with an admin's override applied
+   * @returns {Promise<object|null>} The cancellationFee to store, null when nothing is owed
+   */
+  async assessCancellationFee(actor, appointment, status, override = {}, at = new Date()) {
+    const overriding = Boolean(override.waive) || override.amount !== undefined;
+    if (overriding && (!actor || actor.role !== "salon_admin")) {
+      throw new AppError("Only salon admins can change or waive fees", 403, "FEE_OVERRIDE_DENIED");
+    }
+
+    const kind = FEE_KINDS[status];
+    const salon = await Salon.findById(appointment.tenantId);
+    const policyAmount = calculatePolicyFee(
+      salon && salon.settings.cancellationPolicy,
+      appointment,
+      kind,
+      at
+    );
+
+    let amount = policyAmount;
+    if (override.amount !== undefined) {
+      amount = Number(override.amount);
+      if (!Number.isFinite(amount) || amount < 0) {
+        throw new AppError("Fee amount must be zero or more", 400, "INVALID_FEE_AMOUNT");
+      }
+    }
+    if (amount === 0) return null;
+
+    const fee = { kind, amount, policyAmount, status: "pending" };
+    if (override.amount !== undefined) fee.overriddenBy = actor.id;
+    if (override.waive) {
+      Object.assign(fee, {
+        status: "waived",
+        waivedBy: actor.id,
+        waivedAt: at,
+        waiverReason: override.reason,
+      });
+    }
+    return fee;
+  }
+
+  // The status change already happened, a fee that fails to bill is marked failed and retried by
+  // the fee worker, or by the salon through retryCancellationFee
+  async chargeCancellationFee(appointment) {
+    const fee = appointment.cancellationFee;
+    try {
+      const { invoice, depositAmount, walletAmount } =
+        await billingService.chargeAppointmentFee(appointment);
+      Object.assign(fee, {
+        status: "charged",
+        invoiceId: invoice._id,
+        // A retry adds to what the failed attempts already collected
+        depositAmount: (fee.depositAmount || 0) + depositAmount,
+        walletAmount: (fee.walletAmount || 0) + walletAmount,
+        chargedAt: new Date(),
+        lastError: undefined,
+      });
+      await Appointment.updateOne(
+        { _id: appointment._id },
+        { $set: { cancellationFee: fee.toObject() } }
+      );
+    } catch (error) {
+      logger.error(`Cancellation fee for appointment ${appointment._id} failed: ${error.message}`);
+      Object.assign(fee, {
+        status: "failed",
+        failedAttempts: (fee.failedAttempts || 0) + 1,
+        lastError: error.message,
+        failedAt: new Date(),
+      });
+      await Appointment.updateOne(
+        { _id: appointment._id, "cancellationFee.status": "pending" },
+        {
+          $set: {
+            "cancellationFee.status": "failed",
+            "cancellationFee.lastError": fee.lastError,
+            "cancellationFee.failedAt": fee.failedAt,
+          },
+          $inc: { "cancellationFee.failedAttempts": 1 },
+        }
+      ).catch((updateError) =>
+        logger.error(
+          `Failed fee of appointment ${appointment._id} was not recorded: ${updateError.message}`
+        )
+      );
+    }
+  }
+
+  /**
+   * Bill a fee whose billing failed once more
+   * @param {string} appointmentId
+   * @returns {Promise<Appointment>} - With the fee charged, or failed again
+   */
+  async retryCancellationFee(appointmentId) {
+    // Claim the retry so the salon and the fee worker cannot bill the fee twice
     const appointment = await Appointment.findOneAndUpdate(
-      { _id: appointmentId, tenantId: salonId },
-      { status: "cancelled", cancelReason: reason },
+      { _id: appointmentId, "cancellationFee.status": "failed" },
+      { $set: { "cancellationFee.status": "pending" } },
       { new: true }
     );
-    this.sendNotification(appointment, `Appointment cancelled: ${reason}`);
+    if (!appointment) {
+      const current = await Appointment.findOne({ _id: appointmentId });
+      if (!current) throw notFound();
+      if (!current.cancellationFee) {
+        throw new AppError("Appointment has no fee", 404, "FEE_NOT_FOUND");
+      }
+      throw new AppError("Only a fee that failed to bill can be retried", 409, "FEE_NOT_FAILED", {
+        status: current.cancellationFee.status,
+      });
+    }
+
+    await this.chargeCancellationFee(appointment);
     return appointment;
   }
 
-  async deleteAppointment(appointmentId, salonId) {
-    return await Appointment.findOneAndDelete({ _id: appointmentId, tenantId: salonId });
-  }
+  /**
+   * Waive a late cancellation or no-show fee after the fact, anything already paid goes back
+   * to the customer's wallet
+   */
+  async waiveCancellationFee(actor, appointmentId, reason) {
+    const appointment = await Appointment.findOne({ _id: appointmentId });
+    if (!appointment) throw notFound();
+    if (!appointment.cancellationFee) {
+      throw new AppError("Appointment has no fee", 404, "FEE_NOT_FOUND");
+    }
 
-  async handleNoShow(appointmentId, salonId) {
-    const appointment = await Appointment.findOneAndUpdate(
-      { _id: appointmentId, tenantId: salonId },
-      { status: "no-show" },
+    const waiver = { waivedBy: actor && actor.id, waivedAt: new Date(), waiverReason: reason };
+    // Claim the waiver first so two admins cannot refund the same fee twice
+    const claimed = await Appointment.findOneAndUpdate(
+      { _id: appointment._id, "cancellationFee.status": { $ne: "waived" } },
+      {
+        $set: {
+          "cancellationFee.status": "waived",
+          "cancellationFee.waivedBy": waiver.waivedBy,
+          "cancellationFee.waivedAt": waiver.waivedAt,
+          "cancellationFee.waiverReason": waiver.waiverReason,
+        },
+      },
       { new: true }
     );
-    this.sendNotification(appointment, "Customer no-show");
+    if (!claimed) throw new AppError("Fee is already waived", 409, "FEE_ALREADY_WAIVED");
+
+    const refundedAmount = await billingService.waiveAppointmentFee(claimed, reason);
+    if (refundedAmount > 0) {
+      claimed.cancellationFee.refundedAmount = refundedAmount;
+      await Appointment.updateOne(
+        { _id: claimed._id },
+        { $set: { "cancellationFee.refundedAmount": refundedAmount } }
+      );
+    }
+    return claimed;
+  }
+
+  // ==============================
+  // DEPOSITS
+  // ==============================
+
+  // Deposit the salon asks for on a new booking, never more than the booking costs, 0 for none
+  getDepositAmount(actor, salon, appointment, waiveDeposit = false) {
+    const settings = (salon && salon.settings) || {};
+    if (!settings.requireDeposit || !(settings.depositAmount > 0)) return 0;
+    if (waiveDeposit) {
+      if (!actor || actor.role !== "salon_admin") {
+        throw new AppError("Only salon admins can waive deposits", 403, "DEPOSIT_WAIVER_DENIED");
+      }
+      return 0;
+    }
+    return Math.min(settings.depositAmount, appointment.totalAmount || 0);
+  }
+
+  // Books the appointment as pending_payment, it moves on to the requested status once paid
+  holdForDeposit(appointment, salon, amount) {
+    const statusWhenPaid = appointment.status;
+    appointment.status = "pending_payment";
+    appointment.statusHistory[0].to = "pending_payment";
+    appointment.deposit = {
+      amount,
+      currency: salon.settings.currency,
+      statusWhenPaid,
+      expiresAt: dayjs()
+        .add(salon.settings.depositHoldMinutes || 30, "minute")
+        .toDate(),
+    };
+    return appointment;
+  }
+
+  /**
+   * Ask for the deposits of newly booked appointments held as pending_payment.
+   * When one request fails the others are cancelled too, a series or a booking is
+   * either fully payable or let go
+   */
+  async requestDeposits(appointments) {
+    const held = appointments.filter(
+      (appointment) => appointment.status === "pending_payment" && !appointment.deposit.providerRef
+    );
+    for (const appointment of held) {
+      try {
+        await this.requestDeposit(appointment);
+      } catch (error) {
+        for (const other of held) {
+          if (other === appointment) continue;
+          await this.updateAppointmentStatus(null, other._id, "cancelled", "Deposit request failed");
+        }
+        throw error;
+      }
+    }
+  }
+
+  // Asks the payment provider for the deposit of a booked appointment, cancels it when that fails
+  async requestDeposit(appointment) {
+    const { deposit } = appointment;
+    const customer = await Customer.findOne({ _id: appointment.customerId });
+    const when = schedule.formatInZone(
+      appointment.scheduledAt,
+      "D MMM YYYY, HH:mm",
+      await this.getTimezone()
+    );
+
+    let payment;
+    try {
+      payment = await paymentGateway.createPayment({
+        amount: deposit.amount,
+        currency: deposit.currency,
+        reference: String(appointment._id),
+        description: `Deposit for your appointment on ${when}`,
+        customer: customer
+          ? { name: customer.name, email: customer.email, phone: customer.phone }
+          : {},
+        expiresAt: deposit.expiresAt,
+      });
+    } catch (error) {
+      // A hold nobody can pay would only block the slot until it expires
+      await this.updateAppointmentStatus(
+        null,
+        appointment._id,
+        "cancelled",
+        "Deposit request failed"
+      );
+      throw new AppError(
+        "Payment provider could not take the deposit request",
+        502,
+        "PAYMENT_PROVIDER_ERROR",
+        { reason: error.message }
+      );
+    }
+
+    Object.assign(deposit, {
+      provider: paymentGateway.getProviderName(),
+      providerRef: payment.id,
+      checkoutUrl: payment.checkoutUrl,
+    });
+    await Appointment.updateOne(
+      { _id: appointment._id },
+      {
+        $set: {
+          "deposit.provider": deposit.provider,
+          "deposit.providerRef": deposit.providerRef,
+          "deposit.checkoutUrl": deposit.checkoutUrl,
+        },
+      }
+    );
     return appointment;
   }
 
+  /**
+   * Check with the payment provider that the deposit was paid and let the booking through
+   * @param {object} actor - req.user, null for system changes
+   * @param {string} appointmentId
+   */
+  async confirmDeposit(actor, appointmentId) {
+    const appointment = await Appointment.findOne({ _id: appointmentId });
+    if (!appointment) throw notFound();
+    const { deposit } = appointment;
+    if (!deposit) throw new AppError("Appointment has no deposit", 404, "DEPOSIT_NOT_FOUND");
+    if (["paid", "applied", "refunded"].includes(deposit.status)) return appointment;
+    if (deposit.status !== "pending" || appointment.status !== "pending_payment") {
+      throw new AppError("Deposit can no longer be paid", 409, "DEPOSIT_NOT_PENDING", {
+        status: appointment.status,
+        depositStatus: deposit.status,
+      });
+    }
+
+    let payment;
+    try {
+      payment = await paymentGateway.getPayment(deposit.providerRef);
+    } catch (error) {
+      throw new AppError("Payment provider could not be reached", 502, "PAYMENT_PROVIDER_ERROR", {
+        reason: error.message,
+      });
+    }
+    if (payment.status !== "paid") {
+      throw new AppError("Deposit has not been paid", 402, "DEPOSIT_NOT_PAID", {
+        paymentStatus: payment.status,
+      });
+    }
+    return this.markDepositPaid(actor, appointment);
+  }
+
+  async markDepositPaid(actor, appointment) {
+    // Claim the payment first, so a hold that expires at the same time cannot cancel it unnoticed
+    const claimed = await Appointment.findOneAndUpdate(
+      { _id: appointment._id, status: "pending_payment", "deposit.status": "pending" },
+      { $set: { "deposit.status": "paid", "deposit.paidAt": new Date() } },
+      { new: true }
+    );
+    if (!claimed) {
+      const current = await Appointment.findOne({ _id: appointment._id });
+      if (current.status === "pending_payment" || current.isFinal) {
+        throw new AppError("Deposit can no longer be paid", 409, "DEPOSIT_NOT_PENDING", {
+          status: current.status,
+          depositStatus: current.deposit.status,
+        });
+      }
+      return current;
+    }
+
+    return this.applyStatusChange(actor, claimed, claimed.deposit.statusWhenPaid || "pending", {
+      reason: "Deposit paid",
+      releasingDeposit: true,
+    });
+  }
+
+  /**
+   * Let a booking held for its deposit through without the deposit, salon admins only.
+   * The payment request is withdrawn, a deposit paid in the meantime is kept as paid
+   * @param {object} actor - req.user
+   * @param {string} appointmentId
+   * @param {string} reason - Optional, stored in the history
+   */
+  async waiveDepositHold(actor, appointmentId, reason) {
+    if (!actor || actor.role !== "salon_admin") {
+      throw new AppError("Only salon admins can waive deposits", 403, "DEPOSIT_WAIVER_DENIED");
+    }
+    const appointment = await Appointment.findOne({ _id: appointmentId });
+    if (!appointment) throw notFound();
+    const notPending = (current) =>
+      new AppError("Deposit can no longer be waived", 409, "DEPOSIT_NOT_PENDING", {
+        status: current.status,
+        depositStatus: current.deposit && current.deposit.status,
+      });
+    if (
+      !appointment.deposit ||
+      appointment.status !== "pending_payment" ||
+      appointment.deposit.status !== "pending"
+    ) {
+      throw notPending(appointment);
+    }
+
+    const { providerRef } = appointment.deposit;
+    let payment = null;
+    try {
+      payment = providerRef ? await paymentGateway.cancelPayment(providerRef) : null;
+    } catch (error) {
+      throw new AppError("Payment provider could not be reached", 502, "PAYMENT_PROVIDER_ERROR", {
+        reason: error.message,
+      });
+    }
+    if (payment && payment.status === "paid") return this.markDepositPaid(actor, appointment);
+
+    const claimed = await Appointment.findOneAndUpdate(
+      { _id: appointment._id, status: "pending_payment", "deposit.status": "pending" },
+      {
+        $set: {
+          "deposit.status": "waived",
+          "deposit.waivedBy": actor.id,
+          "deposit.waivedAt": new Date(),
+        },
+      },
+      { new: true }
+    );
+    if (!claimed) throw notPending(await Appointment.findOne({ _id: appointment._id }));
+
+    return this.applyStatusChange(actor, claimed, claimed.deposit.statusWhenPaid || "pending", {
+      reason: reason || "Deposit waived",
+      releasingDeposit: true,
+    });
+  }
+
+  // Cancels a hold whose deposit was not paid in time, run by the deposit worker
+  async expireDepositHold(appointmentId) {
+    const appointment = await Appointment.findOne({ _id: appointmentId });
+    if (!appointment || appointment.status !== "pending_payment") return appointment;
+
+    // Paid at the last minute, the booking goes through
+    const { providerRef } = appointment.deposit;
+    const payment = providerRef ? await paymentGateway.getPayment(providerRef) : null;
+    if (payment && payment.status === "paid") return this.markDepositPaid(null, appointment);
+
+    return this.updateAppointmentStatus(
+      null,
+      appointment._id,
+      "cancelled",
+      "Deposit was not paid in time"
+    );
+  }
+
+  /**
+   * After a status change away from pending_payment or to cancelled / no_show: withdraws an unpaid
+   * deposit request and refunds what a cancellation fee left of a paid deposit
+   */
+  async settleDeposit(appointment) {
+    try {
+      const current = await Appointment.findOne({ _id: appointment._id });
+      const { deposit } = current;
+
+      if (deposit.status === "pending") {
+        const payment = deposit.providerRef
+          ? await paymentGateway.cancelPayment(deposit.providerRef)
+          : null;
+        // Paid just before the request was withdrawn, handled like any paid deposit below
+        const paid = Boolean(payment && payment.status === "paid");
+        await Appointment.updateOne(
+          { _id: current._id, "deposit.status": "pending" },
+          {
+            $set: paid
+              ? { "deposit.status": "paid", "deposit.paidAt": new Date() }
+              : { "deposit.status": "cancelled" },
+          }
+        );
+        if (!paid) return;
+      }
+
+      if (FEE_KINDS[current.status]) await billingService.refundDeposit(current);
+    } catch (error) {
+      logger.error(`Deposit of appointment ${appointment._id} was not settled: ${error.message}`);
+    }
+  }
+
+  // ==============================
+  // RECURRING SERIES
+  // ==============================
+
+  /**
+   * Book every occurrence of a recurring appointment
+   * @param {object} actor - req.user
+   * @param {object} data - createAppointment data plus recurrence: { frequency, interval, count | until },
+   * skipConflicts books the free occurrences instead of failing when some clash.
+   * When the salon requires a deposit every occurrence is held for its own deposit
+   * @returns {Promise<{ series: AppointmentSeries, appointments: Appointment[], conflicts: object[] }>}
+   */
+  async createSeries(actor, data) {
+    const first = await this.buildAppointment(actor, data);
+    const recurrence = this.parseRecurrence(data.recurrence, first.scheduledAt);
+
+    const series = new AppointmentSeries({
+      ...recurrence,
+      customerId: first.customerId,
+      staffId: first.staffId,
+      services: this.getRequestedServices(data).map(({ serviceId, staffId }) => ({ serviceId, staffId })),
+      duration: first.services.length > 0 ? undefined : first.duration,
+      startAt: first.scheduledAt,
+      notes: data.notes,
+      internalNotes: data.internalNotes,
+      createdBy: actor.id,
+    });
+
+    const { _id, ...template } = first.toObject();
+    const timezone = await this.getTimezone();
+    const occurrences = this.getOccurrenceDates(series, timezone).map((scheduledAt, index) =>
+      new Appointment({
+        ...template,
+        services: template.services.map(({ _id: lineId, ...line }) => line),
+        scheduledAt,
+        seriesId: series._id,
+        occurrenceIndex: index,
+      }).layoutServices()
+    );
+
+    await series.save();
+    let result;
+    try {
+      result = await this.saveBookings(occurrences, { skipConflicts: Boolean(data.skipConflicts) });
+    } catch (error) {
+      await AppointmentSeries.deleteOne({ _id: series._id });
+      throw error;
+    }
+
+    await this.scheduleReminders(result.saved);
+    this.sendNotification(result.saved[0], `Series booked (${result.saved.length} appointments)`);
+    return { series, appointments: result.saved, conflicts: result.conflicts };
+  }
+
+  async getSeries(seriesId) {
+    const series = await AppointmentSeries.findOne({ _id: seriesId });
+    if (!series) throw new AppError("Appointment series not found", 404, "SERIES_NOT_FOUND");
+
+    const appointments = await Appointment.find({ seriesId: series._id })
+      .populate("staffId", "name")
+      .sort({ scheduledAt: 1 });
+    return { series, appointments };
+  }
+
+  // Validates { frequency, interval, count | until } against the first occurrence
+  parseRecurrence(recurrence, startAt) {
+    const frequency = recurrence.frequency || "weekly";
+    if (!RECURRENCE_UNITS[frequency]) {
+      throw new AppError("Invalid recurrence frequency", 400, "VALIDATION_ERROR", {
+        allowed: Object.keys(RECURRENCE_UNITS),
+      });
+    }
+
+    const interval = Number(recurrence.interval || 1);
+    if (!Number.isInteger(interval) || interval < 1 || interval > 52) {
+      throw new AppError("interval must be between 1 and 52", 400, "VALIDATION_ERROR");
+    }
+
+    const hasCount = recurrence.count !== undefined && recurrence.count !== null;
+    const hasUntil = Boolean(recurrence.until);
+    if (hasCount === hasUntil) {
+      throw new AppError("A recurrence needs either count or until", 400, "VALIDATION_ERROR");
+    }
+
+    const max = AppointmentSeries.MAX_OCCURRENCES;
+    if (hasCount) {
+      const count = Number(recurrence.count);
+      if (!Number.isInteger(count) || count < 2 || count > max) {
+        throw new AppError(`count must be between 2 and ${max}`, 400, "VALIDATION_ERROR");
+      }
+      return { frequency, interval, count };
+    }
+
+    const until = this.parseDate(recurrence.until, "until");
+    if (until <= startAt) {
+      throw new AppError("until must be after the first appointment", 400, "VALIDATION_ERROR");
+    }
+    const lastAllowed = dayjs(startAt).add((max - 1) * interval, RECURRENCE_UNITS[frequency]);
+    if (until > lastAllowed.toDate()) {
+      throw new AppError(`A series can have at most ${max} appointments`, 400, "TOO_MANY_OCCURRENCES");
+    }
+    return { frequency, interval, until };
+  }
+
+  // Counted from the start every time, so monthly series on the 31st do not drift.
+  // Steps are taken on the salon's wall clock, so occurrences keep their time across DST changes
+  getOccurrenceDates(series, timezone) {
+    const unit = RECURRENCE_UNITS[series.frequency];
+    const dates = [];
+    for (let index = 0; index < AppointmentSeries.MAX_OCCURRENCES; index++) {
+      if (series.count && index >= series.count) break;
+      const date = schedule.addWallClock(series.startAt, index * series.interval, unit, timezone);
+      if (series.until && date > series.until) break;
+      dates.push(date);
+    }
+    return dates;
+  }
+
+  // Appointments an edit or cancellation with the given scope applies to
+  async getScopeTargets(appointment, scope) {
+    if (scope === "this") return [appointment];
+    if (!SERIES_SCOPES.includes(scope)) {
+      throw new AppError("Invalid scope", 400, "INVALID_SERIES_SCOPE", {
+        allowed: ["this", ...SERIES_SCOPES],
+      });
+    }
+    if (!appointment.seriesId) {
+      throw new AppError("Appointment is not part of a series", 400, "NOT_IN_SERIES");
+    }
+
+    const query = { seriesId: appointment.seriesId, status: { $in: Appointment.ACTIVE_STATUSES } };
+    if (scope === "following") query.scheduledAt = { $gte: appointment.scheduledAt };
+
+    // Keep the already loaded copy of the chosen occurrence
+    const targets = await Appointment.find(query).sort({ scheduledAt: 1 });
+    return targets.map((target) =>
+      String(target._id) === String(appointment._id) ? appointment : target
+    );
+  }
+
+  // Later occurrences are not generated again, this only keeps the series record in line
+  async updateSeriesTemplate(seriesId, changes, serviceLines) {
+    const series = await AppointmentSeries.findOne({ _id: seriesId });
+    if (!series) return;
+
+    series.set(this.pick(changes, ["customerId", "staffId", "duration", "notes", "internalNotes"]));
+    if (serviceLines) {
+      series.services = serviceLines.map(({ serviceId, staffId }) => ({ serviceId, staffId }));
+    }
+    await series.save();
+  }
+
+  async cancelSeriesOccurrences(actor, appointment, status, reason, scope, feeOverride = {}) {
+    if (status !== "cancelled") {
+      throw new AppError(
+        "Only cancellation can be applied to several appointments",
+        400,
+        "INVALID_SERIES_SCOPE"
+      );
+    }
+
+    const targets = await this.getScopeTargets(appointment, scope);
+    const cancelled = [];
+    for (const target of targets.filter((candidate) => candidate.canTransitionTo("cancelled"))) {
+      cancelled.push(
+        await this.updateAppointmentStatus(
+          actor,
+          target._id,
+          "cancelled",
+          reason,
+          "this",
+          feeOverride
+        )
+      );
+    }
+
+    // Cancelling "this and following" ends the series just before this occurrence
+    const seriesChanges =
+      scope === "series"
+        ? { status: "cancelled", cancelledAt: new Date() }
+        : { until: new Date(appointment.scheduledAt.getTime() - 1) };
+    await AppointmentSeries.updateOne({ _id: appointment.seriesId }, { $set: seriesChanges });
+
+    return { seriesId: appointment.seriesId, appointments: cancelled };
+  }
+
   // ==============================
   // STAFF AVAILABILITY
   // ==============================
-  
-  async checkStaffAvailability(staffId, scheduledAt, duration = 60, excludeAppointmentId = null) {
+
+  // excludeAppointmentIds takes one id or a list, e.g. the appointments being moved
+  async checkStaffAvailability(staffId, scheduledAt, duration = DEFAULT_DURATION_MINS, excludeAppointmentIds = null) {
     const start = new Date(scheduledAt);
-    const end = addMinutes(start, duration);
+    const end = dayjs(start).add(duration, "minute").toDate();
 
-    const overlapping = await Appointment.findOne({
-      staffId,
-      _id: { $ne: excludeAppointmentId },
-      scheduledAt: { $lt: end, $gte: start },
-      status: { $in: ["booked", "in-progress"] },
-    });
+    const query = Appointment.staffBusyFilter(staffId, start, end);
+    if (excludeAppointmentIds) query._id = { $nin: [].concat(excludeAppointmentIds) };
 
+    const overlapping = await Appointment.findOne(query);
     return !overlapping;
   }
 
-  async getAvailableTimeSlots(salonId, date, serviceDuration = 60, staffId = null) {
-    const staffQuery = { tenantId: salonId };
-    if (staffId) staffQuery._id = staffId;
+  // Same as checkStaffAvailability for a room or piece of equipment
+  async checkResourceAvailability(resourceId, start, end, excludeAppointmentIds = null) {
+    const query = Appointment.resourceBusyFilter(resourceId, start, end);
+    if (excludeAppointmentIds) query._id = { $nin: [].concat(excludeAppointmentIds) };
+
+    const overlapping = await Appointment.findOne(query);
+    return !overlapping;
+  }
+
+  // Checks and saves under the staff and resource locks, so two requests cannot both pass the check
+  async saveBooking(appointment, options = {}) {
+    await this.saveBookings([appointment], options);
+    return appointment;
+  }
+
+  /**
+   * Check and save several appointments under one set of locks
+   * @param {Appointment[]} appointments - Unsaved or changed appointments, never checked against each other
+   * @param {object} options - { skipConflicts } saves the free ones instead of failing on a conflict,
+   * { offerId } books the time held by that waitlist offer
+   * @returns {Promise<{ saved: Appointment[], conflicts: object[] }>}
+   */
+  async saveBookings(appointments, { skipConflicts = false, offerId = null } = {}) {
+    const requirements = await this.loadResourceRequirements(
+      appointments.flatMap((appointment) => appointment.services.map((line) => line.serviceId))
+    );
+    // Every resource that could be picked is locked, the choice is only made under the locks
+    const keys = this.getScheduleLockKeys(
+      appointments
+        .flatMap((appointment) => appointment.getStaffIntervals())
+        .map((interval) => interval.staffId),
+      requirements
+    );
+    const ids = appointments.map((appointment) => appointment._id);
+    const created = appointments.filter((appointment) => appointment.isNew);
+
+    const result = await scheduleLock.withLocks(
+      keys,
+      async () => {
+        const saved = [];
+        const conflicts = [];
+        for (const appointment of appointments) {
+          try {
+            await this.assertAppointmentAvailable(appointment, ids, offerId);
+            await this.assignResources(appointment, requirements, ids);
+            saved.push(appointment);
+          } catch (error) {
+            const unavailable = ["STAFF_UNAVAILABLE", "RESOURCE_UNAVAILABLE"].includes(error.code);
+            if (!unavailable || appointments.length === 1) throw error;
+            conflicts.push({
+              appointmentId: appointment.isNew ? undefined : appointment._id,
+              occurrenceIndex: appointment.occurrenceIndex,
+              scheduledAt: appointment.scheduledAt,
+              ...error.details,
+            });
+          }
+        }
+
+        if (conflicts.length > 0 && (!skipConflicts || saved.length === 0)) {
+          throw new AppError(
+            "Some appointments clash with existing bookings",
+            409,
+            "SERIES_CONFLICTS",
+            { conflicts }
+          );
+        }
+        for (const appointment of saved) await appointment.save();
+        return { saved, conflicts };
+      },
+      { ttlMs: 60 * 1000 }
+    );
+
+    // Deposits are asked for once the slots are booked, outside the locks
+    await this.requestDeposits(result.saved.filter((appointment) => created.includes(appointment)));
+    return result;
+  }
+
+  /**
+   * Schedule locks of the given staff members and of every resource the requirements could use.
+   * Whatever books or offers their time takes these, see saveBookings
+   * @param {Array} staffIds
+   * @param {Map} requirements - From loadResourceRequirements
+   * @returns {string[]}
+   */
+  getScheduleLockKeys(staffIds, requirements = new Map()) {
+    return [
+      ...staffIds.map((staffId) => scheduleLock.staffLockKey(staffId)),
+      ...[...requirements.values()]
+        .flat()
+        .flat()
+        .map((resourceId) => scheduleLock.resourceLockKey(resourceId)),
+    ];
+  }
+
+  // Every staff member on the appointment has to be free while they work on it, time held for a
+  // waitlist offer is only free for the booking of that offer
+  async assertAppointmentAvailable(
+    appointment,
+    excludeAppointmentIds = [appointment._id],
+    offerId = null
+  ) {
+    for (const interval of appointment.getStaffIntervals()) {
+      const minutes = Math.round((interval.end - interval.start) / 60000);
+      const available = await this.checkStaffAvailability(
+        interval.staffId,
+        interval.start,
+        minutes,
+        excludeAppointmentIds
+      );
+      if (!available) {
+        throw new AppError("Staff member is not available at this time", 409, "STAFF_UNAVAILABLE", {
+          staffId: interval.staffId,
+          start: interval.start,
+          end: interval.end,
+        });
+      }
+
+      const offerQuery = WaitlistEntry.heldOfferFilter(
+        interval.staffId,
+        interval.start,
+        interval.end
+      );
+      if (offerId) offerQuery._id = { $ne: offerId };
+      if (await WaitlistEntry.exists(offerQuery)) {
+        throw new AppError("This time is held for a waitlisted customer", 409, "STAFF_UNAVAILABLE", {
+          staffId: interval.staffId,
+          start: interval.start,
+          end: interval.end,
+          heldForWaitlist: true,
+        });
+      }
+    }
+  }
+
+  /**
+   * Pick a free resource for every requirement of every booked service. Resources already on a
+   * line (requested, or from before a reschedule) are kept when still free.
+   * @param {Appointment} appointment
+   * @param {Map} requirements - From loadResourceRequirements
+   * @param {Array} excludeAppointmentIds - Appointments being saved together with this one
+   */
+  async assignResources(appointment, requirements, excludeAppointmentIds = [appointment._id]) {
+    for (const line of appointment.services) {
+      const preferred = (line.resourceIds || []).map(String);
+      const assigned = [];
+
+      for (const options of requirements.get(String(line.serviceId)) || []) {
+        const ordered = [...options].sort(
+          (a, b) => preferred.includes(String(b)) - preferred.includes(String(a))
+        );
+        const window = appointment.getLineWindow(line);
+        let chosen = null;
+        for (const resourceId of ordered) {
+          if (assigned.some((id) => String(id) === String(resourceId))) continue;
+          const free = await this.checkResourceAvailability(
+            resourceId,
+            window.start,
+            window.end,
+            excludeAppointmentIds
+          );
+          if (free) {
+            chosen = resourceId;
+            break;
+          }
+        }
+
+        if (!chosen) {
+          throw new AppError("No room or equipment is free", 409, "RESOURCE_UNAVAILABLE", {
+            serviceId: line.serviceId,
+            resourceIds: options,
+            start: window.start,
+            end: window.end,
+          });
+        }
+        assigned.push(chosen);
+      }
+      line.resourceIds = assigned;
+    }
+  }
+
+  /**
+   * Resource requirements of services, limited to active resources
+   * @param {Array} serviceIds
+   * @returns {Promise<Map<string, Array<Array>>>} - serviceId => resource ids, one list per requirement
+   */
+  async loadResourceRequirements(serviceIds) {
+    const ids = [...new Set(serviceIds.map(String))];
+    const services =
+      ids.length > 0
+        ? await Service.find({ _id: { $in: ids }, "resourceRequirements.0": { $exists: true } })
+        : [];
+    const allOptions = services.flatMap((service) =>
+      service.resourceRequirements.flatMap((requirement) => requirement.resourceIds)
+    );
+    const active =
+      allOptions.length > 0
+        ? await Resource.find({ _id: { $in: allOptions }, active: true }).distinct("_id")
+        : [];
+    const activeIds = active.map(String);
+
+    return new Map(
+      services.map((service) => [
+        String(service._id),
+        service.resourceRequirements.map((requirement) =>
+          requirement.resourceIds.filter((id) => activeIds.includes(String(id)))
+        ),
+      ])
+    );
+  }
+
+  /**
+   * Bookable start times for a day, from the salon's hours, closures and breaks,
+   * each staff member's shift, their existing appointments and open waitlist offers
+   * @param {Salon} salon - The current tenant
+   * @param {object} options - { date, serviceIds, duration, staffId }, duration defaults to the services' total
+   * @returns {Promise<Array<{ staffId, staffName, time: Date, endAt: Date }>>}
+   */
+  async getAvailableTimeSlots(salon, { date, serviceIds, duration, staffId } = {}) {
+    if (!date) throw new AppError("date is required", 400, "VALIDATION_ERROR");
+    // The day is read in the salon's timezone, "YYYY-MM-DD" is taken as it is
+    const timezone = schedule.getTimezone(salon);
+    const day = schedule.getDayRange(this.parseDayKey(date, "date", timezone), timezone);
+
+    const requested = await this.loadServices(serviceIds);
+    const slotDuration = duration
+      ? this.parseDuration(duration)
+      : requested.duration || DEFAULT_DURATION_MINS;
+    // Buffers and processing gaps come from the services, a plain duration has neither
+    const timings =
+      duration || requested.services.length === 0
+        ? [{ duration: slotDuration }]
+        : requested.services.map((service) => this.toLineTiming(service));
 
+    // Nothing bookable in the past or beyond the salon's booking window
+    const now = new Date();
+    const settings = salon.settings || {};
+    const today = schedule.toDateKey(now, timezone);
+    const lastBookableDay = schedule.addDaysToKey(today, settings.bookingAdvanceLimit ?? 30);
+    if (day.key < today || day.key > lastBookableDay) return [];
+
+    const hours = salon.getHoursForDate(day.start);
+    if (!hours || !hours.isOpen || salon.isClosedOn(day.start)) return [];
+    const openWindow = schedule.toInterval(day.key, hours.openTime, hours.closeTime, timezone);
+    if (!openWindow) return [];
+    const salonBreak = schedule.toInterval(day.key, hours.breakStart, hours.breakEnd, timezone);
+
+    const staffQuery = { active: true };
+    if (staffId) staffQuery._id = staffId;
     const staffList = await Staff.find(staffQuery);
+    if (staffList.length === 0) return [];
+
+    const booked = await Appointment.find(
+      Appointment.staffBusyFilter(
+        staffList.map((staff) => staff._id),
+        day.start,
+        day.end
+      )
+    ).select("segments");
+    const offered = await WaitlistEntry.find(
+      WaitlistEntry.heldOfferFilter(
+        staffList.map((staff) => staff._id),
+        day.start,
+        day.end
+      )
+    ).select("offer");
+    // Time offered to the waitlist is held for the customer until the offer is answered or expires
+    const busy = [
+      ...booked.flatMap((appointment) => appointment.getStaffIntervals()),
+      ...offered.map(({ offer }) => ({
+        staffId: offer.staffId,
+        start: offer.scheduledAt,
+        end: offer.endAt,
+      })),
+    ];
+
+    // Rooms and equipment the services need, each at its offset from the slot start
+    const resourceNeeds = await this.getResourceNeeds(requested.services, timings);
+    if (resourceNeeds.some((need) => need.resourceIds.length === 0)) return [];
+    const neededResources = resourceNeeds.flatMap((need) => need.resourceIds);
+    const heldResources =
+      neededResources.length > 0
+        ? (
+            await Appointment.find(
+              Appointment.resourceBusyFilter(
+                neededResources,
+                day.start,
+                day.end
+              )
+            ).select("segments")
+          ).flatMap((appointment) => appointment.getResourceIntervals())
+        : [];
+
+    const interval = settings.slotInterval || 30;
     const slots = [];
 
     for (const staff of staffList) {
-      let current = new Date(date);
-      current.setHours(9, 0, 0, 0);
-      const endOfDay = new Date(date);
-      endOfDay.setHours(18, 0, 0, 0);
-
-      while (current < endOfDay) {
-        const available = await this.checkStaffAvailability(staff._id, current, serviceDuration);
-        if (available) {
-          slots.push({
-            staffId: staff._id,
-            staffName: staff.name,
-            time: new Date(current)
-          });
+      const shift = staff.getShiftFor(day.start, timezone);
+      if (shift === null) continue;
+
+      // Staff without shifts work whenever the salon is open
+      const workWindow = shift
+        ? schedule.intersect(
+            openWindow,
+            schedule.toInterval(day.key, shift.startTime, shift.endTime, timezone)
+          )
+        : openWindow;
+      if (!workWindow) continue;
+
+      const blocked = busy.filter((interval) => String(interval.staffId) === String(staff._id));
+      if (salonBreak) blocked.push(salonBreak);
+      const staffBreak =
+        shift && schedule.toInterval(day.key, shift.breakStart, shift.breakEnd, timezone);
+      if (staffBreak) blocked.push(staffBreak);
+
+      // Slots line up with the opening time so every staff member shares the same grid
+      for (
+        let start = dayjs(openWindow.start);
+        !start.add(slotDuration, "minute").isAfter(workWindow.end);
+        start = start.add(interval, "minute")
+      ) {
+        const slot = { start: start.toDate(), end: start.add(slotDuration, "minute").toDate() };
+        if (slot.start < now) continue;
+
+        // Buffers have to fit the shift too, processing gaps may overlap other bookings and breaks
+        const staffParts = this.planSegments(timings, slot.start).filter(
+          (segment) => segment.kind !== "processing"
+        );
+        if (staffParts.some((part) => part.start < workWindow.start || part.end > workWindow.end)) {
+          continue;
+        }
+        if (staffParts.some((part) => blocked.some((busy) => schedule.overlaps(part, busy)))) {
+          continue;
         }
-        current = addMinutes(current, 30);
+        if (!this.hasFreeResources(slot, resourceNeeds, heldResources)) continue;
+
+        slots.push({
+          staffId: staff._id,
+          staffName: staff.name,
+          time: slot.start,
+          endAt: slot.end,
+        });
       }
     }
-    return slots;
+
+    return slots.sort((a, b) => a.time - b.time);
+  }
+
+  // Segments of services done back to back from start, as Appointment#layoutServices lays them out
+  planSegments(timings, start) {
+    let cursor = start;
+    return timings.flatMap((timing) => {
+      const segments = Appointment.planLineSegments(timing, cursor);
+      cursor = dayjs(cursor).add(timing.duration, "minute").toDate();
+      return segments;
+    });
+  }
+
+  /**
+   * Resource options of each requirement of the services, with when they are needed
+   * @param {Service[]} services - In the order they are performed
+   * @param {Array} timings - toLineTiming of each service
+   * @returns {Promise<Array<{ start, end, resourceIds }>>} - start / end are minutes from the
+   * slot start, buffers included
+   */
+  async getResourceNeeds(services, timings) {
+    const serviceIds = services.map((service) => service._id);
+    const requirements = await this.loadResourceRequirements(serviceIds);
+    let offset = 0;
+    return services.flatMap((service, index) => {
+      const timing = timings[index] || this.toLineTiming(service);
+      const start = offset - timing.bufferBefore;
+      const end = offset + timing.duration + timing.bufferAfter;
+      offset += timing.duration;
+      return (requirements.get(String(service._id)) || []).map((resourceIds) => ({
+        start,
+        end,
+        resourceIds,
+      }));
+    });
+  }
+
+  // Whether every need of a slot has one of its resources free
+  hasFreeResources(slot, needs, heldResources) {
+    return needs.every((need) => {
+      const range = {
+        start: dayjs(slot.start).add(need.start, "minute").toDate(),
+        end: dayjs(slot.start).add(need.end, "minute").toDate(),
+      };
+      return need.resourceIds.some(
+        (resourceId) =>
+          !heldResources.some(
+            (held) =>
+              String(held.resourceId) === String(resourceId) && schedule.overlaps(range, held)
+          )
+      );
+    });
   }
 
-  // Calendar view for appointments
-  async getCalendarView(salonId, startDate, endDate, staffId = null) {
+  /**
+   * Calendar view for appointments, with the salon's resources to lay them out by room
+   * @param {Date} startDate
+   * @param {Date} endDate
+   * @param {string} staffId - Only appointments this staff member works on
+   * @param {string} resourceId - Only appointments holding this resource
+   * @returns {Promise<{ appointments: Appointment[], resources: Resource[] }>}
+   */
+  async getCalendarView(startDate, endDate, staffId = null, resourceId = null) {
     const query = {
-      tenantId: salonId,
-      scheduledAt: { $gte: startDate, $lte: endDate }
+      scheduledAt: { $gte: startDate, $lte: endDate },
     };
-    if (staffId) query.staffId = staffId;
+    if (staffId) query.$or = [{ staffId }, { "services.staffId": staffId }];
+    if (resourceId) query["services.resourceIds"] = resourceId;
 
-    return await Appointment.find(query)
-      .populate("customerId", "name")
-      .populate("staffId", "name")
-      .populate("serviceIds", "name duration")
-      .sort({ scheduledAt: 1 });
+    const [appointments, resources] = await Promise.all([
+      Appointment.find(query)
+        .populate("customerId", "name")
+        .populate("staffId", "name")
+        .populate("serviceIds", "name durationMins")
+        .populate("services.resourceIds", "name type")
+        .sort({ scheduledAt: 1 }),
+      Resource.find(resourceId ? { _id: resourceId } : { active: true }).sort({ type: 1, name: 1 }),
+    ]);
+    return { appointments, resources };
   }
 
-  // Staff schedule for a specific date
+  // Staff schedule for a specific date, a day in the salon's timezone
   async getStaffSchedule(staffId, date) {
-    const start = new Date(date);
-    start.setHours(0, 0, 0, 0);
-    const end = new Date(date);
-    end.setHours(23, 59, 59, 999);
+    const timezone = await this.getTimezone();
+    const { start, end } = schedule.getDayRange(this.parseDayKey(date, "date", timezone), timezone);
 
     return await Appointment.find({
       staffId,
-      scheduledAt: { $gte: start, $lte: end },
-      status: { $nin: ['cancelled', 'no-show'] }
+      scheduledAt: { $gte: start, $lt: end },
+      status: { $in: Appointment.ACTIVE_STATUSES },
     }).sort({ scheduledAt: 1 });
   }
 
   // ==============================
-  // NOTIFICATIONS
+  // VALIDATION HELPERS
   // ==============================
-  
-  async sendNotification(appointment, message) {
-    console.log(`Notification: ${message} for appointment ${appointment._id}`);
 
-    // Schedule reminders for new appointments
-    if (message.includes('confirmed')) {
-      await this.scheduleReminders(appointment);
+  async assertCustomerExists(customerId) {
+    const exists = await Customer.exists({ _id: customerId });
+    if (!exists) throw new AppError("Customer not found", 404, "CUSTOMER_NOT_FOUND");
+  }
+
+  async assertStaffExist(staffIds) {
+    const ids = [...new Set(staffIds.map(String))];
+    const found = await Staff.find({ _id: { $in: ids }, active: true }).distinct("_id");
+    if (found.length !== ids.length) {
+      const foundIds = found.map(String);
+      throw new AppError("Staff member not found", 404, "STAFF_NOT_FOUND", {
+        missing: ids.filter((id) => !foundIds.includes(id)),
+      });
+    }
+  }
+
+  // services as [{ serviceId, staffId, resourceIds }], or the older serviceIds list
+  getRequestedServices(data) {
+    if (data.services !== undefined) {
+      if (!Array.isArray(data.services)) {
+        throw new AppError("services must be a list", 400, "VALIDATION_ERROR");
+      }
+      return data.services;
+    }
+    return [].concat(data.serviceIds || []).map((serviceId) => ({ serviceId }));
+  }
+
+  /**
+   * Snapshot the requested services into appointment lines
+   * @param {Array} requested - [{ serviceId, staffId, resourceIds }] in the order they are performed
+   * @param {string} defaultStaffId - Staff member for lines without their own
+   */
+  async buildServiceLines(requested, defaultStaffId) {
+    if (requested.some((line) => !line || !line.serviceId)) {
+      throw new AppError("Every service needs a serviceId", 400, "VALIDATION_ERROR");
+    }
+
+    const lineStaff = requested.map((line) => line.staffId).filter(Boolean);
+    if (lineStaff.length > 0) await this.assertStaffExist(lineStaff);
+
+    const { services } = await this.loadServices(requested.map((line) => line.serviceId));
+    return requested.map((line, index) => ({
+      serviceId: services[index]._id,
+      name: services[index].name,
+      staffId: line.staffId || defaultStaffId || undefined,
+      // Only a preference, assignResources picks the resources when the booking is saved
+      resourceIds: [].concat(line.resourceIds || []),
+      ...this.toLineTiming(services[index]),
+      price: services[index].price || 0,
+    }));
+  }
+
+  // Duration, buffers and processing gap of a service, as snapshotted on appointment lines
+  toLineTiming(service) {
+    return {
+      duration: service.durationMins || DEFAULT_DURATION_MINS,
+      bufferBefore: service.bufferBeforeMins || 0,
+      bufferAfter: service.bufferAfterMins || 0,
+      processingStart: service.processingStartMins || 0,
+      processingDuration: service.processingMins || 0,
+    };
+  }
+
+  // Services of the salon in the requested order, with their combined duration and price
+  async loadServices(ids) {
+    const requested = [].concat(ids || []).map(String);
+    const uniqueIds = [...new Set(requested)];
+    const found = uniqueIds.length > 0 ? await Service.find({ _id: { $in: uniqueIds } }) : [];
+    const byId = new Map(found.map((service) => [String(service._id), service]));
+
+    const missing = uniqueIds.filter((id) => !byId.has(id));
+    if (missing.length > 0) {
+      throw new AppError("Service not found", 404, "SERVICE_NOT_FOUND", { missing });
     }
+
+    const services = requested.map((id) => byId.get(id));
+    return {
+      services,
+      duration: services.reduce(
+        (sum, service) => sum + (service.durationMins || DEFAULT_DURATION_MINS),
+        0
+      ),
+      price: services.reduce((sum, service) => sum + (service.price || 0), 0),
+    };
+  }
+
+  parseDuration(value) {
+    const duration = Number(value || DEFAULT_DURATION_MINS);
+    if (!Number.isInteger(duration) || duration < 1) {
+      throw new AppError("duration must be a positive number of minutes", 400, "VALIDATION_ERROR");
+    }
+    return duration;
+  }
+
+  parseDate(value, field) {
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+      throw new AppError(`${field} must be a valid date`, 400, "VALIDATION_ERROR");
+    }
+    return date;
+  }
+
+  // "YYYY-MM-DD" of a day as it is, of any other date as seen in the timezone
+  parseDayKey(value, field, timezone) {
+    if (schedule.DATE_KEY_PATTERN.test(String(value))) return String(value);
+    return schedule.toDateKey(this.parseDate(value, field), timezone);
+  }
+
+  // A date, where a bare "YYYY-MM-DD" means midnight of that day in the timezone
+  parseDateInZone(value, field, timezone) {
+    if (schedule.DATE_KEY_PATTERN.test(String(value))) {
+      return schedule.startOfDay(String(value), timezone);
+    }
+    return this.parseDate(value, field);
+  }
+
+  // from / to of a calendar, at most MAX_CALENDAR_DAYS apart, days are read in the salon's timezone
+  parseDateRange(from, to, timezone) {
+    if (!from || !to) throw new AppError("from and to are required", 400, "VALIDATION_ERROR");
+    const start = this.parseDateInZone(from, "from", timezone);
+    const end = this.parseDateInZone(to, "to", timezone);
+    if (end <= start || dayjs(end).diff(start, "day") > MAX_CALENDAR_DAYS) {
+      throw new AppError(
+        `to must be after from and at most ${MAX_CALENDAR_DAYS} days later`,
+        400,
+        "VALIDATION_ERROR"
+      );
+    }
+    return { start, end };
+  }
+
+  // IANA timezone of the current salon
+  async getTimezone() {
+    const salon = await Salon.findById(tenantContext.getTenantId()).select("timezone");
+    return schedule.getTimezone(salon);
+  }
+
+  escapeRegex(value) {
+    return String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  }
+
+  pick(source, fields) {
+    return fields.reduce((picked, field) => {
+      if (source[field] !== undefined) picked[field] = source[field];
+      return picked;
+    }, {});
   }
 
-  async scheduleReminders(appointment) {
+  getSource(actor) {
+    if (actor.role === "customer") return "online";
+    if (actor.role === "api_key") return "api";
+    if (actor.role === "staff") return "staff";
+    return "admin";
+  }
+
+  // ==============================
+  // WAITLIST
+  // ==============================
+
+  // Offers time freed by a cancellation or reschedule to the waitlist, never fails the change itself
+  async releaseSlots(intervals) {
+    // Required here because waitlistService books through this service
+    const waitlistService = require("./waitlistService");
     try {
-      const scheduledAt = new Date(appointment.scheduledAt);
-      const now = new Date();
+      await waitlistService.offerFreedSlots(intervals);
+    } catch (error) {
+      logger.error(`Waitlist offers for freed slots failed: ${error.message}`);
+    }
+  }
 
-      // 24-hour reminder
-      const reminder24h = new Date(scheduledAt.getTime() - (24 * 60 * 60 * 1000));
-      if (reminder24h > now) {
-        console.log(`24h reminder scheduled for appointment ${appointment._id}`);
-      }
+  // ==============================
+  // NOTIFICATIONS
+  // ==============================
 
-      // 2-hour reminder
-      const reminder2h = new Date(scheduledAt.getTime() - (2 * 60 * 60 * 1000));
-      if (reminder2h > now) {
-        console.log(`2h reminder scheduled for appointment ${appointment._id}`);
+  sendNotification(appointment, message) {
+    logger.info(`Appointment ${appointment._id}: ${message}`);
+  }
+
+  /**
+   * Bring the queued reminders in line with the appointments after a booking, move or
+   * status change, see reminderService.scheduleReminders. With options.cancel they are removed.
+   * A queue that is down is only logged, the appointments stand without reminders
+   */
+  async scheduleReminders(appointments, { cancel = false } = {}) {
+    for (const appointment of appointments) {
+      try {
+        if (cancel) await reminderService.cancelReminders(appointment._id);
+        else await reminderService.scheduleReminders(appointment);
+      } catch (error) {
+        logger.error(
+          `Reminders of appointment ${appointment._id} were not updated: ${error.message}`
+        );
       }
-    } catch (error) {
-      console.error('Failed to schedule reminders:', error);
     }
   }
 
   // ==============================
   // ANALYTICS
   // ==============================
-  
-  async getAppointmentAnalytics(salonId, startDate = null, endDate = null) {
-    const dateFilter = {};
+
+  async getAppointmentAnalytics(startDate = null, endDate = null) {
+    const baseQuery = {};
     if (startDate && endDate) {
-      dateFilter.scheduledAt = { $gte: startDate, $lte: endDate };
+      baseQuery.scheduledAt = { $gte: startDate, $lte: endDate };
     }
 
-    const baseQuery = { tenantId: salonId, ...dateFilter };
-
     const totalAppointments = await Appointment.countDocuments(baseQuery);
     const completed = await Appointment.countDocuments({ ...baseQuery, status: "completed" });
     const cancelled = await Appointment.countDocuments({ ...baseQuery, status: "cancelled" });
-    const noShows = await Appointment.countDocuments({ ...baseQuery, status: "no-show" });
+    const noShows = await Appointment.countDocuments({ ...baseQuery, status: "no_show" });
 
     // Revenue calculation
     const revenueData = await Appointment.aggregate([
       { $match: { ...baseQuery, status: "completed" } },
-      { $group: { _id: null, totalRevenue: { $sum: "$totalAmount" } } }
+      { $group: { _id: null, totalRevenue: { $sum: "$totalAmount" } } },
     ]);
 
     return {
@@ -292,28 +1758,9 @@ class AppointmentService {
       cancelled,
       noShows,
       completionRate: totalAppointments > 0 ? ((completed / totalAppointments) * 100).toFixed(2) : 0,
-      totalRevenue: revenueData[0]?.totalRevenue || 0
+      totalRevenue: revenueData[0]?.totalRevenue || 0,
     };
   }
-
-  // Reschedule appointment
-  async rescheduleAppointment(appointmentId, newScheduledAt, newStaffId, salonId) {
-    const appointment = await Appointment.findOne({ _id: appointmentId, tenantId: salonId });
-    if (!appointment) throw new Error("Appointment not found");
-
-    const staffId = newStaffId || appointment.staffId;
-    const available = await this.checkStaffAvailability(staffId, newScheduledAt, appointment.duration, appointmentId);
-    if (!available) throw new Error("Staff not available at requested time");
-
-    const updated = await Appointment.findOneAndUpdate(
-      { _id: appointmentId, tenantId: salonId },
-      { scheduledAt: newScheduledAt, staffId, status: "rescheduled" },
-      { new: true }
-    );
-
-    await this.sendNotification(updated, "Appointment rescheduled");
-    return updated;
-  }
 }
 
 // Export service instance
@@ -0,0 +1,531 @@
+// ======================================
+// AUTH SERVICE - SERVICE LAYER
+// ======================================
+const jwt = require("jsonwebtoken");
+const User = require("../models/User");
+const Customer = require("../models/Customer");
+const RefreshToken = require("../models/RefreshToken");
+const AppError = require("../utils/appError");
+const { generateToken, hashToken } = require("../utils/tokens");
+const mailer = require("../utils/mailer");
+const tenantContext = require("../utils/tenantContext");
+const otpService = require("./otpService");
+const twoFactorService = require("./twoFactorService");
+const userService = require("./userService");
+const sessionService = require("./sessionService");
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_ACCESS_EXPIRES_IN || "15m";
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || "30", 10);
+const EMAIL_VERIFICATION_TTL_HOURS = 24;
+const PASSWORD_RESET_TTL_MINUTES = 60;
+const MIN_PASSWORD_LENGTH = 8;
+const CHALLENGE_TOKEN_EXPIRES_IN = "5m";
+
+// Purposes of short-lived challenge tokens handed out instead of a session
+const CHALLENGE_PURPOSES = {
+  TWO_FACTOR_LOGIN: "2fa_login",
+  TWO_FACTOR_SETUP: "2fa_setup",
+};
+
+// Roles that may sign up on their own, everything else is invited or created by admins.
+// A salon admin without a salon would belong to no tenant
+const SELF_SIGNUP_ROLES = ["customer"];
+
+const getClientUrl = () => process.env.CLIENT_URL || "http://localhost:3000";
+
+const { escapeHtml } = mailer;
+
+class AuthService {
+  // ==============================
+  // REGISTRATION
+  // ==============================
+
+  async register(data, context = {}) {
+    const { email, password, name, phone, role = "customer" } = data;
+    if (!email || !password || !name) {
+      throw new AppError("Name, email and password are required", 400, "VALIDATION_ERROR");
+    }
+    if (!SELF_SIGNUP_ROLES.includes(role)) {
+      throw new AppError("This role cannot sign up", 400, "INVALID_ROLE");
+    }
+    this.assertPasswordStrength(password);
+
+    const exists = await User.findOne({ email: email.toLowerCase() });
+    if (exists) throw new AppError("Email already registered", 409, "EMAIL_TAKEN");
+
+    // passwordHash is hashed by the User pre-save hook
+    const user = new User({ email, passwordHash: password, name, phone, role });
+    await user.save();
+
+    await this.sendVerificationEmail(user);
+
+    const tokens = await this.issueTokens(user, context);
+    return { user, ...tokens };
+  }
+
+  assertPasswordStrength(password) {
+    if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+      throw new AppError(
+        `Password must be at least ${MIN_PASSWORD_LENGTH} characters`,
+        400,
+        "WEAK_PASSWORD"
+      );
+    }
+  }
+
+  // ==============================
+  // EMAIL VERIFICATION
+  // ==============================
+
+  async sendVerificationEmail(user) {
+    const token = generateToken();
+    user.emailVerificationToken = hashToken(token);
+    user.emailVerificationExpires = new Date(
+      Date.now() + EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000
+    );
+    await user.save();
+
+    const link = `${getClientUrl()}/verify-email?token=${token}`;
+    await mailer.sendMail({
+      to: user.email,
+      subject: "Verify your email address",
+      text: `Hi ${user.name},\n\nPlease confirm your email address by opening this link:\n${link}\n\nThe link expires in ${EMAIL_VERIFICATION_TTL_HOURS} hours.`,
+      html: `<p>Hi ${escapeHtml(user.name)},</p><p>Please confirm your email address:</p><p><a href="${escapeHtml(link)}">Verify email</a></p><p>The link expires in ${EMAIL_VERIFICATION_TTL_HOURS} hours.</p>`,
+    });
+  }
+
+  async resendVerificationEmail(email) {
+    if (!email) return;
+
+    const user = await User.findOne({ email: email.toLowerCase(), isActive: true });
+    // Same response whether or not the account exists
+    if (!user || user.emailVerified) return;
+
+    await this.sendVerificationEmail(user);
+  }
+
+  async verifyEmail(token) {
+    if (!token) throw new AppError("Verification token is required", 400, "VALIDATION_ERROR");
+
+    // Consume the token atomically so it can only be used once
+    const user = await User.findOneAndUpdate(
+      {
+        emailVerificationToken: hashToken(token),
+        emailVerificationExpires: { $gt: new Date() },
+      },
+      {
+        $set: { emailVerified: true },
+        $unset: { emailVerificationToken: 1, emailVerificationExpires: 1 },
+      },
+      { new: true }
+    );
+    if (!user) {
+      throw new AppError("Verification link is invalid or has expired", 400, "INVALID_TOKEN");
+    }
+    return user;
+  }
+
+  // ==============================
+  // PASSWORD RESET
+  // ==============================
+
+  async forgotPassword(email) {
+    if (!email) return;
+
+    const user = await User.findOne({ email: email.toLowerCase(), isActive: true });
+    // Never reveal whether an email is registered
+    if (!user) return;
+
+    const token = generateToken();
+    user.passwordResetToken = hashToken(token);
+    user.passwordResetExpires = new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000);
+    await user.save();
+
+    const link = `${getClientUrl()}/reset-password?token=${token}`;
+    await mailer.sendMail({
+      to: user.email,
+      subject: "Reset your password",
+      text: `Hi ${user.name},\n\nYou can choose a new password here:\n${link}\n\nThe link expires in ${PASSWORD_RESET_TTL_MINUTES} minutes. If you did not ask for this, ignore this email.`,
+      html: `<p>Hi ${escapeHtml(user.name)},</p><p><a href="${escapeHtml(link)}">Choose a new password</a></p><p>The link expires in ${PASSWORD_RESET_TTL_MINUTES} minutes. If you did not ask for this, ignore this email.</p>`,
+    });
+  }
+
+  async resetPassword(token, password) {
+    if (!token) throw new AppError("Reset token is required", 400, "VALIDATION_ERROR");
+    this.assertPasswordStrength(password);
+
+    const user = await User.findOneAndUpdate(
+      {
+        passwordResetToken: hashToken(token),
+        passwordResetExpires: { $gt: new Date() },
+        isActive: true,
+      },
+      { $unset: { passwordResetToken: 1, passwordResetExpires: 1 } },
+      { new: true }
+    );
+    if (!user) {
+      throw new AppError("Reset link is invalid or has expired", 400, "INVALID_TOKEN");
+    }
+
+    user.passwordHash = password;
+    // Receiving the link proves ownership of the mailbox
+    user.emailVerified = true;
+    await user.save();
+
+    // Existing logins may belong to whoever knew the old password
+    await sessionService.revokeAllForUser(user._id, "password_changed");
+    return user;
+  }
+
+  // ==============================
+  // LOGIN / LOGOUT
+  // ==============================
+
+  async login(email, password, context = {}) {
+    if (!email || !password) {
+      throw new AppError("Email and password are required", 400, "VALIDATION_ERROR");
+    }
+
+    let user;
+    try {
+      user = await User.findByCredentials(email, password);
+    } catch (error) {
+      if (error.code === "ACCOUNT_LOCKED") {
+        if (error.lockedNow) await userService.notifyAccountLocked(error.user, error.lockUntil, context);
+        throw this.accountLockedError(error.lockUntil);
+      }
+      throw new AppError("Invalid login credentials", 401, "INVALID_CREDENTIALS");
+    }
+
+    return this.continueLogin(user, context);
+  }
+
+  // Second step for any first factor (password, provider): 2FA if needed, otherwise a session
+  async continueLogin(user, context = {}) {
+    // The first factor alone is not enough when 2FA is enabled or mandatory for the role
+    if (user.twoFactor && user.twoFactor.enabled) {
+      return this.createChallenge(user, CHALLENGE_PURPOSES.TWO_FACTOR_LOGIN);
+    }
+    if (await twoFactorService.isMandatoryFor(user)) {
+      return this.createChallenge(user, CHALLENGE_PURPOSES.TWO_FACTOR_SETUP);
+    }
+
+    return this.completeLogin(user, context);
+  }
+
+  async completeLogin(user, context = {}) {
+    user.lastLogin = new Date();
+    await user.save();
+
+    const tokens = await this.issueTokens(user, context);
+    return { user, ...tokens };
+  }
+
+  // ==============================
+  // PASSWORDLESS (OTP) LOGIN
+  // ==============================
+
+  async requestLoginCode(data, context = {}) {
+    const target = otpService.resolveDestination(data);
+
+    // Staff and admins must use their password, but the response never tells them apart
+    const user = await this.findOtpUser(target);
+    if (!user || user.role === "customer") {
+      await otpService.sendCode(target, { purpose: "login", ip: context.ip });
+    }
+
+    return { channel: target.channel, expiresInMinutes: otpService.ttlMinutes };
+  }
+
+  /**
+   * Log a customer in with a one-time code, creating the account on first use
+   * @param {object} data - { phone } or { email }, plus code and an optional name
+   * @param {object} context - Client ip and user agent
+   * @returns {Promise<object>} - Tokens, or a 2FA challenge when the customer enabled it
+   */
+  async loginWithCode(data, context = {}) {
+    const target = otpService.resolveDestination(data);
+    let user = await this.findOtpUser(target);
+    if (user && user.role !== "customer") {
+      throw new AppError("Invalid code", 401, "INVALID_OTP");
+    }
+    if (user && user.isLocked) throw this.accountLockedError(user.lockUntil);
+
+    await otpService.verifyCode(target.destination, data.code, "login");
+
+    const verifiedField = target.channel === "sms" ? "phoneVerified" : "emailVerified";
+    if (!user) {
+      user = new User({
+        [target.channel === "sms" ? "phone" : "email"]: target.destination,
+        name: data.name || target.destination,
+        role: "customer",
+      });
+    }
+    if (!user.isActive) throw new AppError("User no longer active", 401, "USER_INACTIVE");
+    // Anyone could have registered this unproven phone or email first, so whatever way in
+    // they set up goes away now that the owner proved control of it
+    const claimed = !user.isNew && !user[verifiedField];
+    if (claimed) {
+      user.passwordHash = undefined;
+      user.twoFactor = { enabled: false };
+      user.oauthProviders = [];
+    }
+    // Redeeming the code proves control of the phone or mailbox
+    user[verifiedField] = true;
+    await user.save();
+    if (claimed) await sessionService.revokeAllForUser(user._id, "password_changed");
+
+    const customer = await this.ensureCustomerProfile(user, target);
+
+    if (user.twoFactor && user.twoFactor.enabled) {
+      return this.createChallenge(user, CHALLENGE_PURPOSES.TWO_FACTOR_LOGIN);
+    }
+
+    const result = await this.completeLogin(user, { ...context, authMethod: "otp" });
+    return { ...result, customer };
+  }
+
+  async findOtpUser({ channel, destination }) {
+    if (channel !== "sms") return User.findOne({ email: destination });
+
+    // Phone numbers are not unique, so an account that proved the number wins and
+    // an unproven one is only used when nobody else holds the number
+    const users = await User.find({ phone: destination, role: "customer" });
+    const verified = users.filter((user) => user.phoneVerified);
+    const candidates = verified.length ? verified : users;
+    if (candidates.length > 1) {
+      throw new AppError(
+        "Several accounts use this phone number, please sign in with your email",
+        409,
+        "OTP_ACCOUNT_AMBIGUOUS"
+      );
+    }
+    return candidates[0] || null;
+  }
+
+  // Links the customer to the salon the request came through, if any. verified is the
+  // { channel, destination } a code was just redeemed for, without it nothing is adopted
+  async ensureCustomerProfile(user, verified = null) {
+    if (!tenantContext.getTenantId()) return null;
+
+    const existing = await Customer.findOne({ userId: user._id });
+    if (existing) return existing;
+
+    // Adopt a profile the salon created at the front desk before the customer had an account,
+    // matched only on the contact the code was just sent to
+    if (verified) {
+      const { channel, destination } = verified;
+      const contact = channel === "sms" ? { phone: destination } : { email: destination };
+      const adopted = await Customer.findOneAndUpdate(
+        { userId: { $exists: false }, ...contact },
+        { $set: { userId: user._id } },
+        { new: true }
+      );
+      if (adopted) return adopted;
+    }
+
+    return Customer.create({
+      userId: user._id,
+      name: user.name,
+      email: user.email,
+      phone: user.phone,
+    });
+  }
+
+  // ==============================
+  // TWO-FACTOR STEP-UP
+  // ==============================
+
+  createChallenge(user, purpose) {
+    const challengeToken = jwt.sign({ purpose }, this.getSecret(), {
+      expiresIn: CHALLENGE_TOKEN_EXPIRES_IN,
+      subject: String(user._id),
+    });
+
+    return {
+      twoFactorRequired: purpose === CHALLENGE_PURPOSES.TWO_FACTOR_LOGIN,
+      twoFactorSetupRequired: purpose === CHALLENGE_PURPOSES.TWO_FACTOR_SETUP,
+      challengeToken,
+      expiresIn: CHALLENGE_TOKEN_EXPIRES_IN,
+    };
+  }
+
+  async getChallengeUser(challengeToken, purpose) {
+    if (!challengeToken) {
+      throw new AppError("Challenge token is required", 400, "VALIDATION_ERROR");
+    }
+
+    let claims;
+    try {
+      claims = jwt.verify(challengeToken, this.getSecret());
+    } catch (error) {
+      throw new AppError("Challenge expired, please log in again", 401, "INVALID_CHALLENGE");
+    }
+    if (claims.purpose !== purpose) {
+      throw new AppError("Invalid challenge token", 401, "INVALID_CHALLENGE");
+    }
+
+    const user = await User.findOne({ _id: claims.sub, isActive: true });
+    if (!user) throw new AppError("User no longer active", 401, "USER_INACTIVE");
+    return user;
+  }
+
+  accountLockedError(lockUntil) {
+    return new AppError(
+      "Account temporarily locked after too many failed attempts",
+      423,
+      "ACCOUNT_LOCKED",
+      { lockUntil }
+    );
+  }
+
+  getSetupChallengeUser(challengeToken) {
+    return this.getChallengeUser(challengeToken, CHALLENGE_PURPOSES.TWO_FACTOR_SETUP);
+  }
+
+  async completeTwoFactorLogin(challengeToken, code, context = {}) {
+    const user = await this.getChallengeUser(challengeToken, CHALLENGE_PURPOSES.TWO_FACTOR_LOGIN);
+    if (user.isLocked) throw this.accountLockedError(user.lockUntil);
+
+    let verification;
+    try {
+      verification = await twoFactorService.verifyCode(user, code);
+    } catch (error) {
+      // Guessing second factor codes counts towards the same lockout
+      if (error.code === "INVALID_TWO_FACTOR_CODE") {
+        const attempt = await user.registerFailedLogin();
+        if (attempt.locked) {
+          await userService.notifyAccountLocked(user, attempt.lockUntil, context);
+          throw this.accountLockedError(attempt.lockUntil);
+        }
+      }
+      throw error;
+    }
+    if (user.failedLoginAttempts > 0) await user.resetLoginAttempts();
+
+    const result = await this.completeLogin(user, { ...context, authMethod: "2fa" });
+    return { ...result, twoFactorMethod: verification.method };
+  }
+
+  async logout(refreshToken) {
+    if (!refreshToken) return;
+
+    const stored = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken) });
+    if (!stored) return;
+
+    // Logging out ends the whole session, not just the latest token in the chain
+    await sessionService.revokeSession(stored.family, "logout");
+  }
+
+  // ==============================
+  // TOKEN ISSUING AND ROTATION
+  // ==============================
+
+  /**
+   * Issue an access and refresh token pair
+   * @param {User} user - Authenticated user
+   * @param {object} context - { ip, userAgent, authMethod }
+   * @param {string} sessionId - Session to continue, a new session is started when omitted
+   */
+  async issueTokens(user, context = {}, sessionId = null) {
+    const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+    const sid = sessionId || (await sessionService.createSession(user, context, expiresAt)).id;
+
+    const accessToken = this.signAccessToken(user, sid);
+    const refreshToken = await this.createRefreshToken(user, sid, expiresAt, context);
+
+    return {
+      accessToken,
+      refreshToken,
+      tokenType: "Bearer",
+      expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+      refreshTokenExpiresAt: expiresAt,
+      sessionId: sid,
+    };
+  }
+
+  signAccessToken(user, sessionId) {
+    return jwt.sign({ ...user.getJWTPayload(), sid: sessionId }, this.getSecret(), {
+      expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+      subject: String(user._id),
+    });
+  }
+
+  async createRefreshToken(user, family, expiresAt, context = {}) {
+    const token = generateToken(48);
+
+    await RefreshToken.create({
+      userId: user._id,
+      tokenHash: hashToken(token),
+      family,
+      expiresAt,
+      createdByIp: context.ip,
+      userAgent: context.userAgent,
+    });
+
+    return token;
+  }
+
+  async refresh(refreshToken, context = {}) {
+    if (!refreshToken) {
+      throw new AppError("Refresh token is required", 400, "VALIDATION_ERROR");
+    }
+
+    const tokenHash = hashToken(refreshToken);
+    const stored = await RefreshToken.findOne({ tokenHash });
+    if (!stored) {
+      throw new AppError("Invalid refresh token", 401, "INVALID_REFRESH_TOKEN");
+    }
+
+    // A revoked token being presented again means it leaked: kill the whole session
+    if (stored.revokedAt) {
+      await sessionService.revokeSession(stored.family, "reuse_detected");
+      throw new AppError("Refresh token reuse detected", 401, "REFRESH_TOKEN_REUSED");
+    }
+    if (stored.expiresAt <= new Date()) {
+      throw new AppError("Refresh token expired", 401, "REFRESH_TOKEN_EXPIRED");
+    }
+    await sessionService.assertActive(stored.family, { ip: context.ip });
+
+    // Rotate atomically so two parallel refreshes cannot both succeed
+    const rotated = await RefreshToken.findOneAndUpdate(
+      { _id: stored._id, revokedAt: { $exists: false } },
+      { revokedAt: new Date(), revokedReason: "rotated" },
+      { new: true }
+    );
+    if (!rotated) {
+      await sessionService.revokeSession(stored.family, "reuse_detected");
+      throw new AppError("Refresh token reuse detected", 401, "REFRESH_TOKEN_REUSED");
+    }
+
+    const user = await User.findOne({ _id: stored.userId, isActive: true });
+    if (!user) {
+      await sessionService.revokeSession(stored.family, "logout");
+      throw new AppError("User no longer active", 401, "USER_INACTIVE");
+    }
+
+    const tokens = await this.issueTokens(user, context, stored.family);
+    // Every refresh keeps the session alive for another full refresh token lifetime
+    await sessionService.extendSession(stored.family, tokens.refreshTokenExpiresAt);
+    rotated.replacedByHash = hashToken(tokens.refreshToken);
+    await rotated.save();
+
+    return { user, ...tokens };
+  }
+
+  verifyAccessToken(token) {
+    const claims = jwt.verify(token, this.getSecret());
+    // Challenge and hand-off tokens share the secret but are no login, they carry a purpose
+    if (claims.purpose) throw new jwt.JsonWebTokenError("not an access token");
+    return claims;
+  }
+
+  getSecret() {
+    const secret = process.env.JWT_SECRET;
+    if (!secret) throw new AppError("JWT_SECRET is not configured", 500, "CONFIG_ERROR");
+    return secret;
+  }
+}
+
+// Export service instance
+module.exports = new AuthService();
@@ -1,17 +1,34 @@
 // ======================================
 // BILLING SERVICE - SERVICE LAYER
 // ======================================
-const Invoice = require("../models/invoice");
-const Appointment = require("../models/appointment");
-const Customer = require("../models/customer");
-const Service = require("../models/service");
-const WalletTransaction = require("../models/walletTransaction");
-const Payment = require("../models/payment");
+const Invoice = require("../models/Invoice");
+const Appointment = require("../models/Appointment");
+const Customer = require("../models/Customer");
+const Service = require("../models/Service");
+const WalletTransaction = require("../models/WalletTransaction");
+const Payment = require("../models/Payment");
+const Salon = require("../models/Salon");
+const AppError = require("../utils/appError");
+const customerService = require("./customerService");
+const paymentGateway = require("../utils/paymentGateway");
+const schedule = require("../utils/schedule");
 
 // Utility libraries
 const { addDays, format } = require("date-fns");
 // PDF generation, email, payment SDKs would go here (placeholders)
 
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+// Part of a paid deposit that was neither applied to an invoice nor refunded yet
+const depositBalance = (deposit) =>
+  roundMoney(deposit.amount - (deposit.appliedAmount || 0) - (deposit.refundedAmount || 0));
+
+// Invoice line for each cancellation fee kind
+const FEE_LABELS = {
+  late_cancel: "Late cancellation fee",
+  no_show: "No-show fee",
+};
+
 class BillingService {
   // ==============================
   // INVOICE RETRIEVAL
@@ -88,30 +105,57 @@ class BillingService {
   }
 
   async createInvoiceFromAppointment(appointmentId) {
-    const appointment = await Appointment.findById(appointmentId).populate("serviceIds customerId");
-    if (!appointment) throw new Error("Appointment not found");
+    const appointment = await Appointment.findOne({ _id: appointmentId }).populate("serviceIds");
+    if (!appointment) throw new AppError("Appointment not found", 404, "APPOINTMENT_NOT_FOUND");
 
-    const lineItems = appointment.serviceIds.map(service => ({
-      serviceId: service._id,
-      name: service.name,
-      price: service.price,
-      quantity: 1
-    }));
+    const existing = await Invoice.findOne({
+      appointmentId: appointment._id,
+      status: { $ne: "void" },
+    });
+    if (existing) {
+      throw new AppError("Appointment already has an invoice", 409, "INVOICE_EXISTS", {
+        invoiceId: existing._id,
+      });
+    }
 
+    // Bill the prices snapshotted at booking, appointments from before line items use the price list
+    const lineItems =
+      appointment.services.length > 0
+        ? appointment.services.map((line) => ({
+            serviceId: line.serviceId,
+            name: line.name,
+            staffId: line.staffId,
+            duration: line.duration,
+            price: line.price,
+            quantity: 1,
+          }))
+        : appointment.serviceIds.map((service) => ({
+            serviceId: service._id,
+            name: service.name,
+            price: service.price || 0,
+            quantity: 1,
+          }));
+
+    const salon = await Salon.findById(appointment.tenantId);
     const invoiceData = {
-      salonId: appointment.tenantId,
-      customerId: appointment.customerId._id,
+      tenantId: appointment.tenantId,
+      customerId: appointment.customerId,
       appointmentId: appointment._id,
       lineItems,
-      taxRate: 0.18 // example
+      taxRate: ((salon && salon.settings.taxRate) || 0) / 100, // settings hold a percentage
     };
 
-    return await this.createInvoice(invoiceData);
+    const invoice = await this.createInvoice(invoiceData);
+    const depositAmount = await this.applyDeposit(appointment, invoice);
+    // A deposit bigger than the final bill gets the difference back
+    if (depositAmount > 0) await this.refundDeposit(appointment);
+    if (depositAmount === 0) return invoice;
+    return await this.getInvoiceById(invoice._id, appointment.tenantId);
   }
 
   async updateInvoice(invoiceId, updateData, salonId) {
     const invoice = await Invoice.findOneAndUpdate(
-      { _id: invoiceId, salonId },
+      { _id: invoiceId, tenantId: salonId },
       updateData,
       { new: true }
     );
@@ -165,12 +209,234 @@ class BillingService {
 
   async voidInvoice(invoiceId, reason, salonId) {
     return await Invoice.findOneAndUpdate(
-      { _id: invoiceId, salonId },
+      { _id: invoiceId, tenantId: salonId },
       { status: "void", voidReason: reason },
       { new: true }
     );
   }
 
+  // ==============================
+  // CANCELLATION FEES
+  // ==============================
+
+  /**
+   * Bill an appointment's cancellationFee on its own invoice. A paid deposit covers the fee first,
+   * then the customer's wallet pays what it can, anything left stays open on the invoice
+   * @returns {Promise<{invoice: object, depositAmount: number, walletAmount: number}>}
+   */
+  async chargeAppointmentFee(appointment) {
+    const fee = appointment.cancellationFee;
+    // A retry carries on with the invoice of the attempt that failed
+    let invoice =
+      (await this.findFeeInvoice(appointment)) ||
+      (await this.createInvoice({
+        tenantId: appointment.tenantId,
+        customerId: appointment.customerId,
+        appointmentId: appointment._id,
+        kind: fee.kind,
+        lineItems: [{ name: FEE_LABELS[fee.kind], price: fee.amount, quantity: 1 }],
+      }));
+
+    const depositAmount = await this.applyDeposit(appointment, invoice);
+    if (depositAmount > 0) invoice = await Invoice.findOne({ _id: invoice._id });
+
+    // The wallet is only debited once per invoice, a retry records the debit that was taken
+    let transaction = await this.findUnrecordedWalletDebit(invoice);
+    let walletAmount = transaction && transaction.amount;
+    if (!transaction) {
+      const customer = await Customer.findOne({ _id: appointment.customerId });
+      const due = roundMoney(invoice.totalAmount - invoice.paidAmount);
+      walletAmount = Math.min(due, (customer && customer.walletBalance) || 0);
+      if (walletAmount <= 0) return { invoice, depositAmount, walletAmount: 0 };
+
+      try {
+        transaction = await customerService.debit(
+          appointment.customerId,
+          walletAmount,
+          `${FEE_LABELS[fee.kind]} ${invoice.invoiceNumber}`,
+          { appointmentId: appointment._id, invoiceId: invoice._id }
+        );
+      } catch (error) {
+        // The balance was spent in the meantime, the rest of the fee stays on the invoice
+        if (error.code === "INSUFFICIENT_BALANCE") {
+          return { invoice, depositAmount, walletAmount: 0 };
+        }
+        throw error;
+      }
+    }
+
+    await this.processPayment({
+      tenantId: appointment.tenantId,
+      invoiceId: invoice._id,
+      appointmentId: appointment._id,
+      customerId: appointment.customerId,
+      amount: walletAmount,
+      method: "wallet",
+      transactionId: String(transaction._id),
+    });
+
+    return { invoice: await Invoice.findOne({ _id: invoice._id }), depositAmount, walletAmount };
+  }
+
+  // Wallet debit for an invoice whose payment was never recorded, e.g. the attempt failed after it
+  async findUnrecordedWalletDebit(invoice) {
+    const debits = await WalletTransaction.find({ invoiceId: invoice._id, type: "debit" });
+    if (debits.length === 0) return null;
+
+    const payments = await Payment.find({ invoiceId: invoice._id, method: "wallet" });
+    const recorded = new Set(payments.map((payment) => payment.transactionId));
+    return debits.find((debit) => !recorded.has(String(debit._id))) || null;
+  }
+
+  // Open invoice of an appointment's fee, also found when billing failed before recording it
+  async findFeeInvoice(appointment) {
+    const { invoiceId, kind } = appointment.cancellationFee;
+    const invoice = invoiceId
+      ? await Invoice.findOne({ _id: invoiceId })
+      : await Invoice.findOne({ appointmentId: appointment._id, kind });
+    return invoice && invoice.status !== "void" ? invoice : null;
+  }
+
+  /**
+   * Cancel a billed fee: void its invoice and pay back everything collected to the wallet
+   * @returns {Promise<number>} Amount credited back to the wallet
+   */
+  async waiveAppointmentFee(appointment, reason) {
+    const invoice = await this.findFeeInvoice(appointment);
+    if (!invoice) return 0;
+
+    await Invoice.updateOne(
+      { _id: invoice._id },
+      { $set: { status: "void", voidReason: reason || "Fee waived" } }
+    );
+    // A wallet debit of a failed attempt was taken without being paid onto the invoice
+    const unrecorded = await this.findUnrecordedWalletDebit(invoice);
+    const refund = roundMoney((invoice.paidAmount || 0) + (unrecorded ? unrecorded.amount : 0));
+    if (!(refund > 0)) return 0;
+
+    await Payment.updateMany(
+      { invoiceId: invoice._id, status: "completed" },
+      { $set: { status: "refunded" } }
+    );
+    await customerService.credit(
+      appointment.customerId,
+      refund,
+      `Refund of waived fee ${invoice.invoiceNumber}`,
+      { appointmentId: appointment._id, invoiceId: invoice._id }
+    );
+    return refund;
+  }
+
+  // ==============================
+  // DEPOSITS
+  // ==============================
+
+  /**
+   * Pay an invoice from the appointment's paid deposit, as far as the deposit reaches
+   * @returns {Promise<number>} Amount of the deposit applied
+   */
+  async applyDeposit(appointment, invoice) {
+    const current = await Appointment.findOne({ _id: appointment._id });
+    const deposit = current && current.deposit;
+    if (!deposit || deposit.status !== "paid") return 0;
+
+    const due = roundMoney(invoice.totalAmount - invoice.paidAmount);
+    const amount = Math.min(depositBalance(deposit), due);
+    if (amount <= 0) return 0;
+
+    const appliedAmount = roundMoney((deposit.appliedAmount || 0) + amount);
+    const usedUp = depositBalance({ ...deposit.toObject(), appliedAmount }) <= 0;
+    // Only write when nobody applied or refunded the deposit since we read it
+    const claimed = await Appointment.findOneAndUpdate(
+      {
+        _id: current._id,
+        "deposit.status": "paid",
+        "deposit.appliedAmount": deposit.appliedAmount || 0,
+        "deposit.refundedAmount": deposit.refundedAmount || 0,
+      },
+      {
+        $set: {
+          "deposit.appliedAmount": appliedAmount,
+          "deposit.invoiceId": invoice._id,
+          "deposit.status": usedUp ? "applied" : "paid",
+        },
+      },
+      { new: true }
+    );
+    if (!claimed) return 0;
+
+    await this.processPayment({
+      tenantId: current.tenantId,
+      invoiceId: invoice._id,
+      appointmentId: current._id,
+      customerId: current.customerId,
+      amount,
+      method: "online",
+      transactionId: deposit.providerRef,
+      notes: "Deposit",
+    });
+    return amount;
+  }
+
+  /**
+   * Give back what is left of a paid deposit through the payment provider
+   * @returns {Promise<number>} Amount refunded
+   */
+  async refundDeposit(appointment) {
+    const current = await Appointment.findOne({ _id: appointment._id });
+    const deposit = current && current.deposit;
+    if (!deposit || deposit.status !== "paid") return 0;
+
+    const amount = depositBalance(deposit);
+    const refundedAmount = deposit.refundedAmount || 0;
+    const claimed = await Appointment.findOneAndUpdate(
+      {
+        _id: current._id,
+        "deposit.status": "paid",
+        "deposit.appliedAmount": deposit.appliedAmount || 0,
+        "deposit.refundedAmount": refundedAmount,
+      },
+      {
+        $set: {
+          "deposit.status": deposit.appliedAmount > 0 ? "applied" : "refunded",
+          "deposit.refundedAmount": roundMoney(refundedAmount + amount),
+        },
+      },
+      { new: true }
+    );
+    if (!claimed || amount <= 0) return 0;
+
+    let refund;
+    try {
+      refund = await paymentGateway.refund(deposit.providerRef, amount);
+    } catch (error) {
+      // Leave the deposit paid so the refund can be tried again
+      await Appointment.updateOne(
+        { _id: current._id },
+        { $set: { "deposit.status": "paid", "deposit.refundedAmount": refundedAmount } }
+      );
+      throw new AppError(
+        "Payment provider could not refund the deposit",
+        502,
+        "PAYMENT_PROVIDER_ERROR",
+        { reason: error.message }
+      );
+    }
+
+    await Payment.create({
+      tenantId: current.tenantId,
+      appointmentId: current._id,
+      customerId: current.customerId,
+      amount,
+      method: "online",
+      status: "refunded",
+      transactionId: refund.id,
+      processedAt: new Date(),
+      notes: "Deposit refund",
+    });
+    return amount;
+  }
+
   // ==============================
   // CALCULATIONS
   // ==============================
@@ -190,17 +456,17 @@ class BillingService {
     };
   }
 
+  // Numbers restart every month of the salon's calendar
   async generateInvoiceNumber(tenantId) {
-    const today = new Date();
-    const year = today.getFullYear();
-    const month = String(today.getMonth() + 1).padStart(2, '0');
+    const timezone = await this.getTimezone(tenantId);
+    const today = schedule.inZone(new Date(), timezone);
+    const year = today.year();
+    const month = String(today.month() + 1).padStart(2, '0');
+    const { start, end } = schedule.getMonthRange(year, today.month() + 1, timezone);
 
     const count = await Invoice.countDocuments({
       tenantId,
-      createdAt: {
-        $gte: new Date(year, today.getMonth(), 1),
-        $lt: new Date(year, today.getMonth() + 1, 1)
-      }
+      createdAt: { $gte: start, $lt: end }
     });
 
     return `INV-${year}${month}-${String(count + 1).padStart(4, '0')}`;
@@ -263,15 +529,13 @@ class BillingService {
     };
   }
 
+  // Days and months of the reports follow the salon's timezone
   async getDailySalesReport(salonId, date) {
-    const startDate = new Date(date);
-    startDate.setHours(0, 0, 0, 0);
-    const endDate = new Date(date);
-    endDate.setHours(23, 59, 59, 999);
+    const { start, end } = schedule.getDayRange(date, await this.getTimezone(salonId));
 
     return await Invoice.find({
       tenantId: salonId,
-      createdAt: { $gte: startDate, $lte: endDate }
+      createdAt: { $gte: start, $lt: end }
     })
     .populate("customerId", "name")
     .populate("appointmentId", "scheduledAt")
@@ -279,19 +543,19 @@ class BillingService {
   }
 
   async getMonthlySalesReport(salonId, year, month) {
-    const startDate = new Date(year, month - 1, 1);
-    const endDate = new Date(year, month, 0, 23, 59, 59, 999);
+    const timezone = await this.getTimezone(salonId);
+    const { start, end } = schedule.getMonthRange(year, month, timezone);
 
     const monthlyData = await Invoice.aggregate([
       {
         $match: {
           tenantId: salonId,
-          createdAt: { $gte: startDate, $lte: endDate }
+          createdAt: { $gte: start, $lt: end }
         }
       },
       {
         $group: {
-          _id: { $dayOfMonth: "$createdAt" },
+          _id: { $dayOfMonth: { date: "$createdAt", timezone } },
           dailyRevenue: { $sum: "$totalAmount" },
           invoiceCount: { $sum: 1 }
         }
@@ -302,6 +566,11 @@ class BillingService {
     return monthlyData;
   }
 
+  async getTimezone(salonId) {
+    const salon = await Salon.findById(salonId).select("timezone");
+    return schedule.getTimezone(salon);
+  }
+
   // Tax calculation helper
   calculateTax(amount, taxRate = 0.18) {
     return parseFloat((amount * taxRate).toFixed(2));
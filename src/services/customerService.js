@@ -2,13 +2,14 @@
 // CUSTOMER SERVICE - SERVICE LAYER
 // ======================================
 
-const Customer = require("../models/customer");
-const WalletTransaction = require("../models/walletTransaction");
-const Loyalty = require("../models/loyalty");
-const Appointment = require("../models/appointment");
-const Invoice = require("../models/invoice");
-const Review = require("../models/review");
-const User = require("../models/user");
+const Customer = require("../models/Customer");
+const WalletTransaction = require("../models/WalletTransaction");
+const Loyalty = require("../models/Loyalty");
+const Appointment = require("../models/Appointment");
+const Invoice = require("../models/Invoice");
+const Review = require("../models/Review");
+const User = require("../models/User");
+const AppError = require("../utils/appError");
 
 // Utilities
 const { format } = require("date-fns");
@@ -92,38 +93,76 @@ class CustomerService {
   // WALLET MANAGEMENT
   // ==================================
 
-  async credit(userId, amount, description, metadata = {}) {
-    const customer = await Customer.findById(userId);
-    if (!customer) throw new Error("Customer not found");
-
-    customer.walletBalance += amount;
-    await customer.save();
-
-    const transaction = new WalletTransaction({ userId, type: "credit", amount, description, metadata, createdAt: new Date() });
-    await transaction.save();
-    return transaction;
+  /**
+   * Add money to a customer's wallet
+   * @param {object} refs - Optional appointmentId / invoiceId the transaction belongs to
+   */
+  async credit(customerId, amount, description, refs = {}) {
+    this.assertWalletAmount(amount);
+    const customer = await Customer.findOneAndUpdate(
+      { _id: customerId },
+      { $inc: { walletBalance: amount } },
+      { new: true }
+    );
+    if (!customer) throw new AppError("Customer not found", 404, "CUSTOMER_NOT_FOUND");
+
+    return await WalletTransaction.create({
+      tenantId: customer.tenantId,
+      customerId: customer._id,
+      type: "credit",
+      amount,
+      balanceAfter: customer.walletBalance,
+      description,
+      appointmentId: refs.appointmentId,
+      invoiceId: refs.invoiceId,
+    });
   }
 
-  async debit(userId, amount, description, metadata = {}) {
-    const customer = await Customer.findById(userId);
-    if (!customer) throw new Error("Customer not found");
-    if (customer.walletBalance < amount) throw new Error("Insufficient balance");
+  /**
+   * Take money from a customer's wallet, the balance never goes below zero
+   * @param {object} refs - Optional appointmentId / invoiceId the transaction belongs to
+   */
+  async debit(customerId, amount, description, refs = {}) {
+    this.assertWalletAmount(amount);
+    // Only matches while the balance covers the amount, so concurrent debits cannot overdraw
+    const customer = await Customer.findOneAndUpdate(
+      { _id: customerId, walletBalance: { $gte: amount } },
+      { $inc: { walletBalance: -amount } },
+      { new: true }
+    );
+    if (!customer) {
+      if (!(await Customer.exists({ _id: customerId }))) {
+        throw new AppError("Customer not found", 404, "CUSTOMER_NOT_FOUND");
+      }
+      throw new AppError("Insufficient wallet balance", 409, "INSUFFICIENT_BALANCE");
+    }
 
-    customer.walletBalance -= amount;
-    await customer.save();
+    return await WalletTransaction.create({
+      tenantId: customer.tenantId,
+      customerId: customer._id,
+      type: "debit",
+      amount,
+      balanceAfter: customer.walletBalance,
+      description,
+      appointmentId: refs.appointmentId,
+      invoiceId: refs.invoiceId,
+    });
+  }
 
-    const transaction = new WalletTransaction({ userId, type: "debit", amount, description, metadata, createdAt: new Date() });
-    await transaction.save();
-    return transaction;
+  assertWalletAmount(amount) {
+    if (typeof amount !== "number" || !(amount > 0)) {
+      throw new AppError("Amount must be a positive number", 400, "INVALID_AMOUNT");
+    }
   }
 
-  async getWalletBalance(userId) {
-    const customer = await Customer.findById(userId);
+  async getWalletBalance(customerId) {
+    const customer = await Customer.findOne({ _id: customerId });
+    if (!customer) throw new AppError("Customer not found", 404, "CUSTOMER_NOT_FOUND");
     return { balance: customer.walletBalance };
   }
 
-  async getWalletTransactionHistory(userId, filters = {}, page = 1, limit = 10) {
-    const query = { userId, ...filters };
+  async getWalletTransactionHistory(customerId, filters = {}, page = 1, limit = 10) {
+    const query = { customerId, ...filters };
     const transactions = await WalletTransaction.find(query)
       .sort({ createdAt: -1 })
       .skip((page - 1) * limit)
@@ -197,13 +236,13 @@ class CustomerService {
     customer.totalVisits = (customer.totalVisits || 0) + 1;
     await customer.save();
 
-    const appointment = new Appointment({ customerId, salonId, ...visitData });
+    const appointment = new Appointment({ customerId, tenantId: salonId, ...visitData });
     await appointment.save();
     return appointment;
   }
 
   async getCustomerVisitHistory(customerId, salonId) {
-    return await Appointment.find({ customerId, salonId }).sort({ scheduledAt: -1 });
+    return await Appointment.find({ customerId, tenantId: salonId }).sort({ scheduledAt: -1 });
   }
 
   async analyzeCustomerBehavior(customerId, salonId) {
@@ -327,7 +366,7 @@ class CustomerService {
   }
 
   async manageCustomerReviews(salonId) {
-    return await Review.find({ salonId }).sort({ createdAt: -1 });
+    return await Review.find({ tenantId: salonId }).sort({ createdAt: -1 });
   }
 
   async generateSatisfactionReports(salonId, period) {
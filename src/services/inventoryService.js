@@ -151,7 +151,7 @@ class InventoryService {
   async performStockCount(salonId, countData, userId) {
     const adjustments = [];
     for (const { itemId, physicalCount } of countData) {
-      const item = await Inventory.findOne({ _id: itemId, salonId });
+      const item = await Inventory.findOne({ _id: itemId, tenantId: salonId });
       if (!item) continue;
       const diff = physicalCount - item.stockLevel;
       if (diff !== 0) {
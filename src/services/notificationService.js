@@ -2,20 +2,18 @@
 // NOTIFICATION SERVICE - SERVICE LAYER
 // ==========================================
 
-const Notification = require("../models/notification");
-const User = require("../models/user");
-const NotificationTemplate = require("../models/notificationTemplate");
-const NotificationSubscription = require("../models/notificationSubscription");
-const Appointment = require("../models/appointment");
+const Notification = require("../models/Notification");
+const User = require("../models/User");
+const AppError = require("../utils/appError");
+const mailer = require("../utils/mailer");
+const smsSender = require("../utils/smsSender");
+const reminderService = require("./reminderService");
 
-// Third-party services (stubbed placeholders)
-const EmailService = require("../services/emailService"); // e.g., SendGrid/Nodemailer
-const SMSService = require("../services/smsService"); // e.g., Twilio
-const PushService = require("../services/pushService"); // e.g., Firebase FCM
-const WebSocketService = require("../services/webSocketService"); // real-time notifications
+const { escapeHtml } = mailer;
 
-// Utilities
-const { format, addHours, subHours } = require("date-fns");
+// Channels and stores this service was sketched with, none of them exist yet
+const unavailable = (feature) =>
+  new AppError(`${feature} are not available yet`, 501, "NOT_IMPLEMENTED");
 
 class NotificationService {
   // ==============================
@@ -101,44 +99,35 @@ class NotificationService {
   }
 
   async sendEmailNotification(notification) {
-    // Render template and send
-    const template = await NotificationTemplate.findById(notification.templateId);
-    const html = this.renderTemplate(template, notification.data);
-    return EmailService.send(notification.recipientEmail, template.subject, html);
+    return mailer.sendMail({
+      to: notification.recipientEmail,
+      subject: notification.title,
+      text: notification.message,
+      html: `<p>${escapeHtml(notification.message)}</p>`,
+    });
   }
 
   async sendSMSNotification(notification) {
-    const message = notification.data?.message || notification.title;
-    return SMSService.send(notification.recipientPhone, message);
+    return smsSender.sendSms({ to: notification.recipientPhone, body: notification.message });
   }
 
-  async sendPushNotification(notification) {
-    return PushService.send(notification.deviceTokens, notification.data);
+  async sendPushNotification() {
+    throw unavailable("Push notifications");
   }
 
+  // The stored notification is what the app shows, there is no real-time channel to push it on
   async sendInAppNotification(userId, notificationData) {
-    return WebSocketService.send(userId, notificationData);
+    return notificationData;
   }
 
   // ==============================
   // AUTOMATED WORKFLOWS
   // ==============================
 
+  // Reminders are queued per appointment and sent once each by the reminder worker,
+  // this only queues the ones missing for upcoming appointments
   async sendAppointmentReminders() {
-    const upcoming = await Appointment.find({
-      scheduledAt: { $gte: new Date(), $lte: addHours(new Date(), 24) },
-      status: "booked",
-    });
-
-    for (const appt of upcoming) {
-      const notification = new Notification({
-        userId: appt.customerId,
-        title: "Appointment Reminder",
-        data: { appointmentId: appt._id, scheduledAt: appt.scheduledAt },
-        channels: ["email", "sms", "in-app"],
-      });
-      await this.sendNotification(notification);
-    }
+    return reminderService.scheduleMissingReminders();
   }
 
   async sendSubscriptionRenewalNotifications() {
@@ -157,9 +146,8 @@ class NotificationService {
   // TEMPLATE AND PERSONALIZATION
   // ==============================
 
-  async createNotificationTemplate(data) {
-    const template = new NotificationTemplate(data);
-    return template.save();
+  async createNotificationTemplate() {
+    throw unavailable("Notification templates");
   }
 
   renderTemplate(template, data) {
@@ -187,9 +175,8 @@ class NotificationService {
     return user.save();
   }
 
-  async manageNotificationSubscriptions(userId, subscriptionData) {
-    const subscription = new NotificationSubscription({ userId, ...subscriptionData });
-    return subscription.save();
+  async manageNotificationSubscriptions() {
+    throw unavailable("Notification subscriptions");
   }
 
   // ==============================
@@ -216,8 +203,8 @@ class NotificationService {
   // REAL-TIME SYSTEM
   // ==============================
 
-  async initializeWebSocketConnection(userId, connectionData) {
-    return WebSocketService.connect(userId, connectionData);
+  async initializeWebSocketConnection() {
+    throw unavailable("Real-time notifications");
   }
 
   async broadcastNotification(recipients, notificationData) {
@@ -0,0 +1,216 @@
+// ======================================
+// OAUTH SERVICE - SERVICE LAYER
+// ======================================
+const jwt = require("jsonwebtoken");
+const User = require("../models/User");
+const AppError = require("../utils/appError");
+const authService = require("./authService");
+const sessionService = require("./sessionService");
+
+// Roles that may create an account through a provider, as with sign-up by password
+const OAUTH_SIGNUP_ROLES = ["customer"];
+const STATE_EXPIRES_IN = "10m";
+const LOGIN_TOKEN_EXPIRES_IN = "2m";
+
+class OAuthService {
+  // ==============================
+  // STATE AND HAND-OFF TOKENS
+  // ==============================
+
+  /**
+   * Signed OAuth state, carries the intent of the flow across the provider round trip
+   * @param {object} intent - { mode: "login", role } or { mode: "link", userId }
+   * @returns {string}
+   */
+  createState(intent) {
+    return jwt.sign({ purpose: "oauth_state", ...intent }, authService.getSecret(), {
+      expiresIn: STATE_EXPIRES_IN,
+    });
+  }
+
+  verifyState(state) {
+    try {
+      const claims = jwt.verify(state, authService.getSecret());
+      if (claims.purpose === "oauth_state") return claims;
+    } catch (error) {
+      // Reported below as an invalid state
+    }
+    throw new AppError("Sign-in request expired, please try again", 400, "OAUTH_INVALID_STATE");
+  }
+
+  // Starting a link needs the user's bearer token, the browser redirect cannot carry it
+  createLinkState(user) {
+    return this.createState({ mode: "link", userId: String(user._id) });
+  }
+
+  // Short-lived token the client trades for a session, keeps real tokens out of redirect URLs
+  createLoginToken(user, provider) {
+    return jwt.sign({ purpose: "oauth_login", provider }, authService.getSecret(), {
+      expiresIn: LOGIN_TOKEN_EXPIRES_IN,
+      subject: String(user._id),
+    });
+  }
+
+  async exchangeLoginToken(loginToken, context = {}) {
+    if (!loginToken) throw new AppError("Login token is required", 400, "VALIDATION_ERROR");
+
+    let claims;
+    try {
+      claims = jwt.verify(loginToken, authService.getSecret());
+    } catch (error) {
+      throw new AppError("Sign-in expired, please try again", 401, "OAUTH_LOGIN_EXPIRED");
+    }
+    if (claims.purpose !== "oauth_login") {
+      throw new AppError("Invalid login token", 401, "OAUTH_LOGIN_EXPIRED");
+    }
+
+    const user = await User.findOne({ _id: claims.sub, isActive: true });
+    if (!user) throw new AppError("User no longer active", 401, "USER_INACTIVE");
+    if (user.isLocked) throw authService.accountLockedError(user.lockUntil);
+
+    return authService.continueLogin(user, { ...context, authMethod: claims.provider });
+  }
+
+  // ==============================
+  // PROVIDER CALLBACK
+  // ==============================
+
+  /**
+   * Resolve the user behind a provider profile, linking or creating the account when needed
+   * @param {object} profile - Normalized profile from config/passport
+   * @param {object} intent - Verified state claims
+   * @returns {Promise<{ user: User, created: boolean, linked: boolean }>}
+   */
+  async handleCallback(profile, intent) {
+    if (intent.mode === "link") {
+      const user = await this.linkProvider(intent.userId, profile);
+      return { user, created: false, linked: true };
+    }
+    return this.findOrCreateUser(profile, intent.role);
+  }
+
+  async findOrCreateUser(profile, role = "customer") {
+    const existing = await User.findOne({
+      "oauthProviders.provider": profile.provider,
+      "oauthProviders.providerId": profile.providerId,
+    });
+    if (existing) return { user: this.assertCanLogin(existing), created: false, linked: false };
+
+    // Matching on email is only safe when the provider vouches for the address
+    if (!profile.email || !profile.emailVerified) {
+      throw new AppError(
+        "Your Google email address is not verified",
+        403,
+        "OAUTH_EMAIL_UNVERIFIED"
+      );
+    }
+
+    const byEmail = await User.findOne({ email: profile.email });
+    if (byEmail) {
+      this.assertCanLogin(byEmail);
+      // Whoever registered an unproven address may not be its owner, drop their ways in
+      const claimed = !byEmail.emailVerified;
+      if (claimed) {
+        byEmail.passwordHash = undefined;
+        byEmail.twoFactor = { enabled: false };
+        byEmail.oauthProviders = [];
+      }
+      this.addProvider(byEmail, profile);
+      byEmail.emailVerified = true;
+      await byEmail.save();
+      if (claimed) await sessionService.revokeAllForUser(byEmail._id, "password_changed");
+      return { user: byEmail, created: false, linked: true };
+    }
+
+    if (!OAUTH_SIGNUP_ROLES.includes(role)) {
+      throw new AppError("This role cannot sign up", 400, "INVALID_ROLE");
+    }
+    const user = new User({
+      email: profile.email,
+      name: profile.name || profile.email,
+      profileImage: profile.photo,
+      role,
+      emailVerified: true,
+    });
+    this.addProvider(user, profile);
+    await user.save();
+    return { user, created: true, linked: true };
+  }
+
+  assertCanLogin(user) {
+    if (!user.isActive) throw new AppError("User no longer active", 401, "USER_INACTIVE");
+    if (user.isLocked) throw authService.accountLockedError(user.lockUntil);
+    return user;
+  }
+
+  // ==============================
+  // LINKING
+  // ==============================
+
+  async linkProvider(userId, profile) {
+    const user = await User.findOne({ _id: userId, isActive: true });
+    if (!user) throw new AppError("User no longer active", 401, "USER_INACTIVE");
+
+    const owner = await User.findOne({
+      "oauthProviders.provider": profile.provider,
+      "oauthProviders.providerId": profile.providerId,
+    });
+    if (owner && String(owner._id) !== String(user._id)) {
+      throw new AppError(
+        "This Google account is linked to another user",
+        409,
+        "OAUTH_ACCOUNT_IN_USE"
+      );
+    }
+    if (owner) return user;
+
+    if (user.getOAuthProvider(profile.provider)) {
+      throw new AppError("A Google account is already linked", 409, "OAUTH_ALREADY_LINKED");
+    }
+
+    this.addProvider(user, profile);
+    await user.save();
+    return user;
+  }
+
+  async unlinkProvider(user, provider) {
+    if (!user.getOAuthProvider(provider)) {
+      throw new AppError("Provider is not linked", 404, "OAUTH_NOT_LINKED");
+    }
+
+    // Never strand an account without any way to log in
+    const otherProviders = user.oauthProviders.filter((linked) => linked.provider !== provider);
+    const canUseOtp = user.role === "customer" && (user.phone || user.email);
+    if (!user.passwordHash && otherProviders.length === 0 && !canUseOtp) {
+      throw new AppError(
+        "Set a password before unlinking your only sign-in method",
+        409,
+        "OAUTH_LAST_LOGIN_METHOD"
+      );
+    }
+
+    user.oauthProviders = otherProviders;
+    await user.save();
+    return this.listProviders(user);
+  }
+
+  listProviders(user) {
+    return (user.oauthProviders || []).map(({ provider, email, linkedAt }) => ({
+      provider,
+      email,
+      linkedAt,
+    }));
+  }
+
+  addProvider(user, profile) {
+    user.oauthProviders.push({
+      provider: profile.provider,
+      providerId: profile.providerId,
+      email: profile.email,
+      linkedAt: new Date(),
+    });
+  }
+}
+
+// Export service instance
+module.exports = new OAuthService();
@@ -0,0 +1,172 @@
+// ======================================
+// OTP SERVICE - SERVICE LAYER
+// ======================================
+const crypto = require("crypto");
+const OtpCode = require("../models/OtpCode");
+const AppError = require("../utils/appError");
+const { hashToken } = require("../utils/tokens");
+const mailer = require("../utils/mailer");
+const smsSender = require("../utils/smsSender");
+
+const OTP_LENGTH = 6;
+const OTP_TTL_MINUTES = parseInt(process.env.OTP_TTL_MINUTES || "5", 10);
+const RESEND_COOLDOWN_SECONDS = 60;
+const MAX_SENDS_PER_HOUR = 5;
+const MAX_VERIFY_ATTEMPTS = 5;
+
+const hashCode = (otp, code) => hashToken(`${otp._id}:${code}`);
+
+class OtpService {
+  get ttlMinutes() {
+    return OTP_TTL_MINUTES;
+  }
+
+  // ==============================
+  // DESTINATIONS
+  // ==============================
+
+  normalizePhone(phone) {
+    const digits = String(phone).replace(/[\s\-().]/g, "");
+    return /^\+?\d{7,15}$/.test(digits) ? digits : null;
+  }
+
+  normalizeEmail(email) {
+    const value = String(email).toLowerCase().trim();
+    return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value) ? value : null;
+  }
+
+  /**
+   * Work out where a code goes from { phone } or { email }
+   * @returns {{ channel: string, destination: string }}
+   */
+  resolveDestination({ phone, email }) {
+    const destination = phone ? this.normalizePhone(phone) : email ? this.normalizeEmail(email) : null;
+    if (!destination) {
+      throw new AppError("A valid phone number or email is required", 400, "VALIDATION_ERROR");
+    }
+    return { channel: phone ? "sms" : "email", destination };
+  }
+
+  // ==============================
+  // SENDING
+  // ==============================
+
+  /**
+   * Generate, store and deliver a new code, replacing any earlier one
+   * @param {object} target - { channel, destination } from resolveDestination
+   * @param {object} options - { purpose, ip }
+   * @returns {Promise<object>} - Expiry and resend delay for the client
+   */
+  async sendCode({ channel, destination }, { purpose = "login", ip } = {}) {
+    await this.assertCanSend(destination, purpose);
+
+    const code = crypto.randomInt(0, 10 ** OTP_LENGTH).toString().padStart(OTP_LENGTH, "0");
+    const otp = new OtpCode({
+      channel,
+      destination,
+      purpose,
+      expiresAt: new Date(Date.now() + OTP_TTL_MINUTES * 60 * 1000),
+      requestedByIp: ip,
+    });
+    otp.codeHash = hashCode(otp, code);
+
+    // Only the newest code of a destination can be redeemed
+    await OtpCode.updateMany(
+      { destination, purpose, consumedAt: { $exists: false } },
+      { $set: { consumedAt: new Date() } }
+    );
+    await otp.save();
+
+    await this.deliver(channel, destination, code);
+
+    return {
+      channel,
+      expiresAt: otp.expiresAt,
+      resendAfterSeconds: RESEND_COOLDOWN_SECONDS,
+    };
+  }
+
+  async assertCanSend(destination, purpose) {
+    const now = Date.now();
+    const latest = await OtpCode.findOne({ destination, purpose }).sort({ createdAt: -1 });
+    if (latest && latest.createdAt > new Date(now - RESEND_COOLDOWN_SECONDS * 1000)) {
+      throw new AppError("Please wait before requesting another code", 429, "OTP_COOLDOWN", {
+        retryAfterSeconds: Math.ceil(
+          (latest.createdAt.getTime() + RESEND_COOLDOWN_SECONDS * 1000 - now) / 1000
+        ),
+      });
+    }
+
+    const sentLastHour = await OtpCode.countDocuments({
+      destination,
+      purpose,
+      createdAt: { $gt: new Date(now - 60 * 60 * 1000) },
+    });
+    if (sentLastHour >= MAX_SENDS_PER_HOUR) {
+      throw new AppError("Too many codes requested, try again later", 429, "OTP_RATE_LIMITED");
+    }
+  }
+
+  async deliver(channel, destination, code) {
+    const text = `Your login code is ${code}. It expires in ${OTP_TTL_MINUTES} minutes. Never share it with anyone.`;
+
+    if (channel === "sms") {
+      await smsSender.sendSms({ to: destination, body: text });
+    } else {
+      await mailer.sendMail({
+        to: destination,
+        subject: `Your login code: ${code}`,
+        text,
+        html: `<p>Your login code is <strong>${code}</strong>.</p><p>It expires in ${OTP_TTL_MINUTES} minutes. Never share it with anyone.</p>`,
+      });
+    }
+  }
+
+  // ==============================
+  // VERIFICATION
+  // ==============================
+
+  /**
+   * Redeem the newest code sent to a destination, each code works once
+   * @param {string} destination - Normalized phone or email
+   * @param {string} code - Code entered by the user
+   * @param {string} purpose - What the code was issued for
+   */
+  async verifyCode(destination, code, purpose = "login") {
+    if (!code) throw new AppError("Code is required", 400, "VALIDATION_ERROR");
+
+    const latest = await OtpCode.findOne({ destination, purpose }).sort({ createdAt: -1 });
+    if (!latest || !latest.isUsable) {
+      throw new AppError("Code expired, request a new one", 400, "OTP_EXPIRED");
+    }
+
+    // Count the attempt before comparing so parallel guesses share the same budget
+    const otp = await OtpCode.findOneAndUpdate(
+      { _id: latest._id, attempts: { $lt: MAX_VERIFY_ATTEMPTS } },
+      { $inc: { attempts: 1 } },
+      { new: true }
+    );
+    if (!otp) {
+      throw new AppError("Too many wrong codes, request a new one", 429, "OTP_ATTEMPTS_EXCEEDED");
+    }
+
+    const expected = Buffer.from(otp.codeHash);
+    const actual = Buffer.from(hashCode(otp, String(code).trim()));
+    if (!crypto.timingSafeEqual(expected, actual)) {
+      throw new AppError("Invalid code", 401, "INVALID_OTP", {
+        remainingAttempts: MAX_VERIFY_ATTEMPTS - otp.attempts,
+      });
+    }
+
+    const consumed = await OtpCode.findOneAndUpdate(
+      { _id: otp._id, consumedAt: { $exists: false } },
+      { $set: { consumedAt: new Date() } }
+    );
+    if (!consumed) {
+      throw new AppError("Code expired, request a new one", 400, "OTP_EXPIRED");
+    }
+  }
+}
+
+// Export service instance
+module.exports = new OtpService();
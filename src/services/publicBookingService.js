@@ -0,0 +1,440 @@
+// ======================================
+// PUBLIC BOOKING SERVICE - SERVICE LAYER
+// ======================================
+const jwt = require("jsonwebtoken");
+const dayjs = require("dayjs");
+const Appointment = require("../models/Appointment");
+const Customer = require("../models/Customer");
+const Service = require("../models/Service");
+const Staff = require("../models/Staff");
+const AppError = require("../utils/appError");
+const logger = require("../config/logger");
+const mailer = require("../utils/mailer");
+const smsSender = require("../utils/smsSender");
+const schedule = require("../utils/schedule");
+const appointmentService = require("./appointmentService");
+const authService = require("./authService");
+const waitlistService = require("./waitlistService");
+
+const { escapeHtml } = mailer;
+
+const getClientUrl = () => process.env.CLIENT_URL || "http://localhost:3000";
+
+const MANAGE_TOKEN_PURPOSE = "manage_booking";
+// Manage links keep working for a while after the appointment, e.g. to look up the booking
+const MANAGE_LINK_GRACE_DAYS = 30;
+
+// Statuses in which the customer can still move or cancel the booking online
+const MANAGEABLE_STATUSES = ["pending_payment", "pending", "confirmed"];
+
+const invalidLinkError = () =>
+  new AppError("Booking link is invalid or has expired", 401, "INVALID_BOOKING_TOKEN");
+
+// Online bookings run as the customer, who shows up as such in the status history
+const customerActor = (customerId) => ({ role: "customer", customerId });
+
+class PublicBookingService {
+  // ==============================
+  // SALON CATALOGUE
+  // ==============================
+
+  // What a salon website shows before booking, nothing internal
+  getSalonProfile(salon) {
+    const settings = salon.settings || {};
+    const policy = settings.cancellationPolicy || {};
+
+    return {
+      name: salon.name,
+      slug: salon.slug,
+      description: salon.description,
+      address: salon.address,
+      contactInfo: salon.contactInfo,
+      images: salon.images,
+      businessHours: salon.businessHours,
+      timezone: schedule.getTimezone(salon), // business hours and slots are in this timezone
+      booking: {
+        allowOnlineBooking: settings.allowOnlineBooking,
+        bookingAdvanceLimit: settings.bookingAdvanceLimit,
+        requireDeposit: Boolean(settings.requireDeposit && settings.depositAmount > 0),
+        depositAmount: settings.requireDeposit ? settings.depositAmount : 0,
+        currency: settings.currency,
+      },
+      cancellationPolicy: policy.enabled
+        ? {
+            windowHours: policy.windowHours,
+            lateCancelFee: policy.lateCancelFee,
+            noShowFee: policy.noShowFee,
+            description: policy.description,
+          }
+        : { description: policy.description },
+    };
+  }
+
+  async getServices() {
+    return Service.find({}).select("name description price durationMins").sort({ name: 1 });
+  }
+
+  async getStaff() {
+    return Staff.find({ active: true }).select("name role").sort({ name: 1 });
+  }
+
+  async getAvailability(salon, { date, serviceIds, staffId } = {}) {
+    this.assertOnlineBooking(salon);
+    const slots = await appointmentService.getAvailableTimeSlots(salon, {
+      date,
+      serviceIds,
+      staffId,
+    });
+    return slots.map(({ staffId: slotStaffId, staffName, time, endAt }) => ({
+      staffId: slotStaffId,
+      staffName,
+      time,
+      endAt,
+    }));
+  }
+
+  // ==============================
+  // BOOKING
+  // ==============================
+
+  /**
+   * Book an appointment for a customer of the salon's website
+   * @param {Salon} salon - req.tenant
+   * @param {object} data - { customer, services, staffId, scheduledAt, notes }
+   * customer is { name, email, phone }, booked under a customer record of its own (see
+   * createOnlineCustomer). serviceIds is accepted instead of services.
+   * Without staffId the first staff member free at scheduledAt is picked.
+   * @param {User} [user] - Signed-in customer, booked under their record at this salon instead
+   * @returns {Promise<{ booking: object, manageToken: string, manageUrl: string }>}
+   */
+  async createBooking(salon, data, user = null) {
+    this.assertOnlineBooking(salon);
+    if (user && user.role !== "customer") {
+      throw new AppError("Only customers can book online", 403, "CUSTOMER_ACCOUNT_REQUIRED");
+    }
+    if (!data.scheduledAt) throw new AppError("scheduledAt is required", 400, "VALIDATION_ERROR");
+
+    const requested = appointmentService.getRequestedServices(data);
+    if (requested.length === 0 || requested.some((line) => !line || !line.serviceId)) {
+      throw new AppError("Pick at least one service", 400, "VALIDATION_ERROR");
+    }
+
+    const scheduledAt = appointmentService.parseDate(data.scheduledAt, "scheduledAt");
+    const slot = await this.findSlot(salon, {
+      scheduledAt,
+      serviceIds: requested.map((line) => line.serviceId),
+      staffId: data.staffId,
+    });
+    const customer = user
+      ? await authService.ensureCustomerProfile(user)
+      : await this.createOnlineCustomer(data.customer);
+
+    const appointment = await appointmentService.createAppointment(customerActor(customer._id), {
+      customerId: customer._id,
+      staffId: slot.staffId,
+      services: requested.map(({ serviceId }) => ({ serviceId })),
+      scheduledAt,
+      notes: data.notes,
+      status: salon.settings.autoConfirmBookings ? "confirmed" : "pending",
+    });
+
+    const manageToken = this.createManageToken(appointment);
+    const manageUrl = this.getManageUrl(salon, appointment, manageToken);
+    await this.sendConfirmation(salon, customer, appointment, manageUrl);
+
+    return { booking: this.toPublicBooking(appointment), manageToken, manageUrl };
+  }
+
+  // ==============================
+  // MANAGING A BOOKING
+  // ==============================
+
+  async getBooking(appointmentId, token) {
+    const appointment = await this.findByToken(appointmentId, token);
+    return this.toPublicBooking(appointment);
+  }
+
+  async cancelBooking(appointmentId, token, reason) {
+    const appointment = await this.findByToken(appointmentId, token);
+    this.assertManageable(appointment);
+
+    const cancelled = await appointmentService.updateAppointmentStatus(
+      customerActor(appointment.customerId),
+      appointment._id,
+      "cancelled",
+      reason || "Cancelled online by the customer"
+    );
+    return this.toPublicBooking(cancelled);
+  }
+
+  /**
+   * Move a booking to another free slot, only before the cancellation window starts so a
+   * late change cannot get around the late cancellation fee
+   */
+  async rescheduleBooking(salon, appointmentId, token, { scheduledAt, staffId } = {}) {
+    const appointment = await this.findByToken(appointmentId, token);
+    this.assertManageable(appointment);
+    if (!scheduledAt) throw new AppError("scheduledAt is required", 400, "VALIDATION_ERROR");
+
+    const policy = salon.settings.cancellationPolicy || {};
+    const windowStart = dayjs(appointment.scheduledAt).subtract(policy.windowHours || 0, "hour");
+    if (policy.enabled && !dayjs().isBefore(windowStart)) {
+      throw new AppError(
+        "This booking can no longer be changed online, please contact the salon",
+        409,
+        "RESCHEDULE_WINDOW_PASSED",
+        { windowHours: policy.windowHours }
+      );
+    }
+
+    const newStart = appointmentService.parseDate(scheduledAt, "scheduledAt");
+    const slot = await this.findSlot(salon, {
+      scheduledAt: newStart,
+      serviceIds: appointment.services.map((line) => line.serviceId),
+      staffId: staffId || appointment.staffId,
+    });
+
+    const updated = await appointmentService.updateAppointment(
+      customerActor(appointment.customerId),
+      appointment._id,
+      { scheduledAt: newStart, staffId: slot.staffId }
+    );
+    return this.toPublicBooking(updated);
+  }
+
+  async confirmDeposit(appointmentId, token) {
+    const appointment = await this.findByToken(appointmentId, token);
+    const confirmed = await appointmentService.confirmDeposit(
+      customerActor(appointment.customerId),
+      appointment._id
+    );
+    return this.toPublicBooking(confirmed);
+  }
+
+  // ==============================
+  // WAITLIST OFFERS
+  // ==============================
+
+  async getWaitlistOffer(entryId, token) {
+    const entry = await waitlistService.findByOfferToken(entryId, token);
+    return this.toPublicOffer(entry);
+  }
+
+  /**
+   * Book the slot offered to a waitlisted customer, through the link sent with the offer
+   * @returns {Promise<{ booking: object, manageToken: string, manageUrl: string }>}
+   */
+  async acceptWaitlistOffer(salon, entryId, token) {
+    const entry = await waitlistService.findByOfferToken(entryId, token);
+    const { appointment } = await waitlistService.acceptOffer(
+      customerActor(entry.customerId),
+      entry._id
+    );
+
+    const manageToken = this.createManageToken(appointment);
+    const manageUrl = this.getManageUrl(salon, appointment, manageToken);
+    const customer = await Customer.findOne({ _id: appointment.customerId });
+    if (customer) await this.sendConfirmation(salon, customer, appointment, manageUrl);
+
+    return { booking: this.toPublicBooking(appointment), manageToken, manageUrl };
+  }
+
+  // The customer stays on the waitlist, the slot goes to the next in line
+  async declineWaitlistOffer(entryId, token) {
+    const entry = await waitlistService.findByOfferToken(entryId, token);
+    const declined = await waitlistService.declineOffer(entry._id);
+    return this.toPublicOffer(declined);
+  }
+
+  // ==============================
+  // MANAGE LINKS
+  // ==============================
+
+  createManageToken(appointment) {
+    const endAt = appointment.endAt || appointment.scheduledAt;
+    return jwt.sign(
+      {
+        purpose: MANAGE_TOKEN_PURPOSE,
+        tenantId: String(appointment.tenantId),
+        exp: dayjs(endAt).add(MANAGE_LINK_GRACE_DAYS, "day").unix(),
+      },
+      authService.getSecret(),
+      { subject: String(appointment._id) }
+    );
+  }
+
+  getManageUrl(salon, appointment, token) {
+    return `${getClientUrl()}/book/${salon.slug}/bookings/${appointment._id}?token=${token}`;
+  }
+
+  // The token has to be for this very appointment of this salon
+  async findByToken(appointmentId, token) {
+    if (!token) throw new AppError("Booking token is required", 401, "INVALID_BOOKING_TOKEN");
+
+    let claims;
+    try {
+      claims = jwt.verify(token, authService.getSecret());
+    } catch (error) {
+      throw invalidLinkError();
+    }
+    if (claims.purpose !== MANAGE_TOKEN_PURPOSE || claims.sub !== String(appointmentId)) {
+      throw invalidLinkError();
+    }
+
+    // Scoped to the salon in the URL, a token of another salon finds nothing
+    const appointment = await Appointment.findOne({ _id: appointmentId });
+    if (!appointment || String(appointment.tenantId) !== claims.tenantId) {
+      throw invalidLinkError();
+    }
+    return appointment;
+  }
+
+  // ==============================
+  // HELPERS
+  // ==============================
+
+  assertOnlineBooking(salon) {
+    if (!salon.settings || !salon.settings.allowOnlineBooking) {
+      throw new AppError(
+        "This salon does not take online bookings",
+        403,
+        "ONLINE_BOOKING_DISABLED"
+      );
+    }
+  }
+
+  assertManageable(appointment) {
+    if (!MANAGEABLE_STATUSES.includes(appointment.status)) {
+      throw new AppError(
+        `A ${appointment.status} booking can no longer be changed online`,
+        409,
+        "BOOKING_NOT_MANAGEABLE"
+      );
+    }
+  }
+
+  // Online bookings have to take an offered slot, so hours, breaks and the booking window apply
+  async findSlot(salon, { scheduledAt, serviceIds, staffId }) {
+    const slots = await appointmentService.getAvailableTimeSlots(salon, {
+      date: scheduledAt,
+      serviceIds,
+      staffId,
+    });
+    const slot = slots.find((candidate) => candidate.time.getTime() === scheduledAt.getTime());
+    if (!slot) {
+      throw new AppError("This time is no longer available", 409, "SLOT_UNAVAILABLE");
+    }
+    return slot;
+  }
+
+  /**
+   * Customer record of an online booking. Anyone can type in an email or phone, so the
+   * booking is never put on an existing customer's record (their wallet, history and fees):
+   * it gets a record of its own, marked as coming from online booking for the salon to merge
+   */
+  async createOnlineCustomer(details = {}) {
+    const name = details.name && String(details.name).trim();
+    const email = details.email ? String(details.email).toLowerCase().trim() : undefined;
+    const phone = details.phone ? String(details.phone).trim() : undefined;
+    if (!name) throw new AppError("Your name is required", 400, "VALIDATION_ERROR");
+    if (!email && !phone) {
+      throw new AppError("Email or phone is required", 400, "VALIDATION_ERROR");
+    }
+
+    return Customer.create({ name, email, phone, source: "online" });
+  }
+
+  // Only what the customer may see, internal notes and history stay with the salon
+  toPublicBooking(appointment) {
+    const { deposit, cancellationFee } = appointment;
+    return {
+      id: appointment._id,
+      status: appointment.status,
+      scheduledAt: appointment.scheduledAt,
+      endAt: appointment.endAt,
+      duration: appointment.duration,
+      staffId: appointment.staffId,
+      services: appointment.services.map((line) => ({
+        serviceId: line.serviceId,
+        name: line.name,
+        staffId: line.staffId,
+        duration: line.duration,
+        price: line.price,
+      })),
+      totalAmount: appointment.totalAmount,
+      notes: appointment.notes,
+      cancelledAt: appointment.cancelledAt,
+      deposit: deposit
+        ? {
+            amount: deposit.amount,
+            currency: deposit.currency,
+            status: deposit.status,
+            expiresAt: deposit.expiresAt,
+            checkoutUrl: deposit.checkoutUrl,
+          }
+        : undefined,
+      cancellationFee: cancellationFee
+        ? {
+            kind: cancellationFee.kind,
+            amount: cancellationFee.amount,
+            status: cancellationFee.status,
+          }
+        : undefined,
+    };
+  }
+
+  toPublicOffer(entry) {
+    const { offer } = entry;
+    return {
+      id: entry._id,
+      status: entry.status,
+      serviceId: entry.serviceId,
+      offer: offer
+        ? {
+            staffId: offer.staffId,
+            scheduledAt: offer.scheduledAt,
+            endAt: offer.endAt,
+            expiresAt: offer.expiresAt,
+          }
+        : undefined,
+    };
+  }
+
+  // A failed message never fails the booking, the customer still gets the link in the response
+  async sendConfirmation(salon, customer, appointment, manageUrl) {
+    const when = schedule.formatInZone(
+      appointment.scheduledAt,
+      "ddd D MMM YYYY, HH:mm",
+      schedule.getTimezone(salon)
+    );
+    const greeting = customer.name ? `Hi ${customer.name}` : "Hi";
+    const pending =
+      appointment.status === "pending_payment"
+        ? " Please pay the deposit to secure your booking."
+        : appointment.status === "pending"
+          ? " The salon will confirm it shortly."
+          : "";
+
+    try {
+      if (customer.email) {
+        await mailer.sendMail({
+          to: customer.email,
+          subject: `Your booking at ${salon.name}`,
+          text: `${greeting},\n\nThanks for booking with ${salon.name} on ${when}.${pending}\n\nView, change or cancel your booking here:\n${manageUrl}`,
+          html: `<p>${escapeHtml(greeting)},</p><p>Thanks for booking with ${escapeHtml(salon.name)} on ${escapeHtml(when)}.${escapeHtml(pending)}</p><p><a href="${escapeHtml(manageUrl)}">View, change or cancel your booking</a></p>`,
+        });
+      } else if (customer.phone) {
+        await smsSender.sendSms({
+          to: customer.phone,
+          body: `${salon.name}: booked for ${when}.${pending} Manage: ${manageUrl}`,
+        });
+      }
+    } catch (error) {
+      logger.error(
+        `Booking confirmation for appointment ${appointment._id} failed: ${error.message}`
+      );
+    }
+  }
+}
+
+module.exports = new PublicBookingService();
@@ -0,0 +1,183 @@
+// ======================================
+// REMINDER SERVICE - SERVICE LAYER
+// ======================================
+const Appointment = require("../models/Appointment");
+const Customer = require("../models/Customer");
+const Salon = require("../models/Salon");
+const logger = require("../config/logger");
+const jobQueue = require("../utils/jobQueue");
+const mailer = require("../utils/mailer");
+const smsSender = require("../utils/smsSender");
+const schedule = require("../utils/schedule");
+const tenantContext = require("../utils/tenantContext");
+const dayjs = require("dayjs");
+
+const { escapeHtml } = mailer;
+
+const REMINDER_JOB = "appointment-reminder";
+
+// Reminders every appointment gets, by how long before it they go out
+const REMINDERS = [
+  { kind: "24h", hoursBefore: 24 },
+  { kind: "2h", hoursBefore: 2 },
+];
+
+// Appointments that get reminders, one held for its deposit gets them once the deposit is paid
+const REMINDABLE_STATUSES = ["pending", "confirmed"];
+
+class ReminderService {
+  // ==============================
+  // SCHEDULING
+  // ==============================
+
+  /**
+   * Queue the reminders of an appointment, replacing the ones queued for it before.
+   * Call it whenever the appointment is booked, moved or changes status: reminders that
+   * are already due, or were sent for the current time, are left out, and an appointment
+   * that is not pending or confirmed (e.g. closed, or waiting on its deposit) only gets
+   * its reminders removed
+   * @param {Appointment} appointment
+   * @returns {Promise<string[]>} - Kinds of the reminders queued
+   */
+  async scheduleReminders(appointment) {
+    await this.cancelReminders(appointment._id);
+    if (!REMINDABLE_STATUSES.includes(appointment.status)) return [];
+
+    const due = this.getDueReminders(appointment);
+    for (const reminder of due) await this.queueReminder(appointment, reminder);
+    return due.map((reminder) => reminder.kind);
+  }
+
+  async cancelReminders(appointmentId) {
+    return jobQueue.cancel(REMINDER_JOB, { appointmentId: String(appointmentId) });
+  }
+
+  /**
+   * Queue reminders for upcoming appointments that have none, e.g. ones booked before
+   * the queue existed. Reminders already queued are kept as they are. Works across all salons
+   * @returns {Promise<number>} - How many appointments were looked at
+   */
+  async scheduleMissingReminders() {
+    return tenantContext.runAsSystem(async () => {
+      const upcoming = await Appointment.find({
+        status: { $in: REMINDABLE_STATUSES },
+        scheduledAt: { $gt: new Date() },
+      }).select("tenantId scheduledAt status remindersSent");
+
+      for (const appointment of upcoming) {
+        for (const reminder of this.getDueReminders(appointment)) {
+          await this.queueReminder(appointment, reminder, { keepExisting: true });
+        }
+      }
+      return upcoming.length;
+    });
+  }
+
+  // Reminders still to go out for the appointment's current time
+  getDueReminders(appointment) {
+    const now = new Date();
+    const sent = (appointment.remindersSent || []).filter(
+      (reminder) => reminder.scheduledAt.getTime() === appointment.scheduledAt.getTime()
+    );
+
+    return REMINDERS.map((reminder) => ({
+      ...reminder,
+      sendAt: dayjs(appointment.scheduledAt).subtract(reminder.hoursBefore, "hour").toDate(),
+    })).filter(
+      (reminder) =>
+        reminder.sendAt > now && !sent.some((sentReminder) => sentReminder.kind === reminder.kind)
+    );
+  }
+
+  // The job carries the appointment time it is for, a job left over from before a move is skipped
+  queueReminder(appointment, reminder, options = {}) {
+    const appointmentId = String(appointment._id);
+    return jobQueue.schedule(
+      REMINDER_JOB,
+      reminder.sendAt,
+      {
+        tenantId: String(appointment.tenantId),
+        appointmentId,
+        kind: reminder.kind,
+        scheduledAt: appointment.scheduledAt.toISOString(),
+      },
+      { uniqueBy: { appointmentId, kind: reminder.kind }, ...options }
+    );
+  }
+
+  // ==============================
+  // SENDING
+  // ==============================
+
+  /**
+   * Send one reminder, the handler of the queued jobs. A reminder is recorded in
+   * remindersSent before it goes out, so a job that runs twice sends it once.
+   * A failed delivery takes the record back and throws, for the job to be retried
+   * @param {object} data - Job data: { tenantId, appointmentId, kind, scheduledAt }
+   * @returns {Promise<boolean>} - false when nothing was sent: the appointment was moved,
+   * closed or deleted, the reminder was already sent, or the customer has no email or phone
+   */
+  async sendReminder({ tenantId, appointmentId, kind, scheduledAt }) {
+    return tenantContext.runWithTenant(tenantId, async () => {
+      const at = new Date(scheduledAt);
+      const appointment = await Appointment.findOneAndUpdate(
+        {
+          _id: appointmentId,
+          scheduledAt: at,
+          status: { $in: REMINDABLE_STATUSES },
+          remindersSent: { $not: { $elemMatch: { kind, scheduledAt: at } } },
+        },
+        { $push: { remindersSent: { kind, scheduledAt: at, sentAt: new Date() } } },
+        { new: true }
+      );
+      if (!appointment) return false;
+
+      try {
+        return await this.deliverReminder(appointment);
+      } catch (error) {
+        await Appointment.updateOne(
+          { _id: appointment._id },
+          { $pull: { remindersSent: { kind, scheduledAt: at } } }
+        );
+        throw error;
+      }
+    });
+  }
+
+  async deliverReminder(appointment) {
+    const [salon, customer] = await Promise.all([
+      Salon.findById(appointment.tenantId),
+      Customer.findOne({ _id: appointment.customerId }),
+    ]);
+    if (!salon || !customer || (!customer.email && !customer.phone)) return false;
+
+    const when = schedule.formatInZone(
+      appointment.scheduledAt,
+      "ddd D MMM YYYY, HH:mm",
+      schedule.getTimezone(salon)
+    );
+    const greeting = customer.name ? `Hi ${customer.name}` : "Hi";
+
+    if (customer.email) {
+      await mailer.sendMail({
+        to: customer.email,
+        subject: `Reminder: your appointment at ${salon.name}`,
+        text: `${greeting},\n\nThis is a reminder of your appointment at ${salon.name} on ${when}.\n\nSee you soon!`,
+        html: `<p>${escapeHtml(greeting)},</p><p>This is a reminder of your appointment at ${escapeHtml(salon.name)} on ${escapeHtml(when)}.</p><p>See you soon!</p>`,
+      });
+    } else {
+      await smsSender.sendSms({
+        to: customer.phone,
+        body: `${salon.name}: reminder of your appointment on ${when}.`,
+      });
+    }
+
+    logger.info(`Reminder sent for appointment ${appointment._id}`);
+    return true;
+  }
+}
+
+const reminderService = new ReminderService();
+reminderService.REMINDER_JOB = REMINDER_JOB;
+
+module.exports = reminderService;
@@ -0,0 +1,129 @@
+// ======================================
+// RESOURCE SERVICE - SERVICE LAYER
+// ======================================
+const Resource = require("../models/Resource");
+const Service = require("../models/Service");
+const Appointment = require("../models/Appointment");
+const AppError = require("../utils/appError");
+
+const EDITABLE_FIELDS = ["name", "type", "description", "active"];
+
+const notFound = () => new AppError("Resource not found", 404, "RESOURCE_NOT_FOUND");
+
+class ResourceService {
+  // ==============================
+  // ROOMS AND EQUIPMENT
+  // ==============================
+
+  // filters: { type, active }, active defaults to only active resources
+  async getResources(filters = {}) {
+    const query = {};
+    if (filters.type) query.type = filters.type;
+    if (filters.active !== "all") query.active = filters.active !== "false";
+
+    return Resource.find(query).sort({ type: 1, name: 1 });
+  }
+
+  async getResourceById(resourceId) {
+    const resource = await Resource.findOne({ _id: resourceId });
+    if (!resource) throw notFound();
+    return resource;
+  }
+
+  async createResource(data) {
+    if (!data.name) throw new AppError("name is required", 400, "VALIDATION_ERROR");
+
+    const resource = new Resource(this.pick(data, EDITABLE_FIELDS));
+    return resource.save();
+  }
+
+  /**
+   * Change a resource, deactivating it keeps its bookings
+   * @returns {Promise<{ resource: Resource, conflicts: Appointment[] }>} - conflicts are upcoming
+   * appointments still holding a resource that was just deactivated
+   */
+  async updateResource(resourceId, updateData) {
+    const resource = await this.getResourceById(resourceId);
+    const wasActive = resource.active;
+    resource.set(this.pick(updateData, EDITABLE_FIELDS));
+    await resource.save();
+
+    const conflicts =
+      wasActive && !resource.active ? await this.getUpcomingBookings(resource._id) : [];
+    return { resource, conflicts };
+  }
+
+  deactivateResource(resourceId) {
+    return this.updateResource(resourceId, { active: false });
+  }
+
+  getUpcomingBookings(resourceId) {
+    return Appointment.find({
+      "services.resourceIds": resourceId,
+      scheduledAt: { $gte: new Date() },
+      status: { $in: Appointment.ACTIVE_STATUSES },
+    })
+      .select("customerId scheduledAt endAt status services")
+      .sort({ scheduledAt: 1 });
+  }
+
+  // ==============================
+  // SERVICE REQUIREMENTS
+  // ==============================
+
+  async getServiceRequirements(serviceId) {
+    const service = await this.getService(serviceId);
+    await service.populate("resourceRequirements.resourceIds", "name type active");
+    return { serviceId: service._id, resourceRequirements: service.resourceRequirements };
+  }
+
+  /**
+   * Replace the resources a service needs, bookings made earlier keep their resources
+   * @param {string} serviceId
+   * @param {Array} requirements - [{ resourceIds }], one of the listed resources is held per requirement
+   */
+  async setServiceRequirements(serviceId, requirements) {
+    if (!Array.isArray(requirements)) {
+      throw new AppError("resourceRequirements must be a list", 400, "VALIDATION_ERROR");
+    }
+    if (
+      requirements.some((requirement) => !requirement || !Array.isArray(requirement.resourceIds))
+    ) {
+      throw new AppError("Every requirement needs a list of resourceIds", 400, "VALIDATION_ERROR");
+    }
+
+    const ids = [
+      ...new Set(requirements.flatMap((requirement) => requirement.resourceIds).map(String)),
+    ];
+    const found =
+      ids.length > 0
+        ? (await Resource.find({ _id: { $in: ids } }).distinct("_id")).map(String)
+        : [];
+    const missing = ids.filter((id) => !found.includes(id));
+    if (missing.length > 0) {
+      throw new AppError("Resource not found", 404, "RESOURCE_NOT_FOUND", { missing });
+    }
+
+    const service = await this.getService(serviceId);
+    service.resourceRequirements = requirements.map((requirement) => ({
+      resourceIds: requirement.resourceIds,
+    }));
+    await service.save();
+    return { serviceId: service._id, resourceRequirements: service.resourceRequirements };
+  }
+
+  async getService(serviceId) {
+    const service = await Service.findOne({ _id: serviceId });
+    if (!service) throw new AppError("Service not found", 404, "SERVICE_NOT_FOUND");
+    return service;
+  }
+
+  pick(source, fields) {
+    return fields.reduce((picked, field) => {
+      if (source[field] !== undefined) picked[field] = source[field];
+      return picked;
+    }, {});
+  }
+}
+
+module.exports = new ResourceService();
@@ -0,0 +1,173 @@
+// ======================================
+// SESSION SERVICE - SERVICE LAYER
+// ======================================
+const crypto = require("crypto");
+const RefreshToken = require("../models/RefreshToken");
+const User = require("../models/User");
+const AppError = require("../utils/appError");
+const sessionStore = require("../utils/sessionStore");
+
+// lastSeenAt is written at most this often per session
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+const BROWSERS = [
+  ["Edge", /Edg\//],
+  ["Opera", /OPR\//],
+  ["Chrome", /Chrome\//],
+  ["Firefox", /Firefox\//],
+  ["Safari", /Safari\//],
+];
+const PLATFORMS = [
+  ["iOS", /iPhone|iPad|iPod/],
+  ["Android", /Android/],
+  ["Windows", /Windows/],
+  ["macOS", /Macintosh|Mac OS X/],
+  ["Linux", /Linux/],
+];
+
+/**
+ * Human readable device label such as "Chrome on Android"
+ * @param {string} userAgent - User-Agent header
+ * @returns {string}
+ */
+const describeDevice = (userAgent) => {
+  if (!userAgent) return "Unknown device";
+
+  const match = (list) => (list.find(([, pattern]) => pattern.test(userAgent)) || [])[0];
+  const browser = match(BROWSERS);
+  const platform = match(PLATFORMS);
+  if (browser && platform) return `${browser} on ${platform}`;
+  return browser || platform || userAgent.split(" ")[0].slice(0, 60);
+};
+
+class SessionService {
+  // ==============================
+  // LIFECYCLE
+  // ==============================
+
+  /**
+   * Start a session for a fresh login
+   * @param {User} user - Logged in user
+   * @param {object} context - { ip, userAgent, authMethod }
+   * @param {Date} expiresAt - Expiry of the login's refresh token
+   */
+  async createSession(user, context, expiresAt) {
+    const now = new Date();
+    return sessionStore.getStore().create({
+      id: crypto.randomUUID(),
+      userId: user._id,
+      tenantId: user.tenantId,
+      authMethod: context.authMethod || "password",
+      device: describeDevice(context.userAgent),
+      userAgent: context.userAgent,
+      ip: context.ip,
+      lastSeenAt: now,
+      lastSeenIp: context.ip,
+      expiresAt,
+    });
+  }
+
+  /**
+   * Make sure a session is still live and record activity on it
+   * @param {string} sessionId - sid claim or refresh token family
+   * @param {object} activity - { ip } of the current request
+   */
+  async assertActive(sessionId, activity = {}) {
+    const store = sessionStore.getStore();
+    const session = await store.get(sessionId);
+    if (!session) {
+      throw new AppError("Session has ended, please log in again", 401, "SESSION_REVOKED");
+    }
+
+    if (!session.lastSeenAt || Date.now() - session.lastSeenAt >= TOUCH_INTERVAL_MS) {
+      await store.touch(sessionId, {
+        lastSeenAt: new Date(),
+        lastSeenIp: activity.ip || session.lastSeenIp,
+      });
+    }
+    return session;
+  }
+
+  extendSession(sessionId, expiresAt) {
+    return sessionStore.getStore().touch(sessionId, { expiresAt });
+  }
+
+  // ==============================
+  // LISTING
+  // ==============================
+
+  async listSessions(userId, currentSessionId) {
+    const sessions = await sessionStore.getStore().listForUser(userId);
+    return sessions.map((session) => this.formatSession(session, currentSessionId));
+  }
+
+  formatSession(session, currentSessionId) {
+    return {
+      id: session.id,
+      device: session.device,
+      userAgent: session.userAgent,
+      ip: session.lastSeenIp || session.ip,
+      authMethod: session.authMethod,
+      createdAt: session.createdAt,
+      lastSeenAt: session.lastSeenAt,
+      expiresAt: session.expiresAt,
+      current: session.id === currentSessionId,
+    };
+  }
+
+  // ==============================
+  // REVOCATION
+  // ==============================
+
+  // Ends the session and the refresh tokens behind it, access tokens fail on their next request
+  async revokeSession(sessionId, reason) {
+    const ids = await sessionStore.getStore().revoke(sessionId, reason);
+    await RefreshToken.revokeFamily(sessionId, reason);
+    return ids;
+  }
+
+  async revokeOwnSession(userId, sessionId) {
+    const session = await sessionStore.getStore().get(sessionId);
+    if (!session || session.userId !== String(userId)) {
+      throw new AppError("Session not found", 404, "SESSION_NOT_FOUND");
+    }
+    await this.revokeSession(sessionId, "revoked");
+  }
+
+  /**
+   * Log a user out everywhere
+   * @param {string} userId - User whose sessions end
+   * @param {string} reason - Revocation reason stored on sessions and tokens
+   * @param {object} options - { exceptSessionId } keeps one session (usually the current one) alive
+   * @returns {Promise<number>} - Number of sessions ended
+   */
+  async revokeAllForUser(userId, reason, { exceptSessionId } = {}) {
+    const ids = await sessionStore.getStore().revokeForUser(userId, reason, { exceptSessionId });
+
+    if (exceptSessionId) {
+      await RefreshToken.updateMany(
+        { userId, family: { $ne: exceptSessionId }, revokedAt: { $exists: false } },
+        { revokedAt: new Date(), revokedReason: reason }
+      );
+    } else {
+      await RefreshToken.revokeAllForUser(userId, reason);
+    }
+    return ids.length;
+  }
+
+  // Force-logout of everyone working in a salon, e.g. when it gets suspended
+  async revokeAllForTenant(tenantId, reason = "tenant_suspended") {
+    const ids = await sessionStore.getStore().revokeForTenant(tenantId, reason);
+
+    // Revoke by user rather than by session so tokens of every user in the salon are covered
+    const userIds = await User.find({ tenantId }).distinct("_id");
+    await RefreshToken.updateMany(
+      { userId: { $in: userIds }, revokedAt: { $exists: false } },
+      { revokedAt: new Date(), revokedReason: reason }
+    );
+    return { sessionsRevoked: ids.length, users: userIds.length };
+  }
+}
+
+// Export service instance
+module.exports = new SessionService();
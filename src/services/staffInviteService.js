@@ -0,0 +1,265 @@
+// ======================================
+// STAFF INVITE SERVICE - SERVICE LAYER
+// ======================================
+const Staff = require("../models/Staff");
+const StaffInvite = require("../models/StaffInvite");
+const Salon = require("../models/Salon");
+const User = require("../models/User");
+const AppError = require("../utils/appError");
+const { generateToken, hashToken } = require("../utils/tokens");
+const tenantContext = require("../utils/tenantContext");
+const mailer = require("../utils/mailer");
+const smsSender = require("../utils/smsSender");
+const authService = require("./authService");
+
+const { escapeHtml } = mailer;
+
+const getClientUrl = () => process.env.CLIENT_URL || "http://localhost:3000";
+
+// Error for a token that matched an invite which can no longer be accepted
+const unusableInviteError = (invite) => {
+  if (invite.status === "accepted") {
+    return new AppError("Invite has already been accepted", 409, "INVITE_ALREADY_ACCEPTED");
+  }
+  if (invite.status === "revoked") {
+    return new AppError("Invite has been revoked", 410, "INVITE_REVOKED");
+  }
+  return new AppError("Invite has expired", 410, "INVITE_EXPIRED");
+};
+
+class StaffInviteService {
+  // ==============================
+  // ADMIN: INVITES
+  // ==============================
+
+  /**
+   * Invite a new or existing staff member of the current salon
+   * @param {object} actor - req.user of the inviting admin
+   * @param {Salon} salon - The current tenant
+   * @param {object} data - { staffId } or { name, role } of a new staff member, plus email and/or phone
+   */
+  async inviteStaff(actor, salon, data) {
+    const email = data.email ? String(data.email).toLowerCase().trim() : undefined;
+    const phone = data.phone ? String(data.phone).trim() : undefined;
+    if (!email && !phone) {
+      throw new AppError("Email or phone is required", 400, "VALIDATION_ERROR");
+    }
+    if (email && (await User.exists({ email }))) {
+      throw new AppError("Email already registered", 409, "EMAIL_TAKEN");
+    }
+
+    let staff;
+    if (data.staffId) {
+      staff = await Staff.findOne({ _id: data.staffId });
+      if (!staff) throw new AppError("Staff member not found", 404, "STAFF_NOT_FOUND");
+      if (staff.userId) {
+        throw new AppError("Staff member already has an account", 409, "STAFF_ALREADY_LINKED");
+      }
+    } else {
+      if (!data.name) throw new AppError("Name is required", 400, "VALIDATION_ERROR");
+      staff = new Staff({ name: data.name, role: data.role });
+    }
+    staff.email = email || staff.email;
+    staff.phone = phone || staff.phone;
+    await staff.save();
+
+    // Only the newest invite of a staff member stays valid
+    await StaffInvite.updateMany(
+      { staffId: staff._id, status: "pending" },
+      { $set: { status: "revoked", revokedAt: new Date(), revokedBy: actor.id } }
+    );
+
+    const token = generateToken();
+    const invite = await StaffInvite.create({
+      staffId: staff._id,
+      email,
+      phone,
+      tokenHash: hashToken(token),
+      expiresAt: StaffInvite.getExpiryDate(),
+      invitedBy: actor.id,
+      lastSentAt: new Date(),
+    });
+
+    await this.sendInvite(invite, token, salon, staff);
+    return { invite, staff };
+  }
+
+  async listInvites({ status, staffId } = {}) {
+    const filter = {};
+    if (status) filter.status = status;
+    if (staffId) filter.staffId = staffId;
+
+    return StaffInvite.find(filter).populate("staffId", "name role").sort({ createdAt: -1 });
+  }
+
+  // A resend issues a new token, links from earlier messages stop working
+  async resendInvite(inviteId, salon) {
+    const invite = await this.getInvite(inviteId);
+    if (!["pending", "expired"].includes(invite.status)) throw unusableInviteError(invite);
+
+    const token = generateToken();
+    invite.tokenHash = hashToken(token);
+    invite.status = "pending";
+    invite.expiresAt = StaffInvite.getExpiryDate();
+    invite.sentCount += 1;
+    invite.lastSentAt = new Date();
+    await invite.save();
+
+    const staff = await Staff.findOne({ _id: invite.staffId });
+    await this.sendInvite(invite, token, salon, staff);
+    return invite;
+  }
+
+  async expireInvite(inviteId) {
+    const invite = await this.getInvite(inviteId);
+    if (invite.status !== "pending") throw unusableInviteError(invite);
+
+    invite.status = "expired";
+    invite.expiresAt = new Date();
+    await invite.save();
+    return invite;
+  }
+
+  async revokeInvite(actor, inviteId) {
+    const invite = await this.getInvite(inviteId);
+    if (!["pending", "expired"].includes(invite.status)) throw unusableInviteError(invite);
+
+    invite.status = "revoked";
+    invite.revokedAt = new Date();
+    invite.revokedBy = actor.id;
+    await invite.save();
+    return invite;
+  }
+
+  async getInvite(inviteId) {
+    const invite = await StaffInvite.findOne({ _id: inviteId });
+    if (!invite) throw new AppError("Invite not found", 404, "INVITE_NOT_FOUND");
+    return invite;
+  }
+
+  async sendInvite(invite, token, salon, staff) {
+    const link = `${getClientUrl()}/accept-invite?token=${token}`;
+    const greeting = staff && staff.name ? `Hi ${staff.name}` : "Hi";
+    const days = Math.round((invite.expiresAt - Date.now()) / (24 * 60 * 60 * 1000));
+
+    if (invite.email) {
+      await mailer.sendMail({
+        to: invite.email,
+        subject: `You're invited to join ${salon.name}`,
+        text: `${greeting},\n\n${salon.name} invited you to join their team. Set up your account here:\n${link}\n\nThe invite expires in ${days} days.`,
+        html: `<p>${escapeHtml(greeting)},</p><p>${escapeHtml(salon.name)} invited you to join their team.</p><p><a href="${escapeHtml(link)}">Set up your account</a></p><p>The invite expires in ${days} days.</p>`,
+      });
+    }
+    if (invite.phone) {
+      await smsSender.sendSms({
+        to: invite.phone,
+        body: `${salon.name} invited you to join their team: ${link}`,
+      });
+    }
+  }
+
+  // ==============================
+  // PUBLIC: ACCEPTING
+  // ==============================
+
+  // Invite tokens arrive without a tenant, so lookups by token run unscoped
+  findInviteByToken(token) {
+    return tenantContext.runAsSystem(() =>
+      StaffInvite.findOne({ tokenHash: hashToken(token) }).exec()
+    );
+  }
+
+  // Details shown on the onboarding screen before the invite is accepted
+  async previewInvite(token) {
+    if (!token) throw new AppError("Invite token is required", 400, "VALIDATION_ERROR");
+
+    const invite = await this.findInviteByToken(token);
+    if (!invite) throw new AppError("Invite link is invalid", 400, "INVALID_TOKEN");
+    if (!invite.isUsable) throw unusableInviteError(invite);
+
+    const [salon, staff] = await Promise.all([
+      Salon.findById(invite.tenantId).select("name slug images.logo"),
+      tenantContext.runWithTenant(invite.tenantId, () =>
+        Staff.findOne({ _id: invite.staffId }).select("name role").exec()
+      ),
+    ]);
+
+    return {
+      salon,
+      staff,
+      email: invite.email,
+      phone: invite.phone,
+      expiresAt: invite.expiresAt,
+    };
+  }
+
+  /**
+   * Accept an invite: creates the staff User and links it to the Staff record
+   * @param {string} token - Raw invite token
+   * @param {object} data - { password, name, email }, email is only needed for phone invites
+   * @param {object} context - Client ip and user agent for the new session
+   * @returns {Promise<object>} - The new user with access and refresh tokens
+   */
+  async acceptInvite(token, data = {}, context = {}) {
+    if (!token) throw new AppError("Invite token is required", 400, "VALIDATION_ERROR");
+    authService.assertPasswordStrength(data.password);
+
+    const pending = await this.findInviteByToken(token);
+    if (!pending) throw new AppError("Invite link is invalid", 400, "INVALID_TOKEN");
+    if (!pending.isUsable) throw unusableInviteError(pending);
+
+    const email = pending.email || (data.email && String(data.email).toLowerCase().trim());
+    if (!email) {
+      throw new AppError("Email is required to set up your account", 400, "VALIDATION_ERROR");
+    }
+    if (await User.exists({ email })) {
+      throw new AppError("Email already registered", 409, "EMAIL_TAKEN");
+    }
+
+    return tenantContext.runWithTenant(pending.tenantId, async () => {
+      // Claim the invite atomically so two concurrent accepts cannot both succeed
+      const invite = await StaffInvite.findOneAndUpdate(
+        { _id: pending._id, status: "pending", expiresAt: { $gt: new Date() } },
+        { $set: { status: "accepted", acceptedAt: new Date() } },
+        { new: true }
+      );
+      if (!invite) throw unusableInviteError(await StaffInvite.findOne({ _id: pending._id }));
+
+      const staff = await Staff.findOne({ _id: invite.staffId });
+
+      let user;
+      try {
+        // passwordHash is hashed by the User pre-save hook
+        user = await User.create({
+          email,
+          passwordHash: data.password,
+          name: data.name || (staff && staff.name) || email,
+          phone: invite.phone || (staff && staff.phone),
+          role: "staff",
+          tenantId: invite.tenantId,
+          // Following an emailed link proves ownership of the mailbox
+          emailVerified: Boolean(invite.email),
+        });
+      } catch (error) {
+        await StaffInvite.updateOne(
+          { _id: invite._id },
+          { $set: { status: "pending" }, $unset: { acceptedAt: 1 } }
+        );
+        if (error.code === 11000) throw new AppError("Email already registered", 409, "EMAIL_TAKEN");
+        throw error;
+      }
+
+      await Promise.all([
+        StaffInvite.updateOne({ _id: invite._id }, { $set: { acceptedUserId: user._id } }),
+        Staff.updateOne({ _id: invite.staffId }, { $set: { userId: user._id, email } }),
+      ]);
+
+      if (!user.emailVerified) await authService.sendVerificationEmail(user);
+
+      return authService.completeLogin(user, { ...context, authMethod: "invite" });
+    });
+  }
+}
+
+// Export service instance
+module.exports = new StaffInviteService();
@@ -39,6 +39,13 @@
 // - Recurring schedule pattern management
 // - Holiday and vacation time handling
 
+const Staff = require("../models/Staff");
+const Appointment = require("../models/Appointment");
+const Salon = require("../models/Salon");
+const AppError = require("../utils/appError");
+const schedule = require("../utils/schedule");
+const tenantContext = require("../utils/tenantContext");
+
 // ========================================
 // STEP 2: ✅ CREATE STAFF SERVICE CLASS
 // ========================================
@@ -444,3 +451,69 @@
 // Configure performance tracking and analytics
 // Initialize compliance and documentation management
 // Set up integration with calendar and scheduling systems
+
+class StaffService {
+  // ==============================
+  // SCHEDULING (STEP 4)
+  // ==============================
+
+  async getWorkingHours(staffId) {
+    const staff = await this.getStaffMember(staffId);
+    return { staffId: staff._id, workingHours: staff.workingHours };
+  }
+
+  /**
+   * Replace the weekly shifts of a staff member, an empty list means "whenever the salon is open"
+   * @param {string} staffId
+   * @param {Array} workingHours - [{ day, isWorking, startTime, endTime, breakStart, breakEnd }]
+   * @returns {Promise<{ staffId, workingHours, conflicts: Appointment[] }>} - conflicts are upcoming
+   * appointments that now fall outside the staff member's hours, they are kept as booked
+   */
+  async updateWorkingHours(staffId, workingHours) {
+    if (!Array.isArray(workingHours)) {
+      throw new AppError("workingHours must be a list", 400, "VALIDATION_ERROR");
+    }
+
+    const staff = await this.getStaffMember(staffId);
+    staff.workingHours = workingHours;
+    await staff.save();
+
+    const upcoming = await Appointment.find({
+      staffId: staff._id,
+      scheduledAt: { $gte: new Date() },
+      status: { $in: Appointment.ACTIVE_STATUSES },
+    })
+      .select("customerId scheduledAt endAt status")
+      .sort({ scheduledAt: 1 });
+    const salon = await Salon.findById(tenantContext.getTenantId()).select("timezone");
+    const timezone = schedule.getTimezone(salon);
+    const conflicts = upcoming.filter(
+      (appointment) => !this.isWithinShift(staff, appointment, timezone)
+    );
+
+    return { staffId: staff._id, workingHours: staff.workingHours, conflicts };
+  }
+
+  // Shifts are read on the salon's wall clock
+  isWithinShift(staff, appointment, timezone) {
+    const shift = staff.getShiftFor(appointment.scheduledAt, timezone);
+    if (shift === undefined) return true;
+    if (shift === null) return false;
+
+    const window = schedule.toInterval(
+      appointment.scheduledAt,
+      shift.startTime,
+      shift.endTime,
+      timezone
+    );
+    return appointment.scheduledAt >= window.start && appointment.endAt <= window.end;
+  }
+
+  async getStaffMember(staffId) {
+    const staff = await Staff.findOne({ _id: staffId });
+    if (!staff) throw new AppError("Staff member not found", 404, "STAFF_NOT_FOUND");
+    return staff;
+  }
+}
+
+module.exports = new StaffService();
@@ -40,6 +40,13 @@
 // - Invoice generation and payment processing
 // - Dunning management for failed payments
 
+const Salon = require("../models/Salon");
+const AppError = require("../utils/appError");
+const logger = require("../config/logger");
+const twoFactorService = require("./twoFactorService");
+const sessionService = require("./sessionService");
+const apiKeyService = require("./apiKeyService");
+
 // ========================================
 // STEP 2: ✅ CREATE SUPER ADMIN SERVICE CLASS
 // ========================================
@@ -428,3 +435,80 @@
 // Configure platform monitoring and alerting
 // Initialize compliance and governance frameworks
 // Set up disaster recovery and backup systems
+
+// Tenant statuses that lock every user of the salon out
+const LOCKED_OUT_STATUSES = ["suspended", "inactive"];
+
+class SuperAdminService {
+  // ==============================
+  // TENANT MANAGEMENT (STEP 3)
+  // ==============================
+
+  async getTenant(tenantId) {
+    const salon = await Salon.findById(tenantId);
+    if (!salon) throw new AppError("Salon not found", 404, "TENANT_NOT_FOUND");
+    return salon;
+  }
+
+  async updateTenantStatus(tenantId, status, adminId) {
+    if (!Salon.schema.path("status").enumValues.includes(status)) {
+      throw new AppError("Invalid tenant status", 400, "VALIDATION_ERROR", {
+        allowed: Salon.schema.path("status").enumValues,
+      });
+    }
+
+    const salon = await this.getTenant(tenantId);
+    salon.status = status;
+    await salon.save();
+    logger.info(`Salon ${salon._id} set to ${status} by super admin ${adminId}`);
+
+    const result = { salon };
+    if (LOCKED_OUT_STATUSES.includes(status)) {
+      result.logout = await this.forceLogoutTenant(tenantId, adminId);
+    }
+    return result;
+  }
+
+  // Ends every session of every user in the salon
+  async forceLogoutTenant(tenantId, adminId) {
+    const salon = await this.getTenant(tenantId);
+    const result = await sessionService.revokeAllForTenant(salon._id, "tenant_suspended");
+    logger.info(
+      `Force logout of salon ${salon._id} by super admin ${adminId}: ${result.sessionsRevoked} sessions`
+    );
+    return result;
+  }
+
+  // ==============================
+  // SYSTEM CONFIGURATION (STEP 7)
+  // ==============================
+
+  async getSecuritySettings() {
+    return {
+      mandatoryTwoFactorRoles: await twoFactorService.getMandatoryRoles(),
+    };
+  }
+
+  async updateSecuritySettings(settings = {}, adminId) {
+    if (settings.mandatoryTwoFactorRoles !== undefined) {
+      await twoFactorService.setMandatoryRoles(settings.mandatoryTwoFactorRoles, adminId);
+    }
+    return this.getSecuritySettings();
+  }
+
+  // ==============================
+  // API ACCESS (STEP 11)
+  // ==============================
+
+  listApiKeys(filters = {}) {
+    return apiKeyService.listAllKeys(filters);
+  }
+
+  async revokeApiKey(keyId, adminId) {
+    const apiKey = await apiKeyService.revokeAnyKey({ id: adminId }, keyId);
+    logger.info(`API key ${apiKey.prefix} of salon ${apiKey.tenantId} revoked by super admin ${adminId}`);
+    return apiKey;
+  }
+}
+
+module.exports = new SuperAdminService();
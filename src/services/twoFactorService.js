@@ -0,0 +1,195 @@
+// ======================================
+// TWO-FACTOR SERVICE - SERVICE LAYER
+// ======================================
+const speakeasy = require("speakeasy");
+const qrcode = require("qrcode");
+const User = require("../models/User");
+const PlatformSetting = require("../models/PlatformSetting");
+const AppError = require("../utils/appError");
+const { generateToken, hashToken } = require("../utils/tokens");
+
+const ISSUER = process.env.TOTP_ISSUER || "Salon SaaS";
+const TOTP_STEP_SECONDS = 30;
+const BACKUP_CODE_COUNT = 10;
+
+// Platform setting listing roles that must use 2FA
+const MANDATORY_ROLES_KEY = "security.mandatoryTwoFactorRoles";
+const ENFORCEABLE_ROLES = ["super_admin", "salon_admin"];
+
+const formatBackupCode = (code) => `${code.slice(0, 4)}-${code.slice(4)}`;
+const normalizeBackupCode = (code) => String(code).replace(/[^a-f0-9]/gi, "").toLowerCase();
+
+class TwoFactorService {
+  // ==============================
+  // PLATFORM POLICY
+  // ==============================
+
+  async getMandatoryRoles() {
+    return PlatformSetting.getValue(MANDATORY_ROLES_KEY, []);
+  }
+
+  async setMandatoryRoles(roles, updatedBy) {
+    if (!Array.isArray(roles) || roles.some((role) => !ENFORCEABLE_ROLES.includes(role))) {
+      throw new AppError("Invalid roles for mandatory 2FA", 400, "VALIDATION_ERROR", {
+        allowed: ENFORCEABLE_ROLES,
+      });
+    }
+    await PlatformSetting.setValue(MANDATORY_ROLES_KEY, [...new Set(roles)], updatedBy);
+    return this.getMandatoryRoles();
+  }
+
+  async isMandatoryFor(user) {
+    const roles = await this.getMandatoryRoles();
+    return roles.includes(user.role);
+  }
+
+  // ==============================
+  // ENROLLMENT
+  // ==============================
+
+  async startEnrollment(user) {
+    if (user.twoFactor && user.twoFactor.enabled) {
+      throw new AppError("Two-factor authentication is already enabled", 409, "TWO_FACTOR_ENABLED");
+    }
+
+    const secret = speakeasy.generateSecret({
+      length: 20,
+      name: `${ISSUER} (${user.email})`,
+      issuer: ISSUER,
+    });
+
+    user.set("twoFactor.pendingSecret", secret.base32);
+    await user.save();
+
+    return {
+      secret: secret.base32,
+      otpauthUrl: secret.otpauth_url,
+      qrCode: await qrcode.toDataURL(secret.otpauth_url),
+    };
+  }
+
+  async confirmEnrollment(user, code) {
+    const pendingSecret = user.twoFactor && user.twoFactor.pendingSecret;
+    if (!pendingSecret) {
+      throw new AppError("Start two-factor setup first", 400, "TWO_FACTOR_NOT_STARTED");
+    }
+
+    const step = this.matchTotp(pendingSecret, code);
+    if (step === null) {
+      throw new AppError("Invalid authentication code", 400, "INVALID_TWO_FACTOR_CODE");
+    }
+
+    const backupCodes = this.generateBackupCodes();
+    user.twoFactor = {
+      enabled: true,
+      secret: pendingSecret,
+      pendingSecret: undefined,
+      backupCodes: backupCodes.map((c) => hashToken(normalizeBackupCode(c))),
+      lastUsedStep: step,
+      enabledAt: new Date(),
+    };
+    await user.save();
+
+    // Plain backup codes are only ever shown here
+    return { backupCodes };
+  }
+
+  async disable(user, { password, code }) {
+    if (!user.twoFactor || !user.twoFactor.enabled) {
+      throw new AppError("Two-factor authentication is not enabled", 400, "TWO_FACTOR_DISABLED");
+    }
+    if (await this.isMandatoryFor(user)) {
+      throw new AppError("Two-factor authentication is mandatory for your role", 403, "TWO_FACTOR_MANDATORY");
+    }
+    if (!password || !(await user.comparePassword(password))) {
+      throw new AppError("Invalid password", 401, "INVALID_CREDENTIALS");
+    }
+    await this.verifyCode(user, code);
+
+    user.twoFactor = { enabled: false };
+    await user.save();
+  }
+
+  async regenerateBackupCodes(user, code) {
+    await this.verifyCode(user, code);
+
+    const backupCodes = this.generateBackupCodes();
+    user.twoFactor.backupCodes = backupCodes.map((c) => hashToken(normalizeBackupCode(c)));
+    await user.save();
+
+    return { backupCodes };
+  }
+
+  // ==============================
+  // VERIFICATION
+  // ==============================
+
+  /**
+   * Verify a TOTP or backup code for a user with 2FA enabled
+   * @param {User} user - User document
+   * @param {string} code - 6 digit TOTP or a backup code
+   * @returns {Promise<{ method: string }>}
+   */
+  async verifyCode(user, code) {
+    if (!user.twoFactor || !user.twoFactor.enabled) {
+      throw new AppError("Two-factor authentication is not enabled", 400, "TWO_FACTOR_DISABLED");
+    }
+    if (!code) {
+      throw new AppError("Authentication code is required", 400, "VALIDATION_ERROR");
+    }
+
+    const step = this.matchTotp(user.twoFactor.secret, code);
+    if (step !== null) {
+      // Each code is accepted once, even though it stays valid for its time window
+      const accepted = await User.updateOne(
+        {
+          _id: user._id,
+          $or: [
+            { "twoFactor.lastUsedStep": { $exists: false } },
+            { "twoFactor.lastUsedStep": { $lt: step } },
+          ],
+        },
+        { $set: { "twoFactor.lastUsedStep": step } }
+      );
+      if (accepted.modifiedCount === 1) {
+        user.twoFactor.lastUsedStep = step;
+        return { method: "totp" };
+      }
+    }
+
+    const backupHash = hashToken(normalizeBackupCode(code));
+    const consumed = await User.updateOne(
+      { _id: user._id, "twoFactor.backupCodes": backupHash },
+      { $pull: { "twoFactor.backupCodes": backupHash } }
+    );
+    if (consumed.modifiedCount === 1) {
+      user.twoFactor.backupCodes = user.twoFactor.backupCodes.filter((c) => c !== backupHash);
+      return { method: "backup_code", remainingBackupCodes: user.twoFactor.backupCodes.length };
+    }
+
+    throw new AppError("Invalid authentication code", 401, "INVALID_TWO_FACTOR_CODE");
+  }
+
+  // Returns the matched TOTP time step, or null
+  matchTotp(secret, code) {
+    if (!secret || !/^\d{6}$/.test(String(code))) return null;
+
+    const result = speakeasy.totp.verifyDelta({
+      secret,
+      encoding: "base32",
+      token: String(code),
+      step: TOTP_STEP_SECONDS,
+      window: 1,
+    });
+    if (!result) return null;
+
+    return Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS) + result.delta;
+  }
+
+  generateBackupCodes() {
+    return Array.from({ length: BACKUP_CODE_COUNT }, () => formatBackupCode(generateToken(4)));
+  }
+}
+
+// Export service instance
+module.exports = new TwoFactorService();
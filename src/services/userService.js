@@ -0,0 +1,145 @@
+// ======================================
+// USER SERVICE - SERVICE LAYER
+// ======================================
+const User = require("../models/User");
+const Notification = require("../models/Notification");
+const AppError = require("../utils/appError");
+const mailer = require("../utils/mailer");
+const logger = require("../config/logger");
+const { MODULE_PERMISSIONS } = require("../config/permissions");
+
+class UserService {
+  // ==============================
+  // ACCESS CHECKS
+  // ==============================
+
+  // Salon admins manage staff of their own salon, super admins manage everyone but each other
+  async getManageableUser(actor, userId) {
+    const user = await User.findById(userId);
+    if (!user) throw new AppError("User not found", 404, "USER_NOT_FOUND");
+
+    if (actor.role === "super_admin") {
+      if (user.role === "super_admin" && String(user._id) !== String(actor.id)) {
+        throw new AppError("Cannot manage another super admin", 403, "USER_NOT_MANAGEABLE");
+      }
+      return user;
+    }
+
+    const sameTenant = user.tenantId && String(user.tenantId) === String(actor.tenantId);
+    if (actor.role !== "salon_admin" || !sameTenant || user.role !== "staff") {
+      throw new AppError("You cannot manage this user", 403, "USER_NOT_MANAGEABLE", {
+        userId: String(user._id),
+      });
+    }
+    return user;
+  }
+
+  // ==============================
+  // PERMISSION MANAGEMENT
+  // ==============================
+
+  async getPermissions(actor, userId) {
+    const user = await this.getManageableUser(actor, userId);
+    return this.formatPermissions(user);
+  }
+
+  async updatePermissions(actor, userId, { grant = [], revoke = [] } = {}) {
+    if (!Array.isArray(grant) || !Array.isArray(revoke)) {
+      throw new AppError("grant and revoke must be arrays", 400, "VALIDATION_ERROR");
+    }
+    const invalid = [...grant, ...revoke].filter((p) => !MODULE_PERMISSIONS.includes(p));
+    if (invalid.length > 0) {
+      throw new AppError("Unknown permissions", 400, "INVALID_PERMISSION", {
+        invalid,
+        allowed: MODULE_PERMISSIONS,
+      });
+    }
+    const conflicting = grant.filter((p) => revoke.includes(p));
+    if (conflicting.length > 0) {
+      throw new AppError("Permission both granted and revoked", 400, "INVALID_PERMISSION", {
+        conflicting,
+      });
+    }
+
+    const user = await this.getManageableUser(actor, userId);
+
+    const permissions = new Set(user.permissions || []);
+    const revokedPermissions = new Set(user.revokedPermissions || []);
+
+    grant.forEach((permission) => {
+      permissions.add(permission);
+      revokedPermissions.delete(permission);
+    });
+    revoke.forEach((permission) => {
+      permissions.delete(permission);
+      revokedPermissions.add(permission);
+    });
+
+    user.permissions = [...permissions];
+    user.revokedPermissions = [...revokedPermissions];
+    await user.save();
+
+    return this.formatPermissions(user);
+  }
+
+  // ==============================
+  // ACCOUNT LOCKOUT
+  // ==============================
+
+  async unlockUser(actor, userId) {
+    const user = await this.getManageableUser(actor, userId);
+    const wasLocked = user.isLocked;
+
+    await user.resetLoginAttempts();
+    if (wasLocked) {
+      await this.notifySecurityEvent(user, {
+        title: "Account unlocked",
+        message: "Your account was unlocked by an administrator. You can log in again.",
+        priority: "medium",
+        metadata: { event: "account_unlocked", unlockedBy: actor.id },
+      });
+    }
+
+    return { userId: user._id, wasLocked };
+  }
+
+  async notifyAccountLocked(user, lockUntil, context = {}) {
+    await this.notifySecurityEvent(user, {
+      title: "Account locked",
+      message: `Your account was locked after too many failed login attempts. It unlocks at ${lockUntil.toISOString()}. If this was not you, reset your password.`,
+      priority: "high",
+      metadata: { event: "account_locked", lockUntil, ip: context.ip },
+    });
+  }
+
+  // In-app notification plus email, failures here must never break the auth flow
+  async notifySecurityEvent(user, { title, message, priority = "high", metadata = {} }) {
+    try {
+      await Notification.create({
+        userId: user._id,
+        salonId: user.tenantId,
+        type: "system",
+        title,
+        message,
+        priority,
+        metadata,
+      });
+      await mailer.sendMail({ to: user.email, subject: title, text: message });
+    } catch (error) {
+      logger.error(`Security notification "${title}" failed for user ${user._id}: ${error.message}`);
+    }
+  }
+
+  formatPermissions(user) {
+    return {
+      userId: user._id,
+      role: user.role,
+      granted: user.permissions,
+      revoked: user.revokedPermissions,
+      effective: user.fullPermissions,
+    };
+  }
+}
+
+// Export service instance
+module.exports = new UserService();
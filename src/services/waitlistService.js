@@ -0,0 +1,505 @@
+// ======================================
+// WAITLIST SERVICE - SERVICE LAYER
+// ======================================
+const jwt = require("jsonwebtoken");
+const WaitlistEntry = require("../models/WaitlistEntry");
+const Customer = require("../models/Customer");
+const Service = require("../models/Service");
+const Salon = require("../models/Salon");
+const AppError = require("../utils/appError");
+const logger = require("../config/logger");
+const schedule = require("../utils/schedule");
+const scheduleLock = require("../utils/scheduleLock");
+const tenantContext = require("../utils/tenantContext");
+const mailer = require("../utils/mailer");
+const smsSender = require("../utils/smsSender");
+const appointmentService = require("./appointmentService");
+const authService = require("./authService");
+const dayjs = require("dayjs");
+
+const { escapeHtml } = mailer;
+
+const getClientUrl = () => process.env.CLIENT_URL || "http://localhost:3000";
+
+const OFFER_TOKEN_PURPOSE = "waitlist_offer";
+
+// Entries looked at per freed slot, in priority order
+const MAX_CANDIDATES = 20;
+
+const OPEN_STATUSES = ["waiting", "offered"];
+
+const notFound = () => new AppError("Waitlist entry not found", 404, "WAITLIST_ENTRY_NOT_FOUND");
+
+const invalidOfferLinkError = () =>
+  new AppError("Offer link is invalid or has expired", 401, "INVALID_OFFER_TOKEN");
+
+class WaitlistService {
+  // ==============================
+  // WAITLIST ENTRIES
+  // ==============================
+
+  /**
+   * List waitlist entries of the current salon, best placed first
+   * @param {object} filters - { status, customerId, serviceId, staffId }
+   * @param {number} page
+   * @param {number} limit
+   */
+  async getEntries(filters = {}, page = 1, limit = 10) {
+    page = Math.max(parseInt(page) || 1, 1);
+    limit = Math.min(Math.max(parseInt(limit) || 10, 1), 100);
+
+    const query = appointmentService.pick(filters, ["status", "customerId", "serviceId", "staffId"]);
+    const entries = await WaitlistEntry.find(query)
+      .populate("customerId", "name email phone")
+      .populate("serviceId", "name durationMins")
+      .populate("staffId", "name")
+      .sort({ priority: -1, createdAt: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+
+    const total = await WaitlistEntry.countDocuments(query);
+
+    return {
+      entries,
+      meta: {
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit),
+        total,
+        hasNextPage: page * limit < total,
+        hasPrevPage: page > 1,
+      },
+    };
+  }
+
+  async getEntryById(entryId) {
+    const entry = await WaitlistEntry.findOne({ _id: entryId })
+      .populate("customerId", "name email phone")
+      .populate("serviceId", "name durationMins")
+      .populate("staffId", "name");
+    if (!entry) throw notFound();
+    return entry;
+  }
+
+  /**
+   * Put a customer on the waitlist of the current salon
+   * @param {object} actor - req.user
+   * @param {object} data - { customerId, serviceId, staffId, windowStart, windowEnd, priority, notes }
+   */
+  async joinWaitlist(actor, data) {
+    ["customerId", "serviceId", "windowStart", "windowEnd"].forEach((field) => {
+      if (!data[field]) throw new AppError(`${field} is required`, 400, "VALIDATION_ERROR");
+    });
+
+    const windowStart = appointmentService.parseDate(data.windowStart, "windowStart");
+    const windowEnd = appointmentService.parseDate(data.windowEnd, "windowEnd");
+    if (windowEnd <= windowStart || windowEnd <= new Date()) {
+      throw new AppError(
+        "windowEnd must be in the future and after windowStart",
+        400,
+        "VALIDATION_ERROR"
+      );
+    }
+
+    const priority = Number(data.priority || 0);
+    if (!Number.isInteger(priority)) {
+      throw new AppError("priority must be a whole number", 400, "VALIDATION_ERROR");
+    }
+
+    await appointmentService.assertCustomerExists(data.customerId);
+    await appointmentService.loadServices([data.serviceId]);
+    if (data.staffId) await appointmentService.assertStaffExist([data.staffId]);
+
+    const duplicate = await WaitlistEntry.exists({
+      customerId: data.customerId,
+      serviceId: data.serviceId,
+      status: { $in: OPEN_STATUSES },
+    });
+    if (duplicate) {
+      throw new AppError(
+        "Customer is already on the waitlist for this service",
+        409,
+        "WAITLIST_DUPLICATE"
+      );
+    }
+
+    const entry = new WaitlistEntry({
+      customerId: data.customerId,
+      serviceId: data.serviceId,
+      staffId: data.staffId || undefined,
+      windowStart,
+      windowEnd,
+      priority,
+      notes: data.notes,
+      createdBy: actor.id,
+    });
+    return entry.save();
+  }
+
+  // Takes the customer off the waitlist, a pending offer goes to the next in line
+  async cancelEntry(entryId) {
+    const entry = await WaitlistEntry.findOne({ _id: entryId });
+    if (!entry) throw notFound();
+
+    let cancelled;
+    if (entry.status === "offered") {
+      cancelled = await this.closeOffer(entry, "withdrawn", { status: "cancelled" }, {
+        "offer.acceptedAt": { $exists: false },
+      });
+    } else if (entry.status === "waiting") {
+      cancelled = await WaitlistEntry.findOneAndUpdate(
+        { _id: entry._id, status: "waiting" },
+        { $set: { status: "cancelled" } },
+        { new: true }
+      );
+    }
+    if (!cancelled) {
+      throw new AppError(
+        `A ${entry.status} waitlist entry can no longer be cancelled`,
+        409,
+        "WAITLIST_ENTRY_CLOSED"
+      );
+    }
+
+    if (entry.status === "offered") await this.reofferSlot(entry.offer);
+    return cancelled;
+  }
+
+  // ==============================
+  // OFFERS
+  // ==============================
+
+  /**
+   * Offer time that was just freed to matching waitlisted customers, one offer per free stretch
+   * @param {Array<{ staffId, start: Date, end: Date }>} intervals - e.g. a cancelled appointment's getStaffIntervals()
+   * @returns {Promise<WaitlistEntry[]>} - Entries that got an offer
+   */
+  async offerFreedSlots(intervals) {
+    const now = new Date();
+    const upcoming = this.mergeIntervals(
+      intervals.filter((interval) => interval.staffId && interval.end > now)
+    );
+    if (upcoming.length === 0) return [];
+
+    const salon = await Salon.findById(tenantContext.getTenantId());
+    if (!salon) return [];
+
+    const offered = [];
+    for (const interval of upcoming) {
+      const entry = await this.offerSlot(salon, interval);
+      if (entry) offered.push(entry);
+    }
+    return offered;
+  }
+
+  // Offers a bookable time inside the interval to the best placed entry it suits
+  async offerSlot(salon, interval) {
+    const candidates = await WaitlistEntry.find({
+      status: "waiting",
+      staffId: { $in: [null, interval.staffId] },
+      windowStart: { $lt: interval.end },
+      windowEnd: { $gt: interval.start },
+      // Someone who already let an offer for this time go is not asked again
+      offerHistory: {
+        $not: {
+          $elemMatch: {
+            staffId: interval.staffId,
+            scheduledAt: { $gte: interval.start, $lt: interval.end },
+          },
+        },
+      },
+    })
+      .sort({ priority: -1, createdAt: 1 })
+      .limit(MAX_CANDIDATES);
+    if (candidates.length === 0) return null;
+
+    // Under the locks a booking takes, so the slot cannot be booked or offered twice meanwhile
+    const requirements = await appointmentService.loadResourceRequirements(
+      candidates.map((entry) => entry.serviceId)
+    );
+    const claimed = await scheduleLock.withLocks(
+      appointmentService.getScheduleLockKeys([interval.staffId], requirements),
+      () => this.claimSlot(salon, interval, candidates),
+      { ttlMs: 60 * 1000 }
+    );
+
+    if (claimed) await this.notifyOffer(salon, claimed);
+    return claimed;
+  }
+
+  // Offers the first candidate a free time of the interval that suits it
+  async claimSlot(salon, interval, candidates) {
+    // Time already offered to someone else is held, so it is not among the available slots
+    const slotsByService = new Map();
+
+    for (const entry of candidates) {
+      const serviceKey = String(entry.serviceId);
+      if (!slotsByService.has(serviceKey)) {
+        slotsByService.set(
+          serviceKey,
+          await appointmentService.getAvailableTimeSlots(salon, {
+            date: interval.start,
+            serviceIds: [entry.serviceId],
+            staffId: interval.staffId,
+          })
+        );
+      }
+
+      const slot = slotsByService
+        .get(serviceKey)
+        .find(
+          (candidate) =>
+            candidate.time >= interval.start &&
+            candidate.time < interval.end &&
+            candidate.time >= entry.windowStart &&
+            candidate.endAt <= entry.windowEnd
+        );
+      if (!slot) continue;
+
+      const now = new Date();
+      const claimed = await WaitlistEntry.findOneAndUpdate(
+        { _id: entry._id, status: "waiting" },
+        {
+          $set: {
+            status: "offered",
+            offer: {
+              staffId: interval.staffId,
+              scheduledAt: slot.time,
+              endAt: slot.endAt,
+              offeredAt: now,
+              expiresAt: dayjs(now)
+                .add(salon.settings?.waitlistOfferMinutes || 30, "minute")
+                .toDate(),
+            },
+          },
+        },
+        { new: true }
+      );
+      if (claimed) return claimed;
+    }
+    return null;
+  }
+
+  /**
+   * Book the offered slot for the customer, the booking goes through the staff member's
+   * schedule lock so it cannot collide with another booking of the same time
+   * @param {object} actor - req.user booking on behalf of the customer, or the customer
+   * through their offer link
+   * @param {string} entryId
+   * @returns {Promise<{ entry: WaitlistEntry, appointment: Appointment }>}
+   */
+  async acceptOffer(actor, entryId) {
+    const now = new Date();
+    const entry = await WaitlistEntry.findOneAndUpdate(
+      {
+        _id: entryId,
+        status: "offered",
+        "offer.expiresAt": { $gt: now },
+        "offer.acceptedAt": { $exists: false },
+      },
+      { $set: { "offer.acceptedAt": now } },
+      { new: true }
+    );
+    if (!entry) throw await this.unusableOfferError(entryId);
+
+    let appointment;
+    try {
+      appointment = await appointmentService.buildAppointment(actor, {
+        customerId: entry.customerId,
+        staffId: entry.offer.staffId,
+        serviceIds: [entry.serviceId],
+        scheduledAt: entry.offer.scheduledAt,
+        notes: entry.notes,
+      });
+      await appointmentService.saveBooking(appointment, { offerId: entry._id });
+    } catch (error) {
+      if (error.code !== "STAFF_UNAVAILABLE") {
+        await WaitlistEntry.updateOne({ _id: entry._id }, { $unset: { "offer.acceptedAt": 1 } });
+        throw error;
+      }
+      await this.closeOffer(entry, "taken", { status: "waiting" });
+      throw new AppError("The offered slot has been booked by someone else", 409, "SLOT_TAKEN");
+    }
+
+    const booked = await this.closeOffer(entry, "accepted", {
+      status: "booked",
+      appointmentId: appointment._id,
+    });
+    await appointmentService.scheduleReminders([appointment]);
+    appointmentService.sendNotification(appointment, "Booked from the waitlist");
+    return { entry: booked, appointment };
+  }
+
+  // The customer passed on the slot, they stay on the waitlist and the slot moves on
+  async declineOffer(entryId) {
+    const entry = await WaitlistEntry.findOne({ _id: entryId });
+    if (!entry) throw notFound();
+
+    const declined =
+      entry.status === "offered" &&
+      (await this.closeOffer(entry, "declined", { status: "waiting" }, {
+        "offer.acceptedAt": { $exists: false },
+      }));
+    if (!declined) throw await this.unusableOfferError(entryId);
+
+    await this.reofferSlot(entry.offer);
+    return declined;
+  }
+
+  // Called by the waitlist worker for offers past their expiry
+  async expireOffer(entryId) {
+    const entry = await WaitlistEntry.findOne({ _id: entryId, status: "offered" });
+    if (!entry) return null;
+
+    const expired = await this.closeOffer(entry, "expired", { status: "waiting" }, {
+      "offer.expiresAt": { $lte: new Date() },
+      "offer.acceptedAt": { $exists: false },
+    });
+    if (!expired) return null;
+
+    await this.reofferSlot(entry.offer);
+    return expired;
+  }
+
+  // Moves the pending offer into offerHistory, only while the entry still matches the filter
+  closeOffer(entry, outcome, changes, filter = {}) {
+    return WaitlistEntry.findOneAndUpdate(
+      { _id: entry._id, status: "offered", ...filter },
+      {
+        $set: changes,
+        $unset: { offer: 1 },
+        $push: {
+          offerHistory: { ...entry.offer.toObject(), outcome, respondedAt: new Date() },
+        },
+      },
+      { new: true }
+    );
+  }
+
+  reofferSlot(offer) {
+    return this.offerFreedSlots([
+      { staffId: offer.staffId, start: offer.scheduledAt, end: offer.endAt },
+    ]);
+  }
+
+  async unusableOfferError(entryId) {
+    const entry = await WaitlistEntry.findOne({ _id: entryId });
+    if (!entry) return notFound();
+    if (entry.status !== "offered") {
+      return new AppError("There is no open offer for this entry", 409, "OFFER_NOT_ACTIVE", {
+        status: entry.status,
+      });
+    }
+    if (entry.offer.acceptedAt) {
+      return new AppError("The offer is already being accepted", 409, "OFFER_NOT_ACTIVE");
+    }
+    return new AppError("The offer has expired", 410, "OFFER_EXPIRED");
+  }
+
+  // Joins touching intervals of the same staff member, e.g. back to back services
+  mergeIntervals(intervals) {
+    const sorted = [...intervals].sort(
+      (a, b) => String(a.staffId).localeCompare(String(b.staffId)) || a.start - b.start
+    );
+    return sorted.reduce((merged, interval) => {
+      const last = merged[merged.length - 1];
+      if (last && String(last.staffId) === String(interval.staffId) && interval.start <= last.end) {
+        last.end = new Date(Math.max(last.end, interval.end));
+      } else {
+        merged.push({ staffId: interval.staffId, start: interval.start, end: interval.end });
+      }
+      return merged;
+    }, []);
+  }
+
+  // ==============================
+  // OFFER LINKS
+  // ==============================
+
+  // Signed for the current offer of the entry, it stops working when the offer expires
+  createOfferToken(entry) {
+    return jwt.sign(
+      {
+        purpose: OFFER_TOKEN_PURPOSE,
+        tenantId: String(entry.tenantId),
+        offeredAt: entry.offer.offeredAt.getTime(),
+        exp: dayjs(entry.offer.expiresAt).unix(),
+      },
+      authService.getSecret(),
+      { subject: String(entry._id) }
+    );
+  }
+
+  getOfferUrl(salon, entry, token) {
+    return `${getClientUrl()}/book/${salon.slug}/waitlist/${entry._id}?token=${token}`;
+  }
+
+  /**
+   * The entry an offer link is for, the link of an earlier offer of the same entry does not count
+   * @param {string} entryId
+   * @param {string} token - From createOfferToken
+   * @returns {Promise<WaitlistEntry>}
+   */
+  async findByOfferToken(entryId, token) {
+    if (!token) throw new AppError("Offer token is required", 401, "INVALID_OFFER_TOKEN");
+
+    let claims;
+    try {
+      claims = jwt.verify(token, authService.getSecret());
+    } catch (error) {
+      throw invalidOfferLinkError();
+    }
+    if (claims.purpose !== OFFER_TOKEN_PURPOSE || claims.sub !== String(entryId)) {
+      throw invalidOfferLinkError();
+    }
+
+    const entry = await WaitlistEntry.findOne({ _id: entryId });
+    if (
+      !entry ||
+      String(entry.tenantId) !== claims.tenantId ||
+      !entry.offer ||
+      entry.offer.offeredAt.getTime() !== claims.offeredAt
+    ) {
+      throw invalidOfferLinkError();
+    }
+    return entry;
+  }
+
+  // ==============================
+  // NOTIFICATIONS
+  // ==============================
+
+  // A failed delivery is only logged, the offer stands and still expires on time
+  async notifyOffer(salon, entry) {
+    try {
+      const [customer, service] = await Promise.all([
+        Customer.findOne({ _id: entry.customerId }),
+        Service.findOne({ _id: entry.serviceId }),
+      ]);
+      if (!customer) return;
+
+      const greeting = customer.name ? `Hi ${customer.name}` : "Hi";
+      const timezone = schedule.getTimezone(salon);
+      const when = schedule.formatInZone(entry.offer.scheduledAt, "ddd D MMM, HH:mm", timezone);
+      const until = schedule.formatInZone(entry.offer.expiresAt, "HH:mm", timezone);
+      const text = `${salon.name} has a free slot for ${service ? service.name : "your service"} on ${when}. It is held for you until ${until}.`;
+      const offerUrl = this.getOfferUrl(salon, entry, this.createOfferToken(entry));
+
+      if (customer.email) {
+        await mailer.sendMail({
+          to: customer.email,
+          subject: `A slot opened up at ${salon.name}`,
+          text: `${greeting},\n\n${text}\n\nBook it or let it go here:\n${offerUrl}`,
+          html: `<p>${escapeHtml(greeting)},</p><p>${escapeHtml(text)}</p><p><a href="${escapeHtml(offerUrl)}">Book it or let it go</a></p>`,
+        });
+      }
+      if (customer.phone) {
+        await smsSender.sendSms({ to: customer.phone, body: `${text} Book: ${offerUrl}` });
+      }
+    } catch (error) {
+      logger.error(`Waitlist offer notification for entry ${entry._id} failed: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new WaitlistService();
@@ -0,0 +1,22 @@
+/**
+ * Operational error carrying an HTTP status and a machine-readable code.
+ * Thrown from services/middlewares and rendered by errorMiddleware.
+ */
+class AppError extends Error {
+  /**
+   * @param {string} message - Human readable message
+   * @param {number} statusCode - HTTP status code to respond with
+   * @param {string} code - Stable error code for API clients
+   * @param {object} [details] - Optional extra context returned to the client
+   */
+  constructor(message, statusCode = 500, code = "INTERNAL_ERROR", details) {
+    super(message);
+    this.name = "AppError";
+    this.statusCode = statusCode;
+    this.code = code;
+    this.details = details;
+    this.isOperational = true;
+  }
+}
+
+module.exports = AppError;
@@ -0,0 +1,9 @@
+/**
+ * Wrap an async express handler so rejected promises reach errorMiddleware
+ * @param {Function} handler - async (req, res, next) => {}
+ * @returns {Function} - express middleware
+ */
+const asyncHandler = (handler) => (req, res, next) =>
+  Promise.resolve(handler(req, res, next)).catch(next);
+
+module.exports = asyncHandler;
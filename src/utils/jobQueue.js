@@ -0,0 +1,103 @@
+const { Agenda } = require("agenda");
+const { salonAdminConnection } = require("../config/db");
+const logger = require("../config/logger");
+
+/**
+ * Persistent job queue (Agenda) in the salon database. Jobs are stored in
+ * JOB_QUEUE_COLLECTION, survive restarts and run on whichever server started
+ * the queue. Any process can schedule or cancel jobs, only a started queue runs them.
+ * The queue can be started before the salon database is connected, it starts once it is.
+ *
+ * Job data is kept to plain values (ids as strings) so jobs can be found by it.
+ */
+let agenda = null;
+// Handlers by job name, kept to define them on the queue whenever it is created
+const handlers = new Map();
+
+// { appointmentId: "..." } -> { "data.appointmentId": "..." }
+const toDataQuery = (data = {}) =>
+  Object.entries(data).reduce((query, [key, value]) => {
+    query[`data.${key}`] = value;
+    return query;
+  }, {});
+
+const getAgenda = () => {
+  if (!agenda) {
+    if (!salonAdminConnection.db) throw new Error("Job queue needs the salon database connection");
+    agenda = new Agenda({
+      mongo: salonAdminConnection.db,
+      db: { collection: process.env.JOB_QUEUE_COLLECTION || "jobs" },
+      processEvery: process.env.JOB_QUEUE_PROCESS_EVERY || "30 seconds",
+    });
+    agenda.on("fail", (error, job) =>
+      logger.error(`Job ${job.attrs.name} ${job.attrs._id} failed: ${error.message}`)
+    );
+    handlers.forEach((handler, name) => agenda.define(name, handler));
+  }
+  return agenda;
+};
+
+/**
+ * Register the handler of a job, before start()
+ * @param {string} name
+ * @param {Function} handler - async (job) => {}, job.attrs.data holds the data it was scheduled with.
+ * A handler that throws marks the job failed, it can job.schedule() a retry before throwing
+ */
+const define = (name, handler) => {
+  handlers.set(name, handler);
+  if (agenda) agenda.define(name, handler);
+};
+
+const waitForConnection = () =>
+  new Promise((resolve) => {
+    if (salonAdminConnection.readyState === 1) return resolve();
+    logger.warn("Job queue waits for the salon database connection");
+    return salonAdminConnection.once("open", resolve);
+  });
+
+const start = async () => {
+  await waitForConnection();
+  await getAgenda().start();
+  logger.info("Job queue started");
+};
+
+// Lets running jobs finish and unlocks the ones not started yet for other servers
+const stop = async () => {
+  if (agenda) await agenda.stop();
+};
+
+/**
+ * Schedule a one-off job
+ * @param {string} name
+ * @param {Date} runAt
+ * @param {object} data
+ * @param {object} options - { uniqueBy, keepExisting }, uniqueBy lists the data fields that
+ * identify the job: an existing job with the same values is rescheduled instead of adding
+ * a second one, or left as it is with keepExisting
+ */
+const schedule = async (name, runAt, data, { uniqueBy, keepExisting = false } = {}) => {
+  const job = getAgenda().create(name, data);
+  if (uniqueBy) job.unique({ name, ...toDataQuery(uniqueBy) }, { insertOnly: keepExisting });
+  job.schedule(runAt);
+  await job.save();
+  return job;
+};
+
+/**
+ * Remove scheduled jobs
+ * @param {string} name
+ * @param {object} data - Data fields the jobs must match
+ * @returns {Promise<number>} - How many were removed
+ */
+const cancel = (name, data) => getAgenda().cancel({ name, ...toDataQuery(data) });
+
+const find = (name, data) => getAgenda().jobs({ name, ...toDataQuery(data) });
+
+module.exports = {
+  define,
+  start,
+  stop,
+  schedule,
+  cancel,
+  find,
+};
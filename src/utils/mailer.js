@@ -0,0 +1,101 @@
+const fs = require("fs");
+const path = require("path");
+const nodemailer = require("nodemailer");
+const logger = require("../config/logger");
+
+/**
+ * Outgoing mail with a pluggable transport, picked by MAIL_TRANSPORT:
+ * - "smtp": real delivery through SMTP_* settings
+ * - "file": every message is written as .eml into MAIL_OUTBOX_DIR
+ * - "memory": messages are kept in mailer.outbox (tests)
+ */
+const outbox = [];
+let transport = null;
+
+const createFileTransport = () => {
+  const dir = process.env.MAIL_OUTBOX_DIR || path.join(process.cwd(), "tmp", "mail");
+  const streamTransport = nodemailer.createTransport({ streamTransport: true, buffer: true });
+
+  return {
+    async sendMail(message) {
+      const info = await streamTransport.sendMail(message);
+      await fs.promises.mkdir(dir, { recursive: true });
+      const file = path.join(dir, `${Date.now()}-${info.messageId.replace(/[<>@]/g, "")}.eml`);
+      await fs.promises.writeFile(file, info.message);
+      return { ...info, file };
+    },
+  };
+};
+
+const createMemoryTransport = () => ({
+  async sendMail(message) {
+    const info = { messageId: `memory-${outbox.length + 1}`, ...message };
+    outbox.push(info);
+    return info;
+  },
+});
+
+const createSmtpTransport = () =>
+  nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT || "587", 10),
+    secure: process.env.SMTP_SECURE === "true",
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined,
+  });
+
+const TRANSPORTS = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  memory: createMemoryTransport,
+};
+
+const getTransport = () => {
+  if (!transport) {
+    const name = process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === "test" ? "memory" : "file");
+    const factory = TRANSPORTS[name];
+    if (!factory) throw new Error(`Unknown MAIL_TRANSPORT "${name}"`);
+    transport = factory();
+  }
+  return transport;
+};
+
+/**
+ * Replace the active transport, e.g. with a stub in tests
+ * @param {{ sendMail: Function }} customTransport - Anything with a nodemailer-like sendMail
+ */
+const setTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+const HTML_ENTITIES = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" };
+
+// Text made safe to put into the html of a message, for names and anything else users typed
+const escapeHtml = (value) =>
+  String(value === undefined || value === null ? "" : value).replace(
+    /[&<>"']/g,
+    (char) => HTML_ENTITIES[char]
+  );
+
+/**
+ * Send an email
+ * @param {object} message - { to, subject, text, html }
+ * @returns {Promise<object>} - Transport info
+ */
+const sendMail = async (message) => {
+  const info = await getTransport().sendMail({
+    from: process.env.MAIL_FROM || "Salon SaaS <no-reply@salonapp.com>",
+    ...message,
+  });
+  logger.debug(`Mail "${message.subject}" sent to ${message.to}`);
+  return info;
+};
+
+module.exports = {
+  outbox,
+  escapeHtml,
+  sendMail,
+  setTransport,
+  getTransport,
+};
@@ -0,0 +1,182 @@
+const axios = require("axios");
+const crypto = require("crypto");
+const logger = require("../config/logger");
+
+/**
+ * Online payments with a pluggable provider, picked by PAYMENT_PROVIDER:
+ * - "razorpay": payment links through the Razorpay API with RAZORPAY_KEY_ID / RAZORPAY_KEY_SECRET
+ * - "fake": payments are kept in paymentGateway.payments and paid with provider.pay(id) (tests)
+ *
+ * Amounts are in the currency's main unit (rupees), payment statuses are
+ * "pending", "paid", "cancelled" or "expired".
+ */
+const payments = new Map();
+let provider = null;
+
+// Razorpay takes amounts in the smallest currency unit
+const toMinorUnits = (amount) => Math.round(amount * 100);
+
+const RAZORPAY_STATUSES = {
+  created: "pending",
+  partially_paid: "pending",
+  paid: "paid",
+  cancelled: "cancelled",
+  expired: "expired",
+};
+
+const createRazorpayProvider = () => {
+  const client = axios.create({
+    baseURL: "https://api.razorpay.com/v1",
+    auth: { username: process.env.RAZORPAY_KEY_ID, password: process.env.RAZORPAY_KEY_SECRET },
+    timeout: 10000,
+  });
+
+  const describe = (link) => ({
+    id: link.id,
+    status: RAZORPAY_STATUSES[link.status] || "pending",
+    amount: link.amount / 100,
+    currency: link.currency,
+    checkoutUrl: link.short_url,
+  });
+
+  return {
+    async createPayment({ amount, currency, reference, description, customer = {}, expiresAt }) {
+      const { data } = await client.post("/payment_links", {
+        amount: toMinorUnits(amount),
+        currency,
+        reference_id: reference,
+        description,
+        customer: { name: customer.name, email: customer.email, contact: customer.phone },
+        expire_by: expiresAt ? Math.floor(expiresAt.getTime() / 1000) : undefined,
+      });
+      return describe(data);
+    },
+
+    async getPayment(id) {
+      const { data } = await client.get(`/payment_links/${id}`);
+      return describe(data);
+    },
+
+    async cancelPayment(id) {
+      try {
+        const { data } = await client.post(`/payment_links/${id}/cancel`);
+        return describe(data);
+      } catch (error) {
+        // Links that were paid or expired in the meantime cannot be cancelled
+        return this.getPayment(id);
+      }
+    },
+
+    async refund(id, amount) {
+      const { data: link } = await client.get(`/payment_links/${id}`);
+      const paid = (link.payments || []).find((payment) => payment.status === "captured");
+      if (!paid) throw new Error(`Payment link ${id} has no captured payment to refund`);
+      const { data } = await client.post(`/payments/${paid.payment_id}/refund`, {
+        amount: toMinorUnits(amount),
+      });
+      return { id: data.id, amount: data.amount / 100 };
+    },
+  };
+};
+
+const createFakeProvider = () => ({
+  async createPayment({ amount, currency, reference }) {
+    const id = `fake_${crypto.randomBytes(8).toString("hex")}`;
+    payments.set(id, { id, amount, currency, reference, status: "pending", refunded: 0 });
+    return { ...payments.get(id), checkoutUrl: null };
+  },
+
+  async getPayment(id) {
+    const payment = payments.get(id);
+    if (!payment) throw new Error(`Unknown payment ${id}`);
+    return { ...payment };
+  },
+
+  async cancelPayment(id) {
+    const payment = payments.get(id);
+    if (!payment) throw new Error(`Unknown payment ${id}`);
+    if (payment.status === "pending") payment.status = "cancelled";
+    return { ...payment };
+  },
+
+  async refund(id, amount) {
+    const payment = payments.get(id);
+    if (!payment || payment.status !== "paid") throw new Error(`Payment ${id} is not paid`);
+    payment.refunded += amount;
+    return { id: `${id}_refund_${Date.now()}`, amount };
+  },
+
+  // Stands in for the customer paying at the provider
+  pay(id) {
+    const payment = payments.get(id);
+    if (!payment) throw new Error(`Unknown payment ${id}`);
+    payment.status = "paid";
+    return { ...payment };
+  },
+});
+
+const PROVIDERS = {
+  razorpay: createRazorpayProvider,
+  fake: createFakeProvider,
+};
+
+const getProviderName = () =>
+  process.env.PAYMENT_PROVIDER || (process.env.NODE_ENV === "production" ? "razorpay" : "fake");
+
+const getProvider = () => {
+  if (!provider) {
+    const name = getProviderName();
+    const factory = PROVIDERS[name];
+    if (!factory) throw new Error(`Unknown PAYMENT_PROVIDER "${name}"`);
+    provider = factory();
+  }
+  return provider;
+};
+
+/**
+ * Replace the active provider, e.g. with a stub in tests
+ * @param {object} customProvider - Anything with createPayment, getPayment, cancelPayment and refund
+ */
+const setProvider = (customProvider) => {
+  provider = customProvider;
+};
+
+/**
+ * Ask the customer for a payment
+ * @param {object} request - { amount, currency, reference, description, customer: { name, email, phone }, expiresAt }
+ * @returns {Promise<object>} - { id, status, checkoutUrl }, checkoutUrl is where the customer pays
+ */
+const createPayment = async (request) => {
+  const payment = await getProvider().createPayment(request);
+  logger.debug(`Payment ${payment.id} of ${request.amount} requested for ${request.reference}`);
+  return payment;
+};
+
+const getPayment = (id) => getProvider().getPayment(id);
+
+/**
+ * Withdraw a payment request that was not paid yet
+ * @returns {Promise<object>} - The payment afterwards, still "paid" when it was paid in the meantime
+ */
+const cancelPayment = (id) => getProvider().cancelPayment(id);
+
+/**
+ * Give back part or all of a paid payment
+ * @returns {Promise<{ id: string, amount: number }>} - The provider's refund
+ */
+const refund = async (id, amount) => {
+  const result = await getProvider().refund(id, amount);
+  logger.debug(`Refunded ${amount} of payment ${id}`);
+  return result;
+};
+
+module.exports = {
+  payments,
+  getProviderName,
+  getProvider,
+  setProvider,
+  createPayment,
+  getPayment,
+  cancelPayment,
+  refund,
+};
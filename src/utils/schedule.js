@@ -0,0 +1,148 @@
+const dayjs = require("dayjs");
+const utc = require("dayjs/plugin/utc");
+const timezone = require("dayjs/plugin/timezone");
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+/**
+ * Helpers for the "HH:mm" opening hours and shifts stored on salons and staff,
+ * and for the time intervals ({ start, end } Dates) built from them.
+ *
+ * Days, weekdays and "HH:mm" times are read on the wall clock of an IANA
+ * timezone (the salon's), falling back to DEFAULT_TIMEZONE. Days are not
+ * always 24 hours long there, so a day is the interval from its midnight to
+ * the next day's midnight.
+ */
+const WEEKDAYS = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const WALL_CLOCK_FORMAT = "YYYY-MM-DDTHH:mm:ss.SSS";
+
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || "Asia/Kolkata";
+
+const isValidTimezone = (zone) => {
+  if (!zone || typeof zone !== "string") return false;
+  try {
+    Intl.DateTimeFormat("en-US", { timeZone: zone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Timezone of a salon, or of anything else with a timezone field
+const getTimezone = (owner) => (owner && owner.timezone) || DEFAULT_TIMEZONE;
+
+// A date as seen on the wall clock of a timezone
+const inZone = (date, zone = DEFAULT_TIMEZONE) => dayjs(date).tz(zone);
+
+// Lowercase weekday name of a date, as used in businessHours.day
+const getWeekday = (date, zone) => WEEKDAYS[inZone(date, zone).day()];
+
+// "YYYY-MM-DD" of a date, as used for closures
+const toDateKey = (date, zone) => inZone(date, zone).format("YYYY-MM-DD");
+
+// Date key of a "YYYY-MM-DD" string as it is, of any other date as seen in the timezone
+const toDayKey = (value, zone) =>
+  typeof value === "string" && DATE_KEY_PATTERN.test(value) ? value : toDateKey(value, zone);
+
+// Date key a number of days after another one
+const addDaysToKey = (key, days) => dayjs.utc(key).add(days, "day").format("YYYY-MM-DD");
+
+// Date for a wall clock time ("YYYY-MM-DD HH:mm" or "YYYY-MM-DDTHH:mm:ss.SSS") in a timezone.
+// Times skipped by a DST change move forward by the size of the gap.
+const fromWallClock = (wallClock, zone = DEFAULT_TIMEZONE) => dayjs.tz(wallClock, zone).toDate();
+
+// Date for an "HH:mm" time on the day of the given date (a Date or a "YYYY-MM-DD" key)
+const atTime = (date, time, zone) => fromWallClock(`${toDayKey(date, zone)} ${time}`, zone);
+
+// Midnight that starts the day of a date
+const startOfDay = (date, zone) => atTime(date, "00:00", zone);
+
+// { key, start, end } of the day of a date, end being the next day's midnight (exclusive)
+const getDayRange = (date, zone) => {
+  const key = toDayKey(date, zone);
+  return {
+    key,
+    start: atTime(key, "00:00", zone),
+    end: atTime(addDaysToKey(key, 1), "00:00", zone),
+  };
+};
+
+// { start, end } of a calendar month (1-12), end being the next month's first midnight (exclusive)
+const getMonthRange = (year, month, zone) => {
+  const first = dayjs.utc(Date.UTC(year, month - 1, 1));
+  return {
+    start: atTime(first.format("YYYY-MM-DD"), "00:00", zone),
+    end: atTime(first.add(1, "month").format("YYYY-MM-DD"), "00:00", zone),
+  };
+};
+
+/**
+ * Move a date by an amount of wall clock time, so a 10:00 appointment stays
+ * at 10:00 when the move crosses a DST change
+ * @param {Date} date
+ * @param {number} amount
+ * @param {string} unit - dayjs unit: "minute", "day", "week", "month"...
+ * @param {string} zone
+ * @returns {Date}
+ */
+const addWallClock = (date, amount, unit, zone) => {
+  const wallClock = dayjs.utc(inZone(date, zone).format(WALL_CLOCK_FORMAT));
+  return fromWallClock(wallClock.add(amount, unit).format(WALL_CLOCK_FORMAT), zone);
+};
+
+// Wall clock minutes from one date to another, ignoring DST changes between them
+const diffWallClock = (from, to, zone) => {
+  const wallClock = (date) => dayjs.utc(inZone(date, zone).format(WALL_CLOCK_FORMAT));
+  return wallClock(to).diff(wallClock(from), "minute");
+};
+
+// Date formatted on the wall clock of a timezone, e.g. for messages to customers
+const formatInZone = (date, format, zone) => inZone(date, zone).format(format);
+
+// Interval for a pair of "HH:mm" times on a day, null when either is missing or they are reversed
+const toInterval = (date, startTime, endTime, zone) => {
+  if (!startTime || !endTime) return null;
+  const start = atTime(date, startTime, zone);
+  const end = atTime(date, endTime, zone);
+  return start < end ? { start, end } : null;
+};
+
+const overlaps = (a, b) => a.start < b.end && a.end > b.start;
+
+// Common part of two intervals, null when they do not overlap
+const intersect = (a, b) => {
+  if (!a || !b || !overlaps(a, b)) return null;
+  return {
+    start: new Date(Math.max(a.start, b.start)),
+    end: new Date(Math.min(a.end, b.end)),
+  };
+};
+
+module.exports = {
+  WEEKDAYS,
+  TIME_PATTERN,
+  DATE_KEY_PATTERN,
+  DEFAULT_TIMEZONE,
+  isValidTimezone,
+  getTimezone,
+  inZone,
+  getWeekday,
+  toDateKey,
+  toDayKey,
+  addDaysToKey,
+  fromWallClock,
+  atTime,
+  startOfDay,
+  getDayRange,
+  getMonthRange,
+  addWallClock,
+  diffWallClock,
+  formatInZone,
+  toInterval,
+  overlaps,
+  intersect,
+};
@@ -0,0 +1,74 @@
+const crypto = require("crypto");
+const ScheduleLock = require("../models/ScheduleLock");
+const AppError = require("./appError");
+
+/**
+ * Exclusive locks on parts of a salon's schedule, held while a booking is checked and saved.
+ * A lock is a ScheduleLock document: taking it upserts the document only when it is missing
+ * or expired, so a second caller hits the unique _id and has to wait. Works on a standalone
+ * MongoDB, no replica set transactions needed.
+ */
+const DEFAULT_OPTIONS = {
+  ttlMs: 15 * 1000, // longest a booking may hold its locks
+  waitMs: 5 * 1000, // how long to wait for a busy lock before giving up
+  retryMs: 25,
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const staffLockKey = (staffId) => `staff:${staffId}`;
+const resourceLockKey = (resourceId) => `resource:${resourceId}`;
+
+const tryAcquire = async (key, owner, ttlMs) => {
+  const now = new Date();
+  try {
+    await ScheduleLock.findOneAndUpdate(
+      { _id: key, expiresAt: { $lte: now } },
+      { $set: { owner, expiresAt: new Date(now.getTime() + ttlMs) } },
+      { upsert: true }
+    );
+    return true;
+  } catch (error) {
+    // The lock exists and has not expired
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+const release = (keys, owner) =>
+  keys.length > 0 ? ScheduleLock.deleteMany({ _id: { $in: keys }, owner }) : null;
+
+/**
+ * Run a callback while holding every given lock
+ * @param {string[]} keys - Lock keys, taken in sorted order so overlapping callers cannot deadlock
+ * @param {Function} callback - Async work to do under the locks
+ * @param {object} options - { ttlMs, waitMs, retryMs }
+ * @returns {Promise<*>} - Whatever the callback returns
+ */
+const withLocks = async (keys, callback, options = {}) => {
+  const { ttlMs, waitMs, retryMs } = { ...DEFAULT_OPTIONS, ...options };
+  const owner = crypto.randomUUID();
+  const acquired = [];
+  const giveUpAt = Date.now() + waitMs;
+
+  try {
+    for (const key of [...new Set(keys)].sort()) {
+      while (!(await tryAcquire(key, owner, ttlMs))) {
+        if (Date.now() >= giveUpAt) {
+          throw new AppError("The schedule is busy, please try again", 409, "SCHEDULE_BUSY");
+        }
+        await sleep(retryMs + Math.floor(Math.random() * retryMs));
+      }
+      acquired.push(key);
+    }
+    return await callback();
+  } finally {
+    await release(acquired, owner);
+  }
+};
+
+module.exports = {
+  staffLockKey,
+  resourceLockKey,
+  withLocks,
+};
@@ -0,0 +1,209 @@
+const { createClient } = require("redis");
+const Session = require("../models/Session");
+const logger = require("../config/logger");
+
+/**
+ * Storage for login sessions, Redis when REDIS_URL is reachable, MongoDB otherwise.
+ * Both stores deal in plain session objects:
+ * { id, userId, tenantId, authMethod, device, userAgent, ip, createdAt, lastSeenAt, lastSeenIp, expiresAt }
+ * and the revoke* methods resolve with the ids of the sessions they ended.
+ */
+let store = null;
+
+const toPlain = (doc) => ({
+  id: doc._id,
+  userId: String(doc.userId),
+  tenantId: doc.tenantId ? String(doc.tenantId) : null,
+  authMethod: doc.authMethod,
+  device: doc.device,
+  userAgent: doc.userAgent,
+  ip: doc.ip,
+  createdAt: doc.createdAt,
+  lastSeenAt: doc.lastSeenAt,
+  lastSeenIp: doc.lastSeenIp,
+  expiresAt: doc.expiresAt,
+});
+
+const createMongoStore = () => {
+  const active = () => ({ revokedAt: { $exists: false }, expiresAt: { $gt: new Date() } });
+
+  const revokeWhere = async (filter, reason) => {
+    const sessions = await Session.find({ ...filter, ...active() }).select("_id").lean();
+    const ids = sessions.map((session) => session._id);
+    if (ids.length > 0) {
+      await Session.updateMany(
+        { _id: { $in: ids }, revokedAt: { $exists: false } },
+        { $set: { revokedAt: new Date(), revokedReason: reason } }
+      );
+    }
+    return ids;
+  };
+
+  return {
+    name: "mongo",
+    async create({ id, ...session }) {
+      const doc = await Session.create({ ...session, _id: id });
+      return toPlain(doc);
+    },
+    async get(sessionId) {
+      const doc = await Session.findOne({ _id: sessionId, ...active() }).lean();
+      return doc ? toPlain(doc) : null;
+    },
+    async listForUser(userId) {
+      const docs = await Session.find({ userId, ...active() }).sort({ lastSeenAt: -1 }).lean();
+      return docs.map(toPlain);
+    },
+    async touch(sessionId, changes) {
+      await Session.updateOne({ _id: sessionId, revokedAt: { $exists: false } }, { $set: changes });
+    },
+    revoke(sessionId, reason) {
+      return revokeWhere({ _id: sessionId }, reason);
+    },
+    revokeForUser(userId, reason, { exceptSessionId } = {}) {
+      const filter = { userId };
+      if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+      return revokeWhere(filter, reason);
+    },
+    revokeForTenant(tenantId, reason) {
+      return revokeWhere({ tenantId }, reason);
+    },
+  };
+};
+
+// Revoked sessions are simply deleted, the per user and per tenant sets index the live ones
+const createRedisStore = (client) => {
+  const sessionKey = (id) => `session:${id}`;
+  const userKey = (userId) => `sessions:user:${userId}`;
+  const tenantKey = (tenantId) => `sessions:tenant:${tenantId}`;
+
+  const parse = (raw) => {
+    if (!raw) return null;
+    const session = JSON.parse(raw);
+    ["createdAt", "lastSeenAt", "expiresAt"].forEach((field) => {
+      if (session[field]) session[field] = new Date(session[field]);
+    });
+    return session;
+  };
+
+  const write = (session) =>
+    client.set(sessionKey(session.id), JSON.stringify(session), {
+      PXAT: new Date(session.expiresAt).getTime(),
+    });
+
+  const get = async (sessionId) => parse(await client.get(sessionKey(sessionId)));
+
+  const revokeIds = async (ids) => {
+    const revoked = [];
+    for (const id of ids) {
+      const session = await get(id);
+      if (!session) continue;
+
+      const multi = client.multi().del(sessionKey(id)).sRem(userKey(session.userId), id);
+      if (session.tenantId) multi.sRem(tenantKey(session.tenantId), id);
+      await multi.exec();
+      revoked.push(id);
+    }
+    return revoked;
+  };
+
+  return {
+    name: "redis",
+    async create(session) {
+      const plain = {
+        ...session,
+        userId: String(session.userId),
+        tenantId: session.tenantId ? String(session.tenantId) : null,
+        createdAt: new Date(),
+      };
+      await write(plain);
+      await client.sAdd(userKey(plain.userId), plain.id);
+      if (plain.tenantId) await client.sAdd(tenantKey(plain.tenantId), plain.id);
+      return plain;
+    },
+    get,
+    async listForUser(userId) {
+      const ids = await client.sMembers(userKey(userId));
+      if (ids.length === 0) return [];
+
+      const values = await client.mGet(ids.map(sessionKey));
+      // Sessions that expired on their own still sit in the set
+      const expired = ids.filter((id, index) => !values[index]);
+      if (expired.length > 0) await client.sRem(userKey(userId), expired);
+
+      return values
+        .filter(Boolean)
+        .map(parse)
+        .sort((a, b) => new Date(b.lastSeenAt) - new Date(a.lastSeenAt));
+    },
+    async touch(sessionId, changes) {
+      const session = await get(sessionId);
+      if (session) await write({ ...session, ...changes });
+    },
+    revoke(sessionId) {
+      return revokeIds([sessionId]);
+    },
+    async revokeForUser(userId, reason, { exceptSessionId } = {}) {
+      const ids = await client.sMembers(userKey(userId));
+      return revokeIds(ids.filter((id) => id !== exceptSessionId));
+    },
+    async revokeForTenant(tenantId) {
+      return revokeIds(await client.sMembers(tenantKey(tenantId)));
+    },
+  };
+};
+
+/**
+ * Pick the store at startup: Redis when REDIS_URL is set and reachable, MongoDB otherwise
+ * @returns {Promise<object>} - The active store
+ */
+const connect = async () => {
+  const url = process.env.REDIS_URL;
+  if (!url) {
+    store = createMongoStore();
+    return store;
+  }
+
+  let connected = false;
+  const client = createClient({
+    url,
+    socket: {
+      connectTimeout: 5000,
+      // Give up right away at startup so we can fall back, keep reconnecting afterwards
+      reconnectStrategy: (retries) =>
+        connected ? Math.min(retries * 200, 5000) : new Error("Redis connection failed"),
+    },
+  });
+  client.on("error", (error) => logger.error(`Session Redis error: ${error.message}`));
+
+  try {
+    await client.connect();
+    connected = true;
+    store = createRedisStore(client);
+    logger.info("Session store: Redis");
+  } catch (error) {
+    logger.warn(`Redis unavailable (${error.message}), storing sessions in MongoDB`);
+    store = createMongoStore();
+  }
+  return store;
+};
+
+const getStore = () => {
+  if (!store) store = createMongoStore();
+  return store;
+};
+
+/**
+ * Replace the active store, e.g. with an in-memory stub in tests
+ * @param {object} customStore - Object implementing the store methods above
+ */
+const setStore = (customStore) => {
+  store = customStore;
+};
+
+module.exports = {
+  connect,
+  getStore,
+  setStore,
+  createMongoStore,
+  createRedisStore,
+};
@@ -0,0 +1,81 @@
+const axios = require("axios");
+const logger = require("../config/logger");
+
+/**
+ * Outgoing SMS with a pluggable transport, picked by SMS_TRANSPORT:
+ * - "http": POST { to, from, body } as JSON to SMS_GATEWAY_URL with SMS_GATEWAY_TOKEN
+ * - "log": messages are only written to the log (development)
+ * - "memory": messages are kept in smsSender.outbox (tests)
+ */
+const outbox = [];
+let transport = null;
+
+const createHttpTransport = () => ({
+  async sendSms(message) {
+    const response = await axios.post(process.env.SMS_GATEWAY_URL, message, {
+      headers: { Authorization: `Bearer ${process.env.SMS_GATEWAY_TOKEN}` },
+      timeout: 10000,
+    });
+    return response.data;
+  },
+});
+
+const createLogTransport = () => ({
+  async sendSms(message) {
+    logger.info(`SMS to ${message.to}: ${message.body}`);
+    return { to: message.to };
+  },
+});
+
+const createMemoryTransport = () => ({
+  async sendSms(message) {
+    const info = { messageId: `memory-${outbox.length + 1}`, ...message };
+    outbox.push(info);
+    return info;
+  },
+});
+
+const TRANSPORTS = {
+  http: createHttpTransport,
+  log: createLogTransport,
+  memory: createMemoryTransport,
+};
+
+const getTransport = () => {
+  if (!transport) {
+    const name = process.env.SMS_TRANSPORT || (process.env.NODE_ENV === "test" ? "memory" : "log");
+    const factory = TRANSPORTS[name];
+    if (!factory) throw new Error(`Unknown SMS_TRANSPORT "${name}"`);
+    transport = factory();
+  }
+  return transport;
+};
+
+/**
+ * Replace the active transport, e.g. with a stub in tests
+ * @param {{ sendSms: Function }} customTransport - Anything with a sendSms(message) method
+ */
+const setTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+/**
+ * Send a text message
+ * @param {object} message - { to, body }
+ * @returns {Promise<object>} - Transport info
+ */
+const sendSms = async (message) => {
+  const info = await getTransport().sendSms({
+    from: process.env.SMS_FROM || "SALON",
+    ...message,
+  });
+  logger.debug(`SMS sent to ${message.to}`);
+  return info;
+};
+
+module.exports = {
+  outbox,
+  sendSms,
+  setTransport,
+  getTransport,
+};
@@ -0,0 +1,38 @@
+const { AsyncLocalStorage } = require("async_hooks");
+
+// Carries the active tenant through every await of a request or job
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run a callback with the given salon as the active tenant
+ * @param {string|ObjectId} tenantId - Salon id
+ * @param {Function} callback - Work to run inside the tenant scope
+ * @returns {*} - Whatever the callback returns
+ */
+const runWithTenant = (tenantId, callback) =>
+  storage.run({ tenantId: String(tenantId), system: false }, callback);
+
+/**
+ * Run a callback without tenant scoping. Only for super admin and background
+ * jobs that deliberately work across salons.
+ * @param {Function} callback - Work to run unscoped
+ * @returns {*} - Whatever the callback returns
+ */
+const runAsSystem = (callback) => storage.run({ tenantId: null, system: true }, callback);
+
+const getTenantId = () => {
+  const store = storage.getStore();
+  return store ? store.tenantId : null;
+};
+
+const isSystemContext = () => {
+  const store = storage.getStore();
+  return Boolean(store && store.system);
+};
+
+module.exports = {
+  runWithTenant,
+  runAsSystem,
+  getTenantId,
+  isSystemContext,
+};
@@ -0,0 +1,20 @@
+const crypto = require("crypto");
+
+/**
+ * Generate a random opaque token suitable for links and refresh tokens
+ * @param {number} bytes - Amount of random bytes
+ * @returns {string} - hex encoded token
+ */
+const generateToken = (bytes = 32) => crypto.randomBytes(bytes).toString("hex");
+
+/**
+ * Hash a token before storing it, raw tokens never hit the database
+ * @param {string} token - Raw token
+ * @returns {string} - SHA-256 hex digest
+ */
+const hashToken = (token) => crypto.createHash("sha256").update(String(token)).digest("hex");
+
+module.exports = {
+  generateToken,
+  hashToken,
+};
@@ -0,0 +1,46 @@
+const cron = require("node-cron");
+const Appointment = require("../models/Appointment");
+const appointmentService = require("../services/appointmentService");
+const tenantContext = require("../utils/tenantContext");
+const logger = require("../config/logger");
+
+/**
+ * Every minute: cancels bookings whose deposit was not paid before the hold
+ * expired, giving their slots back. Works across all salons.
+ */
+let task = null;
+
+const run = () =>
+  tenantContext.runAsSystem(async () => {
+    const due = await Appointment.find({
+      status: "pending_payment",
+      "deposit.expiresAt": { $lte: new Date() },
+    }).select("_id tenantId");
+
+    for (const appointment of due) {
+      try {
+        await tenantContext.runWithTenant(appointment.tenantId, () =>
+          appointmentService.expireDepositHold(appointment._id)
+        );
+      } catch (error) {
+        logger.error(`Expiring deposit hold ${appointment._id} failed: ${error.message}`);
+      }
+    }
+    return due.length;
+  });
+
+const start = () => {
+  if (task) return task;
+  task = cron.schedule("* * * * *", () =>
+    run().catch((error) => logger.error(`Deposit worker failed: ${error.message}`))
+  );
+  logger.info("Deposit worker started");
+  return task;
+};
+
+const stop = () => {
+  if (task) task.stop();
+  task = null;
+};
+
+module.exports = { start, stop, run };
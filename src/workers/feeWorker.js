@@ -0,0 +1,49 @@
+const cron = require("node-cron");
+const Appointment = require("../models/Appointment");
+const appointmentService = require("../services/appointmentService");
+const tenantContext = require("../utils/tenantContext");
+const logger = require("../config/logger");
+
+/**
+ * Every 15 minutes: bills late cancellation and no-show fees whose billing failed again,
+ * up to MAX_ATTEMPTS. Fees that keep failing stay failed for the salon to retry or waive.
+ * Works across all salons.
+ */
+const MAX_ATTEMPTS = 5;
+
+let task = null;
+
+const run = () =>
+  tenantContext.runAsSystem(async () => {
+    const due = await Appointment.find({
+      "cancellationFee.status": "failed",
+      "cancellationFee.failedAttempts": { $lt: MAX_ATTEMPTS },
+    }).select("_id tenantId");
+
+    for (const appointment of due) {
+      try {
+        await tenantContext.runWithTenant(appointment.tenantId, () =>
+          appointmentService.retryCancellationFee(appointment._id)
+        );
+      } catch (error) {
+        logger.error(`Retrying fee of appointment ${appointment._id} failed: ${error.message}`);
+      }
+    }
+    return due.length;
+  });
+
+const start = () => {
+  if (task) return task;
+  task = cron.schedule("*/15 * * * *", () =>
+    run().catch((error) => logger.error(`Fee worker failed: ${error.message}`))
+  );
+  logger.info("Fee worker started");
+  return task;
+};
+
+const stop = () => {
+  if (task) task.stop();
+  task = null;
+};
+
+module.exports = { start, stop, run, MAX_ATTEMPTS };
@@ -0,0 +1,46 @@
+const reminderService = require("../services/reminderService");
+const jobQueue = require("../utils/jobQueue");
+const logger = require("../config/logger");
+const dayjs = require("dayjs");
+
+/**
+ * Sends the appointment reminders queued by reminderService from the job queue,
+ * and on start queues the ones missing for upcoming appointments.
+ * A reminder that could not be delivered is retried a few times.
+ */
+const MAX_ATTEMPTS = 3;
+const RETRY_MINUTES = 10;
+
+let started = false;
+
+const run = async (job) => {
+  try {
+    await reminderService.sendReminder(job.attrs.data);
+  } catch (error) {
+    // failCount is raised after this throws, so this is the attempt that just failed
+    if ((job.attrs.failCount || 0) + 1 < MAX_ATTEMPTS) {
+      job.schedule(dayjs().add(RETRY_MINUTES, "minute").toDate());
+    }
+    throw error;
+  }
+};
+
+const start = async () => {
+  if (started) return;
+  started = true;
+  jobQueue.define(reminderService.REMINDER_JOB, run);
+  await jobQueue.start();
+  logger.info("Reminder worker started");
+
+  reminderService
+    .scheduleMissingReminders()
+    .then((count) => logger.info(`Reminders checked for ${count} upcoming appointments`))
+    .catch((error) => logger.error(`Queueing missing reminders failed: ${error.message}`));
+};
+
+const stop = async () => {
+  await jobQueue.stop();
+  started = false;
+};
+
+module.exports = { start, stop, run };
@@ -0,0 +1,54 @@
+const cron = require("node-cron");
+const WaitlistEntry = require("../models/WaitlistEntry");
+const waitlistService = require("../services/waitlistService");
+const tenantContext = require("../utils/tenantContext");
+const logger = require("../config/logger");
+
+/**
+ * Every minute: hands expired waitlist offers to the next customer in line and
+ * closes entries whose time window has passed. Works across all salons.
+ */
+let task = null;
+
+const run = () =>
+  tenantContext.runAsSystem(async () => {
+    const now = new Date();
+
+    await WaitlistEntry.updateMany(
+      { status: "waiting", windowEnd: { $lte: now } },
+      { $set: { status: "expired" } }
+    );
+
+    const due = await WaitlistEntry.find({
+      status: "offered",
+      "offer.expiresAt": { $lte: now },
+      "offer.acceptedAt": { $exists: false },
+    }).select("_id tenantId");
+
+    for (const entry of due) {
+      try {
+        await tenantContext.runWithTenant(entry.tenantId, () =>
+          waitlistService.expireOffer(entry._id)
+        );
+      } catch (error) {
+        logger.error(`Expiring waitlist offer ${entry._id} failed: ${error.message}`);
+      }
+    }
+    return due.length;
+  });
+
+const start = () => {
+  if (task) return task;
+  task = cron.schedule("* * * * *", () =>
+    run().catch((error) => logger.error(`Waitlist worker failed: ${error.message}`))
+  );
+  logger.info("Waitlist worker started");
+  return task;
+};
+
+const stop = () => {
+  if (task) task.stop();
+  task = null;
+};
+
+module.exports = { start, stop, run };
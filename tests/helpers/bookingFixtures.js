@@ -0,0 +1,93 @@
+const mongoose = require("mongoose");
+const { mockModel } = require("./memoryModel");
+
+const Appointment = require("../../src/models/Appointment");
+const AppointmentSeries = require("../../src/models/AppointmentSeries");
+const Customer = require("../../src/models/Customer");
+const Invoice = require("../../src/models/Invoice");
+const Payment = require("../../src/models/Payment");
+const Resource = require("../../src/models/Resource");
+const Salon = require("../../src/models/Salon");
+const ScheduleLock = require("../../src/models/ScheduleLock");
+const Service = require("../../src/models/Service");
+const Staff = require("../../src/models/Staff");
+const WaitlistEntry = require("../../src/models/WaitlistEntry");
+const WalletTransaction = require("../../src/models/WalletTransaction");
+const tenantContext = require("../../src/utils/tenantContext");
+
+/**
+ * Everything a booking touches, kept in memory. Call mockBookingModels() once per
+ * test file and resetAll() between tests.
+ */
+const MODELS = {
+  Appointment,
+  AppointmentSeries,
+  Customer,
+  Invoice,
+  Payment,
+  Resource,
+  Salon,
+  ScheduleLock,
+  Service,
+  Staff,
+  WaitlistEntry,
+  WalletTransaction,
+};
+
+const WEEKDAYS = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+
+const mockBookingModels = () => {
+  const stores = Object.entries(MODELS).reduce((all, [name, Model]) => {
+    all[name] = mockModel(Model);
+    return all;
+  }, {});
+  return {
+    stores,
+    resetAll: () => Object.values(stores).forEach((store) => store.reset()),
+  };
+};
+
+// A salon open around the clock every day unless businessHours says otherwise
+const createSalon = async (overrides = {}) => {
+  const { settings, ...fields } = overrides;
+  const salon = new Salon({
+    name: "Test Salon",
+    slug: `test-${new mongoose.Types.ObjectId()}`,
+    ownerUserId: new mongoose.Types.ObjectId(),
+    contactInfo: { primaryPhone: "9000000000", email: "salon@example.com" },
+    businessHours: WEEKDAYS.map((day) => ({
+      day,
+      isOpen: true,
+      openTime: "00:00",
+      closeTime: "23:59",
+    })),
+    onboardingCompleted: true,
+    ...fields,
+    settings: { bookingAdvanceLimit: 365, ...settings },
+  });
+  await salon.save();
+  return salon;
+};
+
+// Staff member, service and customer of the current tenant, enough to book with
+const createBookingBasics = async ({ durationMins = 60, price = 100 } = {}) => {
+  const staff = await new Staff({ name: "Alex" }).save();
+  const service = await new Service({ name: "Haircut", price, durationMins }).save();
+  const customer = await new Customer({ name: "Sam", email: "sam@example.com" }).save();
+  return { staff, service, customer };
+};
+
+const adminActor = () => ({ id: new mongoose.Types.ObjectId(), role: "salon_admin" });
+const staffActor = () => ({ id: new mongoose.Types.ObjectId(), role: "staff" });
+
+const inTenant = (salon, callback) => tenantContext.runWithTenant(salon._id, callback);
+
+module.exports = {
+  MODELS,
+  mockBookingModels,
+  createSalon,
+  createBookingBasics,
+  adminActor,
+  staffActor,
+  inTenant,
+};
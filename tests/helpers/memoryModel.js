@@ -0,0 +1,223 @@
+const sift = require("sift").default || require("sift");
+const mingo = require("mingo");
+
+/**
+ * In-memory stand-in for the statics of a mongoose model, so services can be
+ * tested without a MongoDB server. Filters are matched with sift (MongoDB query
+ * syntax) against plain copies of the documents, reads hand out fresh documents
+ * like a real database would.
+ *
+ * Supports the queries and update operators the services use, a unique _id
+ * (duplicate key errors carry code 11000), upserts and aggregation pipelines (run
+ * with mingo, ids compare as strings).
+ *
+ * @param {mongoose.Model} Model
+ * @returns {{ docs: Document[], reset: Function }} - The stored documents
+ */
+const toPlain = (value) => JSON.parse(JSON.stringify(value === undefined ? null : value));
+
+// Like toPlain, but dates stay dates for the date operators of a pipeline
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z$/;
+const toAggregatable = (value) =>
+  JSON.parse(JSON.stringify(value), (key, item) =>
+    typeof item === "string" && ISO_DATE.test(item) ? new Date(item) : item
+  );
+
+const duplicateKeyError = (id) =>
+  Object.assign(new Error(`E11000 duplicate key error, _id: ${id}`), { code: 11000 });
+
+const mockModel = (Model) => {
+  const docs = [];
+
+  const matching = (filter) => {
+    const test = sift(toPlain(filter || {}));
+    return docs.filter((doc) => test(toPlain(doc.toObject({ virtuals: false }))));
+  };
+  const copy = (doc) => (doc ? Model.hydrate(doc.toObject()) : null);
+
+  // Thenable query with the chainable methods the services call
+  const query = (read) => {
+    let sortSpec = null;
+    let limitTo = null;
+    let lean = false;
+    const chain = {
+      sort(spec) {
+        sortSpec = spec;
+        return chain;
+      },
+      limit(count) {
+        limitTo = count;
+        return chain;
+      },
+      lean() {
+        lean = true;
+        return chain;
+      },
+      skip: () => chain,
+      select: () => chain,
+      populate: () => chain,
+      session: () => chain,
+      distinct: (field) =>
+        Promise.resolve().then(() => [].concat(read()).map((doc) => doc.get(field))),
+      exec: () => chain.then(),
+      then(resolve, reject) {
+        return Promise.resolve()
+          .then(() => {
+            let result = read();
+            if (Array.isArray(result)) {
+              if (sortSpec) {
+                const keys = Object.entries(sortSpec);
+                result = [...result].sort((a, b) => {
+                  for (const [key, direction] of keys) {
+                    if (a.get(key) < b.get(key)) return -direction;
+                    if (a.get(key) > b.get(key)) return direction;
+                  }
+                  return 0;
+                });
+              }
+              if (limitTo) result = result.slice(0, limitTo);
+              return lean ? result.map((doc) => doc.toObject()) : result.map(copy);
+            }
+            return lean && result ? result.toObject() : copy(result);
+          })
+          .then(resolve, reject);
+      },
+    };
+    return chain;
+  };
+
+  const applyUpdate = (doc, update, inserting = false) => {
+    const isOperator = Object.keys(update).some((key) => key.startsWith("$"));
+    if (!isOperator) {
+      Object.entries(update).forEach(([key, value]) => doc.set(key, value));
+      return;
+    }
+    if (inserting) {
+      Object.entries(update.$setOnInsert || {}).forEach(([key, value]) => doc.set(key, value));
+    }
+    Object.entries(update.$set || {}).forEach(([key, value]) => doc.set(key, value));
+    Object.keys(update.$unset || {}).forEach((key) => doc.set(key, undefined));
+    Object.entries(update.$inc || {}).forEach(([key, value]) =>
+      doc.set(key, (doc.get(key) || 0) + value)
+    );
+    Object.entries(update.$push || {}).forEach(([key, value]) => doc.get(key).push(value));
+    Object.entries(update.$addToSet || {}).forEach(([key, value]) => {
+      const list = doc.get(key);
+      if (!list.some((item) => String(item) === String(value))) list.push(value);
+    });
+    Object.entries(update.$pull || {}).forEach(([key, condition]) => {
+      const test = sift(toPlain(condition));
+      doc.set(
+        key,
+        doc.get(key).filter((item) => !test(toPlain(item)))
+      );
+    });
+  };
+
+  // Fields of a filter that are plain equality matches, the base of an upserted document
+  const equalityFields = (filter) =>
+    Object.entries(filter || {}).reduce((fields, [key, value]) => {
+      const isCondition =
+        value && typeof value === "object" && Object.keys(value).some((k) => k.startsWith("$"));
+      if (!key.startsWith("$") && !isCondition) fields[key] = value;
+      return fields;
+    }, {});
+
+  const insert = (doc) => {
+    if (docs.some((stored) => String(stored._id) === String(doc._id))) {
+      throw duplicateKeyError(doc._id);
+    }
+    docs.push(Model.hydrate(doc.toObject()));
+  };
+
+  Model.prototype.save = async function save() {
+    await this.validate();
+    const index = docs.findIndex((stored) => String(stored._id) === String(this._id));
+    if (index >= 0) docs[index] = Model.hydrate(this.toObject());
+    else insert(this);
+    this.isNew = false;
+    return this;
+  };
+
+  Model.create = async (data) => {
+    if (Array.isArray(data)) return Promise.all(data.map((item) => new Model(item).save()));
+    return new Model(data).save();
+  };
+  Model.insertMany = async (list) => Promise.all(list.map((item) => new Model(item).save()));
+  Model.find = (filter) => query(() => matching(filter));
+  Model.findOne = (filter) => query(() => matching(filter)[0] || null);
+  Model.findById = (id) => query(() => matching({ _id: id })[0] || null);
+  Model.exists = async (filter) => {
+    const doc = matching(filter)[0];
+    return doc ? { _id: doc._id } : null;
+  };
+  Model.countDocuments = async (filter) => matching(filter).length;
+  Model.aggregate = async (pipeline) =>
+    mingo.aggregate(
+      docs.map((doc) => toAggregatable(doc.toObject({ virtuals: false }))),
+      toAggregatable(pipeline)
+    );
+
+  Model.findOneAndUpdate = (filter, update, options = {}) =>
+    query(() => {
+      let doc = matching(filter)[0];
+      if (!doc) {
+        if (!options.upsert) return null;
+        doc = new Model(equalityFields(filter));
+        applyUpdate(doc, update, true);
+        insert(doc);
+        doc = docs[docs.length - 1];
+        return options.new ? doc : null;
+      }
+      const before = Model.hydrate(doc.toObject());
+      applyUpdate(doc, update);
+      return options.new ? doc : before;
+    });
+  Model.findByIdAndUpdate = (id, update, options) =>
+    Model.findOneAndUpdate({ _id: id }, update, options);
+
+  // Writes can be awaited or exec()'d like the queries mongoose returns for them
+  const write = (run) => {
+    const result = Promise.resolve().then(run);
+    result.exec = () => result;
+    return result;
+  };
+
+  Model.updateOne = (filter, update, options = {}) =>
+    write(() => {
+      const doc = matching(filter)[0];
+      if (doc) applyUpdate(doc, update);
+      else if (options.upsert) {
+        const created = new Model(equalityFields(filter));
+        applyUpdate(created, update, true);
+        insert(created);
+      }
+      return { matchedCount: doc ? 1 : 0, modifiedCount: doc ? 1 : 0 };
+    });
+  Model.updateMany = (filter, update) =>
+    write(() => {
+      const found = matching(filter);
+      found.forEach((doc) => applyUpdate(doc, update));
+      return { matchedCount: found.length, modifiedCount: found.length };
+    });
+  Model.deleteOne = (filter) =>
+    write(() => {
+      const doc = matching(filter)[0];
+      if (doc) docs.splice(docs.indexOf(doc), 1);
+      return { deletedCount: doc ? 1 : 0 };
+    });
+  Model.deleteMany = (filter) =>
+    write(() => {
+      const found = matching(filter);
+      found.forEach((doc) => docs.splice(docs.indexOf(doc), 1));
+      return { deletedCount: found.length };
+    });
+
+  const reset = () => {
+    docs.length = 0;
+  };
+
+  return { docs, reset };
+};
+
+module.exports = { mockModel };
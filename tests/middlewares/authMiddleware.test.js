@@ -0,0 +1,71 @@
+const {
+  optionalAuth,
+  requirePermission,
+  requireScope,
+} = require("../../src/middlewares/authMiddleware");
+const User = require("../../src/models/User");
+
+// Runs a middleware and resolves with what it passed to next(), undefined when it let the request through
+const run = (middleware, req) =>
+  new Promise((resolve) => {
+    middleware(req, {}, resolve);
+  });
+
+const requestOf = (fields) => ({ user: new User({ name: "Robin", ...fields }).getJWTPayload() });
+
+describe("module permissions", () => {
+  it("lets users with the permission through", async () => {
+    await expect(run(requirePermission("staff"), requestOf({ role: "salon_admin" }))).resolves.toBe(
+      undefined
+    );
+  });
+
+  it("stops users whose permission was revoked", async () => {
+    const req = requestOf({ role: "salon_admin", revokedPermissions: ["staff"] });
+
+    await expect(run(requirePermission("staff"), req)).resolves.toMatchObject({
+      statusCode: 403,
+      code: "PERMISSION_DENIED",
+      details: { missing: ["staff"] },
+    });
+  });
+
+  it("does not hold super admins to salon module permissions", async () => {
+    await expect(run(requirePermission("staff"), requestOf({ role: "super_admin" }))).resolves.toBe(
+      undefined
+    );
+  });
+
+  it("maps the services scope to the services permission for users", async () => {
+    const scope = requireScope("services:read");
+
+    await expect(run(scope, requestOf({ role: "salon_admin" }))).resolves.toBe(undefined);
+    await expect(run(scope, requestOf({ role: "staff" }))).resolves.toMatchObject({
+      code: "PERMISSION_DENIED",
+      details: { missing: ["services"] },
+    });
+    await expect(run(scope, requestOf({ role: "staff", permissions: ["services"] }))).resolves.toBe(
+      undefined
+    );
+  });
+});
+
+describe("optional sign-in", () => {
+  const requestWithHeaders = (headers) => ({ get: (name) => headers[name.toLowerCase()] });
+
+  it("lets guests through without a user", async () => {
+    const req = requestWithHeaders({});
+
+    await expect(run(optionalAuth, req)).resolves.toBe(undefined);
+    expect(req.user).toBeUndefined();
+  });
+
+  it("still rejects a token that does not verify", async () => {
+    const req = requestWithHeaders({ authorization: "Bearer not-a-token" });
+
+    await expect(run(optionalAuth, req)).resolves.toMatchObject({
+      statusCode: 401,
+      code: "INVALID_TOKEN",
+    });
+  });
+});
@@ -0,0 +1,131 @@
+const express = require("express");
+const request = require("supertest");
+const { mockModel } = require("../helpers/memoryModel");
+const { createSalon } = require("../helpers/bookingFixtures");
+const Salon = require("../../src/models/Salon");
+const User = require("../../src/models/User");
+const authService = require("../../src/services/authService");
+const { requireTenant, resolveTenant } = require("../../src/middlewares/tenantMiddleware");
+const { errorHandler } = require("../../src/middlewares/errorMiddleware");
+const tenantContext = require("../../src/utils/tenantContext");
+
+const salons = mockModel(Salon);
+
+const reply = (req, res) =>
+  res.json({
+    success: true,
+    data: {
+      tenantId: req.tenantId,
+      source: req.tenantSource,
+      scopedTo: tenantContext.getTenantId(),
+    },
+  });
+
+const app = express();
+app.get("/current", requireTenant, reply);
+app.get("/salons/:slug", resolveTenant({ strategies: ["jwt", "path"] }), reply);
+app.use(errorHandler);
+
+const tokenFor = (fields) => authService.signAccessToken(new User({ name: "Robin", ...fields }));
+
+describe("resolving the tenant", () => {
+  const previousRootDomain = process.env.TENANT_ROOT_DOMAIN;
+  let salon;
+  let other;
+
+  beforeAll(() => {
+    process.env.TENANT_ROOT_DOMAIN = "salonapp.test";
+  });
+
+  afterAll(() => {
+    if (previousRootDomain === undefined) delete process.env.TENANT_ROOT_DOMAIN;
+    else process.env.TENANT_ROOT_DOMAIN = previousRootDomain;
+  });
+
+  beforeEach(async () => {
+    salons.reset();
+    salon = await createSalon({ status: "active", slug: "glow" });
+    other = await createSalon({ status: "active", slug: "shine" });
+  });
+
+  it("finds the salon from its subdomain", async () => {
+    const response = await request(app).get("/current").set("Host", "glow.salonapp.test");
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toEqual({
+      tenantId: String(salon._id),
+      source: "subdomain",
+      scopedTo: String(salon._id),
+    });
+  });
+
+  it("ignores reserved subdomains and hosts outside the root domain", async () => {
+    for (const host of ["www.salonapp.test", "glow.elsewhere.test"]) {
+      const response = await request(app).get("/current").set("Host", host);
+
+      expect(response.status).toBe(400);
+      expect(response.body.error.code).toBe("TENANT_REQUIRED");
+    }
+  });
+
+  it("finds the salon from the tenant header by id or slug", async () => {
+    const byId = await request(app).get("/current").set("X-Tenant-Id", String(salon._id));
+    const bySlug = await request(app).get("/current").set("X-Tenant-Id", "shine");
+
+    expect(byId.body.data).toMatchObject({ tenantId: String(salon._id), source: "header" });
+    expect(bySlug.body.data).toMatchObject({ tenantId: String(other._id), source: "header" });
+  });
+
+  it("finds the salon from the route path", async () => {
+    const response = await request(app).get("/salons/GLOW");
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toMatchObject({ tenantId: String(salon._id), source: "path" });
+  });
+
+  it("reports unknown and non-operational salons", async () => {
+    const unknown = await request(app).get("/salons/nowhere");
+    expect(unknown.status).toBe(404);
+    expect(unknown.body.error.code).toBe("TENANT_NOT_FOUND");
+
+    await Salon.updateOne({ _id: other._id }, { $set: { status: "suspended" } });
+    const suspended = await request(app).get("/salons/shine");
+    expect(suspended.status).toBe(403);
+    expect(suspended.body.error.code).toBe("TENANT_NOT_OPERATIONAL");
+  });
+
+  it("keeps a salon user to their own salon", async () => {
+    const token = tokenFor({ role: "salon_admin", tenantId: salon._id });
+
+    const own = await request(app)
+      .get("/current")
+      .set("Authorization", `Bearer ${token}`)
+      .set("Host", "glow.salonapp.test");
+    expect(own.status).toBe(200);
+    expect(own.body.data.source).toBe("jwt");
+
+    const requests = [
+      request(app).get("/current").set("X-Tenant-Id", String(other._id)),
+      request(app).get("/current").set("Host", "shine.salonapp.test"),
+      request(app).get("/salons/shine"),
+    ];
+    for (const pending of requests) {
+      const response = await pending.set("Authorization", `Bearer ${token}`);
+
+      expect(response.status).toBe(403);
+      expect(response.body.error.code).toBe("TENANT_MISMATCH");
+    }
+  });
+
+  it("lets super admins pick any salon", async () => {
+    const token = tokenFor({ role: "super_admin" });
+
+    const response = await request(app)
+      .get("/current")
+      .set("Authorization", `Bearer ${token}`)
+      .set("X-Tenant-Id", String(other._id));
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toMatchObject({ tenantId: String(other._id), source: "header" });
+  });
+});
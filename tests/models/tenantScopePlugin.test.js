@@ -0,0 +1,116 @@
+const mongoose = require("mongoose");
+const tenantScopePlugin = require("../../src/models/plugins/tenantScopePlugin");
+const tenantContext = require("../../src/utils/tenantContext");
+
+// A scoped model on a connection that is never opened, writes stop at the driver call
+const schema = new mongoose.Schema({ name: String });
+schema.plugin(tenantScopePlugin, { modelName: "Widget" });
+// Runs after the plugin's hooks: records the filter they left and stops before the driver
+let scopedFilter;
+schema.pre("find", function (next) {
+  scopedFilter = this.getFilter();
+  next(new Error("stopped before the driver"));
+});
+const Widget = mongoose.createConnection().model("Widget", schema);
+
+const tenantId = String(new mongoose.Types.ObjectId());
+const otherTenantId = String(new mongoose.Types.ObjectId());
+const inTenant = (callback) => tenantContext.runWithTenant(tenantId, callback);
+
+describe("tenantScopePlugin", () => {
+  let bulkWrite;
+
+  beforeEach(() => {
+    bulkWrite = jest.spyOn(mongoose.Model, "bulkWrite").mockResolvedValue({ ok: 1 });
+  });
+
+  afterEach(() => bulkWrite.mockRestore());
+
+  it("scopes every bulkWrite operation to the tenant", async () => {
+    await inTenant(() =>
+      Widget.bulkWrite([
+        { insertOne: { document: { name: "new" } } },
+        { updateOne: { filter: { name: "a" }, update: { $set: { name: "b" } } } },
+        { replaceOne: { filter: { name: "c" }, replacement: { name: "d" } } },
+        { deleteMany: { filter: {} } },
+      ])
+    );
+
+    const [operations] = bulkWrite.mock.calls[0];
+    expect(operations).toEqual([
+      { insertOne: { document: { name: "new", tenantId } } },
+      { updateOne: { filter: { name: "a", tenantId }, update: { $set: { name: "b" } } } },
+      { replaceOne: { filter: { name: "c", tenantId }, replacement: { name: "d", tenantId } } },
+      { deleteMany: { filter: { tenantId } } },
+    ]);
+  });
+
+  it.each([
+    ["an insert", { insertOne: { document: { name: "new", tenantId: otherTenantId } } }],
+    ["a filter", { deleteOne: { filter: { tenantId: otherTenantId } } }],
+    ["an update", { updateMany: { filter: {}, update: { $set: { tenantId: otherTenantId } } } }],
+  ])("blocks bulkWrite reaching another tenant through %s", async (_, operation) => {
+    await expect(inTenant(() => Widget.bulkWrite([operation]))).rejects.toMatchObject({
+      statusCode: 403,
+      code: "CROSS_TENANT_ACCESS",
+    });
+    expect(bulkWrite).not.toHaveBeenCalled();
+  });
+
+  it("adds the tenant to query filters", async () => {
+    await expect(inTenant(() => Widget.find({ name: "a" }).exec())).rejects.toThrow(
+      "stopped before the driver"
+    );
+
+    expect(scopedFilter).toEqual({ name: "a", tenantId });
+  });
+
+  it("keeps a caller's own tenantId condition next to the scope", async () => {
+    const condition = { $in: [tenantId, otherTenantId] };
+
+    await expect(
+      inTenant(() => Widget.find({ tenantId: condition, $and: [{ name: "a" }] }).exec())
+    ).rejects.toThrow("stopped before the driver");
+
+    expect(scopedFilter).toEqual({
+      tenantId: condition,
+      $and: [{ name: "a" }, { tenantId }],
+    });
+  });
+
+  it("keeps a caller's own tenantId condition in bulkWrite filters", async () => {
+    const filter = { tenantId: { $ne: tenantId } };
+
+    await inTenant(() => Widget.bulkWrite([{ deleteMany: { filter } }]));
+
+    expect(bulkWrite.mock.calls[0][0]).toEqual([
+      { deleteMany: { filter: { ...filter, $and: [{ tenantId }] } } },
+    ]);
+  });
+
+  it("blocks queries for a plain id of another tenant", async () => {
+    await expect(
+      inTenant(() => Widget.find({ tenantId: otherTenantId }).exec())
+    ).rejects.toMatchObject({ statusCode: 403, code: "CROSS_TENANT_ACCESS" });
+  });
+
+  it("leaves bulkWrite unscoped in system context", async () => {
+    const operations = [{ deleteMany: { filter: {} } }];
+
+    await tenantContext.runAsSystem(() => Widget.bulkWrite(operations));
+
+    expect(bulkWrite.mock.calls[0][0]).toBe(operations);
+  });
+
+  it("needs a tenant for bulkWrite", async () => {
+    await expect(Widget.bulkWrite([{ deleteMany: { filter: {} } }])).rejects.toMatchObject({
+      code: "TENANT_CONTEXT_MISSING",
+    });
+  });
+
+  it("rejects estimatedDocumentCount within a tenant", async () => {
+    await expect(inTenant(() => Widget.estimatedDocumentCount().exec())).rejects.toMatchObject({
+      code: "TENANT_SCOPE_UNSUPPORTED",
+    });
+  });
+});
@@ -0,0 +1,90 @@
+const bcrypt = require("bcryptjs");
+const { mockModel } = require("../helpers/memoryModel");
+const User = require("../../src/models/User");
+const Notification = require("../../src/models/Notification");
+const RefreshToken = require("../../src/models/RefreshToken");
+const Session = require("../../src/models/Session");
+const authService = require("../../src/services/authService");
+const mailer = require("../../src/utils/mailer");
+
+const users = mockModel(User);
+const notifications = mockModel(Notification);
+const refreshTokens = mockModel(RefreshToken);
+const sessions = mockModel(Session);
+
+const EMAIL = "robin@example.com";
+const PASSWORD = "long enough password";
+
+describe("account lockout", () => {
+  beforeEach(async () => {
+    [users, notifications, refreshTokens, sessions].forEach((store) => store.reset());
+    mailer.outbox.length = 0;
+    // Saving skips the hashing hook here, so the hash is stored as it would be
+    await new User({
+      name: "Robin",
+      email: EMAIL,
+      passwordHash: bcrypt.hashSync(PASSWORD, 4),
+      role: "customer",
+    }).save();
+  });
+
+  const failLogins = async (count) => {
+    for (let attempt = 0; attempt < count; attempt++) {
+      await expect(User.findByCredentials(EMAIL, "wrong password")).rejects.toThrow(
+        "Invalid login credentials"
+      );
+    }
+  };
+
+  it("locks the account on the fifth failure in a row", async () => {
+    await failLogins(4);
+
+    const error = await User.findByCredentials(EMAIL, "wrong password").catch((e) => e);
+
+    expect(error).toMatchObject({ code: "ACCOUNT_LOCKED", lockedNow: true });
+    expect(error.lockUntil.getTime()).toBeGreaterThan(Date.now() + 4 * 60 * 1000);
+    expect(users.docs[0]).toMatchObject({ failedLoginAttempts: 0, lockCount: 1 });
+  });
+
+  it("refuses even the right password while locked, and lets it in once the lock ran out", async () => {
+    await failLogins(4);
+    await User.findByCredentials(EMAIL, "wrong password").catch(() => {});
+
+    await expect(User.findByCredentials(EMAIL, PASSWORD)).rejects.toMatchObject({
+      code: "ACCOUNT_LOCKED",
+      lockedNow: false,
+    });
+
+    await User.updateOne({ email: EMAIL }, { $set: { lockUntil: new Date(Date.now() - 1) } });
+    await expect(User.findByCredentials(EMAIL, PASSWORD)).resolves.toMatchObject({ email: EMAIL });
+    expect(users.docs[0]).toMatchObject({ failedLoginAttempts: 0, lockCount: 0 });
+    expect(users.docs[0].lockUntil).toBeUndefined();
+  });
+
+  it("starts counting again after a successful login", async () => {
+    await failLogins(4);
+    await User.findByCredentials(EMAIL, PASSWORD);
+    expect(users.docs[0].failedLoginAttempts).toBe(0);
+
+    await failLogins(4);
+    expect(users.docs[0].lockUntil).toBeUndefined();
+  });
+
+  it("tells the owner about the lock once", async () => {
+    const login = (password) => authService.login(EMAIL, password);
+    for (let attempt = 0; attempt < 4; attempt++) {
+      await expect(login("wrong password")).rejects.toMatchObject({ statusCode: 401 });
+    }
+
+    await expect(login("wrong password")).rejects.toMatchObject({
+      statusCode: 423,
+      code: "ACCOUNT_LOCKED",
+    });
+    await expect(login("wrong password")).rejects.toMatchObject({ statusCode: 423 });
+    await expect(login(PASSWORD)).rejects.toMatchObject({ statusCode: 423 });
+
+    expect(mailer.outbox).toHaveLength(1);
+    expect(mailer.outbox[0]).toMatchObject({ to: EMAIL, subject: "Account locked" });
+    expect(notifications.docs).toHaveLength(1);
+  });
+});
@@ -0,0 +1,74 @@
+jest.mock("../../src/utils/jobQueue");
+
+const dayjs = require("dayjs");
+const {
+  MODELS,
+  mockBookingModels,
+  createSalon,
+  createBookingBasics,
+  adminActor,
+  inTenant,
+} = require("../helpers/bookingFixtures");
+const appointmentService = require("../../src/services/appointmentService");
+const analyticsService = require("../../src/services/analyticsService");
+const schedule = require("../../src/utils/schedule");
+
+const { resetAll } = mockBookingModels();
+
+const ZONE = "America/New_York";
+
+describe("reports on the salon's calendar", () => {
+  let salon;
+  let basics;
+  // A day far enough ahead to book, as seen in the salon
+  const day = schedule.toDateKey(dayjs().add(20, "day").toDate(), ZONE);
+  const nextDay = schedule.addDaysToKey(day, 1);
+
+  beforeEach(async () => {
+    resetAll();
+    salon = await createSalon({ timezone: ZONE });
+    basics = await inTenant(salon, () => createBookingBasics({ price: 50 }));
+  });
+
+  // Completed appointments either side of the salon's midnight, the same day in UTC
+  const completeAround = () =>
+    inTenant(salon, async () => {
+      for (const wallClock of [`${day} 23:00`, `${nextDay} 00:30`]) {
+        const appointment = await appointmentService.createAppointment(adminActor(), {
+          customerId: basics.customer._id,
+          staffId: basics.staff._id,
+          serviceIds: [basics.service._id],
+          scheduledAt: schedule.fromWallClock(wallClock, ZONE),
+          duration: 30,
+        });
+        await MODELS.Appointment.updateOne(
+          { _id: appointment._id },
+          { $set: { status: "completed" } }
+        );
+      }
+    });
+
+  it("splits daily revenue at the salon's midnight", async () => {
+    await completeAround();
+
+    const revenue = await inTenant(salon, () => analyticsService.getDashboardRevenue(salon._id));
+
+    expect(revenue.dailyRevenue).toEqual([
+      { _id: day, revenue: 50, appointments: 1 },
+      { _id: nextDay, revenue: 50, appointments: 1 },
+    ]);
+    expect(revenue.averageDailyRevenue).toBe(50);
+  });
+
+  it("splits daily appointment trends at the salon's midnight", async () => {
+    await completeAround();
+
+    const trends = await inTenant(salon, () => analyticsService.getAppointmentTrends(salon._id));
+
+    expect(trends.completed).toBe(2);
+    expect(trends.dailyTrends.map((trend) => [trend._id, trend.total])).toEqual([
+      [day, 1],
+      [nextDay, 1],
+    ]);
+  });
+});
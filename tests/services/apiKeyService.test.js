@@ -0,0 +1,123 @@
+const express = require("express");
+const request = require("supertest");
+const mongoose = require("mongoose");
+const { mockModel } = require("../helpers/memoryModel");
+const { createSalon, inTenant } = require("../helpers/bookingFixtures");
+const ApiKey = require("../../src/models/ApiKey");
+const Salon = require("../../src/models/Salon");
+const apiKeyService = require("../../src/services/apiKeyService");
+const { requireAuthOrApiKey, requireScope } = require("../../src/middlewares/authMiddleware");
+const { requireTenant } = require("../../src/middlewares/tenantMiddleware");
+const { errorHandler } = require("../../src/middlewares/errorMiddleware");
+const { hashToken } = require("../../src/utils/tokens");
+
+const apiKeys = mockModel(ApiKey);
+const salons = mockModel(Salon);
+
+// Routes guarded the way the v1 routers guard theirs
+const app = express();
+app.get(
+  "/appointments",
+  requireAuthOrApiKey,
+  requireTenant,
+  requireScope("appointments:read"),
+  (req, res) => res.json({ success: true, data: { tenantId: req.tenantId } })
+);
+app.post(
+  "/customers",
+  requireAuthOrApiKey,
+  requireTenant,
+  requireScope("customers:write"),
+  (req, res) => res.json({ success: true })
+);
+app.use(errorHandler);
+
+const admin = { id: new mongoose.Types.ObjectId(), role: "salon_admin" };
+
+describe("API keys", () => {
+  let salon;
+
+  beforeEach(async () => {
+    [apiKeys, salons].forEach((store) => store.reset());
+    salon = await createSalon({ status: "active" });
+  });
+
+  const createKey = (data = {}) =>
+    inTenant(salon, () =>
+      apiKeyService.createKey(admin, { name: "Website", scopes: ["appointments:write"], ...data })
+    );
+
+  const callWith = (key, path = "/appointments") =>
+    request(app)[path === "/customers" ? "post" : "get"](path).set("X-API-Key", key);
+
+  it("shows the key once and stores only its hash", async () => {
+    const { apiKey, key } = await createKey();
+
+    expect(key.startsWith(`${apiKey.prefix}_`)).toBe(true);
+    expect(apiKeys.docs[0].keyHash).toBe(hashToken(key));
+    expect(JSON.stringify(apiKeys.docs)).not.toContain(key);
+    expect(apiKey.toJSON().keyHash).toBeUndefined();
+
+    const [listed] = await inTenant(salon, () => apiKeyService.listKeys());
+    expect(JSON.stringify(listed)).not.toContain(key);
+  });
+
+  it("lets a key in with its scopes, write scopes include read", async () => {
+    const { key } = await createKey();
+
+    const response = await callWith(key);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.tenantId).toBe(String(salon._id));
+  });
+
+  it("denies routes outside the key's scopes", async () => {
+    const { key } = await createKey();
+
+    const response = await callWith(key, "/customers");
+
+    expect(response.status).toBe(403);
+    expect(response.body.error).toMatchObject({
+      code: "SCOPE_DENIED",
+      details: { missing: ["customers:write"] },
+    });
+  });
+
+  it("rejects revoked keys", async () => {
+    const { apiKey, key } = await createKey();
+    await inTenant(salon, () => apiKeyService.revokeKey(admin, apiKey._id));
+
+    const response = await callWith(key);
+
+    expect(response.status).toBe(401);
+    expect(response.body.error.code).toBe("API_KEY_REVOKED");
+  });
+
+  it("rejects expired keys", async () => {
+    const { apiKey, key } = await createKey({ expiresAt: new Date(Date.now() + 60 * 1000) });
+    await ApiKey.updateOne({ _id: apiKey._id }, { $set: { expiresAt: new Date(Date.now() - 1) } });
+
+    const response = await callWith(key);
+
+    expect(response.status).toBe(401);
+    expect(response.body.error.code).toBe("API_KEY_EXPIRED");
+  });
+
+  it("rejects unknown keys", async () => {
+    const response = await callWith("sk_unknown_key");
+
+    expect(response.status).toBe(401);
+    expect(response.body.error.code).toBe("INVALID_API_KEY");
+  });
+
+  it("keeps a key to the salon that created it", async () => {
+    const { key } = await createKey();
+    const other = await createSalon({ status: "active" });
+
+    const response = await callWith(key).set("X-Tenant-Id", String(other._id));
+
+    expect(apiKeys.docs[0].tenantId).toEqual(salon._id);
+    expect(response.status).toBe(403);
+    expect(response.body.error.code).toBe("TENANT_MISMATCH");
+  });
+});
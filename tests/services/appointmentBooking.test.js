@@ -0,0 +1,80 @@
+jest.mock("../../src/utils/jobQueue");
+
+const dayjs = require("dayjs");
+const {
+  mockBookingModels,
+  createSalon,
+  createBookingBasics,
+  staffActor,
+  inTenant,
+} = require("../helpers/bookingFixtures");
+const appointmentService = require("../../src/services/appointmentService");
+const scheduleLock = require("../../src/utils/scheduleLock");
+
+const { stores, resetAll } = mockBookingModels();
+
+// These run on the in-memory models, where every operation completes in a single step and
+// only the unique _id is enforced. They show that bookings go through the schedule locks, not
+// that the locks hold against a real MongoDB: that needs a run on mongodb-memory-server
+describe("booking the same slot concurrently", () => {
+  let salon;
+  let basics;
+
+  beforeEach(async () => {
+    resetAll();
+    salon = await createSalon();
+    basics = await inTenant(salon, () => createBookingBasics());
+  });
+
+  const book = (scheduledAt) =>
+    inTenant(salon, () =>
+      appointmentService.createAppointment(staffActor(), {
+        customerId: basics.customer._id,
+        staffId: basics.staff._id,
+        serviceIds: [basics.service._id],
+        scheduledAt,
+      })
+    );
+
+  it("lets exactly one of two simultaneous bookings through", async () => {
+    const scheduledAt = dayjs().add(1, "day").startOf("hour").toDate();
+
+    const results = await Promise.allSettled([book(scheduledAt), book(scheduledAt)]);
+
+    const fulfilled = results.filter((result) => result.status === "fulfilled");
+    const rejected = results.filter((result) => result.status === "rejected");
+    expect(fulfilled).toHaveLength(1);
+    expect(rejected).toHaveLength(1);
+    expect(rejected[0].reason).toMatchObject({ statusCode: 409, code: "STAFF_UNAVAILABLE" });
+    expect(stores.Appointment.docs).toHaveLength(1);
+    expect(stores.ScheduleLock.docs).toHaveLength(0);
+  });
+
+  it("books overlapping times for the same staff member only once", async () => {
+    const start = dayjs().add(1, "day").startOf("hour");
+
+    const results = await Promise.allSettled([
+      book(start.toDate()),
+      book(start.add(30, "minute").toDate()),
+    ]);
+
+    expect(results.filter((result) => result.status === "fulfilled")).toHaveLength(1);
+    expect(stores.Appointment.docs).toHaveLength(1);
+  });
+
+  it("releases the locks when saving a booking fails", async () => {
+    const scheduledAt = dayjs().add(1, "day").startOf("hour").toDate();
+    const withLocks = jest.spyOn(scheduleLock, "withLocks");
+    const assertAvailable = jest
+      .spyOn(appointmentService, "assertAppointmentAvailable")
+      .mockRejectedValueOnce(new Error("database went away"));
+
+    await expect(book(scheduledAt)).rejects.toThrow("database went away");
+    expect(withLocks).toHaveBeenCalled();
+    expect(stores.ScheduleLock.docs).toHaveLength(0);
+
+    assertAvailable.mockRestore();
+    withLocks.mockRestore();
+    await expect(book(scheduledAt)).resolves.toMatchObject({ status: "pending" });
+  });
+});
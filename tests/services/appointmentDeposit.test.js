@@ -0,0 +1,193 @@
+jest.mock("../../src/utils/jobQueue");
+
+const dayjs = require("dayjs");
+const {
+  MODELS,
+  mockBookingModels,
+  createSalon,
+  createBookingBasics,
+  adminActor,
+  staffActor,
+  inTenant,
+} = require("../helpers/bookingFixtures");
+const appointmentService = require("../../src/services/appointmentService");
+const waitlistService = require("../../src/services/waitlistService");
+const paymentGateway = require("../../src/utils/paymentGateway");
+
+const { stores, resetAll } = mockBookingModels();
+
+describe("deposits on every way of booking", () => {
+  let salon;
+  let basics;
+  const start = () => dayjs().add(2, "day").startOf("hour");
+
+  beforeEach(async () => {
+    resetAll();
+    salon = await createSalon({ settings: { requireDeposit: true, depositAmount: 40 } });
+    basics = await inTenant(salon, () => createBookingBasics());
+  });
+
+  const bookingData = (extra = {}) => ({
+    customerId: basics.customer._id,
+    staffId: basics.staff._id,
+    serviceIds: [basics.service._id],
+    scheduledAt: start().toDate(),
+    status: "confirmed",
+    ...extra,
+  });
+
+  it("holds a single booking until the deposit is paid", async () => {
+    const appointment = await inTenant(salon, () =>
+      appointmentService.createAppointment(staffActor(), bookingData())
+    );
+
+    expect(appointment.status).toBe("pending_payment");
+    expect(appointment.deposit).toMatchObject({
+      amount: 40,
+      status: "pending",
+      statusWhenPaid: "confirmed",
+    });
+    expect(appointment.deposit.providerRef).toBeTruthy();
+  });
+
+  it("holds every occurrence of a recurring series", async () => {
+    const { appointments } = await inTenant(salon, () =>
+      appointmentService.createAppointment(
+        staffActor(),
+        bookingData({ recurrence: { frequency: "weekly", count: 3 } })
+      )
+    );
+
+    expect(appointments).toHaveLength(3);
+    appointments.forEach((appointment) => {
+      expect(appointment.status).toBe("pending_payment");
+      expect(appointment.deposit.providerRef).toBeTruthy();
+    });
+    const stored = stores.Appointment.docs.map((doc) => doc.deposit.providerRef);
+    expect(new Set(stored).size).toBe(3);
+  });
+
+  it("cancels the whole series when a deposit request fails", async () => {
+    const provider = paymentGateway.getProvider();
+    let requests = 0;
+    paymentGateway.setProvider({
+      ...provider,
+      createPayment: async (request) => {
+        requests += 1;
+        if (requests === 2) throw new Error("provider down");
+        return provider.createPayment(request);
+      },
+    });
+
+    try {
+      await expect(
+        inTenant(salon, () =>
+          appointmentService.createAppointment(
+            staffActor(),
+            bookingData({ recurrence: { frequency: "weekly", count: 3 } })
+          )
+        )
+      ).rejects.toMatchObject({ code: "PAYMENT_PROVIDER_ERROR" });
+    } finally {
+      paymentGateway.setProvider(provider);
+    }
+    expect(stores.Appointment.docs.map((doc) => doc.status)).toEqual([
+      "cancelled",
+      "cancelled",
+      "cancelled",
+    ]);
+  });
+
+  it("holds a booking made from a waitlist offer", async () => {
+    const slot = start();
+    const entry = await inTenant(salon, () =>
+      new MODELS.WaitlistEntry({
+        customerId: basics.customer._id,
+        serviceId: basics.service._id,
+        windowStart: slot.toDate(),
+        windowEnd: slot.add(3, "hour").toDate(),
+        status: "offered",
+        offer: {
+          staffId: basics.staff._id,
+          scheduledAt: slot.toDate(),
+          endAt: slot.add(1, "hour").toDate(),
+          expiresAt: dayjs().add(30, "minute").toDate(),
+        },
+      }).save()
+    );
+
+    const { appointment } = await inTenant(salon, () =>
+      waitlistService.acceptOffer(staffActor(), entry._id)
+    );
+
+    expect(appointment.status).toBe("pending_payment");
+    expect(appointment.deposit.providerRef).toBeTruthy();
+  });
+
+  it("lets salon admins waive the deposit", async () => {
+    const appointment = await inTenant(salon, () =>
+      appointmentService.createAppointment(adminActor(), bookingData({ waiveDeposit: true }))
+    );
+
+    expect(appointment.status).toBe("confirmed");
+    expect(appointment.deposit).toBeUndefined();
+  });
+
+  describe("letting a held booking through", () => {
+    const hold = (extra) =>
+      inTenant(salon, () => appointmentService.createAppointment(staffActor(), bookingData(extra)));
+    const pay = async (appointment) => {
+      paymentGateway.getProvider().pay(appointment.deposit.providerRef);
+      return inTenant(salon, () =>
+        appointmentService.confirmDeposit(staffActor(), appointment._id)
+      );
+    };
+
+    it.each([
+      ["staff", staffActor],
+      ["salon admins", adminActor],
+    ])("does not let %s skip the deposit with a status change", async (_, actor) => {
+      const appointment = await hold();
+
+      await expect(
+        inTenant(salon, () =>
+          appointmentService.updateAppointmentStatus(actor(), appointment._id, "confirmed")
+        )
+      ).rejects.toMatchObject({ statusCode: 409, code: "INVALID_STATUS_TRANSITION" });
+      expect(stores.Appointment.docs[0].status).toBe("pending_payment");
+    });
+
+    it("moves on to the requested status once the deposit is paid", async () => {
+      const appointment = await pay(await hold());
+
+      expect(appointment.status).toBe("confirmed");
+      expect(appointment.deposit.status).toBe("paid");
+    });
+
+    it("lets only salon admins waive the deposit of a held booking", async () => {
+      const appointment = await hold();
+
+      await expect(
+        inTenant(salon, () => appointmentService.waiveDepositHold(staffActor(), appointment._id))
+      ).rejects.toMatchObject({ statusCode: 403, code: "DEPOSIT_WAIVER_DENIED" });
+
+      const waived = await inTenant(salon, () =>
+        appointmentService.waiveDepositHold(adminActor(), appointment._id, "Regular")
+      );
+      expect(waived.status).toBe("confirmed");
+      expect(waived.deposit.status).toBe("waived");
+      const payment = await paymentGateway.getPayment(appointment.deposit.providerRef);
+      expect(payment.status).toBe("cancelled");
+    });
+
+    it("keeps appointments with a paid deposit from being deleted", async () => {
+      const appointment = await pay(await hold({ status: "pending" }));
+      expect(appointment.status).toBe("pending");
+
+      await expect(
+        inTenant(salon, () => appointmentService.deleteAppointment(appointment._id))
+      ).rejects.toMatchObject({ statusCode: 409, code: "APPOINTMENT_NOT_DELETABLE" });
+      expect(stores.Appointment.docs).toHaveLength(1);
+    });
+  });
+});
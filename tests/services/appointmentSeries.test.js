@@ -0,0 +1,169 @@
+jest.mock("../../src/utils/jobQueue");
+
+const dayjs = require("dayjs");
+const {
+  mockBookingModels,
+  createSalon,
+  createBookingBasics,
+  adminActor,
+  staffActor,
+  inTenant,
+} = require("../helpers/bookingFixtures");
+const appointmentService = require("../../src/services/appointmentService");
+
+const { stores, resetAll } = mockBookingModels();
+
+// The given UTC time, weeks after tomorrow, the salon's own timezone
+const start = dayjs().add(1, "day").format("YYYY-MM-DD");
+const at = (time, weeks = 0) =>
+  dayjs(`${start}T${time}:00Z`)
+    .add(weeks * 7, "day")
+    .toDate();
+
+describe("recurring series", () => {
+  let salon;
+  let basics;
+
+  beforeEach(async () => {
+    resetAll();
+    salon = await createSalon({ timezone: "UTC" });
+    basics = await inTenant(salon, () => createBookingBasics());
+  });
+
+  const book = (data) =>
+    inTenant(salon, () =>
+      appointmentService.createAppointment(staffActor(), {
+        customerId: basics.customer._id,
+        staffId: basics.staff._id,
+        serviceIds: [basics.service._id],
+        scheduledAt: at("10:00"),
+        ...data,
+      })
+    );
+
+  const bookSeries = (data = {}) =>
+    book({ recurrence: { frequency: "weekly", count: 4 }, ...data });
+
+  // Stored occurrences in order, as [scheduledAt, status]
+  const occurrences = () =>
+    stores.Appointment.docs
+      .filter((doc) => doc.seriesId)
+      .sort((a, b) => a.scheduledAt - b.scheduledAt)
+      .map((doc) => [doc.scheduledAt.toISOString(), doc.status]);
+
+  describe("booking", () => {
+    beforeEach(async () => {
+      // The third week is already taken
+      await book({ scheduledAt: at("10:30", 2) });
+    });
+
+    it("books nothing when an occurrence clashes", async () => {
+      await expect(bookSeries()).rejects.toMatchObject({
+        statusCode: 409,
+        code: "SERIES_CONFLICTS",
+        details: { conflicts: [expect.objectContaining({ occurrenceIndex: 2 })] },
+      });
+
+      expect(occurrences()).toEqual([]);
+      expect(stores.AppointmentSeries.docs).toHaveLength(0);
+    });
+
+    it("books the free occurrences with skipConflicts", async () => {
+      const { series, appointments, conflicts } = await bookSeries({ skipConflicts: true });
+
+      expect(appointments.map((appointment) => appointment.occurrenceIndex)).toEqual([0, 1, 3]);
+      expect(conflicts).toEqual([
+        expect.objectContaining({ occurrenceIndex: 2, scheduledAt: at("10:00", 2) }),
+      ]);
+      expect(stores.AppointmentSeries.docs.map((doc) => String(doc._id))).toEqual([
+        String(series._id),
+      ]);
+    });
+  });
+
+  describe("changing occurrences", () => {
+    let appointments;
+
+    beforeEach(async () => {
+      ({ appointments } = await bookSeries());
+    });
+
+    const update = (index, changes, scope) =>
+      inTenant(salon, () =>
+        appointmentService.updateAppointment(staffActor(), appointments[index]._id, changes, scope)
+      );
+
+    const cancel = (index, scope) =>
+      inTenant(salon, () =>
+        appointmentService.updateAppointmentStatus(
+          adminActor(),
+          appointments[index]._id,
+          "cancelled",
+          "Moving away",
+          scope
+        )
+      );
+
+    it("moves only the chosen occurrence with this", async () => {
+      await update(1, { scheduledAt: at("12:00", 1) }, "this");
+
+      expect(occurrences().map(([time]) => time)).toEqual([
+        at("10:00", 0).toISOString(),
+        at("12:00", 1).toISOString(),
+        at("10:00", 2).toISOString(),
+        at("10:00", 3).toISOString(),
+      ]);
+    });
+
+    it("moves the chosen occurrence and the later ones with following", async () => {
+      await update(1, { scheduledAt: at("12:00", 1) }, "following");
+
+      expect(occurrences().map(([time]) => time)).toEqual([
+        at("10:00", 0).toISOString(),
+        at("12:00", 1).toISOString(),
+        at("12:00", 2).toISOString(),
+        at("12:00", 3).toISOString(),
+      ]);
+    });
+
+    it("changes every occurrence with series", async () => {
+      const result = await update(2, { notes: "Bring photos" }, "series");
+
+      expect(result.appointments).toHaveLength(4);
+      expect(stores.Appointment.docs.map((doc) => doc.notes)).toEqual(
+        Array(4).fill("Bring photos")
+      );
+      expect(stores.AppointmentSeries.docs[0].notes).toBe("Bring photos");
+    });
+
+    it("cancels only the chosen occurrence with this", async () => {
+      await cancel(1, "this");
+
+      expect(occurrences().map(([, status]) => status)).toEqual([
+        "pending",
+        "cancelled",
+        "pending",
+        "pending",
+      ]);
+    });
+
+    it("cancels the later occurrences and ends the series with following", async () => {
+      await cancel(2, "following");
+
+      expect(occurrences().map(([, status]) => status)).toEqual([
+        "pending",
+        "pending",
+        "cancelled",
+        "cancelled",
+      ]);
+      expect(stores.AppointmentSeries.docs[0].until).toEqual(new Date(at("10:00", 2) - 1));
+    });
+
+    it("cancels every occurrence and the series with series", async () => {
+      await cancel(1, "series");
+
+      expect(occurrences().map(([, status]) => status)).toEqual(Array(4).fill("cancelled"));
+      expect(stores.AppointmentSeries.docs[0].status).toBe("cancelled");
+    });
+  });
+});
@@ -0,0 +1,76 @@
+jest.mock("../../src/utils/jobQueue");
+
+const dayjs = require("dayjs");
+const {
+  MODELS,
+  mockBookingModels,
+  createSalon,
+  createBookingBasics,
+  adminActor,
+  staffActor,
+  inTenant,
+} = require("../helpers/bookingFixtures");
+const appointmentService = require("../../src/services/appointmentService");
+
+const { Appointment } = MODELS;
+const { stores, resetAll } = mockBookingModels();
+
+describe("appointment status lifecycle", () => {
+  let salon;
+  let basics;
+
+  beforeEach(async () => {
+    resetAll();
+    salon = await createSalon();
+    basics = await inTenant(salon, () => createBookingBasics());
+  });
+
+  const book = () =>
+    inTenant(salon, () =>
+      appointmentService.createAppointment(staffActor(), {
+        customerId: basics.customer._id,
+        staffId: basics.staff._id,
+        serviceIds: [basics.service._id],
+        scheduledAt: dayjs().add(1, "day").startOf("hour").toDate(),
+      })
+    );
+
+  it("treats a status it does not know as final instead of failing", () => {
+    const appointment = Appointment.hydrate({ status: "booked" });
+
+    expect(appointment.isFinal).toBe(true);
+    expect(appointment.canTransitionTo("cancelled")).toBe(false);
+    expect(() => appointment.transitionTo("cancelled")).toThrow(
+      expect.objectContaining({ statusCode: 409, code: "INVALID_STATUS_TRANSITION" })
+    );
+  });
+
+  it.each([null, "waive", ["amount"]])("rejects a fee override of %p", async (fee) => {
+    const appointment = await book();
+
+    await expect(
+      inTenant(salon, () =>
+        appointmentService.updateAppointmentStatus(
+          adminActor(),
+          appointment._id,
+          "cancelled",
+          undefined,
+          "this",
+          fee
+        )
+      )
+    ).rejects.toMatchObject({ statusCode: 400, code: "VALIDATION_ERROR" });
+    expect(stores.Appointment.docs[0].status).toBe("pending");
+  });
+
+  it("cancels without a fee override", async () => {
+    const appointment = await book();
+
+    const cancelled = await inTenant(salon, () =>
+      appointmentService.updateAppointmentStatus(adminActor(), appointment._id, "cancelled")
+    );
+
+    expect(cancelled.status).toBe("cancelled");
+    expect(stores.Appointment.docs[0].status).toBe("cancelled");
+  });
+});
@@ -0,0 +1,90 @@
+const { mockModel } = require("../helpers/memoryModel");
+const User = require("../../src/models/User");
+const RefreshToken = require("../../src/models/RefreshToken");
+const Session = require("../../src/models/Session");
+const authService = require("../../src/services/authService");
+const mailer = require("../../src/utils/mailer");
+
+const users = mockModel(User);
+const refreshTokens = mockModel(RefreshToken);
+const sessions = mockModel(Session);
+
+// The token of the link in the last email sent
+const linkToken = () => {
+  const { text } = mailer.outbox[mailer.outbox.length - 1];
+  return new URL(text.match(/https?:\/\/\S+/)[0]).searchParams.get("token");
+};
+
+describe("sign-up and email links", () => {
+  const signUp = (overrides = {}) =>
+    authService.register({
+      name: "Robin",
+      email: "robin@example.com",
+      password: "long enough password",
+      ...overrides,
+    });
+
+  beforeEach(() => {
+    [users, refreshTokens, sessions].forEach((store) => store.reset());
+    mailer.outbox.length = 0;
+  });
+
+  it("signs customers up and sends them a verification link", async () => {
+    const { user, accessToken, refreshToken } = await signUp();
+
+    expect(user).toMatchObject({ role: "customer", emailVerified: false });
+    expect(accessToken).toBeTruthy();
+    expect(refreshToken).toBeTruthy();
+    expect(mailer.outbox).toHaveLength(1);
+    expect(mailer.outbox[0]).toMatchObject({ to: "robin@example.com" });
+
+    const verified = await authService.verifyEmail(linkToken());
+    expect(verified.emailVerified).toBe(true);
+    // Links work once
+    await expect(authService.verifyEmail(linkToken())).rejects.toMatchObject({
+      statusCode: 400,
+      code: "INVALID_TOKEN",
+    });
+  });
+
+  it.each(["salon_admin", "staff", "super_admin"])(
+    "does not let anyone sign up as %s",
+    async (role) => {
+      await expect(signUp({ role })).rejects.toMatchObject({
+        statusCode: 400,
+        code: "INVALID_ROLE",
+      });
+      expect(users.docs).toHaveLength(0);
+      expect(mailer.outbox).toHaveLength(0);
+    }
+  );
+
+  it("escapes the name in the emails", async () => {
+    await signUp({ name: "<a href='https://evil.example'>Robin</a>" });
+    await authService.forgotPassword("robin@example.com");
+
+    mailer.outbox.forEach(({ html }) => {
+      expect(html).toContain("Hi &lt;a href=&#39;https://evil.example&#39;&gt;Robin&lt;/a&gt;,");
+      expect(html).not.toContain("evil.example'>");
+    });
+  });
+
+  it("resets the password through the emailed link and ends existing sessions", async () => {
+    await signUp();
+    expect(sessions.docs).toHaveLength(1);
+
+    await authService.forgotPassword("robin@example.com");
+    const user = await authService.resetPassword(linkToken(), "another long password");
+
+    expect(user.emailVerified).toBe(true);
+    expect(sessions.docs[0].revokedReason).toBe("password_changed");
+    await expect(
+      authService.resetPassword(linkToken(), "yet another password")
+    ).rejects.toMatchObject({ code: "INVALID_TOKEN" });
+  });
+
+  it("does not reveal whether an email is registered", async () => {
+    await expect(authService.forgotPassword("nobody@example.com")).resolves.toBeUndefined();
+    expect(mailer.outbox).toHaveLength(0);
+  });
+});
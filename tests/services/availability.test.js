@@ -0,0 +1,122 @@
+jest.mock("../../src/utils/jobQueue");
+
+const dayjs = require("dayjs");
+const {
+  MODELS,
+  mockBookingModels,
+  createSalon,
+  createBookingBasics,
+  inTenant,
+} = require("../helpers/bookingFixtures");
+const appointmentService = require("../../src/services/appointmentService");
+const publicBookingService = require("../../src/services/publicBookingService");
+
+const { resetAll } = mockBookingModels();
+
+const WEEKDAYS = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+
+// The UTC day the given number of days from now, the salon's own timezone
+const dayKey = (days) => dayjs().add(days, "day").toISOString().slice(0, 10);
+const weekdayOf = (key) => WEEKDAYS[new Date(`${key}T00:00:00Z`).getUTCDay()];
+const at = (key, time) => new Date(`${key}T${time}:00Z`);
+
+describe("available time slots", () => {
+  const tomorrow = dayKey(1);
+  let salon;
+  let basics;
+
+  beforeEach(async () => {
+    resetAll();
+    salon = await createSalon({
+      timezone: "UTC",
+      businessHours: WEEKDAYS.map((day) => ({
+        day,
+        isOpen: true,
+        openTime: "09:00",
+        closeTime: "17:00",
+        breakStart: "12:00",
+        breakEnd: "13:00",
+      })),
+      settings: { allowOnlineBooking: true, slotInterval: 60, bookingAdvanceLimit: 7 },
+    });
+    basics = await inTenant(salon, () => createBookingBasics({ durationMins: 60 }));
+  });
+
+  const slotTimes = (date, staffId = basics.staff._id) =>
+    inTenant(salon, async () => {
+      const slots = await appointmentService.getAvailableTimeSlots(salon, {
+        date,
+        serviceIds: [basics.service._id],
+        staffId,
+      });
+      return slots.map((slot) => slot.time.toISOString().slice(11, 16));
+    });
+
+  const bookOnline = (scheduledAt) =>
+    inTenant(salon, () =>
+      publicBookingService.createBooking(salon, {
+        customer: { name: "Robin", email: "robin@example.com" },
+        serviceIds: [basics.service._id],
+        staffId: basics.staff._id,
+        scheduledAt: scheduledAt.toISOString(),
+      })
+    );
+
+  it("offers the salon's opening hours around its break in configured steps", async () => {
+    await expect(slotTimes(tomorrow)).resolves.toEqual([
+      "09:00",
+      "10:00",
+      "11:00",
+      "13:00",
+      "14:00",
+      "15:00",
+      "16:00",
+    ]);
+  });
+
+  it("offers nothing on a weekday the salon is shut", async () => {
+    salon.businessHours.find((hours) => hours.day === weekdayOf(tomorrow)).isOpen = false;
+
+    await expect(slotTimes(tomorrow)).resolves.toEqual([]);
+  });
+
+  it("offers nothing during a closure and refuses bookings on it", async () => {
+    salon.closures = [{ date: tomorrow, reason: "Holiday" }];
+
+    await expect(slotTimes(tomorrow)).resolves.toEqual([]);
+    await expect(slotTimes(dayKey(2))).resolves.toHaveLength(7);
+    await expect(bookOnline(at(tomorrow, "10:00"))).rejects.toMatchObject({
+      statusCode: 409,
+      code: "SLOT_UNAVAILABLE",
+    });
+  });
+
+  it("keeps to a staff member's shift and break, and their days off", async () => {
+    const shifted = await inTenant(salon, () =>
+      new MODELS.Staff({
+        name: "Blake",
+        workingHours: [
+          {
+            day: weekdayOf(tomorrow),
+            startTime: "10:00",
+            endTime: "15:00",
+            breakStart: "10:30",
+            breakEnd: "11:00",
+          },
+        ],
+      }).save()
+    );
+
+    await expect(slotTimes(tomorrow, shifted._id)).resolves.toEqual(["11:00", "13:00", "14:00"]);
+    await expect(slotTimes(dayKey(2), shifted._id)).resolves.toEqual([]);
+  });
+
+  it("offers nothing past the booking window and refuses bookings there", async () => {
+    await expect(slotTimes(dayKey(7))).resolves.toHaveLength(7);
+    await expect(slotTimes(dayKey(8))).resolves.toEqual([]);
+    await expect(bookOnline(at(dayKey(8), "10:00"))).rejects.toMatchObject({
+      statusCode: 409,
+      code: "SLOT_UNAVAILABLE",
+    });
+  });
+});
@@ -0,0 +1,131 @@
+jest.mock("../../src/utils/jobQueue");
+
+const dayjs = require("dayjs");
+const {
+  mockBookingModels,
+  createSalon,
+  createBookingBasics,
+  adminActor,
+  staffActor,
+  inTenant,
+} = require("../helpers/bookingFixtures");
+const appointmentService = require("../../src/services/appointmentService");
+const customerService = require("../../src/services/customerService");
+const billingService = require("../../src/services/billingService");
+const feeWorker = require("../../src/workers/feeWorker");
+
+const { stores, resetAll } = mockBookingModels();
+
+describe("cancellation fees that fail to bill", () => {
+  let salon;
+  let basics;
+
+  beforeEach(async () => {
+    resetAll();
+    jest.restoreAllMocks();
+    salon = await createSalon({
+      settings: {
+        cancellationPolicy: {
+          enabled: true,
+          windowHours: 24,
+          lateCancelFee: { type: "flat", value: 30 },
+        },
+      },
+    });
+    basics = await inTenant(salon, () => createBookingBasics());
+    await inTenant(salon, () => customerService.credit(basics.customer._id, 50, "Top up"));
+  });
+
+  // Cancelled inside the policy window, so the late cancellation fee applies
+  const cancelLate = async () => {
+    const appointment = await inTenant(salon, () =>
+      appointmentService.createAppointment(staffActor(), {
+        customerId: basics.customer._id,
+        staffId: basics.staff._id,
+        serviceIds: [basics.service._id],
+        scheduledAt: dayjs().add(3, "hour").startOf("hour").toDate(),
+      })
+    );
+    return inTenant(salon, () =>
+      appointmentService.cancelAppointment(adminActor(), appointment._id, "Running late")
+    );
+  };
+
+  const storedFee = () => stores.Appointment.docs[0].cancellationFee;
+
+  it("records the failure on the fee instead of only logging it", async () => {
+    jest.spyOn(customerService, "debit").mockRejectedValueOnce(new Error("database went away"));
+
+    const cancelled = await cancelLate();
+
+    expect(cancelled.status).toBe("cancelled");
+    expect(storedFee()).toMatchObject({
+      kind: "late_cancel",
+      amount: 30,
+      status: "failed",
+      failedAttempts: 1,
+      lastError: "database went away",
+    });
+  });
+
+  it("bills a failed fee on retry on the invoice of the failed attempt", async () => {
+    jest.spyOn(customerService, "debit").mockRejectedValueOnce(new Error("database went away"));
+    const cancelled = await cancelLate();
+    expect(stores.Invoice.docs).toHaveLength(1);
+
+    await expect(inTenant(salon, () => feeWorker.run())).resolves.toBe(1);
+
+    expect(storedFee()).toMatchObject({ status: "charged", walletAmount: 30 });
+    expect(stores.Invoice.docs).toHaveLength(1);
+    expect(String(storedFee().invoiceId)).toBe(String(stores.Invoice.docs[0]._id));
+    expect(stores.Customer.docs[0].walletBalance).toBe(20);
+    await expect(
+      inTenant(salon, () => appointmentService.retryCancellationFee(cancelled._id))
+    ).rejects.toMatchObject({ statusCode: 409, code: "FEE_NOT_FAILED" });
+  });
+
+  it("does not debit the wallet again when retrying after the payment failed", async () => {
+    jest
+      .spyOn(billingService, "processPayment")
+      .mockRejectedValueOnce(new Error("payment gateway timed out"));
+    await cancelLate();
+    expect(storedFee()).toMatchObject({ status: "failed" });
+    expect(stores.Customer.docs[0].walletBalance).toBe(20);
+
+    await expect(inTenant(salon, () => feeWorker.run())).resolves.toBe(1);
+
+    expect(storedFee()).toMatchObject({ status: "charged", walletAmount: 30 });
+    expect(stores.Customer.docs[0].walletBalance).toBe(20);
+    expect(stores.WalletTransaction.docs.filter((doc) => doc.type === "debit")).toHaveLength(1);
+    expect(stores.Invoice.docs[0]).toMatchObject({ status: "paid", paidAmount: 30 });
+  });
+
+  it("pays back a debit that never reached the invoice when the fee is waived", async () => {
+    jest
+      .spyOn(billingService, "processPayment")
+      .mockRejectedValueOnce(new Error("payment gateway timed out"));
+    const cancelled = await cancelLate();
+
+    const waived = await inTenant(salon, () =>
+      appointmentService.waiveCancellationFee(adminActor(), cancelled._id, "Goodwill")
+    );
+
+    expect(waived.cancellationFee).toMatchObject({ status: "waived", refundedAmount: 30 });
+    expect(stores.Customer.docs[0].walletBalance).toBe(50);
+  });
+
+  it("leaves fees that keep failing to the salon", async () => {
+    jest.spyOn(customerService, "debit").mockRejectedValue(new Error("database went away"));
+    await cancelLate();
+
+    for (let attempt = 1; attempt < feeWorker.MAX_ATTEMPTS; attempt++) {
+      await inTenant(salon, () => feeWorker.run());
+    }
+
+    expect(storedFee()).toMatchObject({
+      status: "failed",
+      failedAttempts: feeWorker.MAX_ATTEMPTS,
+    });
+    await expect(inTenant(salon, () => feeWorker.run())).resolves.toBe(0);
+  });
+});
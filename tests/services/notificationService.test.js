@@ -0,0 +1,48 @@
+jest.mock("../../src/utils/jobQueue");
+
+const dayjs = require("dayjs");
+const {
+  mockBookingModels,
+  createSalon,
+  createBookingBasics,
+  staffActor,
+  inTenant,
+} = require("../helpers/bookingFixtures");
+const appointmentService = require("../../src/services/appointmentService");
+const notificationService = require("../../src/services/notificationService");
+const jobQueue = require("../../src/utils/jobQueue");
+
+const { resetAll } = mockBookingModels();
+
+describe("notificationService.sendAppointmentReminders", () => {
+  beforeEach(() => {
+    resetAll();
+    jest.clearAllMocks();
+  });
+
+  it("queues the reminders missing for upcoming appointments, keeping queued ones", async () => {
+    const salon = await createSalon();
+    const basics = await inTenant(salon, () => createBookingBasics());
+    const appointment = await inTenant(salon, () =>
+      appointmentService.createAppointment(staffActor(), {
+        customerId: basics.customer._id,
+        staffId: basics.staff._id,
+        serviceIds: [basics.service._id],
+        scheduledAt: dayjs().add(3, "day").startOf("hour").toDate(),
+      })
+    );
+    jest.clearAllMocks();
+
+    await expect(notificationService.sendAppointmentReminders()).resolves.toBe(1);
+
+    const queued = jobQueue.schedule.mock.calls.map(([, , data, options]) => [
+      data.appointmentId,
+      data.kind,
+      options.keepExisting,
+    ]);
+    expect(queued).toEqual([
+      [String(appointment._id), "24h", true],
+      [String(appointment._id), "2h", true],
+    ]);
+  });
+});
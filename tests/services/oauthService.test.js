@@ -0,0 +1,132 @@
+const { mockModel } = require("../helpers/memoryModel");
+const User = require("../../src/models/User");
+const RefreshToken = require("../../src/models/RefreshToken");
+const Session = require("../../src/models/Session");
+const PlatformSetting = require("../../src/models/PlatformSetting");
+const oauthService = require("../../src/services/oauthService");
+const authService = require("../../src/services/authService");
+const { MockGoogleStrategy } = require("../../src/config/passport");
+
+const users = mockModel(User);
+const refreshTokens = mockModel(RefreshToken);
+const sessions = mockModel(Session);
+const platformSettings = mockModel(PlatformSetting);
+
+// The profile the offline Google provider hands to the callback for these query parameters
+const googleProfile = (query) =>
+  new Promise((resolve, reject) => {
+    const strategy = new MockGoogleStrategy({ callbackURL: "http://localhost/callback" });
+    strategy.success = resolve;
+    strategy.error = reject;
+    strategy.authenticate({ query: { code: "mock", ...query } });
+  });
+
+// What the callback does once the provider answered: check the state, then resolve the user
+const callback = async (profile, intent) =>
+  oauthService.handleCallback(profile, oauthService.verifyState(oauthService.createState(intent)));
+
+const createUser = (fields) =>
+  new User({ name: "Robin", passwordHash: "not used here", role: "customer", ...fields }).save();
+
+describe("Google sign-in", () => {
+  beforeEach(() => {
+    [users, refreshTokens, sessions, platformSettings].forEach((store) => store.reset());
+  });
+
+  it("links Google to the existing user with the same verified email", async () => {
+    const existing = await createUser({ email: "robin@example.com" });
+    const profile = await googleProfile({ mock_id: "g-1", mock_email: "Robin@Example.com" });
+
+    const { user, created, linked } = await callback(profile, { mode: "login", role: "customer" });
+
+    expect({ created, linked }).toEqual({ created: false, linked: true });
+    expect(String(user._id)).toBe(String(existing._id));
+    expect(users.docs).toHaveLength(1);
+    expect(users.docs[0].emailVerified).toBe(true);
+    expect(users.docs[0].getOAuthProvider("google")).toMatchObject({ providerId: "g-1" });
+
+    // Later sign-ins find the user by the Google account and end in a session
+    const again = await callback(profile, { mode: "login", role: "customer" });
+    expect({ created: again.created, linked: again.linked }).toEqual({
+      created: false,
+      linked: false,
+    });
+    const session = await oauthService.exchangeLoginToken(
+      oauthService.createLoginToken(again.user, "google")
+    );
+    expect(session.accessToken).toBeTruthy();
+  });
+
+  it("drops the password and sessions of an account that never proved the email", async () => {
+    const squatter = await createUser({
+      email: "robin@example.com",
+      twoFactor: { enabled: true, secret: "SQUATTER" },
+    });
+    const squatterLogin = await authService.issueTokens(squatter);
+    const profile = await googleProfile({ mock_id: "g-3", mock_email: "robin@example.com" });
+
+    const { user } = await callback(profile, { mode: "login", role: "customer" });
+
+    expect(String(user._id)).toBe(String(squatter._id));
+    expect(user.passwordHash).toBeUndefined();
+    expect(user.twoFactor.enabled).toBe(false);
+    expect(refreshTokens.docs[0]).toMatchObject({
+      family: squatterLogin.sessionId,
+      revokedReason: "password_changed",
+    });
+    expect(sessions.docs[0]).toMatchObject({ revokedReason: "password_changed" });
+  });
+
+  it("keeps the password of an account that proved the email before linking", async () => {
+    await createUser({ email: "robin@example.com", emailVerified: true });
+    const profile = await googleProfile({ mock_id: "g-4", mock_email: "robin@example.com" });
+
+    const { user } = await callback(profile, { mode: "login", role: "customer" });
+
+    expect(user.passwordHash).toBe("not used here");
+  });
+
+  it("never links on an email Google did not verify", async () => {
+    await createUser({ email: "robin@example.com" });
+    const profile = await googleProfile({
+      mock_email: "robin@example.com",
+      mock_verified: "false",
+    });
+
+    await expect(callback(profile, { mode: "login", role: "customer" })).rejects.toMatchObject({
+      statusCode: 403,
+      code: "OAUTH_EMAIL_UNVERIFIED",
+    });
+    expect(users.docs[0].oauthProviders).toHaveLength(0);
+  });
+
+  it("links the Google account of a signed-in user once", async () => {
+    const robin = await createUser({ email: "robin@example.com" });
+    const sam = await createUser({ name: "Sam", email: "sam@example.com" });
+    const profile = await googleProfile({ mock_id: "g-2", mock_email: "robin.g@example.com" });
+
+    const { linked } = await callback(profile, { mode: "link", userId: String(robin._id) });
+    expect(linked).toBe(true);
+
+    await expect(
+      callback(profile, { mode: "link", userId: String(sam._id) })
+    ).rejects.toMatchObject({
+      statusCode: 409,
+      code: "OAUTH_ACCOUNT_IN_USE",
+    });
+  });
+
+  it("signs up new users as customers only", async () => {
+    const profile = await googleProfile({ mock_email: "new@example.com" });
+
+    await expect(callback(profile, { mode: "login", role: "salon_admin" })).rejects.toMatchObject({
+      statusCode: 400,
+      code: "INVALID_ROLE",
+    });
+    expect(users.docs).toHaveLength(0);
+
+    const { user, created } = await callback(profile, { mode: "login", role: "customer" });
+    expect(created).toBe(true);
+    expect(user).toMatchObject({ role: "customer", email: "new@example.com" });
+  });
+});
@@ -0,0 +1,188 @@
+const mongoose = require("mongoose");
+const { mockModel } = require("../helpers/memoryModel");
+const User = require("../../src/models/User");
+const OtpCode = require("../../src/models/OtpCode");
+const RefreshToken = require("../../src/models/RefreshToken");
+const Session = require("../../src/models/Session");
+const Customer = require("../../src/models/Customer");
+const authService = require("../../src/services/authService");
+const otpService = require("../../src/services/otpService");
+const mailer = require("../../src/utils/mailer");
+const smsSender = require("../../src/utils/smsSender");
+const tenantContext = require("../../src/utils/tenantContext");
+
+const users = mockModel(User);
+const otpCodes = mockModel(OtpCode);
+const refreshTokens = mockModel(RefreshToken);
+const sessions = mockModel(Session);
+const customers = mockModel(Customer);
+
+// The code in the last SMS or email sent
+const lastSmsCode = () => smsSender.outbox[smsSender.outbox.length - 1].body.match(/\d{6}/)[0];
+const lastEmailCode = () => mailer.outbox[mailer.outbox.length - 1].text.match(/\d{6}/)[0];
+
+const saveCustomerUser = (fields) =>
+  new User({ name: "Robin", role: "customer", ...fields }).save();
+
+describe("passwordless login", () => {
+  const phone = "+1 (555) 010-2030";
+  const email = "Robin@Example.com";
+
+  beforeEach(() => {
+    [users, otpCodes, refreshTokens, sessions, customers].forEach((store) => store.reset());
+    mailer.outbox.length = 0;
+    smsSender.outbox.length = 0;
+  });
+
+  afterEach(() => jest.useRealTimers());
+
+  it("texts a code that signs a new customer up once", async () => {
+    const sent = await authService.requestLoginCode({ phone });
+
+    expect(sent).toEqual({ channel: "sms", expiresInMinutes: otpService.ttlMinutes });
+    expect(smsSender.outbox).toHaveLength(1);
+    expect(smsSender.outbox[0].to).toBe("+15550102030");
+    // Only a hash of the code is stored
+    expect(JSON.stringify(otpCodes.docs)).not.toContain(lastSmsCode());
+
+    const { user, accessToken } = await authService.loginWithCode({
+      phone,
+      code: lastSmsCode(),
+      name: "Robin",
+    });
+    expect(user).toMatchObject({ phone: "+15550102030", role: "customer", phoneVerified: true });
+    expect(accessToken).toBeTruthy();
+    expect(users.docs).toHaveLength(1);
+
+    await expect(authService.loginWithCode({ phone, code: lastSmsCode() })).rejects.toMatchObject({
+      statusCode: 400,
+      code: "OTP_EXPIRED",
+    });
+  });
+
+  it("emails a code and counts wrong guesses", async () => {
+    await authService.requestLoginCode({ email });
+    expect(mailer.outbox).toHaveLength(1);
+    expect(mailer.outbox[0].to).toBe("robin@example.com");
+
+    const code = lastEmailCode();
+    const wrong = code === "000000" ? "000001" : "000000";
+    await expect(authService.loginWithCode({ email, code: wrong })).rejects.toMatchObject({
+      statusCode: 401,
+      code: "INVALID_OTP",
+      details: { remainingAttempts: 4 },
+    });
+
+    const { user } = await authService.loginWithCode({ email, code });
+    expect(user).toMatchObject({ email: "robin@example.com", emailVerified: true });
+  });
+
+  it("rejects a code once it expired", async () => {
+    jest.useFakeTimers({ doNotFake: ["nextTick", "setImmediate", "queueMicrotask"] });
+    jest.setSystemTime(new Date("2026-05-01T10:00:00Z"));
+
+    await authService.requestLoginCode({ phone });
+    jest.setSystemTime(new Date(Date.now() + (otpService.ttlMinutes * 60 + 1) * 1000));
+
+    await expect(authService.loginWithCode({ phone, code: lastSmsCode() })).rejects.toMatchObject({
+      statusCode: 400,
+      code: "OTP_EXPIRED",
+    });
+    expect(users.docs).toHaveLength(0);
+  });
+
+  it("does not send codes to staff but answers the same way", async () => {
+    await new User({
+      name: "Alex",
+      email: "robin@example.com",
+      passwordHash: "not used here",
+      role: "staff",
+    }).save();
+
+    const sent = await authService.requestLoginCode({ email });
+
+    expect(sent).toEqual({ channel: "email", expiresInMinutes: otpService.ttlMinutes });
+    expect(mailer.outbox).toHaveLength(0);
+  });
+
+  it("takes an unproven email account back from whoever registered it first", async () => {
+    const squatter = await saveCustomerUser({
+      email: "robin@example.com",
+      passwordHash: "set by someone else",
+      twoFactor: { enabled: true, secret: "SQUATTER" },
+      oauthProviders: [{ provider: "google", providerId: "squatter" }],
+    });
+    const squatterLogin = await authService.issueTokens(squatter);
+
+    await authService.requestLoginCode({ email });
+    const { user, sessionId } = await authService.loginWithCode({ email, code: lastEmailCode() });
+
+    expect(String(user._id)).toBe(String(squatter._id));
+    expect(user.passwordHash).toBeUndefined();
+    expect(user.twoFactor.enabled).toBe(false);
+    expect(user.oauthProviders).toHaveLength(0);
+    const oldToken = refreshTokens.docs.find((doc) => doc.family === squatterLogin.sessionId);
+    expect(oldToken).toMatchObject({ revokedReason: "password_changed" });
+    expect(sessions.docs.find((doc) => String(doc._id) === squatterLogin.sessionId)).toMatchObject({
+      revokedReason: "password_changed",
+    });
+    expect(sessions.docs.find((doc) => String(doc._id) === sessionId).revokedAt).toBeUndefined();
+  });
+
+  it("keeps the password and sessions of an account that already proved its email", async () => {
+    const owner = await saveCustomerUser({
+      email: "robin@example.com",
+      emailVerified: true,
+      passwordHash: "kept",
+    });
+    const earlierLogin = await authService.issueTokens(owner);
+
+    await authService.requestLoginCode({ email });
+    const { user } = await authService.loginWithCode({ email, code: lastEmailCode() });
+
+    expect(user.passwordHash).toBe("kept");
+    const earlierToken = refreshTokens.docs.find((doc) => doc.family === earlierLogin.sessionId);
+    expect(earlierToken.revokedAt).toBeUndefined();
+  });
+
+  it("picks the account that proved a phone number over unproven ones", async () => {
+    await saveCustomerUser({ phone: "+15550102030" });
+    const owner = await saveCustomerUser({ phone: "+15550102030", phoneVerified: true });
+
+    await authService.requestLoginCode({ phone });
+    const { user } = await authService.loginWithCode({ phone, code: lastSmsCode() });
+
+    expect(String(user._id)).toBe(String(owner._id));
+  });
+
+  it("refuses to guess between unproven accounts sharing a phone number", async () => {
+    await saveCustomerUser({ phone: "+15550102030" });
+    await saveCustomerUser({ phone: "+15550102030" });
+
+    await expect(authService.loginWithCode({ phone, code: "123456" })).rejects.toMatchObject({
+      statusCode: 409,
+      code: "OTP_ACCOUNT_AMBIGUOUS",
+    });
+  });
+
+  it("adopts a salon's customer profile only by the contact just verified", async () => {
+    await saveCustomerUser({
+      email: "robin@example.com",
+      emailVerified: true,
+      phone: "+15550102030",
+    });
+    const tenantId = new mongoose.Types.ObjectId();
+
+    await authService.requestLoginCode({ email });
+    const code = lastEmailCode();
+    const { customer } = await tenantContext.runWithTenant(tenantId, async () => {
+      await new Customer({ name: "Front desk by phone", phone: "+15550102030" }).save();
+      await new Customer({ name: "Front desk by email", email: "robin@example.com" }).save();
+      return authService.loginWithCode({ email, code });
+    });
+
+    expect(customer.name).toBe("Front desk by email");
+    const byPhone = customers.docs.find((doc) => doc.name === "Front desk by phone");
+    expect(byPhone.userId).toBeUndefined();
+  });
+});
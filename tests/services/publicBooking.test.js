@@ -0,0 +1,106 @@
+jest.mock("../../src/utils/jobQueue");
+
+const dayjs = require("dayjs");
+const {
+  MODELS,
+  mockBookingModels,
+  createSalon,
+  createBookingBasics,
+  inTenant,
+} = require("../helpers/bookingFixtures");
+const User = require("../../src/models/User");
+const publicBookingService = require("../../src/services/publicBookingService");
+const mailer = require("../../src/utils/mailer");
+
+const { stores, resetAll } = mockBookingModels();
+
+describe("online booking", () => {
+  let salon;
+  let basics;
+
+  beforeEach(async () => {
+    resetAll();
+    mailer.outbox.length = 0;
+    salon = await createSalon({
+      name: "Cuts & <Co>",
+      settings: { allowOnlineBooking: true },
+    });
+    basics = await inTenant(salon, () => createBookingBasics());
+  });
+
+  const book = (customer, user) =>
+    inTenant(salon, () =>
+      publicBookingService.createBooking(
+        salon,
+        {
+          customer,
+          serviceIds: [basics.service._id],
+          staffId: basics.staff._id,
+          scheduledAt: dayjs().add(1, "day").startOf("hour").toISOString(),
+        },
+        user
+      )
+    );
+
+  const bookedCustomerId = (booking) =>
+    String(
+      stores.Appointment.docs.find((doc) => String(doc._id) === String(booking.id)).customerId
+    );
+
+  it("does not put the booking on an existing customer with the same email", async () => {
+    const { booking } = await book({ name: "Not Sam", email: "SAM@example.com" });
+
+    const appointment = stores.Appointment.docs.find(
+      (doc) => String(doc._id) === String(booking.id)
+    );
+    expect(String(appointment.customerId)).not.toBe(String(basics.customer._id));
+    const customer = stores.Customer.docs.find(
+      (doc) => String(doc._id) === String(appointment.customerId)
+    );
+    expect(customer).toMatchObject({ name: "Not Sam", email: "sam@example.com", source: "online" });
+    expect(stores.Customer.docs).toHaveLength(2);
+  });
+
+  it("books a signed-in customer under their record at the salon", async () => {
+    const user = new User({ name: "Sam", email: "sam@example.com", role: "customer" });
+    await inTenant(salon, () =>
+      MODELS.Customer.updateOne({ _id: basics.customer._id }, { userId: user._id })
+    );
+
+    const { booking } = await book(undefined, user);
+
+    expect(bookedCustomerId(booking)).toBe(String(basics.customer._id));
+    expect(stores.Customer.docs).toHaveLength(1);
+  });
+
+  it("gives a signed-in customer new to the salon a record linked to their account", async () => {
+    const user = new User({ name: "Robin", email: "robin@example.com", role: "customer" });
+
+    const { booking } = await book({ name: "Typed In", email: "other@example.com" }, user);
+
+    const customer = stores.Customer.docs.find(
+      (doc) => String(doc._id) === bookedCustomerId(booking)
+    );
+    expect(customer).toMatchObject({ name: "Robin", email: "robin@example.com" });
+    expect(String(customer.userId)).toBe(String(user._id));
+  });
+
+  it("does not book staff accounts as customers", async () => {
+    const user = new User({ name: "Alex", email: "alex@example.com", role: "staff" });
+
+    await expect(book(undefined, user)).rejects.toMatchObject({
+      statusCode: 403,
+      code: "CUSTOMER_ACCOUNT_REQUIRED",
+    });
+  });
+
+  it("escapes the names in the confirmation email", async () => {
+    await book({ name: "<img src=x onerror=alert(1)>", email: "new@example.com" });
+
+    expect(mailer.outbox).toHaveLength(1);
+    const { html } = mailer.outbox[0];
+    expect(html).toContain("Hi &lt;img src=x onerror=alert(1)&gt;,");
+    expect(html).toContain("Cuts &amp; &lt;Co&gt;");
+    expect(html).not.toContain("<img");
+  });
+});
@@ -0,0 +1,79 @@
+jest.mock("../../src/utils/jobQueue");
+
+const dayjs = require("dayjs");
+const {
+  mockBookingModels,
+  createSalon,
+  createBookingBasics,
+  staffActor,
+  inTenant,
+} = require("../helpers/bookingFixtures");
+const appointmentService = require("../../src/services/appointmentService");
+const reminderService = require("../../src/services/reminderService");
+const jobQueue = require("../../src/utils/jobQueue");
+const mailer = require("../../src/utils/mailer");
+const paymentGateway = require("../../src/utils/paymentGateway");
+
+const { stores, resetAll } = mockBookingModels();
+
+describe("appointment reminders", () => {
+  let salon;
+  let basics;
+
+  beforeEach(async () => {
+    resetAll();
+    jest.clearAllMocks();
+    mailer.outbox.length = 0;
+  });
+
+  const setUp = async (overrides) => {
+    salon = await createSalon(overrides);
+    basics = await inTenant(salon, () => createBookingBasics());
+  };
+
+  const book = () =>
+    inTenant(salon, () =>
+      appointmentService.createAppointment(staffActor(), {
+        customerId: basics.customer._id,
+        staffId: basics.staff._id,
+        serviceIds: [basics.service._id],
+        scheduledAt: dayjs().add(3, "day").startOf("hour").toDate(),
+      })
+    );
+
+  const queuedKinds = (appointment) =>
+    jobQueue.schedule.mock.calls
+      .filter(([, , data]) => data.appointmentId === String(appointment._id))
+      .map(([, , data]) => data.kind);
+
+  it("queues the reminders of a booking held for its deposit once the deposit is paid", async () => {
+    await setUp({ settings: { requireDeposit: true, depositAmount: 20 } });
+    const appointment = await book();
+    expect(appointment.status).toBe("pending_payment");
+    expect(queuedKinds(appointment)).toEqual([]);
+
+    paymentGateway.getProvider().pay(appointment.deposit.providerRef);
+    await inTenant(salon, () => appointmentService.confirmDeposit(null, appointment._id));
+
+    expect(queuedKinds(appointment)).toEqual(["24h", "2h"]);
+  });
+
+  it("escapes the names in the reminder email", async () => {
+    await setUp({ name: "<b>Salon</b>" });
+    const appointment = await book();
+    stores.Customer.docs[0].name = "<script>alert(1)</script>";
+
+    const sent = await reminderService.sendReminder({
+      tenantId: String(salon._id),
+      appointmentId: String(appointment._id),
+      kind: "24h",
+      scheduledAt: appointment.scheduledAt.toISOString(),
+    });
+
+    expect(sent).toBe(true);
+    const { html } = mailer.outbox[0];
+    expect(html).toContain("Hi &lt;script&gt;alert(1)&lt;/script&gt;,");
+    expect(html).toContain("&lt;b&gt;Salon&lt;/b&gt;");
+    expect(html).not.toMatch(/<script|<b>/);
+  });
+});
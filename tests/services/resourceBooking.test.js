@@ -0,0 +1,104 @@
+jest.mock("../../src/utils/jobQueue");
+
+const dayjs = require("dayjs");
+const {
+  MODELS,
+  mockBookingModels,
+  createSalon,
+  createBookingBasics,
+  staffActor,
+  inTenant,
+} = require("../helpers/bookingFixtures");
+const appointmentService = require("../../src/services/appointmentService");
+
+const { resetAll } = mockBookingModels();
+
+// Tomorrow at the given UTC time, the salon's own timezone
+const day = dayjs().add(1, "day").format("YYYY-MM-DD");
+const at = (time) => new Date(`${day}T${time}:00Z`);
+
+describe("booking services that need a room", () => {
+  let salon;
+  let basics;
+  let rooms;
+  let massage;
+  let staff;
+
+  beforeEach(async () => {
+    resetAll();
+    salon = await createSalon({ timezone: "UTC" });
+    basics = await inTenant(salon, () => createBookingBasics());
+    ({ rooms, massage, staff } = await inTenant(salon, async () => {
+      const created = [
+        await new MODELS.Resource({ name: "Room 1" }).save(),
+        await new MODELS.Resource({ name: "Room 2" }).save(),
+      ];
+      return {
+        rooms: created,
+        massage: await new MODELS.Service({
+          name: "Massage",
+          price: 80,
+          durationMins: 60,
+          resourceRequirements: [{ resourceIds: created.map((room) => room._id) }],
+        }).save(),
+        // Three people who could give the massage, more than there are rooms
+        staff: [
+          basics.staff,
+          await new MODELS.Staff({ name: "Blake" }).save(),
+          await new MODELS.Staff({ name: "Casey" }).save(),
+        ],
+      };
+    }));
+  });
+
+  const book = (staffMember, time) =>
+    inTenant(salon, () =>
+      appointmentService.createAppointment(staffActor(), {
+        customerId: basics.customer._id,
+        staffId: staffMember._id,
+        serviceIds: [massage._id],
+        scheduledAt: at(time),
+      })
+    );
+
+  const bookedRoom = (appointment) => String(appointment.services[0].resourceIds[0]);
+
+  it("assigns a free room to each booking", async () => {
+    const first = await book(staff[0], "10:00");
+    const second = await book(staff[1], "10:00");
+
+    expect(rooms.map((room) => String(room._id))).toEqual(
+      expect.arrayContaining([bookedRoom(first), bookedRoom(second)])
+    );
+    expect(bookedRoom(first)).not.toBe(bookedRoom(second));
+  });
+
+  it("rejects a booking when every room is taken", async () => {
+    await book(staff[0], "10:00");
+    await book(staff[1], "10:00");
+
+    await expect(book(staff[2], "10:30")).rejects.toMatchObject({
+      statusCode: 409,
+      code: "RESOURCE_UNAVAILABLE",
+    });
+    await expect(book(staff[2], "11:00")).resolves.toBeTruthy();
+  });
+
+  it("leaves times without a free room out of the availability", async () => {
+    await book(staff[0], "10:00");
+    await book(staff[1], "10:00");
+
+    const slots = await inTenant(salon, () =>
+      appointmentService.getAvailableTimeSlots(salon, { date: day, serviceIds: [massage._id] })
+    );
+
+    const caseyTimes = slots
+      .filter((slot) => String(slot.staffId) === String(staff[2]._id))
+      .map((slot) => slot.time.toISOString());
+    expect(caseyTimes).not.toContain(at("09:30").toISOString());
+    expect(caseyTimes).not.toContain(at("10:00").toISOString());
+    expect(caseyTimes).not.toContain(at("10:30").toISOString());
+    expect(caseyTimes).toContain(at("09:00").toISOString());
+    expect(caseyTimes).toContain(at("11:00").toISOString());
+  });
+});
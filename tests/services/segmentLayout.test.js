@@ -0,0 +1,76 @@
+jest.mock("../../src/utils/jobQueue");
+
+const dayjs = require("dayjs");
+const {
+  MODELS,
+  mockBookingModels,
+  createSalon,
+  createBookingBasics,
+  staffActor,
+  inTenant,
+} = require("../helpers/bookingFixtures");
+const appointmentService = require("../../src/services/appointmentService");
+
+const { resetAll } = mockBookingModels();
+
+// Tomorrow at the given UTC time, the salon's own timezone
+const day = dayjs().add(1, "day").format("YYYY-MM-DD");
+const at = (time) => new Date(`${day}T${time}:00Z`);
+
+describe("staff time around a service's processing gap and buffers", () => {
+  let salon;
+  let basics;
+  let colour;
+
+  beforeEach(async () => {
+    resetAll();
+    salon = await createSalon({ timezone: "UTC" });
+    basics = await inTenant(salon, () => createBookingBasics({ durationMins: 30 }));
+    // Active 10:00-10:30, processing 10:30-11:15, active 11:15-11:30, then a buffer until 11:45
+    colour = await inTenant(salon, () =>
+      new MODELS.Service({
+        name: "Colour",
+        price: 120,
+        durationMins: 90,
+        processingStartMins: 30,
+        processingMins: 45,
+        bufferAfterMins: 15,
+      }).save()
+    );
+    await book(colour, "10:00");
+  });
+
+  const book = (service, time) =>
+    inTenant(salon, () =>
+      appointmentService.createAppointment(staffActor(), {
+        customerId: basics.customer._id,
+        staffId: basics.staff._id,
+        serviceIds: [service._id],
+        scheduledAt: at(time),
+      })
+    );
+
+  it("fits a booking into another appointment's processing gap", async () => {
+    const haircut = await book(basics.service, "10:45");
+
+    // Ends right as the colour needs the staff member again
+    expect(haircut.endAt).toEqual(at("11:15"));
+  });
+
+  it.each([
+    ["the active time before the gap", "10:00"],
+    ["the active time after the gap", "11:05"],
+    ["the buffer after the service", "11:30"],
+  ])("rejects a booking over %s", async (_, time) => {
+    await expect(book(basics.service, time)).rejects.toMatchObject({
+      statusCode: 409,
+      code: "STAFF_UNAVAILABLE",
+    });
+  });
+
+  it("books again once the buffer is over", async () => {
+    const haircut = await book(basics.service, "11:45");
+
+    expect(haircut.scheduledAt).toEqual(at("11:45"));
+  });
+});
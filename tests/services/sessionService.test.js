@@ -0,0 +1,113 @@
+const { mockModel } = require("../helpers/memoryModel");
+const User = require("../../src/models/User");
+const RefreshToken = require("../../src/models/RefreshToken");
+const Session = require("../../src/models/Session");
+const authService = require("../../src/services/authService");
+const sessionService = require("../../src/services/sessionService");
+const { requireAuth } = require("../../src/middlewares/authMiddleware");
+
+const users = mockModel(User);
+const refreshTokens = mockModel(RefreshToken);
+const sessions = mockModel(Session);
+
+// Resolves with what requireAuth passed to next() for a request with this access token
+const authenticate = (accessToken) =>
+  new Promise((resolve) => {
+    const req = {
+      get: (name) => (name.toLowerCase() === "authorization" ? `Bearer ${accessToken}` : ""),
+    };
+    requireAuth(req, {}, resolve);
+  });
+
+describe("sessions", () => {
+  let user;
+
+  beforeEach(async () => {
+    [users, refreshTokens, sessions].forEach((store) => store.reset());
+    user = await new User({
+      name: "Robin",
+      email: "robin@example.com",
+      passwordHash: "not used here",
+      role: "customer",
+    }).save();
+  });
+
+  const login = (userAgent = "Mozilla/5.0 (Windows NT 10.0) Chrome/120.0") =>
+    authService.completeLogin(user, { userAgent, ip: "203.0.113.7" });
+
+  it("lists a user's devices and marks the current one", async () => {
+    const laptop = await login();
+    await login("Mozilla/5.0 (iPhone; CPU iPhone OS 17_0) Safari/604.1");
+
+    const listed = await sessionService.listSessions(user._id, laptop.sessionId);
+
+    expect(listed).toHaveLength(2);
+    expect(listed.find((session) => session.current)).toMatchObject({
+      id: laptop.sessionId,
+      device: "Chrome on Windows",
+    });
+    expect(listed.find((session) => !session.current).device).toBe("Safari on iOS");
+  });
+
+  it("ends the access and refresh tokens of a revoked session", async () => {
+    const { accessToken, refreshToken, sessionId } = await login();
+    await expect(authenticate(accessToken)).resolves.toBeUndefined();
+
+    await sessionService.revokeOwnSession(user._id, sessionId);
+
+    await expect(authenticate(accessToken)).resolves.toMatchObject({
+      statusCode: 401,
+      code: "SESSION_REVOKED",
+    });
+    await expect(authService.refresh(refreshToken)).rejects.toMatchObject({ statusCode: 401 });
+  });
+
+  it("refuses a refresh token of a revoked session even when the token itself was not", async () => {
+    const { refreshToken, sessionId } = await login();
+    await Session.updateOne(
+      { _id: sessionId },
+      { $set: { revokedAt: new Date(), revokedReason: "revoked" } }
+    );
+
+    await expect(authService.refresh(refreshToken)).rejects.toMatchObject({
+      statusCode: 401,
+      code: "SESSION_REVOKED",
+    });
+  });
+
+  it("revokes the whole family when a rotated refresh token comes back", async () => {
+    const first = await login();
+    const second = await authService.refresh(first.refreshToken);
+    expect(second.sessionId).toBe(first.sessionId);
+
+    await expect(authService.refresh(first.refreshToken)).rejects.toMatchObject({
+      statusCode: 401,
+      code: "REFRESH_TOKEN_REUSED",
+    });
+
+    // The token handed out by the rotation dies with the family
+    await expect(authService.refresh(second.refreshToken)).rejects.toMatchObject({
+      statusCode: 401,
+    });
+    await expect(authenticate(second.accessToken)).resolves.toMatchObject({
+      code: "SESSION_REVOKED",
+    });
+    expect(refreshTokens.docs.every((doc) => doc.revokedAt)).toBe(true);
+  });
+
+  it("can log out everywhere but the current session", async () => {
+    const current = await login();
+    const other = await login();
+
+    await expect(
+      sessionService.revokeAllForUser(user._id, "logout_all", {
+        exceptSessionId: current.sessionId,
+      })
+    ).resolves.toBe(1);
+
+    await expect(authenticate(current.accessToken)).resolves.toBeUndefined();
+    await expect(authenticate(other.accessToken)).resolves.toMatchObject({
+      code: "SESSION_REVOKED",
+    });
+  });
+});
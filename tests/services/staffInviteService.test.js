@@ -0,0 +1,112 @@
+const mongoose = require("mongoose");
+const { mockModel } = require("../helpers/memoryModel");
+const { mockBookingModels, createSalon, inTenant } = require("../helpers/bookingFixtures");
+const StaffInvite = require("../../src/models/StaffInvite");
+const User = require("../../src/models/User");
+const RefreshToken = require("../../src/models/RefreshToken");
+const Session = require("../../src/models/Session");
+const staffInviteService = require("../../src/services/staffInviteService");
+const mailer = require("../../src/utils/mailer");
+
+const { stores, resetAll } = mockBookingModels();
+const invites = mockModel(StaffInvite);
+const users = mockModel(User);
+const refreshTokens = mockModel(RefreshToken);
+const sessions = mockModel(Session);
+
+const admin = { id: new mongoose.Types.ObjectId(), role: "salon_admin" };
+const PASSWORD = "long enough password";
+
+// The raw token only ever leaves the service inside the invite link
+const tokenFrom = (message) => message.text.match(/token=([^\s]+)/)[1];
+
+describe("staff invites", () => {
+  let salon;
+
+  beforeEach(async () => {
+    resetAll();
+    [invites, users, refreshTokens, sessions].forEach((store) => store.reset());
+    mailer.outbox.length = 0;
+    salon = await createSalon({ status: "active" });
+  });
+
+  const invite = async (data = {}) => {
+    await inTenant(salon, () =>
+      staffInviteService.inviteStaff(admin, salon, {
+        name: "Blake",
+        role: "stylist",
+        email: "blake@example.com",
+        ...data,
+      })
+    );
+    return tokenFrom(mailer.outbox[mailer.outbox.length - 1]);
+  };
+
+  it("creates a staff account linked to the invited staff member", async () => {
+    const token = await invite();
+
+    const result = await staffInviteService.acceptInvite(token, { password: PASSWORD });
+
+    expect(result.accessToken).toBeTruthy();
+    expect(users.docs[0]).toMatchObject({
+      email: "blake@example.com",
+      name: "Blake",
+      role: "staff",
+      tenantId: salon._id,
+      emailVerified: true,
+    });
+    expect(stores.Staff.docs[0].userId).toEqual(users.docs[0]._id);
+    expect(invites.docs[0]).toMatchObject({
+      status: "accepted",
+      acceptedUserId: users.docs[0]._id,
+    });
+  });
+
+  it("accepts an invite only once", async () => {
+    const token = await invite();
+    await staffInviteService.acceptInvite(token, { password: PASSWORD });
+
+    await expect(
+      staffInviteService.acceptInvite(token, { password: PASSWORD, email: "other@example.com" })
+    ).rejects.toMatchObject({ statusCode: 409, code: "INVITE_ALREADY_ACCEPTED" });
+    expect(users.docs).toHaveLength(1);
+  });
+
+  it("refuses expired invites and links replaced by a newer invite", async () => {
+    const first = await invite();
+    await StaffInvite.updateOne({}, { $set: { expiresAt: new Date(Date.now() - 1) } });
+
+    await expect(
+      staffInviteService.acceptInvite(first, { password: PASSWORD })
+    ).rejects.toMatchObject({ statusCode: 410, code: "INVITE_EXPIRED" });
+
+    const staffId = stores.Staff.docs[0]._id;
+    const second = await invite({ staffId, name: undefined });
+    const third = await invite({ staffId, name: undefined });
+
+    await expect(
+      staffInviteService.acceptInvite(second, { password: PASSWORD })
+    ).rejects.toMatchObject({ statusCode: 410, code: "INVITE_REVOKED" });
+    await expect(
+      staffInviteService.acceptInvite(third, { password: PASSWORD })
+    ).resolves.toMatchObject({ accessToken: expect.any(String) });
+  });
+
+  it("refuses unknown tokens", async () => {
+    await expect(
+      staffInviteService.acceptInvite("not-a-token", { password: PASSWORD })
+    ).rejects.toMatchObject({ statusCode: 400, code: "INVALID_TOKEN" });
+  });
+
+  it("escapes the staff and salon names in the invite email", async () => {
+    salon.name = `Cut & "Curl" <b>`;
+
+    await invite({ name: "<script>alert(1)</script>" });
+
+    const { html, text } = mailer.outbox[0];
+    expect(html).not.toContain("<script>");
+    expect(html).toContain("Hi &lt;script&gt;alert(1)&lt;/script&gt;");
+    expect(html).toContain("Cut &amp; &quot;Curl&quot; &lt;b&gt;");
+    expect(text).toContain("Hi <script>alert(1)</script>");
+  });
+});
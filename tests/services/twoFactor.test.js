@@ -0,0 +1,140 @@
+const bcrypt = require("bcryptjs");
+const speakeasy = require("speakeasy");
+const { mockModel } = require("../helpers/memoryModel");
+const User = require("../../src/models/User");
+const RefreshToken = require("../../src/models/RefreshToken");
+const Session = require("../../src/models/Session");
+const PlatformSetting = require("../../src/models/PlatformSetting");
+const authService = require("../../src/services/authService");
+const twoFactorService = require("../../src/services/twoFactorService");
+const { requireAuth } = require("../../src/middlewares/authMiddleware");
+
+const users = mockModel(User);
+const refreshTokens = mockModel(RefreshToken);
+const sessions = mockModel(Session);
+const platformSettings = mockModel(PlatformSetting);
+
+const PASSWORD = "long enough password";
+// Saving skips the hashing hook here, so the hash is stored as it would be
+const passwordHash = bcrypt.hashSync(PASSWORD, 4);
+
+const totpFor = (secret, offsetSeconds = 0) =>
+  speakeasy.totp({ secret, encoding: "base32", time: Date.now() / 1000 + offsetSeconds });
+
+describe("two-factor authentication", () => {
+  let user;
+
+  beforeEach(async () => {
+    [users, refreshTokens, sessions, platformSettings].forEach((store) => store.reset());
+    user = await new User({
+      name: "Robin",
+      email: "robin@example.com",
+      passwordHash,
+      role: "salon_admin",
+    }).save();
+  });
+
+  const enroll = async () => {
+    const { secret } = await twoFactorService.startEnrollment(user);
+    const { backupCodes } = await twoFactorService.confirmEnrollment(user, totpFor(secret));
+    return { secret, backupCodes };
+  };
+
+  const challengeToken = async () => {
+    const challenge = await authService.login("robin@example.com", PASSWORD);
+    expect(challenge).toMatchObject({ twoFactorRequired: true });
+    expect(challenge.accessToken).toBeUndefined();
+    return challenge.challengeToken;
+  };
+
+  it("enrolls only with a code from the new secret and stores backup codes hashed", async () => {
+    const { secret, qrCode } = await twoFactorService.startEnrollment(user);
+    expect(qrCode).toMatch(/^data:image\/png;base64,/);
+    await expect(twoFactorService.confirmEnrollment(user, "000000")).rejects.toMatchObject({
+      statusCode: 400,
+      code: "INVALID_TWO_FACTOR_CODE",
+    });
+
+    const { backupCodes } = await twoFactorService.confirmEnrollment(user, totpFor(secret));
+
+    expect(backupCodes).toHaveLength(10);
+    const stored = users.docs[0].twoFactor;
+    expect(stored).toMatchObject({ enabled: true, secret });
+    expect(stored.pendingSecret).toBeUndefined();
+    expect(stored.backupCodes).toHaveLength(10);
+    backupCodes.forEach((code) => expect(JSON.stringify(stored)).not.toContain(code));
+  });
+
+  it("logs in with a TOTP code once per code", async () => {
+    const { secret } = await enroll();
+    // The enrollment code used the current time step, the next one is still in the window
+    const code = totpFor(secret, 30);
+
+    const session = await authService.completeTwoFactorLogin(await challengeToken(), code);
+    expect(session).toMatchObject({ twoFactorMethod: "totp" });
+    expect(session.accessToken).toBeTruthy();
+
+    await expect(
+      authService.completeTwoFactorLogin(await challengeToken(), code)
+    ).rejects.toMatchObject({ statusCode: 401, code: "INVALID_TWO_FACTOR_CODE" });
+  });
+
+  it("accepts each backup code once", async () => {
+    const { backupCodes } = await enroll();
+
+    const session = await authService.completeTwoFactorLogin(
+      await challengeToken(),
+      backupCodes[0]
+    );
+    expect(session).toMatchObject({ twoFactorMethod: "backup_code" });
+    expect(users.docs[0].twoFactor.backupCodes).toHaveLength(9);
+
+    await expect(
+      authService.completeTwoFactorLogin(await challengeToken(), backupCodes[0])
+    ).rejects.toMatchObject({ statusCode: 401, code: "INVALID_TWO_FACTOR_CODE" });
+  });
+
+  it("does not take a challenge token as an access token", async () => {
+    await enroll();
+    const token = await challengeToken();
+    const req = {
+      get: (name) => (name.toLowerCase() === "authorization" ? `Bearer ${token}` : ""),
+    };
+
+    const error = await new Promise((resolve) => requireAuth(req, {}, resolve));
+
+    expect(error).toMatchObject({ statusCode: 401, code: "INVALID_TOKEN" });
+    expect(req.user).toBeUndefined();
+  });
+
+  it("makes roles with mandatory 2FA set it up before they get a session", async () => {
+    await twoFactorService.setMandatoryRoles(["salon_admin"]);
+
+    const login = await authService.login("robin@example.com", PASSWORD);
+
+    expect(login).toMatchObject({ twoFactorSetupRequired: true, twoFactorRequired: false });
+    expect(login.accessToken).toBeUndefined();
+    await expect(authService.getSetupChallengeUser(login.challengeToken)).resolves.toMatchObject({
+      email: "robin@example.com",
+    });
+
+    const { secret } = await enroll();
+    await expect(
+      twoFactorService.disable(user, { password: PASSWORD, code: totpFor(secret, 30) })
+    ).rejects.toMatchObject({ statusCode: 403, code: "TWO_FACTOR_MANDATORY" });
+  });
+
+  it("lets other roles log in without 2FA", async () => {
+    await twoFactorService.setMandatoryRoles(["salon_admin"]);
+    await new User({
+      name: "Sam",
+      email: "sam@example.com",
+      passwordHash,
+      role: "customer",
+    }).save();
+
+    const login = await authService.login("sam@example.com", PASSWORD);
+
+    expect(login.accessToken).toBeTruthy();
+  });
+});
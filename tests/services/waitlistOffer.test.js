@@ -0,0 +1,153 @@
+jest.mock("../../src/utils/jobQueue");
+
+const dayjs = require("dayjs");
+const {
+  MODELS,
+  mockBookingModels,
+  createSalon,
+  createBookingBasics,
+  adminActor,
+  staffActor,
+  inTenant,
+} = require("../helpers/bookingFixtures");
+const appointmentService = require("../../src/services/appointmentService");
+const publicBookingService = require("../../src/services/publicBookingService");
+const waitlistService = require("../../src/services/waitlistService");
+const mailer = require("../../src/utils/mailer");
+
+const { stores, resetAll } = mockBookingModels();
+
+describe("waitlist offers", () => {
+  let salon;
+  let basics;
+  let slot;
+  let waiting;
+
+  beforeEach(async () => {
+    resetAll();
+    mailer.outbox.length = 0;
+    salon = await createSalon({ settings: { allowOnlineBooking: true } });
+    basics = await inTenant(salon, () => createBookingBasics());
+    slot = dayjs().add(1, "day").startOf("hour");
+
+    waiting = await inTenant(salon, async () => {
+      const customer = await new MODELS.Customer({ name: "Kim", email: "kim@example.com" }).save();
+      return new MODELS.WaitlistEntry({
+        customerId: customer._id,
+        serviceId: basics.service._id,
+        windowStart: slot.toDate(),
+        windowEnd: slot.add(1, "hour").toDate(),
+      }).save();
+    });
+  });
+
+  const book = (actor = staffActor()) =>
+    inTenant(salon, () =>
+      appointmentService.createAppointment(actor, {
+        customerId: basics.customer._id,
+        staffId: basics.staff._id,
+        serviceIds: [basics.service._id],
+        scheduledAt: slot.toDate(),
+      })
+    );
+
+  // Frees the slot by cancelling a booking, which offers it to the waitlist
+  const freeSlot = async () => {
+    const appointment = await book();
+    await inTenant(salon, () =>
+      appointmentService.cancelAppointment(adminActor(), appointment._id, "Can't make it")
+    );
+  };
+
+  const offerLink = () => {
+    const mail = mailer.outbox.find((message) => message.to === "kim@example.com");
+    return new URL(mail.text.match(/https?:\/\/\S+/)[0]);
+  };
+
+  it("holds the offered slot for the waitlisted customer", async () => {
+    await freeSlot();
+
+    const entry = stores.WaitlistEntry.docs.find((doc) => String(doc._id) === String(waiting._id));
+    expect(entry.status).toBe("offered");
+
+    const slots = await inTenant(salon, () =>
+      appointmentService.getAvailableTimeSlots(salon, {
+        date: slot.toDate(),
+        serviceIds: [basics.service._id],
+      })
+    );
+    expect(slots.some((candidate) => candidate.time.getTime() === slot.valueOf())).toBe(false);
+    await expect(book()).rejects.toMatchObject({
+      statusCode: 409,
+      code: "STAFF_UNAVAILABLE",
+      details: expect.objectContaining({ heldForWaitlist: true }),
+    });
+  });
+
+  it("offers the time of a deleted booking", async () => {
+    const appointment = await book();
+    await inTenant(salon, () => appointmentService.deleteAppointment(appointment._id));
+
+    const entry = stores.WaitlistEntry.docs.find((doc) => String(doc._id) === String(waiting._id));
+    expect(entry.status).toBe("offered");
+    expect(entry.offer.scheduledAt.getTime()).toBe(slot.valueOf());
+  });
+
+  it("offers a slot freed twice at the same time to one customer", async () => {
+    await inTenant(salon, async () => {
+      const customer = await new MODELS.Customer({ name: "Lee", email: "lee@example.com" }).save();
+      await new MODELS.WaitlistEntry({
+        customerId: customer._id,
+        serviceId: basics.service._id,
+        windowStart: slot.toDate(),
+        windowEnd: slot.add(1, "hour").toDate(),
+      }).save();
+    });
+    const freed = [
+      { staffId: basics.staff._id, start: slot.toDate(), end: slot.add(1, "hour").toDate() },
+    ];
+
+    await inTenant(salon, () =>
+      Promise.all([waitlistService.offerFreedSlots(freed), waitlistService.offerFreedSlots(freed)])
+    );
+
+    const offered = stores.WaitlistEntry.docs.filter((doc) => doc.status === "offered");
+    expect(offered).toHaveLength(1);
+  });
+
+  it("books the slot through the signed link of the offer", async () => {
+    await freeSlot();
+    const link = offerLink();
+    expect(link.pathname).toBe(`/book/${salon.slug}/waitlist/${waiting._id}`);
+
+    const { booking } = await inTenant(salon, () =>
+      publicBookingService.acceptWaitlistOffer(salon, waiting._id, link.searchParams.get("token"))
+    );
+
+    expect(booking.scheduledAt.getTime()).toBe(slot.valueOf());
+    const entry = stores.WaitlistEntry.docs.find((doc) => String(doc._id) === String(waiting._id));
+    expect(entry.status).toBe("booked");
+    expect(String(entry.appointmentId)).toBe(String(booking.id));
+  });
+
+  it("does not accept the link of an offer that was declined", async () => {
+    await freeSlot();
+    const token = offerLink().searchParams.get("token");
+
+    await inTenant(salon, () => publicBookingService.declineWaitlistOffer(waiting._id, token));
+
+    await expect(
+      inTenant(salon, () => publicBookingService.acceptWaitlistOffer(salon, waiting._id, token))
+    ).rejects.toMatchObject({ statusCode: 401, code: "INVALID_OFFER_TOKEN" });
+    // With nobody else waiting the slot is free again
+    await expect(book()).resolves.toMatchObject({ status: "pending" });
+  });
+
+  it("rejects a forged link", async () => {
+    await freeSlot();
+
+    await expect(
+      inTenant(salon, () => publicBookingService.getWaitlistOffer(waiting._id, "not-a-token"))
+    ).rejects.toMatchObject({ statusCode: 401, code: "INVALID_OFFER_TOKEN" });
+  });
+});
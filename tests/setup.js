@@ -0,0 +1,12 @@
+// Runs before every test file: no real database, mail or payment provider is reached
+const mongoose = require("mongoose");
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test_secret";
+process.env.MAIL_TRANSPORT = "memory";
+process.env.SMS_TRANSPORT = "memory";
+process.env.PAYMENT_PROVIDER = "fake";
+
+// A model a test forgot to mock fails fast instead of waiting for a connection
+mongoose.set("bufferTimeoutMS", 500);
+
+require("../src/config/logger").silent = true;
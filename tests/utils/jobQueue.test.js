@@ -0,0 +1,36 @@
+jest.mock("agenda", () => ({
+  Agenda: jest.fn().mockImplementation(() => ({
+    define: jest.fn(),
+    on: jest.fn(),
+    start: jest.fn().mockResolvedValue(undefined),
+    stop: jest.fn().mockResolvedValue(undefined),
+  })),
+}));
+
+const { Agenda } = require("agenda");
+const { salonAdminConnection } = require("../../src/config/db");
+const jobQueue = require("../../src/utils/jobQueue");
+
+describe("job queue start-up", () => {
+  it("starts once the salon database connects", async () => {
+    const handler = jest.fn();
+    jobQueue.define("test-job", handler);
+
+    let started = false;
+    const starting = jobQueue.start().then(() => {
+      started = true;
+    });
+    await new Promise((resolve) => setImmediate(resolve));
+    expect(started).toBe(false);
+    expect(Agenda).not.toHaveBeenCalled();
+
+    salonAdminConnection.db = {};
+    salonAdminConnection.emit("open");
+    await starting;
+
+    expect(Agenda).toHaveBeenCalledWith(expect.objectContaining({ mongo: {} }));
+    const agenda = Agenda.mock.results[0].value;
+    expect(agenda.define).toHaveBeenCalledWith("test-job", handler);
+    expect(agenda.start).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,106 @@
+const schedule = require("../../src/utils/schedule");
+const appointmentService = require("../../src/services/appointmentService");
+
+const ZONE = "America/New_York";
+const HOUR = 60 * 60 * 1000;
+
+// Wall clock of a date in ZONE, to compare against what customers see
+const wallClock = (date) => schedule.formatInZone(date, "YYYY-MM-DD HH:mm", ZONE);
+
+describe("schedule helpers across DST changes", () => {
+  describe("getDayRange", () => {
+    it("gives the spring-forward day 23 hours", () => {
+      const day = schedule.getDayRange("2027-03-14", ZONE);
+
+      expect(day.start.toISOString()).toBe("2027-03-14T05:00:00.000Z");
+      expect(day.end.toISOString()).toBe("2027-03-15T04:00:00.000Z");
+      expect(day.end - day.start).toBe(23 * HOUR);
+    });
+
+    it("gives the fall-back day 25 hours", () => {
+      const day = schedule.getDayRange("2026-11-01", ZONE);
+
+      expect(day.start.toISOString()).toBe("2026-11-01T04:00:00.000Z");
+      expect(day.end.toISOString()).toBe("2026-11-02T05:00:00.000Z");
+      expect(day.end - day.start).toBe(25 * HOUR);
+    });
+
+    it("finds the day of a date late in the evening of a long day", () => {
+      // 23:30 local on the fall-back day, already the next day in UTC
+      const day = schedule.getDayRange(new Date("2026-11-02T04:30:00.000Z"), ZONE);
+
+      expect(day.key).toBe("2026-11-01");
+    });
+
+    it("keeps a normal day 24 hours", () => {
+      const day = schedule.getDayRange("2026-10-19", ZONE);
+
+      expect(day.end - day.start).toBe(24 * HOUR);
+    });
+  });
+
+  describe("the spring-forward gap", () => {
+    it("moves a skipped time forward by the size of the gap", () => {
+      // 02:30 does not exist on 2027-03-14, clocks jump from 02:00 to 03:00
+      const date = schedule.atTime("2027-03-14", "02:30", ZONE);
+
+      expect(wallClock(date)).toBe("2027-03-14 03:30");
+    });
+
+    it("keeps the times around the gap", () => {
+      expect(wallClock(schedule.atTime("2027-03-14", "01:59", ZONE))).toBe("2027-03-14 01:59");
+      expect(wallClock(schedule.atTime("2027-03-14", "03:00", ZONE))).toBe("2027-03-14 03:00");
+    });
+
+    it("shortens an interval spanning the gap by an hour", () => {
+      const interval = schedule.toInterval("2027-03-14", "01:00", "04:00", ZONE);
+
+      expect(interval.end - interval.start).toBe(2 * HOUR);
+    });
+  });
+
+  describe("recurrences", () => {
+    it("keeps a weekly time on the wall clock across the fall-back change", () => {
+      const first = schedule.atTime("2026-10-25", "10:00", ZONE);
+      const next = schedule.addWallClock(first, 1, "week", ZONE);
+
+      expect(wallClock(next)).toBe("2026-11-01 10:00");
+      expect(next - first).toBe(7 * 24 * HOUR + HOUR);
+    });
+
+    it("keeps a weekly series at the same local time across the spring-forward change", () => {
+      const series = {
+        frequency: "weekly",
+        interval: 1,
+        count: 3,
+        startAt: schedule.atTime("2027-03-07", "10:00", ZONE),
+      };
+
+      const dates = appointmentService.getOccurrenceDates(series, ZONE);
+
+      expect(dates.map(wallClock)).toEqual([
+        "2027-03-07 10:00",
+        "2027-03-14 10:00",
+        "2027-03-21 10:00",
+      ]);
+      expect(dates[1] - dates[0]).toBe(7 * 24 * HOUR - HOUR);
+    });
+
+    it("counts wall clock minutes, not elapsed ones, across a change", () => {
+      const before = schedule.atTime("2026-10-31", "10:00", ZONE);
+      const after = schedule.atTime("2026-11-01", "10:00", ZONE);
+
+      expect(schedule.diffWallClock(before, after, ZONE)).toBe(24 * 60);
+      expect(after - before).toBe(25 * HOUR);
+    });
+  });
+
+  describe("getMonthRange", () => {
+    it("ends a month containing a DST change at the next month's midnight", () => {
+      const month = schedule.getMonthRange(2026, 11, ZONE);
+
+      expect(month.start.toISOString()).toBe("2026-11-01T04:00:00.000Z");
+      expect(month.end.toISOString()).toBe("2026-12-01T05:00:00.000Z");
+    });
+  });
+});
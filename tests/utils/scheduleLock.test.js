@@ -0,0 +1,72 @@
+const mongoose = require("mongoose");
+const { mockModel } = require("../helpers/memoryModel");
+const ScheduleLock = require("../../src/models/ScheduleLock");
+const scheduleLock = require("../../src/utils/scheduleLock");
+const tenantContext = require("../../src/utils/tenantContext");
+
+const locks = mockModel(ScheduleLock);
+const tenantId = new mongoose.Types.ObjectId();
+const inTenant = (callback) => tenantContext.runWithTenant(tenantId, callback);
+
+describe("scheduleLock.withLocks", () => {
+  beforeEach(() => locks.reset());
+
+  it("runs callbacks on the same key one after the other", async () => {
+    const key = scheduleLock.staffLockKey("staff-1");
+    const events = [];
+    const work = (name) => async () => {
+      events.push(`${name}:start`);
+      await new Promise((resolve) => setTimeout(resolve, 30));
+      events.push(`${name}:end`);
+    };
+
+    await inTenant(() =>
+      Promise.all([
+        scheduleLock.withLocks([key], work("a"), { retryMs: 5 }),
+        scheduleLock.withLocks([key], work("b"), { retryMs: 5 }),
+      ])
+    );
+
+    expect(events).toEqual(
+      events[0] === "a:start"
+        ? ["a:start", "a:end", "b:start", "b:end"]
+        : ["b:start", "b:end", "a:start", "a:end"]
+    );
+    expect(locks.docs).toHaveLength(0);
+  });
+
+  it("releases the lock when the callback throws", async () => {
+    const key = scheduleLock.staffLockKey("staff-1");
+
+    await expect(
+      inTenant(() =>
+        scheduleLock.withLocks([key], async () => {
+          throw new Error("boom");
+        })
+      )
+    ).rejects.toThrow("boom");
+    expect(locks.docs).toHaveLength(0);
+
+    // Taken straight away, without waiting for the lock to expire
+    const result = await inTenant(() =>
+      scheduleLock.withLocks([key], async () => "booked", { waitMs: 50 })
+    );
+    expect(result).toBe("booked");
+  });
+
+  it("gives up with SCHEDULE_BUSY when the lock stays taken", async () => {
+    const key = scheduleLock.resourceLockKey("room-1");
+    let release;
+    const holder = inTenant(() =>
+      scheduleLock.withLocks([key], () => new Promise((resolve) => (release = resolve)))
+    );
+    await new Promise((resolve) => setTimeout(resolve, 10));
+
+    await expect(
+      inTenant(() => scheduleLock.withLocks([key], async () => "late", { waitMs: 50, retryMs: 5 }))
+    ).rejects.toMatchObject({ statusCode: 409, code: "SCHEDULE_BUSY" });
+
+    release();
+    await holder;
+  });
+});